@@ -0,0 +1,25 @@
+-- =========================================
+-- DATE ARCHIVE MIGRATION
+-- =========================================
+-- Run in your Supabase SQL Editor on databases created with an older
+-- database-setup.sql. Fresh setups already include these changes.
+-- Without it the archive pages and the Footer archive show no months.
+
+-- RPC returning how many posts readers can see in each month (archive pages)
+-- Months are calendar months in UTC, newest first
+CREATE OR REPLACE FUNCTION get_archive_counts()
+RETURNS TABLE (year INTEGER, month INTEGER, posts BIGINT)
+STABLE
+SET search_path = public
+AS $$
+  SELECT
+    EXTRACT(YEAR FROM published_at AT TIME ZONE 'UTC')::INTEGER,
+    EXTRACT(MONTH FROM published_at AT TIME ZONE 'UTC')::INTEGER,
+    COUNT(*)
+  FROM posts
+  WHERE published = true AND published_at <= now()
+  GROUP BY 1, 2
+  ORDER BY 1 DESC, 2 DESC;
+$$ LANGUAGE sql;
+
+GRANT EXECUTE ON FUNCTION get_archive_counts() TO anon, authenticated;
@@ -0,0 +1,52 @@
+-- =========================================
+-- AUTHORS MIGRATION
+-- =========================================
+-- Run in your Supabase SQL Editor on databases created with an older
+-- database-setup.sql. Fresh setups already include these changes.
+-- Post queries embed authors, so run this before deploying a version with bylines.
+
+-- Authors table (shown in bylines and on author pages)
+CREATE TABLE IF NOT EXISTS authors (
+  id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+  name TEXT NOT NULL,
+  slug TEXT UNIQUE NOT NULL,
+  bio TEXT,
+  avatar_path TEXT,
+  -- Profile links by network, e.g. {"website": "https://...", "github": "https://..."}
+  social_links JSONB DEFAULT '{}'::jsonb NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT timezone('utc'::text, now()) NOT NULL
+);
+
+-- Authors of each post, in byline order (a post can have several)
+CREATE TABLE IF NOT EXISTS post_authors (
+  post_id UUID REFERENCES posts(id) ON DELETE CASCADE NOT NULL,
+  author_id UUID REFERENCES authors(id) ON DELETE CASCADE NOT NULL,
+  position INTEGER DEFAULT 0 NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT timezone('utc'::text, now()) NOT NULL,
+  PRIMARY KEY (post_id, author_id)
+);
+
+-- post_authors' primary key covers lookups by post; this one serves author pages
+CREATE INDEX IF NOT EXISTS post_authors_author_id_idx ON post_authors(author_id);
+
+ALTER TABLE authors ENABLE ROW LEVEL SECURITY;
+ALTER TABLE post_authors ENABLE ROW LEVEL SECURITY;
+
+-- Allow public read access to authors and bylines
+CREATE POLICY "Allow public read on authors" ON authors
+  FOR SELECT USING (true);
+CREATE POLICY "Allow public read on post_authors" ON post_authors
+  FOR SELECT USING (true);
+
+-- Allow signed-in editors (not anonymous guests) to manage authors and bylines
+CREATE POLICY "Allow editors to manage authors" ON authors
+  FOR ALL TO authenticated
+  USING (COALESCE((auth.jwt() ->> 'is_anonymous')::boolean, false) = false)
+  WITH CHECK (COALESCE((auth.jwt() ->> 'is_anonymous')::boolean, false) = false);
+CREATE POLICY "Allow editors to manage post_authors" ON post_authors
+  FOR ALL TO authenticated
+  USING (COALESCE((auth.jwt() ->> 'is_anonymous')::boolean, false) = false)
+  WITH CHECK (COALESCE((auth.jwt() ->> 'is_anonymous')::boolean, false) = false);
+
+GRANT SELECT ON public.authors, public.post_authors TO anon;
+GRANT SELECT, INSERT, UPDATE, DELETE ON public.authors, public.post_authors TO authenticated;
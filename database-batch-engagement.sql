@@ -0,0 +1,19 @@
+-- =========================================
+-- BATCH ENGAGEMENT MIGRATION
+-- =========================================
+-- Run in your Supabase SQL Editor on databases created with an older
+-- database-setup.sql. Fresh setups already include these changes.
+
+-- RPC returning the like count of several posts in one round trip (post lists)
+CREATE OR REPLACE FUNCTION get_like_counts(post_ids UUID[])
+RETURNS TABLE (post_id UUID, likes BIGINT)
+STABLE
+SET search_path = public
+AS $$
+  SELECT likes.post_id, COUNT(*) AS likes
+  FROM likes
+  WHERE likes.post_id = ANY(post_ids)
+  GROUP BY likes.post_id;
+$$ LANGUAGE sql;
+
+GRANT EXECUTE ON FUNCTION get_like_counts(UUID[]) TO anon, authenticated;
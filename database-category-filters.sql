@@ -0,0 +1,12 @@
+-- =========================================
+-- CATEGORY SORTING AND FILTERS MIGRATION
+-- =========================================
+-- Run in your Supabase SQL Editor on databases created with an older
+-- database-setup.sql. Fresh setups already include these changes.
+-- Without it the reading-time filter on category pages fails; sorting and
+-- date ranges work either way.
+
+-- Minutes to read at 200 words a minute (reading-time filters)
+ALTER TABLE posts ADD COLUMN IF NOT EXISTS reading_minutes INTEGER GENERATED ALWAYS AS (
+  GREATEST(1, CEIL(array_length(regexp_split_to_array(btrim(content, E' \t\r\n'), '\s+'), 1) / 200.0))::INTEGER
+) STORED;
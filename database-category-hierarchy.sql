@@ -0,0 +1,46 @@
+-- =========================================
+-- CATEGORY HIERARCHY MIGRATION
+-- =========================================
+-- Run in your Supabase SQL Editor on databases created with an older
+-- database-setup.sql. Fresh setups already include these changes.
+-- Without it every category is top-level and "Include subcategories" lists
+-- the category's own posts only.
+
+-- Parent category (NULL for top-level categories); deleting a parent lifts its children to the top
+ALTER TABLE categories ADD COLUMN IF NOT EXISTS parent_id UUID REFERENCES categories(id) ON DELETE SET NULL;
+
+DO $$
+BEGIN
+  ALTER TABLE categories ADD CONSTRAINT categories_parent_not_self CHECK (parent_id <> id);
+EXCEPTION
+  WHEN duplicate_object THEN NULL;
+END;
+$$;
+
+CREATE INDEX IF NOT EXISTS categories_parent_id_idx ON categories(parent_id);
+
+-- Reject a parent that would make a category its own ancestor
+CREATE OR REPLACE FUNCTION prevent_category_cycle()
+RETURNS TRIGGER
+SET search_path = public
+AS $$
+BEGIN
+  IF NEW.parent_id IS NOT NULL AND EXISTS (
+    WITH RECURSIVE ancestors AS (
+      SELECT id, parent_id FROM categories WHERE id = NEW.parent_id
+      UNION
+      SELECT c.id, c.parent_id FROM categories c JOIN ancestors a ON c.id = a.parent_id
+    )
+    SELECT 1 FROM ancestors WHERE ancestors.id = NEW.id
+  ) THEN
+    RAISE EXCEPTION 'Category % cannot be nested under its own subcategory', NEW.slug
+      USING ERRCODE = 'check_violation';
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS prevent_category_cycle_trigger ON categories;
+CREATE TRIGGER prevent_category_cycle_trigger
+  BEFORE INSERT OR UPDATE OF parent_id ON categories
+  FOR EACH ROW EXECUTE FUNCTION prevent_category_cycle();
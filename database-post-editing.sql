@@ -0,0 +1,17 @@
+-- =========================================
+-- POST EDITING MIGRATION
+-- =========================================
+-- Run in your Supabase SQL Editor on databases created with an older
+-- database-setup.sql. Fresh setups already include these changes.
+-- Without it, creating a post fails with a permission error and updates and
+-- deletes match no rows, even for signed-in editors.
+
+-- Allow signed-in editors (not anonymous guests) to create, update and delete posts
+DROP POLICY IF EXISTS "Allow editors to manage posts" ON posts;
+CREATE POLICY "Allow editors to manage posts" ON posts
+  FOR ALL TO authenticated
+  USING (COALESCE((auth.jwt() ->> 'is_anonymous')::boolean, false) = false)
+  WITH CHECK (COALESCE((auth.jwt() ->> 'is_anonymous')::boolean, false) = false);
+
+GRANT SELECT ON public.posts TO anon;
+GRANT SELECT, INSERT, UPDATE, DELETE ON public.posts TO authenticated;
@@ -0,0 +1,26 @@
+-- =========================================
+-- REALTIME MIGRATION
+-- =========================================
+-- Run in your Supabase SQL Editor on databases created with an older
+-- database-setup.sql. Fresh setups already include these changes.
+
+-- Stream post counter updates and like inserts/deletes to open PostPages
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_publication_tables
+    WHERE pubname = 'supabase_realtime' AND schemaname = 'public' AND tablename = 'posts'
+  ) THEN
+    ALTER PUBLICATION supabase_realtime ADD TABLE posts;
+  END IF;
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_publication_tables
+    WHERE pubname = 'supabase_realtime' AND schemaname = 'public' AND tablename = 'likes'
+  ) THEN
+    ALTER PUBLICATION supabase_realtime ADD TABLE likes;
+  END IF;
+END $$;
+
+-- Deletes can't be filtered by Realtime; keep post_id in the old row so
+-- subscribers can tell which post lost a like
+ALTER TABLE likes REPLICA IDENTITY FULL;
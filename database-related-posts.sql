@@ -0,0 +1,100 @@
+-- =========================================
+-- RELATED POSTS MIGRATION
+-- =========================================
+-- Run in your Supabase SQL Editor on databases created with an older
+-- database-setup.sql (after database-search.sql). Fresh setups already include these changes.
+-- Without it related posts fall back to the newest posts, same category first.
+
+DROP MATERIALIZED VIEW IF EXISTS post_keywords;
+
+-- TF-IDF keyword weights of every published post, from the same weighted
+-- search document as full-text search (title 1.0, excerpt 0.4, content 0.2).
+-- Weights are scaled so each post's vector has length 1; the dot product of
+-- two posts' vectors is then their cosine similarity.
+-- Refreshed by a trigger whenever posts are written (see TRIGGERS).
+CREATE MATERIALIZED VIEW post_keywords AS
+WITH terms AS (
+  SELECT
+    p.id AS post_id,
+    t.lexeme,
+    SUM(CASE w WHEN 'A' THEN 1.0 WHEN 'B' THEN 0.4 ELSE 0.2 END) AS frequency
+  FROM posts p
+  CROSS JOIN LATERAL unnest(post_search_vector(p.title, p.excerpt, p.content)) AS t
+  CROSS JOIN LATERAL unnest(t.weights) AS w
+  WHERE p.published = true
+  GROUP BY p.id, t.lexeme
+),
+documents AS (
+  SELECT COUNT(DISTINCT post_id) AS total FROM terms
+),
+frequencies AS (
+  SELECT lexeme, COUNT(*) AS posts FROM terms GROUP BY lexeme
+),
+weighted AS (
+  SELECT terms.post_id, terms.lexeme, terms.frequency * ln(1 + documents.total::float / frequencies.posts) AS weight
+  FROM terms
+  JOIN frequencies ON frequencies.lexeme = terms.lexeme
+  CROSS JOIN documents
+)
+SELECT post_id, lexeme, weight / sqrt(SUM(weight * weight) OVER (PARTITION BY post_id)) AS weight
+FROM weighted;
+
+CREATE UNIQUE INDEX post_keywords_post_lexeme_idx ON post_keywords(post_id, lexeme);
+CREATE INDEX post_keywords_lexeme_idx ON post_keywords(lexeme);
+
+-- Only get_related_posts reads the weights (they include scheduled posts)
+REVOKE ALL ON post_keywords FROM anon, authenticated;
+
+-- Rebuild post_keywords after posts are added, removed or rewritten
+CREATE OR REPLACE FUNCTION refresh_post_keywords()
+RETURNS TRIGGER
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  REFRESH MATERIALIZED VIEW post_keywords;
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+-- RPC: the posts most similar to a post, best first
+-- score is the cosine similarity of the keyword vectors, plus 0.15 for posts
+-- in the same category. Every visible post is a candidate, so the list fills
+-- even when nothing shares a word (newest first among equal scores).
+CREATE OR REPLACE FUNCTION get_related_posts(source_post_id UUID, result_limit INTEGER DEFAULT 3)
+RETURNS TABLE (id UUID, score REAL)
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  WITH source AS (
+    SELECT category_id FROM posts WHERE posts.id = source_post_id
+  ),
+  similar AS (
+    SELECT other.post_id, SUM(mine.weight * other.weight) AS similarity
+    FROM post_keywords mine
+    JOIN post_keywords other ON other.lexeme = mine.lexeme AND other.post_id <> mine.post_id
+    WHERE mine.post_id = source_post_id
+    GROUP BY other.post_id
+  )
+  SELECT
+    p.id,
+    (COALESCE(similar.similarity, 0) + CASE WHEN p.category_id = source.category_id THEN 0.15 ELSE 0 END)::REAL AS score
+  FROM posts p
+  CROSS JOIN source
+  LEFT JOIN similar ON similar.post_id = p.id
+  WHERE p.id <> source_post_id
+    AND p.published = true
+    AND p.published_at <= now()
+  ORDER BY score DESC, p.published_at DESC, p.id DESC
+  LIMIT result_limit;
+$$ LANGUAGE sql;
+
+DROP TRIGGER IF EXISTS refresh_post_keywords_trigger ON posts;
+
+-- Trigger to keep related-post keywords current (counters like views don't affect them)
+CREATE TRIGGER refresh_post_keywords_trigger
+  AFTER INSERT OR DELETE OR UPDATE OF title, excerpt, content, published ON posts
+  FOR EACH STATEMENT EXECUTE FUNCTION refresh_post_keywords();
+
+GRANT EXECUTE ON FUNCTION get_related_posts(UUID, INTEGER) TO anon, authenticated;
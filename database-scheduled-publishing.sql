@@ -0,0 +1,20 @@
+-- =========================================
+-- SCHEDULED PUBLISHING MIGRATION
+-- =========================================
+-- Run in your Supabase SQL Editor on databases created with an older
+-- database-setup.sql. Fresh setups already include these changes.
+
+-- Hide scheduled posts until their published_at has passed
+DROP POLICY IF EXISTS "Allow public read on published posts" ON posts;
+CREATE POLICY "Allow public read on published posts" ON posts
+  FOR SELECT USING (published = true AND published_at <= now());
+
+-- Allow signed-in editors (not anonymous guests) to preview drafts and scheduled posts
+DROP POLICY IF EXISTS "Allow editors to preview all posts" ON posts;
+CREATE POLICY "Allow editors to preview all posts" ON posts
+  FOR SELECT TO authenticated
+  USING (COALESCE((auth.jwt() ->> 'is_anonymous')::boolean, false) = false);
+
+-- Listings page on (published_at, id)
+DROP INDEX IF EXISTS posts_published_at_idx;
+CREATE INDEX posts_published_at_idx ON posts(published_at DESC, id DESC) WHERE published = true;
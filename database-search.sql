@@ -0,0 +1,71 @@
+-- =========================================
+-- FULL-TEXT SEARCH MIGRATION
+-- =========================================
+-- Run in your Supabase SQL Editor on databases created with an older
+-- database-setup.sql. Fresh setups already include these changes.
+
+-- Weighted search document of a post: title (A), excerpt (B), content (C)
+CREATE OR REPLACE FUNCTION post_search_vector(title TEXT, excerpt TEXT, content TEXT)
+RETURNS tsvector
+IMMUTABLE
+SET search_path = public
+AS $$
+  SELECT setweight(to_tsvector('english'::regconfig, coalesce(title, '')), 'A') ||
+         setweight(to_tsvector('english'::regconfig, coalesce(excerpt, '')), 'B') ||
+         setweight(to_tsvector('english'::regconfig, coalesce(content, '')), 'C');
+$$ LANGUAGE sql;
+
+-- Expression index, so the search document never travels with select('*')
+CREATE INDEX IF NOT EXISTS posts_search_idx ON posts USING GIN (post_search_vector(title, excerpt, content));
+
+-- RPC: one page of published posts matching a websearch-style query, best match first
+-- Snippets come from the content with markdown symbols removed; matching
+-- words are wrapped in chr(2) / chr(3) for the client to highlight.
+-- total is the number of matches across all pages.
+CREATE OR REPLACE FUNCTION search_posts(
+  search_query TEXT,
+  category_slug TEXT DEFAULT NULL,
+  result_limit INTEGER DEFAULT 10,
+  result_offset INTEGER DEFAULT 0
+)
+RETURNS TABLE (id UUID, rank REAL, snippet TEXT, total BIGINT)
+STABLE
+SET search_path = public
+AS $$
+  WITH query AS (
+    SELECT websearch_to_tsquery('english'::regconfig, search_query) AS q
+  ),
+  matches AS (
+    SELECT
+      p.id,
+      p.content,
+      p.published_at,
+      ts_rank(post_search_vector(p.title, p.excerpt, p.content), query.q, 1) AS rank,
+      COUNT(*) OVER () AS total
+    FROM posts p
+    CROSS JOIN query
+    LEFT JOIN categories c ON c.id = p.category_id
+    WHERE post_search_vector(p.title, p.excerpt, p.content) @@ query.q
+      AND p.published = true
+      AND p.published_at <= now()
+      AND (search_posts.category_slug IS NULL OR c.slug = search_posts.category_slug)
+    ORDER BY rank DESC, p.published_at DESC, p.id DESC
+    LIMIT result_limit OFFSET result_offset
+  )
+  -- Headlines are expensive, so only the rows of this page get one
+  SELECT
+    m.id,
+    m.rank,
+    ts_headline(
+      'english'::regconfig,
+      regexp_replace(m.content, '[#*_`>~|]+', ' ', 'g'),
+      query.q,
+      format('StartSel="%s", StopSel="%s", MaxWords=35, MinWords=15', chr(2), chr(3))
+    ) AS snippet,
+    m.total
+  FROM matches m
+  CROSS JOIN query
+  ORDER BY m.rank DESC, m.published_at DESC, m.id DESC;
+$$ LANGUAGE sql;
+
+GRANT EXECUTE ON FUNCTION search_posts(TEXT, TEXT, INTEGER, INTEGER) TO anon, authenticated;
@@ -0,0 +1,36 @@
+-- =========================================
+-- SERIES MIGRATION
+-- =========================================
+-- Run in your Supabase SQL Editor on databases created with an older
+-- database-setup.sql. Fresh setups already include these changes.
+-- Post queries embed the series, so run this before deploying a version with series.
+
+-- Series table (multi-part posts, read in order)
+CREATE TABLE IF NOT EXISTS series (
+  id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+  title TEXT NOT NULL,
+  slug TEXT UNIQUE NOT NULL,
+  description TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT timezone('utc'::text, now()) NOT NULL
+);
+
+-- Series the post is a part of, and its place in it (parts are read in ascending order)
+ALTER TABLE posts ADD COLUMN IF NOT EXISTS series_id UUID REFERENCES series(id) ON DELETE SET NULL;
+ALTER TABLE posts ADD COLUMN IF NOT EXISTS series_position INTEGER;
+
+CREATE INDEX IF NOT EXISTS posts_series_idx ON posts(series_id, series_position) WHERE series_id IS NOT NULL;
+
+ALTER TABLE series ENABLE ROW LEVEL SECURITY;
+
+-- Allow public read access to series (posts RLS still hides unpublished parts)
+CREATE POLICY "Allow public read on series" ON series
+  FOR SELECT USING (true);
+
+-- Allow signed-in editors (not anonymous guests) to manage series
+CREATE POLICY "Allow editors to manage series" ON series
+  FOR ALL TO authenticated
+  USING (COALESCE((auth.jwt() ->> 'is_anonymous')::boolean, false) = false)
+  WITH CHECK (COALESCE((auth.jwt() ->> 'is_anonymous')::boolean, false) = false);
+
+GRANT SELECT ON public.series TO anon;
+GRANT SELECT, INSERT, UPDATE, DELETE ON public.series TO authenticated;
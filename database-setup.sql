@@ -7,9 +7,15 @@
 CREATE EXTENSION IF NOT EXISTS "uuid-ossp";
 
 -- Drop existing tables (if needed for clean setup)
+DROP MATERIALIZED VIEW IF EXISTS public.post_keywords;
 DROP TABLE IF EXISTS public.likes;
+DROP TABLE IF EXISTS public.post_tags;
+DROP TABLE IF EXISTS public.tags;
+DROP TABLE IF EXISTS public.post_authors;
+DROP TABLE IF EXISTS public.authors;
 DROP TABLE IF EXISTS public.post_views;
 DROP TABLE IF EXISTS public.posts;
+DROP TABLE IF EXISTS public.series;
 DROP TABLE IF EXISTS public.categories;
 
 -- =========================================
@@ -21,6 +27,18 @@ CREATE TABLE categories (
   id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
   name TEXT NOT NULL,
   slug TEXT UNIQUE NOT NULL,
+  -- Parent category (NULL for top-level categories); deleting a parent lifts its children to the top
+  parent_id UUID REFERENCES categories(id) ON DELETE SET NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT timezone('utc'::text, now()) NOT NULL,
+  CONSTRAINT categories_parent_not_self CHECK (parent_id <> id)
+);
+
+-- Series table (multi-part posts, read in order)
+CREATE TABLE series (
+  id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+  title TEXT NOT NULL,
+  slug TEXT UNIQUE NOT NULL,
+  description TEXT,
   created_at TIMESTAMP WITH TIME ZONE DEFAULT timezone('utc'::text, now()) NOT NULL
 );
 
@@ -33,10 +51,17 @@ CREATE TABLE posts (
   content TEXT NOT NULL,
   cover_path TEXT,
   category_id UUID REFERENCES categories(id) ON DELETE SET NULL,
+  -- Series the post is a part of, and its place in it (parts are read in ascending order)
+  series_id UUID REFERENCES series(id) ON DELETE SET NULL,
+  series_position INTEGER,
   published BOOLEAN DEFAULT false NOT NULL,
   published_at TIMESTAMP WITH TIME ZONE,
   views INTEGER DEFAULT 0 NOT NULL,
   likes INTEGER DEFAULT 0 NOT NULL,
+  -- Minutes to read at 200 words a minute (reading-time filters)
+  reading_minutes INTEGER GENERATED ALWAYS AS (
+    GREATEST(1, CEIL(array_length(regexp_split_to_array(btrim(content, E' \t\r\n'), '\s+'), 1) / 200.0))::INTEGER
+  ) STORED,
   created_at TIMESTAMP WITH TIME ZONE DEFAULT timezone('utc'::text, now()) NOT NULL,
   updated_at TIMESTAMP WITH TIME ZONE DEFAULT timezone('utc'::text, now()) NOT NULL
 );
@@ -56,21 +81,224 @@ CREATE TABLE IF NOT EXISTS post_views (
   post_id UUID REFERENCES posts(id) ON DELETE CASCADE NOT NULL,
   user_id UUID NOT NULL,
   created_at TIMESTAMP WITH TIME ZONE DEFAULT timezone('utc'::text, now()) NOT NULL,
+  -- When this reader's view was last counted (see track_post_view)
+  viewed_at TIMESTAMP WITH TIME ZONE DEFAULT timezone('utc'::text, now()) NOT NULL,
   UNIQUE(post_id, user_id)
 );
 
+-- Tags table (finer-grained topics than categories; a post can have any number)
+CREATE TABLE tags (
+  id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+  name TEXT NOT NULL,
+  slug TEXT UNIQUE NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT timezone('utc'::text, now()) NOT NULL
+);
+
+-- Tags of each post (Supabase embeds a post's tags through this table)
+CREATE TABLE post_tags (
+  post_id UUID REFERENCES posts(id) ON DELETE CASCADE NOT NULL,
+  tag_id UUID REFERENCES tags(id) ON DELETE CASCADE NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT timezone('utc'::text, now()) NOT NULL,
+  PRIMARY KEY (post_id, tag_id)
+);
+
+-- Authors table (shown in bylines and on author pages)
+CREATE TABLE authors (
+  id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+  name TEXT NOT NULL,
+  slug TEXT UNIQUE NOT NULL,
+  bio TEXT,
+  avatar_path TEXT,
+  -- Profile links by network, e.g. {"website": "https://...", "github": "https://..."}
+  social_links JSONB DEFAULT '{}'::jsonb NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT timezone('utc'::text, now()) NOT NULL
+);
+
+-- Authors of each post, in byline order (a post can have several)
+CREATE TABLE post_authors (
+  post_id UUID REFERENCES posts(id) ON DELETE CASCADE NOT NULL,
+  author_id UUID REFERENCES authors(id) ON DELETE CASCADE NOT NULL,
+  position INTEGER DEFAULT 0 NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT timezone('utc'::text, now()) NOT NULL,
+  PRIMARY KEY (post_id, author_id)
+);
+
 -- =========================================
 -- INDEXES (for performance)
 -- =========================================
 
-CREATE INDEX posts_published_at_idx ON posts(published_at DESC) WHERE published = true;
+CREATE INDEX posts_published_at_idx ON posts(published_at DESC, id DESC) WHERE published = true;
 CREATE INDEX posts_category_id_idx ON posts(category_id) WHERE published = true;
 CREATE INDEX posts_slug_idx ON posts(slug);
+CREATE INDEX posts_series_idx ON posts(series_id, series_position) WHERE series_id IS NOT NULL;
 CREATE INDEX categories_slug_idx ON categories(slug);
+CREATE INDEX categories_parent_id_idx ON categories(parent_id);
 CREATE INDEX likes_post_id_idx ON likes(post_id);
 CREATE INDEX likes_user_id_idx ON likes(user_id);
 CREATE INDEX IF NOT EXISTS post_views_post_id_idx ON post_views(post_id);
 CREATE INDEX IF NOT EXISTS post_views_user_id_idx ON post_views(user_id);
+-- Trending reads only the latest activity
+CREATE INDEX IF NOT EXISTS likes_created_at_idx ON likes(created_at);
+CREATE INDEX IF NOT EXISTS post_views_created_at_idx ON post_views(created_at);
+-- post_tags' primary key covers lookups by post; this one serves tag pages
+CREATE INDEX post_tags_tag_id_idx ON post_tags(tag_id);
+-- Same for author pages
+CREATE INDEX post_authors_author_id_idx ON post_authors(author_id);
+
+-- =========================================
+-- FULL-TEXT SEARCH
+-- =========================================
+
+-- Weighted search document of a post: title (A), excerpt (B), content (C)
+CREATE OR REPLACE FUNCTION post_search_vector(title TEXT, excerpt TEXT, content TEXT)
+RETURNS tsvector
+IMMUTABLE
+SET search_path = public
+AS $$
+  SELECT setweight(to_tsvector('english'::regconfig, coalesce(title, '')), 'A') ||
+         setweight(to_tsvector('english'::regconfig, coalesce(excerpt, '')), 'B') ||
+         setweight(to_tsvector('english'::regconfig, coalesce(content, '')), 'C');
+$$ LANGUAGE sql;
+
+-- Expression index, so the search document never travels with select('*')
+CREATE INDEX IF NOT EXISTS posts_search_idx ON posts USING GIN (post_search_vector(title, excerpt, content));
+
+-- RPC: one page of published posts matching a websearch-style query, best match first
+-- Snippets come from the content with markdown symbols removed; matching
+-- words are wrapped in chr(2) / chr(3) for the client to highlight.
+-- total is the number of matches across all pages.
+CREATE OR REPLACE FUNCTION search_posts(
+  search_query TEXT,
+  category_slug TEXT DEFAULT NULL,
+  result_limit INTEGER DEFAULT 10,
+  result_offset INTEGER DEFAULT 0
+)
+RETURNS TABLE (id UUID, rank REAL, snippet TEXT, total BIGINT)
+STABLE
+SET search_path = public
+AS $$
+  WITH query AS (
+    SELECT websearch_to_tsquery('english'::regconfig, search_query) AS q
+  ),
+  matches AS (
+    SELECT
+      p.id,
+      p.content,
+      p.published_at,
+      ts_rank(post_search_vector(p.title, p.excerpt, p.content), query.q, 1) AS rank,
+      COUNT(*) OVER () AS total
+    FROM posts p
+    CROSS JOIN query
+    LEFT JOIN categories c ON c.id = p.category_id
+    WHERE post_search_vector(p.title, p.excerpt, p.content) @@ query.q
+      AND p.published = true
+      AND p.published_at <= now()
+      AND (search_posts.category_slug IS NULL OR c.slug = search_posts.category_slug)
+    ORDER BY rank DESC, p.published_at DESC, p.id DESC
+    LIMIT result_limit OFFSET result_offset
+  )
+  -- Headlines are expensive, so only the rows of this page get one
+  SELECT
+    m.id,
+    m.rank,
+    ts_headline(
+      'english'::regconfig,
+      regexp_replace(m.content, '[#*_`>~|]+', ' ', 'g'),
+      query.q,
+      format('StartSel="%s", StopSel="%s", MaxWords=35, MinWords=15', chr(2), chr(3))
+    ) AS snippet,
+    m.total
+  FROM matches m
+  CROSS JOIN query
+  ORDER BY m.rank DESC, m.published_at DESC, m.id DESC;
+$$ LANGUAGE sql;
+
+-- =========================================
+-- RELATED POSTS
+-- =========================================
+
+-- TF-IDF keyword weights of every published post, from the same weighted
+-- search document as full-text search (title 1.0, excerpt 0.4, content 0.2).
+-- Weights are scaled so each post's vector has length 1; the dot product of
+-- two posts' vectors is then their cosine similarity.
+-- Refreshed by a trigger whenever posts are written (see TRIGGERS).
+CREATE MATERIALIZED VIEW post_keywords AS
+WITH terms AS (
+  SELECT
+    p.id AS post_id,
+    t.lexeme,
+    SUM(CASE w WHEN 'A' THEN 1.0 WHEN 'B' THEN 0.4 ELSE 0.2 END) AS frequency
+  FROM posts p
+  CROSS JOIN LATERAL unnest(post_search_vector(p.title, p.excerpt, p.content)) AS t
+  CROSS JOIN LATERAL unnest(t.weights) AS w
+  WHERE p.published = true
+  GROUP BY p.id, t.lexeme
+),
+documents AS (
+  SELECT COUNT(DISTINCT post_id) AS total FROM terms
+),
+frequencies AS (
+  SELECT lexeme, COUNT(*) AS posts FROM terms GROUP BY lexeme
+),
+weighted AS (
+  SELECT terms.post_id, terms.lexeme, terms.frequency * ln(1 + documents.total::float / frequencies.posts) AS weight
+  FROM terms
+  JOIN frequencies ON frequencies.lexeme = terms.lexeme
+  CROSS JOIN documents
+)
+SELECT post_id, lexeme, weight / sqrt(SUM(weight * weight) OVER (PARTITION BY post_id)) AS weight
+FROM weighted;
+
+CREATE UNIQUE INDEX post_keywords_post_lexeme_idx ON post_keywords(post_id, lexeme);
+CREATE INDEX post_keywords_lexeme_idx ON post_keywords(lexeme);
+
+-- Only get_related_posts reads the weights (they include scheduled posts)
+REVOKE ALL ON post_keywords FROM anon, authenticated;
+
+-- Rebuild post_keywords after posts are added, removed or rewritten
+CREATE OR REPLACE FUNCTION refresh_post_keywords()
+RETURNS TRIGGER
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  REFRESH MATERIALIZED VIEW post_keywords;
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+-- RPC: the posts most similar to a post, best first
+-- score is the cosine similarity of the keyword vectors, plus 0.15 for posts
+-- in the same category. Every visible post is a candidate, so the list fills
+-- even when nothing shares a word (newest first among equal scores).
+CREATE OR REPLACE FUNCTION get_related_posts(source_post_id UUID, result_limit INTEGER DEFAULT 3)
+RETURNS TABLE (id UUID, score REAL)
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  WITH source AS (
+    SELECT category_id FROM posts WHERE posts.id = source_post_id
+  ),
+  similar AS (
+    SELECT other.post_id, SUM(mine.weight * other.weight) AS similarity
+    FROM post_keywords mine
+    JOIN post_keywords other ON other.lexeme = mine.lexeme AND other.post_id <> mine.post_id
+    WHERE mine.post_id = source_post_id
+    GROUP BY other.post_id
+  )
+  SELECT
+    p.id,
+    (COALESCE(similar.similarity, 0) + CASE WHEN p.category_id = source.category_id THEN 0.15 ELSE 0 END)::REAL AS score
+  FROM posts p
+  CROSS JOIN source
+  LEFT JOIN similar ON similar.post_id = p.id
+  WHERE p.id <> source_post_id
+    AND p.published = true
+    AND p.published_at <= now()
+  ORDER BY score DESC, p.published_at DESC, p.id DESC
+  LIMIT result_limit;
+$$ LANGUAGE sql;
 
 -- =========================================
 -- RPC FUNCTIONS (for atomic updates)
@@ -131,33 +359,144 @@ BEGIN
 END;
 $$ LANGUAGE plpgsql;
 
--- RPC to track a view once per (post_id, user_id) and increment posts.views atomically
-CREATE OR REPLACE FUNCTION track_post_view(post_id UUID, user_id UUID)
+-- Reject a parent that would make a category its own ancestor
+CREATE OR REPLACE FUNCTION prevent_category_cycle()
+RETURNS TRIGGER
+SET search_path = public
+AS $$
+BEGIN
+  IF NEW.parent_id IS NOT NULL AND EXISTS (
+    WITH RECURSIVE ancestors AS (
+      SELECT id, parent_id FROM categories WHERE id = NEW.parent_id
+      UNION
+      SELECT c.id, c.parent_id FROM categories c JOIN ancestors a ON c.id = a.parent_id
+    )
+    SELECT 1 FROM ancestors WHERE ancestors.id = NEW.id
+  ) THEN
+    RAISE EXCEPTION 'Category % cannot be nested under its own subcategory', NEW.slug
+      USING ERRCODE = 'check_violation';
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+-- RPC to count a reader's view of a post once, and increment posts.views atomically
+-- With revisit_hours, a visit at least that many hours after the reader's
+-- last counted view counts again; without it, every reader counts once.
+CREATE OR REPLACE FUNCTION track_post_view(post_id UUID, user_id UUID, revisit_hours INTEGER DEFAULT NULL)
 RETURNS INTEGER
 SECURITY DEFINER
 SET search_path = public
 AS $$
 DECLARE
-  already_viewed BOOLEAN;
+  counted_view UUID;
   new_count INTEGER;
 BEGIN
-  SELECT EXISTS (
-    SELECT 1 FROM post_views WHERE post_views.post_id = track_post_view.post_id AND post_views.user_id = track_post_view.user_id
-  ) INTO already_viewed;
-
-  IF NOT already_viewed THEN
-    INSERT INTO post_views (post_id, user_id) VALUES (track_post_view.post_id, track_post_view.user_id)
-    ON CONFLICT (post_id, user_id) DO NOTHING;
-
+  -- Insert the reader's first view, or move viewed_at forward once the window has passed.
+  -- A row comes back only when the view counts.
+  INSERT INTO post_views AS pv (post_id, user_id)
+  VALUES (track_post_view.post_id, track_post_view.user_id)
+  ON CONFLICT ON CONSTRAINT post_views_post_id_user_id_key DO UPDATE
+    SET viewed_at = timezone('utc'::text, now())
+    WHERE track_post_view.revisit_hours IS NOT NULL
+      AND pv.viewed_at <= timezone('utc'::text, now()) - make_interval(hours => track_post_view.revisit_hours)
+  RETURNING pv.id INTO counted_view;
+
+  IF counted_view IS NOT NULL THEN
     UPDATE posts SET views = views + 1 WHERE id = track_post_view.post_id RETURNING views INTO new_count;
-    RETURN new_count;
   ELSE
     SELECT views INTO new_count FROM posts WHERE id = track_post_view.post_id;
-    RETURN new_count;
   END IF;
+  RETURN new_count;
 END;
 $$ LANGUAGE plpgsql;
 
+-- RPC returning the like count of several posts in one round trip (post lists)
+CREATE OR REPLACE FUNCTION get_like_counts(post_ids UUID[])
+RETURNS TABLE (post_id UUID, likes BIGINT)
+STABLE
+SET search_path = public
+AS $$
+  SELECT likes.post_id, COUNT(*) AS likes
+  FROM likes
+  WHERE likes.post_id = ANY(post_ids)
+  GROUP BY likes.post_id;
+$$ LANGUAGE sql;
+
+-- RPC returning how many posts readers can see under each tag (tag cloud)
+CREATE OR REPLACE FUNCTION get_tag_counts()
+RETURNS TABLE (tag_id UUID, posts BIGINT)
+STABLE
+SET search_path = public
+AS $$
+  SELECT post_tags.tag_id, COUNT(*) AS posts
+  FROM post_tags
+  JOIN posts ON posts.id = post_tags.post_id
+  WHERE posts.published = true AND posts.published_at <= now()
+  GROUP BY post_tags.tag_id;
+$$ LANGUAGE sql;
+
+-- RPC returning the posts readers engaged with most in the last window_hours, hottest first
+-- Each reader's first view (post_views.created_at) scores 1 and each like
+-- scores 3, and an event's score halves every quarter of the window (every
+-- 6 hours of a 24-hour window), so recent activity outweighs older activity.
+-- Only visible posts with activity in the window are listed; views and likes
+-- count the events in the window.
+CREATE OR REPLACE FUNCTION get_trending_posts(
+  window_hours INTEGER DEFAULT 168,
+  category_slug TEXT DEFAULT NULL,
+  result_limit INTEGER DEFAULT 5
+)
+RETURNS TABLE (id UUID, score REAL, views BIGINT, likes BIGINT)
+STABLE
+SET search_path = public
+AS $$
+  WITH events AS (
+    SELECT post_views.post_id, post_views.created_at, 1.0 AS weight, true AS is_view
+    FROM post_views
+    WHERE post_views.created_at > now() - make_interval(hours => window_hours)
+    UNION ALL
+    SELECT likes.post_id, likes.created_at, 3.0, false
+    FROM likes
+    WHERE likes.created_at > now() - make_interval(hours => window_hours)
+  ),
+  scores AS (
+    SELECT
+      events.post_id,
+      SUM(events.weight * power(0.5, EXTRACT(EPOCH FROM now() - events.created_at) / 3600 / (window_hours / 4.0))) AS score,
+      COUNT(*) FILTER (WHERE events.is_view) AS views,
+      COUNT(*) FILTER (WHERE NOT events.is_view) AS likes
+    FROM events
+    GROUP BY events.post_id
+  )
+  SELECT p.id, s.score::REAL, s.views, s.likes
+  FROM scores s
+  JOIN posts p ON p.id = s.post_id
+  LEFT JOIN categories c ON c.id = p.category_id
+  WHERE p.published = true
+    AND p.published_at <= now()
+    AND (get_trending_posts.category_slug IS NULL OR c.slug = get_trending_posts.category_slug)
+  ORDER BY s.score DESC, p.published_at DESC, p.id DESC
+  LIMIT result_limit;
+$$ LANGUAGE sql;
+
+-- RPC returning how many posts readers can see in each month (archive pages)
+-- Months are calendar months in UTC, newest first
+CREATE OR REPLACE FUNCTION get_archive_counts()
+RETURNS TABLE (year INTEGER, month INTEGER, posts BIGINT)
+STABLE
+SET search_path = public
+AS $$
+  SELECT
+    EXTRACT(YEAR FROM published_at AT TIME ZONE 'UTC')::INTEGER,
+    EXTRACT(MONTH FROM published_at AT TIME ZONE 'UTC')::INTEGER,
+    COUNT(*)
+  FROM posts
+  WHERE published = true AND published_at <= now()
+  GROUP BY 1, 2
+  ORDER BY 1 DESC, 2 DESC;
+$$ LANGUAGE sql;
+
 -- =========================================
 -- TRIGGERS
 -- =========================================
@@ -167,6 +506,16 @@ CREATE TRIGGER update_likes_count_trigger
   AFTER INSERT OR DELETE ON likes
   FOR EACH ROW EXECUTE FUNCTION update_post_likes_count();
 
+-- Trigger to keep related-post keywords current (counters like views don't affect them)
+CREATE TRIGGER refresh_post_keywords_trigger
+  AFTER INSERT OR DELETE OR UPDATE OF title, excerpt, content, published ON posts
+  FOR EACH STATEMENT EXECUTE FUNCTION refresh_post_keywords();
+
+-- Trigger to keep the category tree free of cycles
+CREATE TRIGGER prevent_category_cycle_trigger
+  BEFORE INSERT OR UPDATE OF parent_id ON categories
+  FOR EACH ROW EXECUTE FUNCTION prevent_category_cycle();
+
 -- Trigger to update updated_at on posts
 CREATE TRIGGER update_posts_updated_at 
   BEFORE UPDATE ON posts 
@@ -181,14 +530,30 @@ ALTER TABLE categories ENABLE ROW LEVEL SECURITY;
 ALTER TABLE posts ENABLE ROW LEVEL SECURITY;
 ALTER TABLE likes ENABLE ROW LEVEL SECURITY;
 ALTER TABLE post_views ENABLE ROW LEVEL SECURITY;
+ALTER TABLE tags ENABLE ROW LEVEL SECURITY;
+ALTER TABLE post_tags ENABLE ROW LEVEL SECURITY;
+ALTER TABLE authors ENABLE ROW LEVEL SECURITY;
+ALTER TABLE post_authors ENABLE ROW LEVEL SECURITY;
+ALTER TABLE series ENABLE ROW LEVEL SECURITY;
 
 -- Allow public read access to categories
 CREATE POLICY "Allow public read on categories" ON categories
   FOR SELECT USING (true);
 
--- Allow public read access to published posts
+-- Allow public read access to published posts (scheduled posts stay hidden until published_at)
 CREATE POLICY "Allow public read on published posts" ON posts
-  FOR SELECT USING (published = true);
+  FOR SELECT USING (published = true AND published_at <= now());
+
+-- Allow signed-in editors (not anonymous guests) to preview drafts and scheduled posts
+CREATE POLICY "Allow editors to preview all posts" ON posts
+  FOR SELECT TO authenticated
+  USING (COALESCE((auth.jwt() ->> 'is_anonymous')::boolean, false) = false);
+
+-- Allow signed-in editors (not anonymous guests) to create, update and delete posts
+CREATE POLICY "Allow editors to manage posts" ON posts
+  FOR ALL TO authenticated
+  USING (COALESCE((auth.jwt() ->> 'is_anonymous')::boolean, false) = false)
+  WITH CHECK (COALESCE((auth.jwt() ->> 'is_anonymous')::boolean, false) = false);
 
 -- Allow public insert/delete on likes (for anonymous users)
 CREATE POLICY "Allow public insert on likes" ON likes
@@ -207,6 +572,59 @@ CREATE POLICY "Allow public read on post_views" ON post_views
 CREATE POLICY "Allow public insert on post_views" ON post_views
   FOR INSERT WITH CHECK (true);
 
+-- Allow public read access to tags and post tags (posts RLS still hides unpublished posts)
+CREATE POLICY "Allow public read on tags" ON tags
+  FOR SELECT USING (true);
+CREATE POLICY "Allow public read on post_tags" ON post_tags
+  FOR SELECT USING (true);
+
+-- Allow signed-in editors (not anonymous guests) to manage tags and tag posts
+CREATE POLICY "Allow editors to manage tags" ON tags
+  FOR ALL TO authenticated
+  USING (COALESCE((auth.jwt() ->> 'is_anonymous')::boolean, false) = false)
+  WITH CHECK (COALESCE((auth.jwt() ->> 'is_anonymous')::boolean, false) = false);
+CREATE POLICY "Allow editors to manage post_tags" ON post_tags
+  FOR ALL TO authenticated
+  USING (COALESCE((auth.jwt() ->> 'is_anonymous')::boolean, false) = false)
+  WITH CHECK (COALESCE((auth.jwt() ->> 'is_anonymous')::boolean, false) = false);
+
+-- Allow public read access to authors and bylines
+CREATE POLICY "Allow public read on authors" ON authors
+  FOR SELECT USING (true);
+CREATE POLICY "Allow public read on post_authors" ON post_authors
+  FOR SELECT USING (true);
+
+-- Allow signed-in editors (not anonymous guests) to manage authors and bylines
+CREATE POLICY "Allow editors to manage authors" ON authors
+  FOR ALL TO authenticated
+  USING (COALESCE((auth.jwt() ->> 'is_anonymous')::boolean, false) = false)
+  WITH CHECK (COALESCE((auth.jwt() ->> 'is_anonymous')::boolean, false) = false);
+CREATE POLICY "Allow editors to manage post_authors" ON post_authors
+  FOR ALL TO authenticated
+  USING (COALESCE((auth.jwt() ->> 'is_anonymous')::boolean, false) = false)
+  WITH CHECK (COALESCE((auth.jwt() ->> 'is_anonymous')::boolean, false) = false);
+
+-- Allow public read access to series (posts RLS still hides unpublished parts)
+CREATE POLICY "Allow public read on series" ON series
+  FOR SELECT USING (true);
+
+-- Allow signed-in editors (not anonymous guests) to manage series
+CREATE POLICY "Allow editors to manage series" ON series
+  FOR ALL TO authenticated
+  USING (COALESCE((auth.jwt() ->> 'is_anonymous')::boolean, false) = false)
+  WITH CHECK (COALESCE((auth.jwt() ->> 'is_anonymous')::boolean, false) = false);
+
+-- =========================================
+-- REALTIME
+-- =========================================
+
+-- Stream post counter updates and like inserts/deletes to open PostPages
+ALTER PUBLICATION supabase_realtime ADD TABLE posts, likes;
+
+-- Deletes can't be filtered by Realtime; keep post_id in the old row so
+-- subscribers can tell which post lost a like
+ALTER TABLE likes REPLICA IDENTITY FULL;
+
 -- =========================================
 -- SAMPLE DATA (Optional)
 -- =========================================
@@ -214,11 +632,25 @@ CREATE POLICY "Allow public insert on post_views" ON post_views
 -- Allow anon (public) to execute RPCs for counters
 GRANT EXECUTE ON FUNCTION increment_post_views(UUID) TO anon, authenticated;
 GRANT EXECUTE ON FUNCTION increment_post_likes(UUID) TO anon, authenticated;
-GRANT EXECUTE ON FUNCTION track_post_view(UUID, UUID) TO anon, authenticated;
+GRANT EXECUTE ON FUNCTION track_post_view(UUID, UUID, INTEGER) TO anon, authenticated;
+GRANT EXECUTE ON FUNCTION get_like_counts(UUID[]) TO anon, authenticated;
+GRANT EXECUTE ON FUNCTION search_posts(TEXT, TEXT, INTEGER, INTEGER) TO anon, authenticated;
+GRANT EXECUTE ON FUNCTION get_tag_counts() TO anon, authenticated;
+GRANT EXECUTE ON FUNCTION get_archive_counts() TO anon, authenticated;
+GRANT EXECUTE ON FUNCTION get_related_posts(UUID, INTEGER) TO anon, authenticated;
+GRANT EXECUTE ON FUNCTION get_trending_posts(INTEGER, TEXT, INTEGER) TO anon, authenticated;
 
 -- Explicit table grants (with RLS policies defined above)
+GRANT SELECT ON public.posts TO anon;
+GRANT SELECT, INSERT, UPDATE, DELETE ON public.posts TO authenticated;
 GRANT SELECT, INSERT, DELETE ON public.likes TO anon, authenticated;
 GRANT SELECT, INSERT ON public.post_views TO anon, authenticated;
+GRANT SELECT ON public.tags, public.post_tags TO anon;
+GRANT SELECT, INSERT, UPDATE, DELETE ON public.tags, public.post_tags TO authenticated;
+GRANT SELECT ON public.authors, public.post_authors TO anon;
+GRANT SELECT, INSERT, UPDATE, DELETE ON public.authors, public.post_authors TO authenticated;
+GRANT SELECT ON public.series TO anon;
+GRANT SELECT, INSERT, UPDATE, DELETE ON public.series TO authenticated;
 
 -- Sample categories
 INSERT INTO categories (id, name, slug) VALUES 
@@ -229,6 +661,10 @@ INSERT INTO categories (id, name, slug) VALUES
   ('de7e1f92-e3f1-4b91-8eb3-a5a6fba90c0d', 'Lifestyle', 'lifestyle'),
   ('b9b5f12d-d4a5-4e3e-a4bc-3d0e30db0c18', 'Design', 'design');
 
+-- Subcategories
+UPDATE categories SET parent_id = '1649b2bb-031b-416f-9277-a8ada9b1dfea' WHERE slug = 'programming';
+UPDATE categories SET parent_id = 'de7e1f92-e3f1-4b91-8eb3-a5a6fba90c0d' WHERE slug IN ('travel', 'food');
+
 -- Sample posts
 INSERT INTO posts (id, title, slug, excerpt, content, cover_path, category_id, published, published_at, views, likes) VALUES 
   (
@@ -672,6 +1108,90 @@ The future of JavaScript is bright, and these features are just the beginning!',
     34
   );
 
+-- Sample tags
+INSERT INTO tags (id, name, slug) VALUES
+  ('e900c3cc-8a53-41e3-9aa8-b549b12eef50', 'React', 'react'),
+  ('789010af-d107-4b2c-9c6c-a9f49b9386cd', 'JavaScript', 'javascript'),
+  ('104d4f8b-239f-4a0b-a091-1da051fb82d8', 'Performance', 'performance'),
+  ('ba418636-9cd6-4133-ad5f-0918ac983434', 'CSS', 'css'),
+  ('9e149254-c1a4-4781-82f0-1f26150fcd43', 'UX', 'ux'),
+  ('97ae0fe5-3ffd-4703-a945-856acc633e1e', 'Minimalism', 'minimalism'),
+  ('e2fa1a48-ef4b-4731-a138-91f850a0303e', 'Travel Tips', 'travel-tips'),
+  ('149f621a-ab5d-4de9-96fc-fec4a95b04de', 'Tutorials', 'tutorials');
+
+-- Sample post tags
+INSERT INTO post_tags (post_id, tag_id)
+SELECT posts.id, tags.id
+FROM (VALUES
+  ('getting-started-with-react-19', 'react'),
+  ('getting-started-with-react-19', 'javascript'),
+  ('getting-started-with-react-19', 'performance'),
+  ('best-travel-destinations-2024', 'travel-tips'),
+  ('art-of-minimalist-web-design', 'css'),
+  ('art-of-minimalist-web-design', 'ux'),
+  ('art-of-minimalist-web-design', 'minimalism'),
+  ('mastering-modern-javascript-es2024', 'javascript'),
+  ('mastering-modern-javascript-es2024', 'tutorials')
+) AS sample (post_slug, tag_slug)
+JOIN posts ON posts.slug = sample.post_slug
+JOIN tags ON tags.slug = sample.tag_slug;
+
+-- Sample authors
+INSERT INTO authors (id, name, slug, bio, avatar_path, social_links) VALUES
+  (
+    '43b11732-a3ce-4020-9fa0-cc06c698c069',
+    'Maya Chen',
+    'maya-chen',
+    'Frontend engineer writing about React, JavaScript and the web platform.',
+    'https://i.pravatar.cc/160?u=maya-chen',
+    '{"website": "https://example.com/maya", "github": "https://github.com/example-maya"}'
+  ),
+  (
+    'aeaea244-2791-49b2-acf9-77218ecf49de',
+    'Jonas Weber',
+    'jonas-weber',
+    'Product designer who likes quiet interfaces and loud colors.',
+    'https://i.pravatar.cc/160?u=jonas-weber',
+    '{"twitter": "https://twitter.com/example_jonas"}'
+  ),
+  (
+    'ef6291fe-23d1-4124-bcd9-00663e5554c1',
+    'Amara Okafor',
+    'amara-okafor',
+    'Travel writer and slow-living advocate, usually somewhere with good coffee.',
+    NULL,
+    '{"instagram": "https://instagram.com/example_amara"}'
+  );
+
+-- Sample bylines
+INSERT INTO post_authors (post_id, author_id, position)
+SELECT posts.id, authors.id, sample.position
+FROM (VALUES
+  ('getting-started-with-react-19', 'maya-chen', 0),
+  ('best-travel-destinations-2024', 'amara-okafor', 0),
+  ('art-of-minimalist-web-design', 'jonas-weber', 0),
+  ('art-of-minimalist-web-design', 'maya-chen', 1),
+  ('mastering-modern-javascript-es2024', 'maya-chen', 0)
+) AS sample (post_slug, author_slug, position)
+JOIN posts ON posts.slug = sample.post_slug
+JOIN authors ON authors.slug = sample.author_slug;
+
+-- Sample series
+INSERT INTO series (id, title, slug, description) VALUES
+  (
+    '5d2c7f0e-8b1a-4c3e-9f6d-2a4b8c1e7d90',
+    'Modern Frontend Foundations',
+    'modern-frontend-foundations',
+    'From today''s JavaScript to React 19: the groundwork for building modern web apps, one part at a time.'
+  );
+
+UPDATE posts SET series_id = '5d2c7f0e-8b1a-4c3e-9f6d-2a4b8c1e7d90', series_position = sample.position
+FROM (VALUES
+  ('mastering-modern-javascript-es2024', 1),
+  ('getting-started-with-react-19', 2)
+) AS sample (post_slug, position)
+WHERE posts.slug = sample.post_slug;
+
 -- =========================================
 -- STORAGE SETUP
 -- =========================================
@@ -679,6 +1199,8 @@ The future of JavaScript is bright, and these features are just the beginning!',
 -- 1. Create a bucket named 'covers'
 -- 2. Make it public
 -- 3. Upload some sample images
+-- 4. Optionally create a public bucket named 'avatars' for author pictures
+--    (authors.avatar_path may hold a path in it or a full URL)
 
 -- =========================================
 -- SETUP COMPLETE
@@ -0,0 +1,61 @@
+-- =========================================
+-- TAGS MIGRATION
+-- =========================================
+-- Run in your Supabase SQL Editor on databases created with an older
+-- database-setup.sql. Fresh setups already include these changes.
+-- Post queries embed tags, so run this before deploying a version with tags.
+
+-- Tags table (finer-grained topics than categories; a post can have any number)
+CREATE TABLE IF NOT EXISTS tags (
+  id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+  name TEXT NOT NULL,
+  slug TEXT UNIQUE NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT timezone('utc'::text, now()) NOT NULL
+);
+
+-- Tags of each post (Supabase embeds a post's tags through this table)
+CREATE TABLE IF NOT EXISTS post_tags (
+  post_id UUID REFERENCES posts(id) ON DELETE CASCADE NOT NULL,
+  tag_id UUID REFERENCES tags(id) ON DELETE CASCADE NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT timezone('utc'::text, now()) NOT NULL,
+  PRIMARY KEY (post_id, tag_id)
+);
+
+-- post_tags' primary key covers lookups by post; this one serves tag pages
+CREATE INDEX IF NOT EXISTS post_tags_tag_id_idx ON post_tags(tag_id);
+
+-- RPC returning how many posts readers can see under each tag (tag cloud)
+CREATE OR REPLACE FUNCTION get_tag_counts()
+RETURNS TABLE (tag_id UUID, posts BIGINT)
+STABLE
+SET search_path = public
+AS $$
+  SELECT post_tags.tag_id, COUNT(*) AS posts
+  FROM post_tags
+  JOIN posts ON posts.id = post_tags.post_id
+  WHERE posts.published = true AND posts.published_at <= now()
+  GROUP BY post_tags.tag_id;
+$$ LANGUAGE sql;
+
+ALTER TABLE tags ENABLE ROW LEVEL SECURITY;
+ALTER TABLE post_tags ENABLE ROW LEVEL SECURITY;
+
+-- Allow public read access to tags and post tags (posts RLS still hides unpublished posts)
+CREATE POLICY "Allow public read on tags" ON tags
+  FOR SELECT USING (true);
+CREATE POLICY "Allow public read on post_tags" ON post_tags
+  FOR SELECT USING (true);
+
+-- Allow signed-in editors (not anonymous guests) to manage tags and tag posts
+CREATE POLICY "Allow editors to manage tags" ON tags
+  FOR ALL TO authenticated
+  USING (COALESCE((auth.jwt() ->> 'is_anonymous')::boolean, false) = false)
+  WITH CHECK (COALESCE((auth.jwt() ->> 'is_anonymous')::boolean, false) = false);
+CREATE POLICY "Allow editors to manage post_tags" ON post_tags
+  FOR ALL TO authenticated
+  USING (COALESCE((auth.jwt() ->> 'is_anonymous')::boolean, false) = false)
+  WITH CHECK (COALESCE((auth.jwt() ->> 'is_anonymous')::boolean, false) = false);
+
+GRANT EXECUTE ON FUNCTION get_tag_counts() TO anon, authenticated;
+GRANT SELECT ON public.tags, public.post_tags TO anon;
+GRANT SELECT, INSERT, UPDATE, DELETE ON public.tags, public.post_tags TO authenticated;
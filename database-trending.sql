@@ -0,0 +1,56 @@
+-- =========================================
+-- TRENDING POSTS MIGRATION
+-- =========================================
+-- Run in your Supabase SQL Editor on databases created with an older
+-- database-setup.sql. Fresh setups already include these changes.
+-- Without it trending lists fall back to the most viewed posts of all time.
+
+-- Trending reads only the latest activity
+CREATE INDEX IF NOT EXISTS likes_created_at_idx ON likes(created_at);
+CREATE INDEX IF NOT EXISTS post_views_created_at_idx ON post_views(created_at);
+
+-- RPC returning the posts readers engaged with most in the last window_hours, hottest first
+-- Each reader's first view (post_views.created_at) scores 1 and each like
+-- scores 3, and an event's score halves every quarter of the window (every
+-- 6 hours of a 24-hour window), so recent activity outweighs older activity.
+-- Only visible posts with activity in the window are listed; views and likes
+-- count the events in the window.
+CREATE OR REPLACE FUNCTION get_trending_posts(
+  window_hours INTEGER DEFAULT 168,
+  category_slug TEXT DEFAULT NULL,
+  result_limit INTEGER DEFAULT 5
+)
+RETURNS TABLE (id UUID, score REAL, views BIGINT, likes BIGINT)
+STABLE
+SET search_path = public
+AS $$
+  WITH events AS (
+    SELECT post_views.post_id, post_views.created_at, 1.0 AS weight, true AS is_view
+    FROM post_views
+    WHERE post_views.created_at > now() - make_interval(hours => window_hours)
+    UNION ALL
+    SELECT likes.post_id, likes.created_at, 3.0, false
+    FROM likes
+    WHERE likes.created_at > now() - make_interval(hours => window_hours)
+  ),
+  scores AS (
+    SELECT
+      events.post_id,
+      SUM(events.weight * power(0.5, EXTRACT(EPOCH FROM now() - events.created_at) / 3600 / (window_hours / 4.0))) AS score,
+      COUNT(*) FILTER (WHERE events.is_view) AS views,
+      COUNT(*) FILTER (WHERE NOT events.is_view) AS likes
+    FROM events
+    GROUP BY events.post_id
+  )
+  SELECT p.id, s.score::REAL, s.views, s.likes
+  FROM scores s
+  JOIN posts p ON p.id = s.post_id
+  LEFT JOIN categories c ON c.id = p.category_id
+  WHERE p.published = true
+    AND p.published_at <= now()
+    AND (get_trending_posts.category_slug IS NULL OR c.slug = get_trending_posts.category_slug)
+  ORDER BY s.score DESC, p.published_at DESC, p.id DESC
+  LIMIT result_limit;
+$$ LANGUAGE sql;
+
+GRANT EXECUTE ON FUNCTION get_trending_posts(INTEGER, TEXT, INTEGER) TO anon, authenticated;
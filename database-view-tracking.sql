@@ -0,0 +1,46 @@
+-- =========================================
+-- VIEW TRACKING MIGRATION
+-- =========================================
+-- Run in your Supabase SQL Editor on databases created with an older
+-- database-setup.sql. Fresh setups already include these changes.
+
+-- When each reader's view was last counted
+ALTER TABLE post_views
+  ADD COLUMN IF NOT EXISTS viewed_at TIMESTAMP WITH TIME ZONE DEFAULT timezone('utc'::text, now()) NOT NULL;
+UPDATE post_views SET viewed_at = created_at;
+
+-- The two-argument version would make calls without revisit_hours ambiguous
+DROP FUNCTION IF EXISTS track_post_view(UUID, UUID);
+
+-- RPC to count a reader's view of a post once, and increment posts.views atomically
+-- With revisit_hours, a visit at least that many hours after the reader's
+-- last counted view counts again; without it, every reader counts once.
+CREATE OR REPLACE FUNCTION track_post_view(post_id UUID, user_id UUID, revisit_hours INTEGER DEFAULT NULL)
+RETURNS INTEGER
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  counted_view UUID;
+  new_count INTEGER;
+BEGIN
+  -- Insert the reader's first view, or move viewed_at forward once the window has passed.
+  -- A row comes back only when the view counts.
+  INSERT INTO post_views AS pv (post_id, user_id)
+  VALUES (track_post_view.post_id, track_post_view.user_id)
+  ON CONFLICT ON CONSTRAINT post_views_post_id_user_id_key DO UPDATE
+    SET viewed_at = timezone('utc'::text, now())
+    WHERE track_post_view.revisit_hours IS NOT NULL
+      AND pv.viewed_at <= timezone('utc'::text, now()) - make_interval(hours => track_post_view.revisit_hours)
+  RETURNING pv.id INTO counted_view;
+
+  IF counted_view IS NOT NULL THEN
+    UPDATE posts SET views = views + 1 WHERE id = track_post_view.post_id RETURNING views INTO new_count;
+  ELSE
+    SELECT views INTO new_count FROM posts WHERE id = track_post_view.post_id;
+  END IF;
+  RETURN new_count;
+END;
+$$ LANGUAGE plpgsql;
+
+GRANT EXECUTE ON FUNCTION track_post_view(UUID, UUID, INTEGER) TO anon, authenticated;
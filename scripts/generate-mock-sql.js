@@ -0,0 +1,135 @@
+#!/usr/bin/env node
+/**
+ * Emit the generated mock dataset as SQL inserts for database-setup.sql
+ *
+ * Produces the same categories, series, posts, likes, tags and authors the mock backend uses for
+ * the same seed and post count (see src/utils/mockGenerator.js), so a real
+ * Supabase project can be filled with exactly what you see in mock mode.
+ *
+ * Usage:
+ *   npm run mock:sql -- --posts 200 --seed demo > mock-data.sql
+ *   npm run mock:sql -- --posts 200 --out mock-data.sql
+ *
+ * Options:
+ *   --posts <n>       Number of posts (default 60)
+ *   --categories <n>  Number of categories, at most 12 (default 8)
+ *   --authors <n>     Number of authors, at most 12 (default 6)
+ *   --seed <text>     Generator seed (default "reactblog")
+ *   --out <file>      Write to a file instead of stdout
+ */
+
+import { writeFileSync } from 'node:fs'
+import { parseArgs } from 'node:util'
+import { generateMockData, MOCK_GENERATOR_DEFAULTS } from '../src/utils/mockGenerator.js'
+
+// Rows per INSERT statement
+const BATCH_SIZE = 100
+
+/**
+ * Format a JavaScript value as a SQL literal
+ * @param {any} value - String, number, boolean, null or an object (JSONB columns)
+ * @returns {string} SQL literal
+ */
+const literal = (value) => {
+  if (value === null || value === undefined) return 'NULL'
+  if (typeof value === 'number' || typeof value === 'boolean') return String(value)
+  if (typeof value === 'object') return literal(JSON.stringify(value))
+  return `'${String(value).replace(/'/g, "''")}'`
+}
+
+/**
+ * Build INSERT statements for a table, BATCH_SIZE rows at a time
+ * @param {string} table - Table name
+ * @param {Array<string>} columns - Columns to insert
+ * @param {Array<Object>} rows - Rows to insert
+ * @returns {string} SQL statements
+ */
+const insertStatements = (table, columns, rows) => {
+  const statements = []
+  for (let start = 0; start < rows.length; start += BATCH_SIZE) {
+    const values = rows
+      .slice(start, start + BATCH_SIZE)
+      .map(row => `  (${columns.map(column => literal(row[column])).join(', ')})`)
+      .join(',\n')
+    statements.push(`INSERT INTO ${table} (${columns.join(', ')}) VALUES\n${values}\nON CONFLICT DO NOTHING;`)
+  }
+  return statements.join('\n\n')
+}
+
+const { values: args } = parseArgs({
+  options: {
+    posts: { type: 'string', default: String(MOCK_GENERATOR_DEFAULTS.posts) },
+    categories: { type: 'string', default: String(MOCK_GENERATOR_DEFAULTS.categories) },
+    authors: { type: 'string', default: String(MOCK_GENERATOR_DEFAULTS.authors) },
+    seed: { type: 'string', default: MOCK_GENERATOR_DEFAULTS.seed },
+    out: { type: 'string' }
+  }
+})
+
+const options = {
+  posts: Number.parseInt(args.posts, 10),
+  categories: Number.parseInt(args.categories, 10),
+  authors: Number.parseInt(args.authors, 10),
+  seed: args.seed
+}
+
+if (!(options.posts >= 0) || !(options.categories > 0) || !(options.authors > 0)) {
+  console.error('--posts, --categories and --authors must be positive numbers')
+  process.exit(1)
+}
+
+const {
+  categories,
+  posts,
+  likes,
+  tags,
+  post_tags: postTags,
+  authors,
+  post_authors: postAuthors,
+  series
+} = generateMockData(options)
+
+const sql = `-- =========================================
+-- GENERATED MOCK DATA
+-- =========================================
+-- ${posts.length} posts, ${categories.length} categories, ${series.length} series, ${tags.length} tags, ${authors.length} authors and ${likes.length} likes
+-- generated with seed "${options.seed}" (scripts/generate-mock-sql.js).
+-- Run in your Supabase SQL Editor after database-setup.sql.
+-- Posts start with likes = 0: the likes trigger counts the like rows as they are inserted.
+
+BEGIN;
+
+${insertStatements(
+  'categories',
+  ['id', 'name', 'slug', 'parent_id', 'created_at'],
+  // Parents before their subcategories
+  [...categories].sort((a, b) => Number(Boolean(a.parent_id)) - Number(Boolean(b.parent_id)))
+)}
+
+${insertStatements('series', ['id', 'title', 'slug', 'description', 'created_at'], series)}
+
+${insertStatements(
+  'posts',
+  ['id', 'title', 'slug', 'excerpt', 'content', 'cover_path', 'category_id', 'series_id', 'series_position', 'published', 'published_at', 'views', 'likes', 'created_at'],
+  posts.map(post => ({ ...post, likes: 0 }))
+)}
+
+${insertStatements('likes', ['id', 'post_id', 'user_id', 'created_at'], likes)}
+
+${insertStatements('tags', ['id', 'name', 'slug', 'created_at'], tags)}
+
+${insertStatements('post_tags', ['post_id', 'tag_id', 'created_at'], postTags)}
+
+${insertStatements('authors', ['id', 'name', 'slug', 'bio', 'avatar_path', 'social_links', 'created_at'], authors)}
+
+${insertStatements('post_authors', ['post_id', 'author_id', 'position', 'created_at'], postAuthors)}
+
+COMMIT;
+`
+
+if (args.out) {
+  writeFileSync(args.out, sql)
+  console.error(`Wrote ${posts.length} posts, ${categories.length} categories, ${tags.length} tags, ${authors.length} authors and ${likes.length} likes to ${args.out}`)
+} else {
+  process.stdout.write(sql)
+}
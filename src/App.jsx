@@ -6,7 +6,14 @@ import Footer from './components/Footer.jsx'
 import HomePage from './pages/HomePage.jsx'
 import PostPage from './pages/PostPage.jsx'
 import CategoryPage from './pages/CategoryPage.jsx'
+import SearchPage from './pages/SearchPage.jsx'
+import TagPage from './pages/TagPage.jsx'
+import AuthorPage from './pages/AuthorPage.jsx'
+import ArchivePage from './pages/ArchivePage.jsx'
+import SeriesPage from './pages/SeriesPage.jsx'
 import { ErrorPage } from './components/ui/ErrorMessage.jsx'
+import BackendStatusNotice from './components/ui/BackendStatusNotice.jsx'
+import CommandPalette from './components/CommandPalette.jsx'
 
 /**
  * Main App component - Defines the application structure and routing
@@ -15,6 +22,8 @@ import { ErrorPage } from './components/ui/ErrorMessage.jsx'
  * - Responsive layout with header, main content area, and footer
  * - React Router setup for navigation between pages
  * - 404 error page handling
+ * - Site-wide notice while the backend is degraded
+ * - Command palette (Ctrl+K / Cmd+K) on every page
  */
 function App() {
   return (
@@ -23,12 +32,20 @@ function App() {
         {/* Vercel Web Analytics */}
         <Analytics />
         <Header />
+        <BackendStatusNotice />
         
         <main className="flex-1">
           <Routes>
             <Route path="/" element={<HomePage />} />
             <Route path="/post/:slug" element={<PostPage />} />
             <Route path="/category/:slug" element={<CategoryPage />} />
+            <Route path="/tag/:slug" element={<TagPage />} />
+            <Route path="/author/:slug" element={<AuthorPage />} />
+            <Route path="/series/:slug" element={<SeriesPage />} />
+            <Route path="/archive" element={<ArchivePage />} />
+            <Route path="/archive/:year" element={<ArchivePage />} />
+            <Route path="/archive/:year/:month" element={<ArchivePage />} />
+            <Route path="/search" element={<SearchPage />} />
             <Route path="*" element={
               <ErrorPage 
                 title="Page Not Found" 
@@ -39,6 +56,7 @@ function App() {
         </main>
         
         <Footer />
+        <CommandPalette />
       </div>
     </Router>
   )
@@ -0,0 +1,107 @@
+import React, { useState, useMemo } from 'react'
+import { Link } from 'react-router-dom'
+import { useArchive } from '../hooks/useBlog.js'
+import { dateUtils } from '../utils/helpers.js'
+
+/**
+ * Years and months with published posts, linking into the archive pages
+ * Rendered only while the widget is open, so the counts load on demand.
+ */
+const ArchiveList = ({ id }) => {
+  const { months, loading, error, retry } = useArchive()
+
+  const years = useMemo(() => {
+    const byYear = new Map()
+    months.forEach(entry => {
+      if (!byYear.has(entry.year)) byYear.set(entry.year, [])
+      byYear.get(entry.year).push(entry)
+    })
+    return [...byYear]
+  }, [months])
+
+  if (loading && months.length === 0) {
+    return <p id={id} className="text-gray-500 text-sm mt-3">Loading archive...</p>
+  }
+
+  if (error) {
+    return (
+      <p id={id} className="text-gray-500 text-sm mt-3">
+        Couldn't load the archive.{' '}
+        <button type="button" onClick={retry} className="underline hover:text-white">Try again</button>
+      </p>
+    )
+  }
+
+  if (years.length === 0) {
+    return <p id={id} className="text-gray-500 text-sm mt-3">No posts published yet.</p>
+  }
+
+  return (
+    <ul id={id} className="mt-3 grid grid-cols-1 sm:grid-cols-2 md:grid-cols-4 gap-6">
+      {years.map(([year, entries]) => (
+        <li key={year}>
+          <Link to={`/archive/${year}`} className="font-semibold text-white hover:underline">
+            {year}
+          </Link>
+          <ul className="mt-1 space-y-1">
+            {entries.map(entry => (
+              <li key={entry.month}>
+                <Link
+                  to={`/archive/${entry.year}/${entry.month}`}
+                  className="text-sm text-gray-400 hover:text-white transition-colors"
+                >
+                  {dateUtils.formatMonth(entry.year, entry.month, { year: undefined })} ({entry.count})
+                </Link>
+              </li>
+            ))}
+          </ul>
+        </li>
+      ))}
+    </ul>
+  )
+}
+
+/**
+ * ArchiveWidget component - Collapsible list of months with posts, for the footer
+ *
+ * @param {Object} props - Component props
+ * @param {boolean} props.defaultOpen - Start expanded
+ * @param {string} props.className - Additional CSS classes
+ * @returns {JSX.Element} Archive widget
+ */
+const ArchiveWidget = ({ defaultOpen = false, className = '' }) => {
+  const [open, setOpen] = useState(defaultOpen)
+  const listId = 'footer-archive-list'
+
+  return (
+    <div className={className}>
+      <div className="flex items-center justify-between gap-4">
+        <button
+          type="button"
+          onClick={() => setOpen(value => !value)}
+          aria-expanded={open}
+          aria-controls={listId}
+          className="inline-flex items-center gap-2 text-sm font-semibold text-gray-300 hover:text-white transition-colors"
+        >
+          <svg
+            className={`w-4 h-4 transition-transform ${open ? 'rotate-90' : ''}`}
+            fill="none"
+            stroke="currentColor"
+            viewBox="0 0 24 24"
+            aria-hidden="true"
+          >
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 5l7 7-7 7" />
+          </svg>
+          Archive
+        </button>
+        <Link to="/archive" className="text-sm text-gray-400 hover:text-white transition-colors">
+          All posts by date
+        </Link>
+      </div>
+
+      {open && <ArchiveList id={listId} />}
+    </div>
+  )
+}
+
+export default ArchiveWidget
@@ -0,0 +1,360 @@
+import React, { useCallback, useEffect, useMemo, useRef, useState } from 'react'
+import { useLocation, useNavigate } from 'react-router-dom'
+import { FiSearch } from 'react-icons/fi'
+import Toast from './ui/Toast.jsx'
+import { categoriesService, postsService } from '../services/api.js'
+import { closeCommandPalette, toggleCommandPalette, useCommandPalette } from '../hooks/useCommandPalette.js'
+import { storageUtils, textUtils } from '../utils/helpers.js'
+
+// Titles of the latest posts are matched as you type; older posts come from search
+const POST_POOL_SIZE = 50
+const MAX_POSTS = 8
+const SEARCH_DELAY = 200
+const LIST_ID = 'command-palette-results'
+
+// Result groups, in display order
+const SECTIONS = [
+  { key: 'recent', label: 'Recent' },
+  { key: 'action', label: 'Actions' },
+  { key: 'category', label: 'Categories' },
+  { key: 'post', label: 'Posts' }
+]
+
+const TYPE_LABELS = {
+  post: 'Post',
+  category: 'Category'
+}
+
+/**
+ * Label with the fuzzy-matched characters highlighted
+ */
+const Highlighted = ({ text, indices }) => {
+  if (!indices?.length) return text
+  const matched = new Set(indices)
+  return text.split('').map((char, index) => (
+    matched.has(index) ? <mark key={index} className="bg-transparent text-blue-600 font-semibold">{char}</mark> : char
+  ))
+}
+
+/**
+ * Rank items against the query by label (or, less strongly, by keywords)
+ * Items with `searchHit` matched the full-text search and are kept after the
+ * fuzzy matches even when their label doesn't match.
+ */
+const rankItems = (items, query) => items
+  .map(item => {
+    const match = textUtils.fuzzyMatch(query, item.label)
+    if (match) return { ...item, ...match }
+    const keywordMatch = item.keywords && textUtils.fuzzyMatch(query, item.keywords)
+    if (keywordMatch) return { ...item, score: keywordMatch.score - 5, indices: [] }
+    return item.searchHit ? { ...item, score: -Infinity, indices: [] } : null
+  })
+  .filter(Boolean)
+  // Two search-only hits compare as NaN; keep them in search order
+  .sort((a, b) => (b.score - a.score) || 0)
+
+/**
+ * CommandPalette component - Ctrl+K / Cmd+K from anywhere: fuzzy-find posts,
+ * categories and actions ("Go home", "Copy link to this page" and whatever the
+ * current page adds with usePageCommands, e.g. "Like this post")
+ * Arrow keys move through the results, Enter opens one and Escape closes the
+ * palette, giving focus back to where it was. Opened posts and categories are
+ * remembered in localStorage and listed first next time.
+ *
+ * @returns {JSX.Element|null} Palette dialog while open
+ */
+const CommandPalette = () => {
+  const { open, commands } = useCommandPalette()
+  const navigate = useNavigate()
+  const location = useLocation()
+  const [query, setQuery] = useState('')
+  const [activeIndex, setActiveIndex] = useState(0)
+  const [categories, setCategories] = useState([])
+  const [posts, setPosts] = useState([])
+  const [searchHits, setSearchHits] = useState([])
+  const [loading, setLoading] = useState(false)
+  const [recent, setRecent] = useState(() => storageUtils.getRecentItems())
+  const [toast, setToast] = useState(null)
+  const inputRef = useRef(null)
+  const listRef = useRef(null)
+
+  // Ctrl+K / Cmd+K opens and closes the palette from anywhere
+  useEffect(() => {
+    const handleShortcut = (event) => {
+      if ((event.ctrlKey || event.metaKey) && !event.altKey && event.key.toLowerCase() === 'k') {
+        event.preventDefault()
+        toggleCommandPalette()
+      }
+    }
+    window.addEventListener('keydown', handleShortcut)
+    return () => window.removeEventListener('keydown', handleShortcut)
+  }, [])
+
+  // Leaving the page (e.g. with the back button) closes it
+  useEffect(() => {
+    closeCommandPalette()
+  }, [location.pathname])
+
+  // Start afresh on every open; focus returns to where it was on close
+  useEffect(() => {
+    if (!open) return undefined
+
+    const returnFocus = document.activeElement
+    const overflow = document.body.style.overflow
+    document.body.style.overflow = 'hidden'
+    setQuery('')
+    setActiveIndex(0)
+    setRecent(storageUtils.getRecentItems())
+    inputRef.current?.focus()
+
+    return () => {
+      document.body.style.overflow = overflow
+      returnFocus?.focus?.()
+    }
+  }, [open])
+
+  // Categories and the latest posts, loaded when the palette first opens (cached afterwards)
+  useEffect(() => {
+    if (!open) return undefined
+
+    let cancelled = false
+    setLoading(true)
+    Promise.allSettled([categoriesService.getAll(), postsService.getPublished(POST_POOL_SIZE)])
+      .then(([categoryResult, postResult]) => {
+        if (cancelled) return
+        if (categoryResult.status === 'fulfilled') setCategories(categoryResult.value)
+        else console.error('Error fetching categories for the command palette:', categoryResult.reason)
+        if (postResult.status === 'fulfilled') setPosts(postResult.value.items)
+        else console.error('Error fetching posts for the command palette:', postResult.reason)
+        setLoading(false)
+      })
+
+    return () => {
+      cancelled = true
+    }
+  }, [open])
+
+  // Full-text search finds older posts and posts that match on their content
+  useEffect(() => {
+    const text = query.trim()
+    if (!open || text.length < 2) {
+      setSearchHits([])
+      return undefined
+    }
+
+    let cancelled = false
+    const timeoutId = setTimeout(async () => {
+      try {
+        const { items } = await postsService.search(text, { pageSize: MAX_POSTS })
+        if (!cancelled) setSearchHits(items.map(item => item.post))
+      } catch (error) {
+        console.error('Error searching posts for the command palette:', error)
+      }
+    }, SEARCH_DELAY)
+
+    return () => {
+      cancelled = true
+      clearTimeout(timeoutId)
+    }
+  }, [open, query])
+
+  const clearToast = useCallback(() => setToast(null), [])
+
+  const copyLink = useCallback(async () => {
+    try {
+      await navigator.clipboard.writeText(window.location.href)
+      setToast('Link copied to clipboard')
+    } catch {
+      setToast("Couldn't copy the link")
+    }
+  }, [])
+
+  const actions = useMemo(() => [
+    { id: 'go-home', label: 'Go home', keywords: 'home front page start', run: () => navigate('/') },
+    { id: 'archive', label: 'Browse the archive', keywords: 'archive months dates history', run: () => navigate('/archive') },
+    ...commands,
+    { id: 'copy-link', label: 'Copy link to this page', keywords: 'copy link url share clipboard', run: copyLink }
+  ], [commands, navigate, copyLink])
+
+  const results = useMemo(() => {
+    const text = query.trim()
+    const actionItems = actions.map(action => ({ ...action, type: 'action', section: 'action', key: `action:${action.id}` }))
+    const categoryItems = categories.map(category => ({
+      type: 'category',
+      section: 'category',
+      key: `category:${category.id}`,
+      label: category.name,
+      hint: TYPE_LABELS.category,
+      to: `/category/${category.slug}`
+    }))
+
+    if (!text) {
+      const recentItems = recent.map(item => ({
+        ...item,
+        section: 'recent',
+        key: `recent:${item.to}`,
+        hint: TYPE_LABELS[item.type]
+      }))
+      return [...recentItems, ...actionItems, ...categoryItems]
+    }
+
+    const hitIds = new Set(searchHits.map(post => post.id))
+    const postItems = [...posts, ...searchHits.filter(post => !posts.some(item => item.id === post.id))]
+      .map(post => ({
+        type: 'post',
+        section: 'post',
+        key: `post:${post.id}`,
+        label: post.title,
+        hint: post.categories?.name,
+        to: `/post/${post.slug}`,
+        searchHit: hitIds.has(post.id)
+      }))
+
+    return [
+      ...rankItems(actionItems, text),
+      ...rankItems(categoryItems, text),
+      ...rankItems(postItems, text).slice(0, MAX_POSTS)
+    ]
+  }, [query, actions, categories, posts, searchHits, recent])
+
+  const active = Math.min(activeIndex, results.length - 1)
+
+  // Keep the highlighted result in view
+  useEffect(() => {
+    listRef.current?.querySelector('[aria-selected="true"]')?.scrollIntoView({ block: 'nearest' })
+  }, [active, open])
+
+  const runItem = (item) => {
+    closeCommandPalette()
+    if (item.run) {
+      item.run()
+      return
+    }
+    setRecent(storageUtils.addRecentItem({ type: item.type, label: item.label, to: item.to }))
+    navigate(item.to)
+  }
+
+  const handleKeyDown = (event) => {
+    switch (event.key) {
+      case 'ArrowDown':
+        event.preventDefault()
+        setActiveIndex(results.length > 0 ? (active + 1) % results.length : 0)
+        break
+      case 'ArrowUp':
+        event.preventDefault()
+        setActiveIndex(results.length > 0 ? (active - 1 + results.length) % results.length : 0)
+        break
+      case 'Enter':
+        event.preventDefault()
+        if (results[active]) runItem(results[active])
+        break
+      case 'Escape':
+        event.preventDefault()
+        closeCommandPalette()
+        break
+      case 'Tab':
+        // The input is the only stop in the dialog; results are reached with the arrow keys
+        event.preventDefault()
+        break
+      default:
+    }
+  }
+
+  const optionId = (index) => `${LIST_ID}-option-${index}`
+
+  return (
+    <>
+      {toast && <Toast message={toast} onClose={clearToast} />}
+
+      {open && (
+        <div
+          className="fixed inset-0 z-[90] bg-black/50 flex items-start justify-center px-4 pt-[15vh]"
+          onMouseDown={(event) => {
+            if (event.target === event.currentTarget) closeCommandPalette()
+          }}
+        >
+          <div
+            role="dialog"
+            aria-modal="true"
+            aria-label="Command palette"
+            className="w-full max-w-xl bg-white rounded-xl shadow-2xl overflow-hidden"
+          >
+            <div className="flex items-center gap-3 px-4 border-b border-gray-200">
+              <FiSearch className="text-gray-400 flex-shrink-0" size={18} aria-hidden="true" />
+              <input
+                ref={inputRef}
+                type="text"
+                role="combobox"
+                aria-expanded="true"
+                aria-controls={LIST_ID}
+                aria-autocomplete="list"
+                aria-activedescendant={results.length > 0 ? optionId(active) : undefined}
+                aria-label="Search posts, categories and actions"
+                placeholder="Search posts, categories and actions..."
+                value={query}
+                onChange={(event) => {
+                  setQuery(event.target.value)
+                  setActiveIndex(0)
+                }}
+                onKeyDown={handleKeyDown}
+                className="flex-1 py-4 text-gray-900 placeholder-gray-400 focus:outline-none"
+              />
+              <kbd className="text-xs text-gray-400 border border-gray-300 rounded px-1.5 py-0.5">Esc</kbd>
+            </div>
+
+            <ul id={LIST_ID} ref={listRef} role="listbox" aria-label="Results" className="max-h-80 overflow-y-auto py-2">
+              {SECTIONS.map(section => {
+                const entries = results
+                  .map((item, index) => ({ item, index }))
+                  .filter(({ item }) => item.section === section.key)
+                if (entries.length === 0) return null
+
+                return (
+                  <li key={section.key} role="presentation">
+                    <p
+                      id={`${LIST_ID}-${section.key}`}
+                      className="px-4 pt-2 pb-1 text-xs font-semibold uppercase tracking-wide text-gray-400"
+                    >
+                      {section.label}
+                    </p>
+                    <ul role="group" aria-labelledby={`${LIST_ID}-${section.key}`}>
+                      {entries.map(({ item, index }) => (
+                        <li
+                          key={item.key}
+                          id={optionId(index)}
+                          role="option"
+                          aria-selected={index === active}
+                          onMouseMove={() => setActiveIndex(index)}
+                          // Keep focus in the input
+                          onMouseDown={(event) => event.preventDefault()}
+                          onClick={() => runItem(item)}
+                          className={`
+                            mx-2 px-3 py-2 rounded-md flex items-center justify-between gap-3 cursor-pointer text-sm
+                            ${index === active ? 'bg-gray-100 text-gray-900' : 'text-gray-700'}
+                          `}
+                        >
+                          <span className="truncate">
+                            <Highlighted text={item.label} indices={item.indices} />
+                          </span>
+                          {item.hint && <span className="flex-shrink-0 text-xs text-gray-400">{item.hint}</span>}
+                        </li>
+                      ))}
+                    </ul>
+                  </li>
+                )
+              })}
+            </ul>
+
+            {results.length === 0 && (
+              <p className="px-4 pb-6 text-sm text-gray-500 text-center">
+                {loading ? 'Loading...' : `Nothing matches "${query.trim()}"`}
+              </p>
+            )}
+          </div>
+        </div>
+      )}
+    </>
+  )
+}
+
+export default CommandPalette
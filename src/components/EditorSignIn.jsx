@@ -0,0 +1,100 @@
+import React, { useState } from 'react'
+import Button from './ui/Button'
+import { signInEditor, signOutEditor } from '../services/supabase'
+
+/**
+ * EditorSignIn component - email and password sign-in for editors (Supabase
+ * Auth users), who can write posts and preview drafts and scheduled posts
+ * Shows who is signed in, with a sign-out button, once signed in.
+ *
+ * @param {Object} props - Component props
+ * @param {Object|null} props.editor - Signed-in editor from useEditor
+ * @returns {JSX.Element} Sign-in form or the signed-in editor
+ */
+const EditorSignIn = ({ editor }) => {
+  const [email, setEmail] = useState('')
+  const [password, setPassword] = useState('')
+  const [busy, setBusy] = useState(false)
+  const [error, setError] = useState(null)
+
+  const handleSubmit = async (event) => {
+    event.preventDefault()
+    setBusy(true)
+    setError(null)
+    try {
+      await signInEditor(email.trim(), password)
+      setPassword('')
+    } catch (err) {
+      console.error('Error signing in:', err)
+      setError(err.message || 'Sign-in failed')
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  const handleSignOut = async () => {
+    setBusy(true)
+    setError(null)
+    try {
+      await signOutEditor()
+    } catch (err) {
+      console.error('Error signing out:', err)
+      setError(err.message || 'Sign-out failed')
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  if (editor) {
+    return (
+      <div className="mb-6 p-4 bg-green-50 border border-green-200 rounded-lg flex flex-wrap items-center justify-between gap-3">
+        <p className="text-green-800">
+          Signed in as editor <strong>{editor.email}</strong>
+        </p>
+        <Button variant="secondary" size="sm" onClick={handleSignOut} disabled={busy}>
+          Sign out
+        </Button>
+        {error && <p className="w-full text-sm text-red-600" role="alert">{error}</p>}
+      </div>
+    )
+  }
+
+  return (
+    <form onSubmit={handleSubmit} className="mb-6 p-4 bg-gray-50 border border-gray-200 rounded-lg">
+      <h2 className="text-lg font-semibold mb-1">Editor sign-in</h2>
+      <p className="text-sm text-gray-600 mb-3">
+        Sign in to edit posts and preview drafts and scheduled posts.
+      </p>
+      <div className="flex flex-col sm:flex-row gap-2">
+        <label className="sr-only" htmlFor="editor-email">Email</label>
+        <input
+          id="editor-email"
+          type="email"
+          autoComplete="username"
+          value={email}
+          onChange={(e) => setEmail(e.target.value)}
+          className="flex-1 border rounded px-3 py-2 text-sm"
+          placeholder="Email"
+          required
+        />
+        <label className="sr-only" htmlFor="editor-password">Password</label>
+        <input
+          id="editor-password"
+          type="password"
+          autoComplete="current-password"
+          value={password}
+          onChange={(e) => setPassword(e.target.value)}
+          className="flex-1 border rounded px-3 py-2 text-sm"
+          placeholder="Password"
+          required
+        />
+        <Button type="submit" size="sm" disabled={busy}>
+          {busy ? 'Signing in...' : 'Sign in'}
+        </Button>
+      </div>
+      {error && <p className="mt-2 text-sm text-red-600" role="alert">{error}</p>}
+    </form>
+  )
+}
+
+export default EditorSignIn
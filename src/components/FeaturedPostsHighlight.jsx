@@ -86,7 +86,7 @@ const FeaturedPostsHighlight = () => {
               {/* Background image with gradient overlay */}
               <div className="absolute inset-0 bg-gradient-to-t from-black to-transparent opacity-90 z-10"></div>
               <img
-                src={post.cover_path || getCoverImageUrl(post) || getImageFallback(post.title)}
+                src={getCoverImageUrl(post)}
                 alt={post.title}
                 className="absolute inset-0 w-full h-full object-cover object-center"
                 onError={(e) => {
@@ -1,4 +1,5 @@
 import React from 'react'
+import ArchiveWidget from './ArchiveWidget.jsx'
 
 const Footer = () => {
   const currentYear = new Date().getFullYear()
@@ -47,7 +48,9 @@ const Footer = () => {
           </div>
         </div>
         
-        <div className="border-t border-gray-800 mt-8 pt-8 text-center">
+        <ArchiveWidget className="border-t border-gray-800 mt-8 pt-6" />
+
+        <div className="border-t border-gray-800 mt-6 pt-8 text-center">
           <p className="text-gray-400 text-sm">
             © {currentYear} My Blog. Built with React, Tailwind CSS, and Supabase.
           </p>
@@ -1,23 +1,35 @@
-import React, { useState, useEffect } from 'react'
-import { Link, useLocation } from 'react-router-dom'
-import { categoriesService } from '../services/api.js'
+import React, { useState, useEffect, useMemo } from 'react'
+import { Link, useLocation, useNavigate } from 'react-router-dom'
+import { categoriesService, CACHE_KEYS } from '../services/api.js'
+import { useCacheUpdates } from '../hooks/useCacheUpdates.js'
+import { openCommandPalette } from '../hooks/useCommandPalette.js'
 import LoadingSpinner from './ui/LoadingSpinner.jsx'
+import { categoryUtils } from '../utils/helpers.js'
 import './HeaderGlassEffect.css'
 import { GiBrute } from "react-icons/gi"
+import { FiChevronDown, FiSearch } from "react-icons/fi"
 
 /**
  * Header component for the blog application.
  * Features:
  * - Responsive navigation with mobile menu
- * - Dynamic category links from API
+ * - Dynamic category links from API: top-level categories, with dropdowns
+ *   (desktop) or collapsible nested sections (mobile) for their subcategories
  * - Active route highlighting
+ * - Search box leading to the search page
+ * - Button opening the command palette (also Ctrl+K / Cmd+K)
  * - Glass hover effect (styling in HeaderGlassEffect.css)
  */
 const Header = () => {
   const [categories, setCategories] = useState([])
   const [loading, setLoading] = useState(true)
   const [mobileMenuOpen, setMobileMenuOpen] = useState(false)
+  // Desktop dropdown shown (category ID), and mobile sections opened or closed by hand
+  const [openMenu, setOpenMenu] = useState(null)
+  const [expandedSections, setExpandedSections] = useState({})
+  const [searchText, setSearchText] = useState('')
   const location = useLocation()
+  const navigate = useNavigate()
 
   // Fetch categories for navigation
   useEffect(() => {
@@ -35,11 +47,51 @@ const Header = () => {
     fetchCategories()
   }, [])
 
-  // Close mobile menu when route changes
+  // Pick up categories refreshed in the background
+  useCacheUpdates(CACHE_KEYS.categories, setCategories)
+
+  const categoryTree = useMemo(() => categoryUtils.buildTree(categories), [categories])
+
+  // Close menus when route changes
   useEffect(() => {
     setMobileMenuOpen(false)
+    setOpenMenu(null)
+  }, [location])
+
+  // Keep the search box in step with the query on the search page
+  useEffect(() => {
+    if (location.pathname === '/search') {
+      setSearchText(new URLSearchParams(location.search).get('q') || '')
+    }
   }, [location])
 
+  const handleSearch = (event) => {
+    event.preventDefault()
+    const query = searchText.trim()
+    if (!query) return
+    navigate(`/search?q=${encodeURIComponent(query)}`)
+  }
+
+  // Search form, in the desktop bar or the mobile menu
+  const renderSearchForm = (isMobile = false) => (
+    <form onSubmit={handleSearch} role="search" className={isMobile ? 'px-3 pb-2' : ''}>
+      <label className="relative block">
+        <span className="sr-only">Search posts</span>
+        <FiSearch className="absolute left-3 top-1/2 -translate-y-1/2 text-gray-400" size={16} aria-hidden="true" />
+        <input
+          type="search"
+          value={searchText}
+          onChange={(event) => setSearchText(event.target.value)}
+          placeholder="Search posts..."
+          className={`${isMobile ? 'w-full' : 'w-48 focus:w-64'} pl-9 pr-3 py-1.5 text-sm bg-gray-900 text-white placeholder-gray-500 border border-gray-700 rounded-md focus:outline-none focus:border-gray-400 transition-all`}
+        />
+      </label>
+    </form>
+  )
+
+  // The palette shortcut as written on this platform
+  const shortcutLabel = /Mac|iPhone|iPad/.test(navigator.userAgent) ? '⌘K' : 'Ctrl K'
+
   // Helper to determine if a route is active
   const isActiveRoute = (path) => {
     if (path === '/' && location.pathname === '/') return true
@@ -47,13 +99,18 @@ const Header = () => {
     return false
   }
 
+  // A category is active on its own page and on its subcategories' pages
+  const isCategoryActive = (node) => (
+    isActiveRoute(`/category/${node.slug}`) || node.children.some(isCategoryActive)
+  )
+
   // Render link with active state
-  const renderNavLink = (to, label, isMobile = false) => {
+  const renderNavLink = (to, label, isMobile = false, active = isActiveRoute(to)) => {
     const baseClasses = isMobile 
       ? "block px-3 py-2 text-base font-medium transition-colors" 
       : "px-3 py-2 text-sm font-medium transition-colors";
     
-    const activeClasses = isActiveRoute(to) 
+    const activeClasses = active 
       ? 'active text-white' 
       : 'text-gray-400 hover:text-white';
     
@@ -68,6 +125,110 @@ const Header = () => {
     );
   }
 
+  // Subcategory links in a dropdown, deeper levels indented
+  const renderMenuItems = (nodes) => nodes.map(node => (
+    <li key={node.id}>
+      <Link
+        to={`/category/${node.slug}`}
+        className={`block px-4 py-2 text-sm transition-colors ${isActiveRoute(`/category/${node.slug}`) ? 'text-white' : 'text-gray-400 hover:text-white hover:bg-gray-900'}`}
+        aria-current={isActiveRoute(`/category/${node.slug}`) ? 'page' : undefined}
+      >
+        {node.name}
+      </Link>
+      {node.children.length > 0 && (
+        <ul className="ml-4 border-l border-gray-700">
+          {renderMenuItems(node.children)}
+        </ul>
+      )}
+    </li>
+  ))
+
+  // Top-level category in the desktop bar: a link, plus a dropdown for its subcategories
+  const renderDesktopCategory = (node) => {
+    const to = `/category/${node.slug}`
+    if (node.children.length === 0) {
+      return <React.Fragment key={node.id}>{renderNavLink(to, node.name, false)}</React.Fragment>
+    }
+
+    const open = openMenu === node.id
+    const menuId = `category-menu-${node.slug}`
+    return (
+      <div
+        key={node.id}
+        className="relative"
+        onMouseEnter={() => setOpenMenu(node.id)}
+        onMouseLeave={() => setOpenMenu(null)}
+        onBlur={(event) => {
+          if (!event.currentTarget.contains(event.relatedTarget)) setOpenMenu(null)
+        }}
+        onKeyDown={(event) => {
+          if (event.key === 'Escape' && open) {
+            setOpenMenu(null)
+            event.currentTarget.querySelector('button')?.focus()
+          }
+        }}
+      >
+        <div className="flex items-center">
+          {renderNavLink(to, node.name, false, isCategoryActive(node))}
+          <button
+            type="button"
+            onClick={() => setOpenMenu(open ? null : node.id)}
+            className="-ml-2 p-1 text-gray-400 hover:text-white transition-colors"
+            aria-label={`${node.name} subcategories`}
+            aria-expanded={open}
+            aria-controls={menuId}
+          >
+            <FiChevronDown className={`w-4 h-4 transition-transform ${open ? 'rotate-180' : ''}`} aria-hidden="true" />
+          </button>
+        </div>
+        {open && (
+          // Padding rather than margin, so the pointer can cross to the menu without leaving
+          <div className="absolute left-0 top-full pt-2 z-50">
+            <ul id={menuId} className="min-w-[12rem] bg-black border border-gray-700 rounded-md shadow-lg py-2">
+              {renderMenuItems(node.children)}
+            </ul>
+          </div>
+        )}
+      </div>
+    )
+  }
+
+  // Category in the mobile menu: a link, plus a collapsible section for its subcategories
+  // (open by default when one of them is the current page)
+  const renderMobileCategory = (node) => {
+    const to = `/category/${node.slug}`
+    if (node.children.length === 0) {
+      return <React.Fragment key={node.id}>{renderNavLink(to, node.name, true)}</React.Fragment>
+    }
+
+    const expanded = expandedSections[node.id] ?? isCategoryActive(node)
+    const sectionId = `mobile-category-${node.slug}`
+    return (
+      <div key={node.id}>
+        <div className="flex items-center">
+          <div className="flex-1 min-w-0">
+            {renderNavLink(to, node.name, true, isCategoryActive(node))}
+          </div>
+          <button
+            type="button"
+            onClick={() => setExpandedSections(prev => ({ ...prev, [node.id]: !expanded }))}
+            className="p-2 text-gray-400 hover:text-white transition-colors"
+            aria-label={`${expanded ? 'Hide' : 'Show'} ${node.name} subcategories`}
+            aria-expanded={expanded}
+            aria-controls={sectionId}
+          >
+            <FiChevronDown className={`w-5 h-5 transition-transform ${expanded ? 'rotate-180' : ''}`} aria-hidden="true" />
+          </button>
+        </div>
+        {expanded && (
+          <div id={sectionId} className="ml-4 border-l border-gray-700/50 space-y-1">
+            {node.children.map(renderMobileCategory)}
+          </div>
+        )}
+      </div>
+    )
+  }
+
   return (
     <header className="bg-black shadow-md sticky top-0 z-50" style={{ isolation: 'isolate' }}>
       <div className="absolute bottom-0 left-0 right-0 h-1 bg-gradient-to-r from-black via-gray-500 to-black"></div>
@@ -97,12 +258,20 @@ const Header = () => {
                   <span className="text-sm text-gray-400">Loading...</span>
                 </div>
               ) : (
-                categories.map((category) => (
-                  <React.Fragment key={category.id}>
-                    {renderNavLink(`/category/${category.slug}`, category.name, false)}
-                  </React.Fragment>
-                ))
+                categoryTree.map(renderDesktopCategory)
               )}
+
+              {renderSearchForm()}
+
+              <button
+                type="button"
+                onClick={openCommandPalette}
+                className="hidden lg:inline-flex items-center px-2 py-1 text-xs text-gray-400 border border-gray-700 rounded-md hover:text-white hover:border-gray-400 transition-colors"
+                aria-label="Open command palette"
+                title="Command palette"
+              >
+                <kbd className="font-sans">{shortcutLabel}</kbd>
+              </button>
             </div>
           </div>
 
@@ -130,6 +299,7 @@ const Header = () => {
         {mobileMenuOpen && (
           <div id="mobile-menu" className="md:hidden border-t border-gray-700/30 backdrop-blur-sm" role="navigation" aria-label="Mobile navigation">
             <div className="px-2 pt-2 pb-3 space-y-1">
+              {renderSearchForm(true)}
               {renderNavLink('/', 'Home', true)}
 
               {loading ? (
@@ -138,11 +308,7 @@ const Header = () => {
                   <span className="text-sm text-gray-400">Loading categories...</span>
                 </div>
               ) : (
-                categories.map((category) => (
-                  <React.Fragment key={category.id}>
-                    {renderNavLink(`/category/${category.slug}`, category.name, true)}
-                  </React.Fragment>
-                ))
+                categoryTree.map(renderMobileCategory)
               )}
             </div>
           </div>
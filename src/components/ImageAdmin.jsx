@@ -1,16 +1,35 @@
 import React, { useState, useEffect } from 'react';
 import { postsService } from '../services/api';
+import { ValidationError } from '../services/errors';
 import { checkSupabaseConnection } from '../services/supabase';
 import Button from './ui/Button';
+import { postUtils } from '../utils/helpers';
+
+// Badge styles per publish status
+const STATUS_BADGES = {
+  draft: 'bg-gray-100 text-gray-700',
+  scheduled: 'bg-yellow-100 text-yellow-800',
+  published: 'bg-green-100 text-green-800'
+};
+
+// Tags are edited as a comma-separated list of names
+const formatTags = (tags = []) => tags.map(tag => tag.name).join(', ');
+const parseTags = (text) => text.split(',').map(name => name.trim()).filter(Boolean);
 
 /**
- * Admin component for updating post cover images
+ * Admin component for updating post cover images and tags
+ * @param {Object} props - Component props
+ * @param {Object|null} props.editor - Signed-in editor (from useEditor); drafts are listed and previewable only for editors
  */
-const ImageAdmin = () => {
+const ImageAdmin = ({ editor = null }) => {
   const [posts, setPosts] = useState([]);
   const [loading, setLoading] = useState(true);
   const [imageUrls, setImageUrls] = useState({});
+  const [tagInputs, setTagInputs] = useState({});
+  const [tagStatus, setTagStatus] = useState({});
   const [updateStatus, setUpdateStatus] = useState({});
+  // Field-level messages from ValidationError, by post ID
+  const [fieldErrors, setFieldErrors] = useState({});
   const [connectionError, setConnectionError] = useState(null);
 
   // Sample image URLs to choose from
@@ -68,6 +87,12 @@ const ImageAdmin = () => {
           urls[post.id] = post.cover_path || '';
         });
         setImageUrls(urls);
+        
+        const tags = {};
+        allPosts.forEach(post => {
+          tags[post.id] = formatTags(post.tags);
+        });
+        setTagInputs(tags);
       } catch (error) {
         console.error('Error fetching posts:', error);
         setConnectionError(error.message || 'Error fetching posts');
@@ -77,13 +102,42 @@ const ImageAdmin = () => {
     };
     
     initializeAdmin();
-  }, []);
+    // RLS shows editors drafts too, so signing in or out changes the list
+  }, [editor?.id]);
 
   const handleImageUrlChange = (postId, url) => {
     setImageUrls(prev => ({
       ...prev,
       [postId]: url
     }));
+    clearFieldErrors(postId);
+  };
+
+  const handleTagsChange = (postId, text) => {
+    setTagInputs(prev => ({
+      ...prev,
+      [postId]: text
+    }));
+    clearFieldErrors(postId);
+  };
+
+  const clearFieldErrors = (postId) => {
+    setFieldErrors(prev => {
+      if (!prev[postId]) return prev;
+      const next = { ...prev };
+      delete next[postId];
+      return next;
+    });
+  };
+
+  // Show the service's per-field messages next to the inputs
+  const showValidationError = (postId, error) => {
+    setFieldErrors(prev => ({ ...prev, [postId]: error.fields }));
+    setUpdateStatus(prev => {
+      const next = { ...prev };
+      delete next[postId];
+      return next;
+    });
   };
 
   const updatePostImage = async (postId) => {
@@ -125,6 +179,11 @@ const ImageAdmin = () => {
         });
       }, 3000);
     } catch (error) {
+      if (error instanceof ValidationError) {
+        showValidationError(postId, error);
+        return;
+      }
+
       console.error('Error updating post image:', error);
       setUpdateStatus(prev => ({ ...prev, [postId]: 'error' }));
       
@@ -151,6 +210,49 @@ const ImageAdmin = () => {
     }
   };
   
+  const updatePostTags = async (postId) => {
+    setTagStatus(prev => ({ ...prev, [postId]: 'updating' }));
+    try {
+      const updatedPost = await postsService.update(postId, { tags: parseTags(tagInputs[postId] || '') });
+      
+      if (!updatedPost) {
+        setTagStatus(prev => ({ ...prev, [postId]: 'error' }));
+        return;
+      }
+      
+      // Show the tags as saved (deduplicated, sorted)
+      setPosts(prev => prev.map(post => 
+        post.id === postId 
+          ? { ...post, tags: updatedPost.tags }
+          : post
+      ));
+      setTagInputs(prev => ({ ...prev, [postId]: formatTags(updatedPost.tags) }));
+      setTagStatus(prev => ({ ...prev, [postId]: 'success' }));
+      
+      // Clear status after 3 seconds
+      setTimeout(() => {
+        setTagStatus(prev => {
+          const newStatus = { ...prev };
+          delete newStatus[postId];
+          return newStatus;
+        });
+      }, 3000);
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        setTagStatus(prev => {
+          const newStatus = { ...prev };
+          delete newStatus[postId];
+          return newStatus;
+        });
+        showValidationError(postId, error);
+        return;
+      }
+
+      console.error('Error updating post tags:', error);
+      setTagStatus(prev => ({ ...prev, [postId]: 'error' }));
+    }
+  };
+  
   // Function to create a missing post
   const createMissingPost = async (postId) => {
     try {
@@ -199,6 +301,11 @@ const ImageAdmin = () => {
         }, 3000);
       }
     } catch (error) {
+      if (error instanceof ValidationError) {
+        showValidationError(postId, error);
+        return;
+      }
+
       console.error('Error creating post:', error);
       setUpdateStatus(prev => ({ ...prev, [postId]: 'error' }));
       alert(`Failed to create post: ${error.message || 'Unknown error'}`);
@@ -293,7 +400,22 @@ const ImageAdmin = () => {
             </div>
             
             <div className="flex-1">
-              <h4 className="font-bold text-lg mb-2">{post.title}</h4>
+              <div className="flex flex-wrap items-center gap-2 mb-2">
+                <h4 className="font-bold text-lg">{post.title}</h4>
+                <span className={`text-xs font-medium px-2 py-0.5 rounded ${STATUS_BADGES[postUtils.getPublishStatus(post)]}`}>
+                  {postUtils.getPublishStatus(post)}
+                </span>
+                {editor && (
+                  <a
+                    href={`/post/${post.slug}?preview=1`}
+                    target="_blank"
+                    rel="noopener noreferrer"
+                    className="text-sm text-blue-600 hover:text-blue-800"
+                  >
+                    Preview
+                  </a>
+                )}
+              </div>
               
               <div className="mb-4">
                 <label className="block text-sm font-medium text-gray-700 mb-1">
@@ -304,8 +426,9 @@ const ImageAdmin = () => {
                     type="text"
                     value={imageUrls[post.id] || ''}
                     onChange={(e) => handleImageUrlChange(post.id, e.target.value)}
-                    className="flex-1 border rounded-l px-3 py-2 text-sm"
+                    className={`flex-1 border rounded-l px-3 py-2 text-sm ${fieldErrors[post.id]?.cover_path ? 'border-red-500' : ''}`}
                     placeholder="Enter image URL or use a placeholder format"
+                    aria-invalid={Boolean(fieldErrors[post.id]?.cover_path)}
                   />
                   <Button 
                     onClick={() => updatePostImage(post.id)} 
@@ -315,6 +438,15 @@ const ImageAdmin = () => {
                     {updateStatus[post.id] === 'updating' ? 'Updating...' : 'Update'}
                   </Button>
                 </div>
+                {fieldErrors[post.id] && (
+                  <ul className="mt-1 text-red-600 text-sm">
+                    {Object.entries(fieldErrors[post.id])
+                      .filter(([field]) => field !== 'tags')
+                      .map(([field, message]) => (
+                        <li key={field}>{message}</li>
+                      ))}
+                  </ul>
+                )}
                 {updateStatus[post.id] === 'success' && (
                   <p className="text-green-600 text-sm mt-1">Image URL updated successfully!</p>
                 )}
@@ -333,6 +465,38 @@ const ImageAdmin = () => {
                 )}
               </div>
               
+              <div className="mb-4">
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Tags:
+                </label>
+                <div className="flex">
+                  <input
+                    type="text"
+                    value={tagInputs[post.id] || ''}
+                    onChange={(e) => handleTagsChange(post.id, e.target.value)}
+                    className={`flex-1 border rounded-l px-3 py-2 text-sm ${fieldErrors[post.id]?.tags ? 'border-red-500' : ''}`}
+                    placeholder="Comma-separated, e.g. React, Performance"
+                    aria-invalid={Boolean(fieldErrors[post.id]?.tags)}
+                  />
+                  <Button 
+                    onClick={() => updatePostTags(post.id)} 
+                    className="rounded-l-none"
+                    disabled={tagStatus[post.id] === 'updating'}
+                  >
+                    {tagStatus[post.id] === 'updating' ? 'Saving...' : 'Save Tags'}
+                  </Button>
+                </div>
+                {fieldErrors[post.id]?.tags && (
+                  <p className="text-red-600 text-sm mt-1">{fieldErrors[post.id].tags}</p>
+                )}
+                {tagStatus[post.id] === 'success' && (
+                  <p className="text-green-600 text-sm mt-1">Tags saved!</p>
+                )}
+                {tagStatus[post.id] === 'error' && (
+                  <p className="text-red-600 text-sm mt-1">Error saving tags. The post may not exist in the database.</p>
+                )}
+              </div>
+              
               <div>
                 <label className="block text-sm font-medium text-gray-700 mb-1">
                   Quick Select:
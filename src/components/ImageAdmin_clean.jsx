@@ -1,6 +1,7 @@
 import React, { useState } from 'react';
 import { useImageAdmin } from '../hooks/useUI';
 import { useAdminPosts } from '../hooks/useBlog';
+import { PermissionError } from '../services/errors';
 import Button from './ui/Button';
 import { getCoverImageUrl, getImageFallback } from '../utils/imageUtils';
 
@@ -24,6 +25,7 @@ const ImageAdmin = () => {
     loading: loadingPosts,
     loadingAction,
     error: postError,
+    fieldErrors: postFieldErrors,
     actionMessage,
     updatePost,
   } = useAdminPosts();
@@ -76,7 +78,7 @@ const ImageAdmin = () => {
 
   // Apply image to post
   const handleApplyImageToPost = async (postId, imageUrl) => {
-    await updatePost(postId, { cover_image: imageUrl });
+    await updatePost(postId, { cover_path: imageUrl });
   };
 
   // Show success and error messages
@@ -84,7 +86,17 @@ const ImageAdmin = () => {
     if (imageError || postError) {
       return (
         <div className="bg-red-100 border-l-4 border-red-500 text-red-700 p-4 mb-4">
-          <p>{imageError || postError}</p>
+          <p>{imageError || postError.message}</p>
+          {!imageError && postError instanceof PermissionError && (
+            <p className="text-sm mt-1">Sign in as an editor on the Admin page to change posts.</p>
+          )}
+          {!imageError && Object.keys(postFieldErrors).length > 0 && (
+            <ul className="list-disc pl-5 mt-2 text-sm">
+              {Object.entries(postFieldErrors).map(([field, message]) => (
+                <li key={field}>{message}</li>
+              ))}
+            </ul>
+          )}
         </div>
       );
     }
@@ -340,7 +352,7 @@ const ImageAdmin = () => {
                         <Button
                           onClick={() => {
                             setSelectedPostId(post.id);
-                            setCustomImageUrl(post.cover_image || '');
+                            setCustomImageUrl(post.cover_path || '');
                           }}
                           variant="outline"
                           size="sm"
@@ -0,0 +1,135 @@
+import React, { useState } from 'react'
+import { Link } from 'react-router-dom'
+import { FiTrendingUp } from 'react-icons/fi'
+import CategoryBadge from './common/CategoryBadge.jsx'
+import { useTrending } from '../hooks/useBlog.js'
+
+// Tabs for the keys of TRENDING_WINDOWS
+const WINDOWS = [
+  { key: '24h', label: '24 hours' },
+  { key: '7d', label: '7 days' },
+  { key: '30d', label: '30 days' }
+]
+
+// Tailwind needs whole class names, so the column count can't be interpolated
+const GRID_COLUMNS = {
+  3: 'lg:grid-cols-3',
+  4: 'lg:grid-cols-4',
+  5: 'lg:grid-cols-5'
+}
+
+const plural = (count, word) => `${count} ${count === 1 ? word : `${word}s`}`
+
+/**
+ * TrendingPosts component - Posts readers engaged with most in a time window,
+ * with tabs for the last 24 hours, 7 days and 30 days
+ *
+ * @param {Object} props - Component props
+ * @param {string} props.title - Section heading
+ * @param {string|null} props.category - Only rank posts in the category with this slug
+ * @param {string} props.defaultWindow - Window shown first ('24h', '7d' or '30d')
+ * @param {number} props.limit - Number of posts
+ * @param {string} props.className - Additional CSS classes
+ * @returns {JSX.Element} Trending section (reader and like counts cover the window)
+ */
+const TrendingPosts = ({
+  title = 'Trending',
+  category = null,
+  defaultWindow = '7d',
+  limit = 5,
+  className = ''
+}) => {
+  const [period, setPeriod] = useState(defaultWindow)
+  const { items, loading, error, retry } = useTrending(period, { category, limit })
+  const current = WINDOWS.find(entry => entry.key === period)
+  const headingId = `trending-${category || 'all'}-heading`
+  const gridClasses = `grid grid-cols-1 sm:grid-cols-2 ${GRID_COLUMNS[limit] || GRID_COLUMNS[5]} gap-4`
+
+  const renderItems = () => {
+    if (loading && items.length === 0) {
+      return (
+        <ol className={gridClasses}>
+          {Array.from({ length: limit }).map((_, index) => (
+            <li key={`skeleton-${index}`} className="bg-white rounded-lg p-4 animate-pulse">
+              <div className="h-3 bg-gray-200 rounded w-1/3 mb-3"></div>
+              <div className="h-4 bg-gray-200 rounded w-5/6"></div>
+            </li>
+          ))}
+        </ol>
+      )
+    }
+
+    if (error) {
+      return (
+        <p className="text-gray-600 text-sm">
+          Couldn't load trending posts.{' '}
+          <button type="button" onClick={retry} className="underline hover:text-black">Try again</button>
+        </p>
+      )
+    }
+
+    if (items.length === 0) {
+      return <p className="text-gray-600 text-sm">No reads or likes in the last {current.label} yet.</p>
+    }
+
+    return (
+      <ol className={gridClasses}>
+        {items.map(({ post, views, likes }, index) => (
+          <li key={post.id} className="bg-white rounded-lg shadow-sm hover:shadow-md transition-shadow p-4 flex gap-3">
+            <span className="text-3xl font-bold text-gray-300 leading-none tabular-nums" aria-hidden="true">
+              {index + 1}
+            </span>
+            <div className="min-w-0 flex-1">
+              {post.categories && !category && (
+                <CategoryBadge category={post.categories} size="sm" className="mb-2" />
+              )}
+              <Link
+                to={`/post/${post.slug}`}
+                className="block font-semibold text-gray-900 hover:text-gray-600 transition-colors line-clamp-3"
+              >
+                {post.title}
+              </Link>
+              {views !== null && (
+                <p className="text-xs text-gray-500 mt-2">
+                  {plural(views, 'reader')}
+                  {likes > 0 && ` · ${plural(likes, 'like')}`}
+                </p>
+              )}
+            </div>
+          </li>
+        ))}
+      </ol>
+    )
+  }
+
+  return (
+    <section className={className} aria-labelledby={headingId}>
+      <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+        <h2 id={headingId} className="text-2xl font-bold text-gray-900 flex items-center gap-2">
+          <FiTrendingUp className="w-6 h-6 text-blue-500" aria-hidden="true" />
+          {title}
+        </h2>
+        <div className="inline-flex rounded-lg bg-gray-200 p-1" role="group" aria-label="Time window">
+          {WINDOWS.map(entry => (
+            <button
+              key={entry.key}
+              type="button"
+              onClick={() => setPeriod(entry.key)}
+              aria-pressed={entry.key === period}
+              className={`
+                px-3 py-1 rounded-md text-sm font-medium transition-colors
+                ${entry.key === period ? 'bg-white text-gray-900 shadow-sm' : 'text-gray-600 hover:text-gray-900'}
+              `}
+            >
+              {entry.key}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {renderItems()}
+    </section>
+  )
+}
+
+export default TrendingPosts
@@ -0,0 +1,57 @@
+import React, { useState } from 'react'
+import { getAvatarUrl } from '../../utils/imageUtils'
+
+const SIZE_CLASSES = {
+  sm: 'w-6 h-6 text-[10px]',
+  md: 'w-10 h-10 text-sm',
+  lg: 'w-24 h-24 text-3xl'
+}
+
+/**
+ * Initials of a name, e.g. "MC" for "Maya Chen"
+ * @param {string} name - Full name
+ * @returns {string} Up to two uppercase letters
+ */
+const getInitials = (name = '') => {
+  const words = name.trim().split(/\s+/).filter(Boolean)
+  if (words.length === 0) return '?'
+  const letters = words.length === 1 ? [words[0][0]] : [words[0][0], words[words.length - 1][0]]
+  return letters.join('').toUpperCase()
+}
+
+/**
+ * Round author picture, showing the author's initials when there is none
+ * or it fails to load
+ * 
+ * @param {Object} props - Component props
+ * @param {Object} props.author - Author object with name and avatar_path
+ * @param {string} props.size - Avatar size ('sm', 'md', 'lg')
+ * @param {string} props.className - Additional CSS classes
+ * @returns {JSX.Element} Author avatar component
+ */
+const AuthorAvatar = ({ author, size = 'md', className = '' }) => {
+  // Remember which URL failed, so another author's picture still gets a try
+  const [failedSrc, setFailedSrc] = useState(null)
+  const src = getAvatarUrl(author.avatar_path)
+  const classes = `inline-flex shrink-0 rounded-full overflow-hidden ${SIZE_CLASSES[size] || SIZE_CLASSES.md} ${className}`
+
+  if (!src || src === failedSrc) {
+    return (
+      <span className={`${classes} items-center justify-center bg-gray-800 text-white font-semibold`} aria-hidden="true">
+        {getInitials(author.name)}
+      </span>
+    )
+  }
+
+  return (
+    <img
+      src={src}
+      alt=""
+      className={`${classes} object-cover bg-gray-200`}
+      loading="lazy"
+      onError={() => setFailedSrc(src)}
+    />
+  )
+}
+
+export default AuthorAvatar
@@ -0,0 +1,62 @@
+import React from 'react'
+import { Link, useNavigate } from 'react-router-dom'
+import AuthorAvatar from './AuthorAvatar'
+
+/**
+ * "By A", "By A and B", "By A, B and C" byline for a post's authors, with
+ * their avatars stacked in front
+ * 
+ * @param {Object} props - Component props
+ * @param {Array} props.authors - Authors in byline order
+ * @param {string} props.size - Byline size ('sm', 'md')
+ * @param {boolean} props.nested - Inside another link (e.g. a PostCard): names navigate with buttons instead of nested links
+ * @param {string} props.className - Additional CSS classes
+ * @returns {JSX.Element|null} Byline component, or null without authors
+ */
+const AuthorByline = ({ authors = [], size = 'sm', nested = false, className = '' }) => {
+  const navigate = useNavigate()
+
+  if (authors.length === 0) return null
+
+  const nameClasses = 'font-medium text-gray-900 hover:underline'
+
+  const renderName = (author) => {
+    if (!nested) {
+      return <Link to={`/author/${author.slug}`} className={nameClasses}>{author.name}</Link>
+    }
+
+    // The surrounding link must not open when a name is clicked
+    const handleClick = (event) => {
+      event.preventDefault()
+      event.stopPropagation()
+      navigate(`/author/${author.slug}`)
+    }
+    return <button type="button" onClick={handleClick} className={nameClasses}>{author.name}</button>
+  }
+
+  return (
+    <div className={`flex items-center gap-2 ${size === 'md' ? 'text-base' : 'text-sm'} text-gray-600 ${className}`}>
+      <span className="flex -space-x-2">
+        {authors.map(author => (
+          <AuthorAvatar
+            key={author.id}
+            author={author}
+            size={size === 'md' ? 'md' : 'sm'}
+            className="ring-2 ring-white"
+          />
+        ))}
+      </span>
+      <span>
+        By{' '}
+        {authors.map((author, index) => (
+          <React.Fragment key={author.id}>
+            {index > 0 && (index === authors.length - 1 ? ' and ' : ', ')}
+            {renderName(author)}
+          </React.Fragment>
+        ))}
+      </span>
+    </div>
+  )
+}
+
+export default AuthorByline
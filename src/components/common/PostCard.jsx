@@ -3,6 +3,12 @@ import { Link } from 'react-router-dom'
 import { getCoverImageUrl } from '../../utils/imageUtils'
 import { getCategoryColorClasses } from '../../utils/colorUtils'
 import ImageWithFallback from './ImageWithFallback'
+import LikeButton from './LikeButton'
+import TagChip from './TagChip'
+import AuthorByline from './AuthorByline'
+
+// Tag chips shown on a card; the rest are summed up as "+N"
+const MAX_CARD_TAGS = 3
 
 /**
  * A reusable card component for displaying post previews
@@ -11,9 +17,12 @@ import ImageWithFallback from './ImageWithFallback'
  * @param {Object} props.post - The post data object
  * @param {string} props.className - Additional CSS classes
  * @param {string} props.variant - Card variant (default, compact, featured)
+ * @param {number} props.likeCount - Live like count (defaults to post.likes)
+ * @param {boolean} props.liked - Whether the current reader has liked the post
+ * @param {Function} props.onToggleLike - Called with the post ID; shows a like button instead of a static count
  * @returns {JSX.Element} Post card component
  */
-const PostCard = ({ post, className = '', variant = 'default' }) => {
+const PostCard = ({ post, className = '', variant = 'default', likeCount, liked = false, onToggleLike }) => {
   const {
     slug,
     title,
@@ -22,9 +31,18 @@ const PostCard = ({ post, className = '', variant = 'default' }) => {
     published_at,
     views = 0,
     likes = 0,
-    categories
+    categories,
+    tags = [],
+    authors = []
   } = post
 
+  // The whole card is a link; liking must not open the post
+  const handleLike = (event) => {
+    event.preventDefault()
+    event.stopPropagation()
+    onToggleLike(post.id)
+  }
+
   const formatDate = (dateString) => {
     return new Date(dateString).toLocaleDateString('en-US', {
       year: 'numeric',
@@ -95,6 +113,23 @@ const PostCard = ({ post, className = '', variant = 'default' }) => {
             </p>
           )}
 
+          {/* Tags - Not shown in compact view */}
+          {tags.length > 0 && !isCompact && (
+            <div className="flex flex-wrap items-center gap-1.5 mb-4">
+              {tags.slice(0, MAX_CARD_TAGS).map(tag => (
+                <TagChip key={tag.id} tag={tag} nested />
+              ))}
+              {tags.length > MAX_CARD_TAGS && (
+                <span className="text-xs text-gray-500">+{tags.length - MAX_CARD_TAGS}</span>
+              )}
+            </div>
+          )}
+
+          {/* Byline - Not shown in compact view */}
+          {authors.length > 0 && !isCompact && (
+            <AuthorByline authors={authors} nested className="mb-3" />
+          )}
+
           {/* Meta Information */}
           <div className="flex items-center justify-between text-sm text-gray-500 border-t border-gray-200 pt-4 mt-2">
             {!isCompact && (
@@ -114,12 +149,21 @@ const PostCard = ({ post, className = '', variant = 'default' }) => {
               </div>
 
               {/* Likes */}
-              <div className="flex items-center space-x-1">
-                <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4.318 6.318a4.5 4.5 0 000 6.364L12 20.364l7.682-7.682a4.5 4.5 0 00-6.364-6.364L12 7.636l-1.318-1.318a4.5 4.5 0 00-6.364 0z" />
-                </svg>
-                <span>{likes}</span>
-              </div>
+              {onToggleLike ? (
+                <LikeButton
+                  liked={liked}
+                  count={likeCount ?? likes}
+                  onToggle={handleLike}
+                  size="sm"
+                />
+              ) : (
+                <div className="flex items-center space-x-1">
+                  <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4.318 6.318a4.5 4.5 0 000 6.364L12 20.364l7.682-7.682a4.5 4.5 0 00-6.364-6.364L12 7.636l-1.318-1.318a4.5 4.5 0 00-6.364 0z" />
+                  </svg>
+                  <span>{likeCount ?? likes}</span>
+                </div>
+              )}
             </div>
           </div>
         </div>
@@ -133,6 +177,9 @@ export default React.memo(PostCard, (prevProps, nextProps) => {
   return (
     prevProps.post.id === nextProps.post.id &&
     prevProps.variant === nextProps.variant &&
-    prevProps.className === nextProps.className
+    prevProps.className === nextProps.className &&
+    prevProps.likeCount === nextProps.likeCount &&
+    prevProps.liked === nextProps.liked &&
+    prevProps.onToggleLike === nextProps.onToggleLike
   );
 });
\ No newline at end of file
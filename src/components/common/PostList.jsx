@@ -76,7 +76,8 @@ const PostList = ({
   if (error && posts.length === 0) {
     return (
       <ErrorMessage 
-        message={error} 
+        error={error}
+        message={typeof error === 'string' ? error : undefined} 
         showRetry={!!onRetry} 
         onRetry={onRetry}
       />
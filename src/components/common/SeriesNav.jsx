@@ -0,0 +1,138 @@
+import React, { useState } from 'react'
+import { Link } from 'react-router-dom'
+import { FiCheck, FiChevronDown, FiChevronLeft, FiChevronRight } from 'react-icons/fi'
+import { postUtils } from '../../utils/helpers.js'
+
+/**
+ * Banner for a post that is part of a series: "Part 2 of 5", the reader's
+ * progress and a collapsible table of contents
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.series - Series with title and slug
+ * @param {Array} props.parts - Parts of the series in reading order
+ * @param {string} props.currentPostId - ID of the post being read
+ * @param {Set<string>} props.readIds - IDs of the parts the reader has opened
+ * @param {string} props.className - Additional CSS classes
+ * @returns {JSX.Element|null} Series banner, or null when the post isn't one of the parts
+ */
+const SeriesNav = ({ series, parts = [], currentPostId, readIds = new Set(), className = '' }) => {
+  const [open, setOpen] = useState(false)
+  const part = postUtils.getSeriesPart(parts, currentPostId)
+  if (!part) return null
+
+  const readCount = parts.filter(item => readIds.has(item.id)).length
+  const listId = `series-${series.id}-parts`
+
+  return (
+    <nav className={`bg-gray-50 border border-gray-200 rounded-xl p-4 sm:p-5 ${className}`} aria-label={`${series.title} series`}>
+      <div className="flex flex-wrap items-center justify-between gap-3">
+        <div>
+          <p className="text-xs font-semibold uppercase tracking-wide text-blue-600">
+            Part {part.number} of {part.total}
+          </p>
+          <Link to={`/series/${series.slug}`} className="font-bold text-gray-900 hover:underline">
+            {series.title}
+          </Link>
+        </div>
+        <button
+          type="button"
+          onClick={() => setOpen(value => !value)}
+          aria-expanded={open}
+          aria-controls={listId}
+          className="inline-flex items-center gap-1 text-sm font-medium text-gray-700 hover:text-black transition-colors"
+        >
+          {open ? 'Hide parts' : 'All parts'}
+          <FiChevronDown className={`w-4 h-4 transition-transform ${open ? 'rotate-180' : ''}`} aria-hidden="true" />
+        </button>
+      </div>
+
+      {/* Progress */}
+      <div className="mt-3">
+        <div
+          className="h-1.5 bg-gray-200 rounded-full overflow-hidden"
+          role="progressbar"
+          aria-valuemin={0}
+          aria-valuemax={part.total}
+          aria-valuenow={readCount}
+          aria-label="Parts read"
+        >
+          <div className="h-full bg-blue-500 transition-all" style={{ width: `${(readCount / part.total) * 100}%` }}></div>
+        </div>
+        <p className="text-xs text-gray-500 mt-1">{readCount} of {part.total} parts read</p>
+      </div>
+
+      {/* Table of contents */}
+      {open && (
+        <ol id={listId} className="mt-4 space-y-1">
+          {parts.map((item, index) => {
+            const current = item.id === currentPostId
+            const read = readIds.has(item.id)
+            return (
+              <li key={item.id}>
+                <Link
+                  to={`/post/${item.slug}`}
+                  aria-current={current ? 'page' : undefined}
+                  className={`
+                    flex items-center gap-3 px-2 py-1.5 rounded-md text-sm transition-colors
+                    ${current ? 'bg-white font-semibold text-gray-900 shadow-sm' : 'text-gray-700 hover:bg-white'}
+                  `}
+                >
+                  <span
+                    className={`
+                      flex-shrink-0 w-6 h-6 rounded-full flex items-center justify-center text-xs
+                      ${read ? 'bg-blue-500 text-white' : 'bg-gray-200 text-gray-600'}
+                    `}
+                  >
+                    {read ? <FiCheck className="w-3.5 h-3.5" aria-label="Read" /> : index + 1}
+                  </span>
+                  <span className="flex-1">{item.title}</span>
+                </Link>
+              </li>
+            )
+          })}
+        </ol>
+      )}
+    </nav>
+  )
+}
+
+/**
+ * Links to the previous and next parts of a series
+ *
+ * @param {Object} props - Component props
+ * @param {Array} props.parts - Parts of the series in reading order
+ * @param {string} props.currentPostId - ID of the post being read
+ * @param {string} props.className - Additional CSS classes
+ * @returns {JSX.Element|null} Pager, or null when the post isn't one of the parts
+ */
+export const SeriesPager = ({ parts = [], currentPostId, className = '' }) => {
+  const part = postUtils.getSeriesPart(parts, currentPostId)
+  if (!part || part.total < 2) return null
+
+  const linkClasses = 'flex-1 flex items-center gap-3 p-4 rounded-lg border border-gray-200 hover:border-gray-400 hover:bg-gray-50 transition-colors'
+
+  return (
+    <nav className={`flex flex-col sm:flex-row gap-4 ${className}`} aria-label="Series parts">
+      {part.previous ? (
+        <Link to={`/post/${part.previous.slug}`} className={linkClasses} rel="prev">
+          <FiChevronLeft className="w-5 h-5 flex-shrink-0 text-gray-500" aria-hidden="true" />
+          <span>
+            <span className="block text-xs text-gray-500">Previous part</span>
+            <span className="font-medium text-gray-900">{part.previous.title}</span>
+          </span>
+        </Link>
+      ) : <span className="flex-1 hidden sm:block"></span>}
+      {part.next && (
+        <Link to={`/post/${part.next.slug}`} className={`${linkClasses} sm:justify-end sm:text-right`} rel="next">
+          <span>
+            <span className="block text-xs text-gray-500">Next part</span>
+            <span className="font-medium text-gray-900">{part.next.title}</span>
+          </span>
+          <FiChevronRight className="w-5 h-5 flex-shrink-0 text-gray-500" aria-hidden="true" />
+        </Link>
+      )}
+    </nav>
+  )
+}
+
+export default SeriesNav
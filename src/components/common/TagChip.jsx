@@ -0,0 +1,59 @@
+import React from 'react'
+import { Link, useNavigate } from 'react-router-dom'
+import { getTagColorClasses } from '../../utils/colorUtils'
+
+/**
+ * A small chip for a post tag, linking to the tag page
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.tag - Tag object with name and slug
+ * @param {string} props.size - Chip size ('sm', 'md')
+ * @param {number} props.count - Optional number of posts shown after the name
+ * @param {boolean} props.nested - Inside another link (e.g. a PostCard): navigates with a button instead of a nested link
+ * @param {string} props.className - Additional CSS classes
+ * @returns {JSX.Element} Tag chip component
+ */
+const TagChip = ({
+  tag,
+  size = 'sm',
+  count,
+  nested = false,
+  className = ''
+}) => {
+  const navigate = useNavigate()
+  const sizeClasses = size === 'md' ? 'text-sm px-3 py-1' : 'text-xs px-2 py-0.5'
+  const classes = `
+    inline-flex items-center gap-1 font-medium border rounded-full transition-opacity hover:opacity-80
+    ${sizeClasses} ${getTagColorClasses(tag.slug)} ${className}
+  `
+  const content = (
+    <>
+      <span aria-hidden="true">#</span>
+      {tag.name}
+      {typeof count === 'number' && <span className="opacity-60">{count}</span>}
+    </>
+  )
+
+  if (nested) {
+    // The surrounding link must not open when the chip is clicked
+    const handleClick = (event) => {
+      event.preventDefault()
+      event.stopPropagation()
+      navigate(`/tag/${tag.slug}`)
+    }
+
+    return (
+      <button type="button" onClick={handleClick} className={classes} aria-label={`Posts tagged ${tag.name}`}>
+        {content}
+      </button>
+    )
+  }
+
+  return (
+    <Link to={`/tag/${tag.slug}`} className={classes}>
+      {content}
+    </Link>
+  )
+}
+
+export default TagChip
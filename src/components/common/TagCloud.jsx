@@ -0,0 +1,51 @@
+import React from 'react'
+import { Link } from 'react-router-dom'
+import { getTagColor } from '../../utils/colorUtils'
+
+// Font sizes from the least to the most used tags
+const SIZE_CLASSES = ['text-xs', 'text-sm', 'text-base', 'text-lg', 'text-xl']
+
+/**
+ * A cloud of tags sized by how many posts each has
+ *
+ * @param {Object} props - Component props
+ * @param {Array} props.tags - Tags with name, slug and count (see tagsService.getCloud)
+ * @param {string} props.activeSlug - Slug of the tag being viewed, highlighted in the cloud
+ * @param {string} props.className - Additional CSS classes
+ * @returns {JSX.Element|null} Tag cloud component, or null without tags
+ */
+const TagCloud = ({ tags = [], activeSlug = null, className = '' }) => {
+  if (tags.length === 0) return null
+
+  // Sizes follow the log of the count, so one very popular tag doesn't flatten the rest
+  const weights = tags.map(tag => Math.log(tag.count + 1))
+  const min = Math.min(...weights)
+  const range = Math.max(...weights) - min
+
+  return (
+    <ul className={`flex flex-wrap items-baseline gap-x-4 gap-y-2 ${className}`} aria-label="Tags">
+      {tags.map((tag, index) => {
+        const level = range > 0 ? Math.round(((weights[index] - min) / range) * (SIZE_CLASSES.length - 1)) : 1
+        const active = tag.slug === activeSlug
+        return (
+          <li key={tag.id}>
+            <Link
+              to={`/tag/${tag.slug}`}
+              className={`
+                font-medium transition-colors hover:underline
+                ${SIZE_CLASSES[level]}
+                ${active ? `${getTagColor(tag.slug).bg} px-2 rounded-md text-gray-900` : 'text-gray-700 hover:text-black'}
+              `}
+              aria-current={active ? 'page' : undefined}
+              title={`${tag.count} ${tag.count === 1 ? 'post' : 'posts'}`}
+            >
+              #{tag.name}
+            </Link>
+          </li>
+        )
+      })}
+    </ul>
+  )
+}
+
+export default TagCloud
@@ -0,0 +1,23 @@
+import React from 'react'
+import { useBackendStatus } from '../../hooks/useBackendStatus.js'
+
+/**
+ * BackendStatusNotice - Banner shown while the backend is degraded
+ * Requests fail fast while the circuit breaker is open, so pages show
+ * cached content or an error; this says why.
+ */
+const BackendStatusNotice = () => {
+  const { status } = useBackendStatus()
+
+  if (status !== 'degraded') return null
+
+  return (
+    <div role="status" className="bg-orange-50 border-b border-orange-200">
+      <div className="container-main py-2 text-sm text-orange-800 text-center">
+        <strong>Connection problems:</strong> We're having trouble reaching the server. Some content may be out of date; we'll keep trying in the background.
+      </div>
+    </div>
+  )
+}
+
+export default BackendStatusNotice
@@ -1,10 +1,17 @@
-import React from 'react'
+import React, { useState, useEffect } from 'react'
+import { getDataSource, isMockFallbackEnabled, subscribeToMockFallback } from '../../services/api.js'
 
 const DevelopmentNotice = () => {
-  // Only show if Supabase is not configured
-  const showNotice = !import.meta.env.VITE_SUPABASE_URL || !import.meta.env.VITE_SUPABASE_ANON_KEY
+  const usingMockData = getDataSource() === 'mock'
+  const [fellBack, setFellBack] = useState(false)
 
-  if (!showNotice) return null
+  // Say so whenever a failed live read was answered with mock data
+  useEffect(() => {
+    if (!isMockFallbackEnabled()) return undefined
+    return subscribeToMockFallback(() => setFellBack(true))
+  }, [])
+
+  if (!usingMockData && !fellBack) return null
 
   return (
     <div className="bg-yellow-50 border-l-4 border-yellow-400 p-4 mb-6">
@@ -15,15 +22,22 @@ const DevelopmentNotice = () => {
           </svg>
         </div>
         <div className="ml-3">
-          <p className="text-sm text-yellow-700">
-            <strong>Development Mode:</strong> Supabase is not configured. Using mock data for demonstration. 
-            <br />
-            To connect your database, copy <code className="bg-yellow-100 px-1 rounded">.env.example</code> to <code className="bg-yellow-100 px-1 rounded">.env</code> and add your Supabase credentials.
-          </p>
+          {usingMockData ? (
+            <p className="text-sm text-yellow-700">
+              <strong>Development Mode:</strong> Supabase is not configured. Using mock data for demonstration.
+              <br />
+              To connect your database, copy <code className="bg-yellow-100 px-1 rounded">.env.example</code> to <code className="bg-yellow-100 px-1 rounded">.env</code> and add your Supabase credentials.
+            </p>
+          ) : (
+            <p className="text-sm text-yellow-700">
+              <strong>Mock Fallback:</strong> Some live data could not be loaded, so mock data is shown in its place
+              (<code className="bg-yellow-100 px-1 rounded">VITE_MOCK_FALLBACK=true</code>, development only).
+            </p>
+          )}
         </div>
       </div>
     </div>
   )
 }
 
-export default DevelopmentNotice
\ No newline at end of file
+export default DevelopmentNotice
@@ -1,11 +1,52 @@
 import React from 'react'
+import { Link } from 'react-router-dom'
+import { NotFoundError, NetworkError, ConfigError, PermissionError } from '../../services/errors.js'
 
-const ErrorMessage = ({ 
-  message = 'Something went wrong', 
-  showRetry = false, 
+/**
+ * Title and message to show for an error, by type
+ * Untyped errors fall back to the title/message the caller passed in.
+ * @param {Error|string|null} error - Error from a hook or service
+ * @param {Object} defaults - `{ title, message }` used for untyped errors
+ * @returns {{title: string, message: string}} Text to render
+ */
+const describeError = (error, defaults) => {
+  if (error instanceof NotFoundError) {
+    return { title: defaults.title || 'Not Found', message: error.message }
+  }
+  if (error instanceof NetworkError) {
+    return {
+      title: 'Connection Problem',
+      message: "We couldn't reach the server. Check your connection and try again."
+    }
+  }
+  if (error instanceof PermissionError) {
+    return {
+      title: 'Access Denied',
+      message: "You don't have permission to view this content."
+    }
+  }
+  if (error instanceof ConfigError) {
+    return {
+      title: 'Configuration Problem',
+      // The details only help whoever is setting the blog up
+      message: import.meta.env.DEV ? error.message : 'The blog is not set up correctly. Please try again later.'
+    }
+  }
+  return {
+    title: defaults.title,
+    message: typeof error === 'string' ? error : defaults.message
+  }
+}
+
+const ErrorMessage = ({
+  error = null,
+  message = 'Something went wrong',
+  showRetry = false,
   onRetry,
-  className = '' 
+  className = ''
 }) => {
+  const display = describeError(error, { title: 'Error', message })
+
   return (
     <div className={`bg-red-50 border border-red-200 rounded-lg p-6 ${className}`}>
       <div className="flex items-center">
@@ -13,11 +54,11 @@ const ErrorMessage = ({
           <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 8v4m0 4h.01M21 12a9 9 0 11-18 0 9 9 0 0118 0z" />
         </svg>
         <div className="flex-1">
-          <h3 className="text-red-800 font-medium">Error</h3>
-          <p className="text-red-700 text-sm mt-1">{message}</p>
+          <h3 className="text-red-800 font-medium">{display.title}</h3>
+          <p className="text-red-700 text-sm mt-1">{display.message}</p>
         </div>
       </div>
-      
+
       {showRetry && onRetry && (
         <div className="mt-4">
           <button
@@ -32,19 +73,34 @@ const ErrorMessage = ({
   )
 }
 
-export const ErrorPage = ({ title = 'Page Not Found', message = 'The page you are looking for does not exist.' }) => (
-  <div className="min-h-64 flex flex-col items-center justify-center py-12">
-    <div className="text-center">
-      <h1 className="text-4xl font-bold text-gray-900 mb-4">{title}</h1>
-      <p className="text-lg text-gray-600 mb-8">{message}</p>
-      <a
-        href="/"
-        className="bg-black text-white px-6 py-3 rounded-lg font-medium hover:bg-gray-800 transition-colors border border-gray-400"
-      >
-        Go Home
-      </a>
+export const ErrorPage = ({
+  error = null,
+  title = 'Page Not Found',
+  message = 'The page you are looking for does not exist.',
+  actionLabel = 'Go Home',
+  actionPath = '/',
+  onAction
+}) => {
+  const display = describeError(error, { title, message })
+  const actionClasses = 'bg-black text-white px-6 py-3 rounded-lg font-medium hover:bg-gray-800 transition-colors border border-gray-400'
+
+  return (
+    <div className="min-h-64 flex flex-col items-center justify-center py-12">
+      <div className="text-center">
+        <h1 className="text-4xl font-bold text-gray-900 mb-4">{display.title}</h1>
+        <p className="text-lg text-gray-600 mb-8">{display.message}</p>
+        {onAction ? (
+          <button onClick={onAction} className={actionClasses}>
+            {actionLabel}
+          </button>
+        ) : (
+          <Link to={actionPath} className={actionClasses}>
+            {actionLabel}
+          </Link>
+        )}
+      </div>
     </div>
-  </div>
-)
+  )
+}
 
-export default ErrorMessage
\ No newline at end of file
+export default ErrorMessage
@@ -1,2 +1,7 @@
 export * from './useInterval';
 export * from './useAutoRotate';
+export * from './useCacheUpdates';
+export * from './useBackendStatus';
+export * from './useLiveEngagement';
+export * from './useCommandPalette';
+export * from './useEditor';
@@ -0,0 +1,12 @@
+// Subscribe a component to the backend health reported by the request policy
+// (see services/request.js): 'degraded' while the circuit breaker is open.
+import { useSyncExternalStore } from 'react';
+import { getBackendStatus, subscribeToBackendStatus } from '../services/api';
+
+/**
+ * useBackendStatus
+ * @returns {{status: string, circuit: string, retryAt: number|null}} Latest backend status ('ok' or 'degraded')
+ */
+export function useBackendStatus() {
+  return useSyncExternalStore(subscribeToBackendStatus, getBackendStatus);
+}
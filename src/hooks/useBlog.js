@@ -3,60 +3,194 @@
  * 
  * This file contains all the custom hooks for managing blog data and user interactions.
  * Each hook encapsulates specific functionality to make components cleaner and more focused.
+ *
+ * Read hooks expose `error` as the typed error from services/errors.js (or null),
+ * ready to hand to ErrorMessage / ErrorPage.
  */
 
-import { useState, useEffect, useCallback } from 'react'
-import { postsService, categoriesService, engagementService } from '../services/api.js'
+import { useState, useEffect, useCallback, useMemo, useRef } from 'react'
+import { postsService, categoriesService, tagsService, authorsService, seriesService, engagementService, CACHE_KEYS, TRENDING_WINDOWS } from '../services/api.js'
+import { useCacheUpdates } from './useCacheUpdates.js'
+import { NotFoundError, ValidationError } from '../services/errors.js'
+import { dateUtils, storageUtils } from '../utils/helpers.js'
+import { signInAnonymously } from '../services/supabase.js'
 
 /**
- * Hook for fetching and managing posts with pagination
+ * Replace an already loaded page with its refreshed version
+ * Pages that aren't loaded yet are left alone so they load via loadMore.
+ *
+ * @param {Array} pages - Loaded pages as `{ cursor, items, nextCursor }`
+ * @param {string|null} cursor - Cursor the refreshed page was requested with
+ * @param {Object} page - Refreshed page (`{ items, nextCursor }`)
+ * @returns {Array} Updated pages
+ */
+const replacePage = (pages, cursor, page) => {
+  return pages.map(loaded => loaded.cursor === cursor
+    ? { cursor, items: page.items, nextCursor: page.nextCursor }
+    : loaded
+  )
+}
+
+/**
+ * Flatten loaded pages into one list of posts
+ * A refreshed page can overlap its neighbour, so each post is kept once.
+ *
+ * @param {Array} pages - Loaded pages
+ * @returns {Array} Posts in page order
+ */
+const flattenPages = (pages) => {
+  const seen = new Set()
+  return pages
+    .flatMap(page => page.items)
+    .filter(post => !seen.has(post.id) && seen.add(post.id))
+}
+
+/**
+ * Shared paging state of a post listing page (e.g. the posts with a tag)
+ * Every new fetchPage starts a new listing. Responses that belong to an earlier
+ * one (the previous slug or month, or a load more still pending for it) are
+ * dropped, so they can't overwrite or extend the current listing.
+ *
+ * @param {Function|null} fetchPage - Memoized; called as `fetchPage(cursor, isStale)`, resolves with a page (`{ items, nextCursor, total }`) or throws. State it sets itself after an await must be skipped once `isStale()` is true. Null while there is nothing to list
+ * @param {string} description - What is listed, for error logs
+ * @returns {Object} Posts, total, loading/error states, loadMore and retry, plus `applyRefresh(cursor, page)` to put a refreshed cached page in place
+ */
+const usePagedPosts = (fetchPage, description) => {
+  const [pages, setPages] = useState([])
+  const [total, setTotal] = useState(0)
+  const [loading, setLoading] = useState(true)
+  const [loadingMore, setLoadingMore] = useState(false)
+  const [error, setError] = useState(null)
+  // Bumped for every new listing; load more keeps the listing's number
+  const requestRef = useRef(0)
+
+  const load = useCallback(async (cursor = null) => {
+    if (!fetchPage) return
+
+    const isLoadMore = cursor !== null
+    const request = isLoadMore ? requestRef.current : ++requestRef.current
+    const isStale = () => request !== requestRef.current
+
+    try {
+      if (!isLoadMore) {
+        setLoading(true)
+        // A load more still pending for the previous listing won't finish it
+        setLoadingMore(false)
+      } else {
+        setLoadingMore(true)
+      }
+      
+      setError(null)
+      
+      const page = await fetchPage(cursor, isStale)
+      if (isStale()) return
+      const loaded = { cursor, items: page.items, nextCursor: page.nextCursor }
+      
+      if (isLoadMore) {
+        setPages(prevPages => [...prevPages, loaded])
+      } else {
+        setPages([loaded])
+      }
+      
+      setTotal(page.total)
+      
+    } catch (err) {
+      if (isStale()) return
+      if (!(err instanceof NotFoundError)) console.error(`Error fetching ${description}:`, err)
+      setError(err)
+    } finally {
+      if (!isStale()) {
+        setLoading(false)
+        setLoadingMore(false)
+      }
+    }
+  }, [fetchPage, description])
+
+  const nextCursor = pages.length > 0 ? pages[pages.length - 1].nextCursor : null
+
+  const loadMore = useCallback(() => {
+    if (nextCursor) load(nextCursor)
+  }, [nextCursor, load])
+
+  const retry = useCallback(() => {
+    load()
+  }, [load])
+
+  useEffect(() => {
+    setPages([])
+    setLoading(true)
+    load()
+  }, [load])
+
+  const applyRefresh = useCallback((cursor, page) => {
+    setPages(prevPages => replacePage(prevPages, cursor, page))
+    setTotal(page.total)
+  }, [])
+
+  const posts = useMemo(() => flattenPages(pages), [pages])
+
+  return {
+    posts,
+    total,
+    loading,
+    loadingMore,
+    error,
+    hasMore: nextCursor !== null,
+    loadMore,
+    retry,
+    applyRefresh
+  }
+}
+
+/**
+ * Hook for fetching and managing posts with cursor pagination
  * 
  * @param {number} initialLimit - Number of posts to fetch per page
- * @returns {Object} Post data and control functions
+ * @returns {Object} Post data (including the total number of posts) and control functions
  */
 export const usePosts = (initialLimit = 6) => {
-  const [posts, setPosts] = useState([])
+  const [pages, setPages] = useState([])
+  const [total, setTotal] = useState(0)
   const [loading, setLoading] = useState(true)
   const [loadingMore, setLoadingMore] = useState(false)
   const [error, setError] = useState(null)
-  const [hasMore, setHasMore] = useState(true)
-  const [page, setPage] = useState(0)
 
-  const fetchPosts = useCallback(async (pageNum = 0, isLoadMore = false) => {
+  const fetchPosts = useCallback(async (cursor = null) => {
+    const isLoadMore = cursor !== null
+
     try {
       if (!isLoadMore) setLoading(true)
       else setLoadingMore(true)
       
       setError(null)
       
-      const offset = pageNum * initialLimit
-      const newPosts = await postsService.getPublished(initialLimit, offset)
+      const page = await postsService.getPublished(initialLimit, cursor)
+      const loaded = { cursor, items: page.items, nextCursor: page.nextCursor }
       
       if (isLoadMore) {
-        setPosts(prevPosts => [...prevPosts, ...newPosts])
+        setPages(prevPages => [...prevPages, loaded])
       } else {
-        setPosts(newPosts)
+        setPages([loaded])
       }
       
-      setHasMore(newPosts.length === initialLimit)
+      setTotal(page.total)
       
     } catch (err) {
       console.error('Error fetching posts:', err)
-      setError('Failed to load posts')
+      setError(err)
     } finally {
       setLoading(false)
       setLoadingMore(false)
     }
   }, [initialLimit])
 
+  const nextCursor = pages.length > 0 ? pages[pages.length - 1].nextCursor : null
+
   const loadMore = useCallback(() => {
-    const nextPage = page + 1
-    setPage(nextPage)
-    fetchPosts(nextPage, true)
-  }, [page, fetchPosts])
+    if (nextCursor) fetchPosts(nextCursor)
+  }, [nextCursor, fetchPosts])
 
   const retry = useCallback(() => {
-    setPage(0)
     fetchPosts()
   }, [fetchPosts])
 
@@ -64,12 +198,22 @@ export const usePosts = (initialLimit = 6) => {
     fetchPosts()
   }, [fetchPosts])
 
+  // Swap in pages that were refreshed in the background
+  useCacheUpdates(CACHE_KEYS.publishedPosts, (page, [limit, cursor]) => {
+    if (limit !== initialLimit) return
+    setPages(prevPages => replacePage(prevPages, cursor, page))
+    setTotal(page.total)
+  })
+
+  const posts = useMemo(() => flattenPages(pages), [pages])
+
   return {
     posts,
+    total,
     loading,
     loadingMore,
     error,
-    hasMore,
+    hasMore: nextCursor !== null,
     loadMore,
     retry
   }
@@ -97,14 +241,14 @@ export const usePost = (slug) => {
         const postData = await postsService.getBySlug(slug)
         
         if (!postData) {
-          setError('Post not found')
+          setError(new NotFoundError("The post you're looking for doesn't exist."))
           return
         }
 
         setPost(postData)
       } catch (err) {
         console.error('Error fetching post:', err)
-        setError('Failed to load post')
+        setError(err)
       } finally {
         setLoading(false)
       }
@@ -113,6 +257,10 @@ export const usePost = (slug) => {
     fetchPost()
   }, [slug])
 
+  useCacheUpdates(CACHE_KEYS.postBySlug, (data, [postSlug]) => {
+    if (postSlug === slug && data) setPost(data)
+  })
+
   return { post, loading, error }
 }
 
@@ -136,7 +284,7 @@ export const useCategories = () => {
         setCategories(data)
       } catch (err) {
         console.error('Error fetching categories:', err)
-        setError('Failed to load categories')
+        setError(err)
       } finally {
         setLoading(false)
       }
@@ -145,6 +293,8 @@ export const useCategories = () => {
     fetchCategories()
   }, [])
 
+  useCacheUpdates(CACHE_KEYS.categories, setCategories)
+
   return { categories, loading, error }
 }
 
@@ -165,32 +315,24 @@ export const usePostEngagement = (post) => {
   useEffect(() => {
     if (!post) return
 
-    const viewedPosts = JSON.parse(sessionStorage.getItem('viewedPosts') || '[]')
     const likedPosts = JSON.parse(localStorage.getItem('likedPosts') || '[]')
     
-    setViewed(viewedPosts.includes(post.id))
+    setViewed(false)
     setLiked(likedPosts.includes(post.id))
     setViewCount(post.views || 0)
     setLikeCount(post.likes || 0)
   }, [post])
 
-  // Track view once
+  // Track view once per mount; the backend decides whether it counts
   const trackView = useCallback(async () => {
     if (!post || viewed) return
 
     try {
-      const newCount = await postsService.incrementViews(post.id)
+      const newCount = await postsService.trackView(post.id)
       if (typeof newCount === 'number' && Number.isFinite(newCount)) {
         setViewCount(newCount)
-      } else {
-        setViewCount(prev => prev + 1)
       }
       setViewed(true)
-
-      // Store in session storage
-      const viewedPosts = JSON.parse(sessionStorage.getItem('viewedPosts') || '[]')
-      viewedPosts.push(post.id)
-      sessionStorage.setItem('viewedPosts', JSON.stringify(viewedPosts))
     } catch (error) {
       console.error('Error tracking view:', error)
     }
@@ -247,94 +389,490 @@ export const usePostEngagement = (post) => {
 }
 
 /**
- * Hook for fetching posts by category
+ * Add or remove a post from the browser's liked-post list
+ * @param {string} postId - The ID of the post
+ * @param {boolean} liked - Whether the post is now liked
+ */
+const rememberLike = (postId, liked) => {
+  try {
+    const likedPosts = JSON.parse(localStorage.getItem('likedPosts') || '[]').filter(id => id !== postId)
+    if (liked) likedPosts.push(postId)
+    localStorage.setItem('likedPosts', JSON.stringify(likedPosts))
+  } catch {
+    // ignore localStorage errors
+  }
+}
+
+/**
+ * Hook for like counts and liked state of a list of posts (cards)
+ * Counts and flags for the whole list are fetched in one batch, follow other
+ * readers' likes live, and can be toggled from the cards.
+ *
+ * @param {Array} posts - Posts shown in the list
+ * @returns {Object} `likeCounts` and `likedPosts` by post ID, and `toggleLike(postId)`
+ */
+export const usePostsEngagement = (posts) => {
+  const [likeCounts, setLikeCounts] = useState({})
+  const [likedPosts, setLikedPosts] = useState({})
+
+  // Only refetch when the set of posts changes, not on every new array
+  const idsKey = posts.map(post => post.id).join(',')
+  const postIds = useMemo(() => (idsKey ? idsKey.split(',') : []), [idsKey])
+
+  useEffect(() => {
+    if (postIds.length === 0) return undefined
+    let cancelled = false
+
+    const fetchEngagement = async () => {
+      try {
+        const auth = await signInAnonymously()
+        const [counts, liked] = await Promise.all([
+          engagementService.getLikesForPosts(postIds),
+          engagementService.getLikedStateForPosts(postIds, auth?.user?.id)
+        ])
+        if (cancelled) return
+        setLikeCounts(prev => ({ ...prev, ...counts }))
+        setLikedPosts(prev => ({ ...prev, ...liked }))
+      } catch (err) {
+        // Cards keep showing the counts embedded in the posts
+        console.warn('Failed to load likes for posts', err)
+      }
+    }
+
+    fetchEngagement()
+    return () => {
+      cancelled = true
+    }
+  }, [postIds])
+
+  // Likes from other readers
+  useEffect(() => {
+    return engagementService.subscribeToLikes(postIds, (counts) => {
+      setLikeCounts(prev => ({ ...prev, ...counts }))
+    })
+  }, [postIds])
+
+  const toggleLike = useCallback(async (postId) => {
+    const wasLiked = Boolean(likedPosts[postId])
+    const post = posts.find(item => item.id === postId)
+    const previousCount = likeCounts[postId] ?? post?.likes ?? 0
+
+    // Optimistic update
+    setLikedPosts(prev => ({ ...prev, [postId]: !wasLiked }))
+    setLikeCounts(prev => ({ ...prev, [postId]: Math.max(0, previousCount + (wasLiked ? -1 : 1)) }))
+    rememberLike(postId, !wasLiked)
+
+    try {
+      const newCount = await engagementService.toggleLike(postId, wasLiked)
+      if (typeof newCount === 'number' && Number.isFinite(newCount)) {
+        setLikeCounts(prev => ({ ...prev, [postId]: newCount }))
+      }
+    } catch (error) {
+      console.error('Error toggling like:', error)
+      setLikedPosts(prev => ({ ...prev, [postId]: wasLiked }))
+      setLikeCounts(prev => ({ ...prev, [postId]: previousCount }))
+      rememberLike(postId, wasLiked)
+    }
+  }, [posts, likeCounts, likedPosts])
+
+  return {
+    likeCounts,
+    likedPosts,
+    toggleLike
+  }
+}
+
+/**
+ * Hook for fetching posts by category with cursor pagination
+ * Changing the sort or a filter starts the listing over from the first page.
  * 
  * @param {string} categorySlug - The category slug to filter posts by
  * @param {number} initialLimit - Number of posts to fetch per page
- * @returns {Object} Category posts data and control functions
+ * @param {Object} filters - Sorting and filters (see postsService.getByCategory)
+ * @param {string} filters.sort - 'newest', 'oldest', 'views' or 'likes'
+ * @param {string|null} filters.from - First month to include ('YYYY-MM')
+ * @param {string|null} filters.to - Last month to include ('YYYY-MM')
+ * @param {string|null} filters.length - Reading time: 'short', 'medium' or 'long'
+ * @param {boolean} filters.includeChildren - Also list the posts of subcategories
+ * @returns {Object} Category posts data (including the total number of matching posts) and control functions
  */
-export const useCategoryPosts = (categorySlug, initialLimit = 6) => {
-  const [posts, setPosts] = useState([])
+export const useCategoryPosts = (categorySlug, initialLimit = 6, { sort = 'newest', from = null, to = null, length = null, includeChildren = false } = {}) => {
   const [category, setCategory] = useState(null)
-  const [loading, setLoading] = useState(true)
-  const [loadingMore, setLoadingMore] = useState(false)
+
+  const fetchCategoryPosts = useCallback(async (cursor, isStale) => {
+    // Get category info when starting a new listing
+    if (cursor === null) {
+      const categoryData = await categoriesService.getBySlug(categorySlug)
+      if (isStale()) return null
+      setCategory(categoryData)
+      if (!categoryData) throw new NotFoundError("The category you're looking for doesn't exist.")
+    }
+    
+    return postsService.getByCategory(categorySlug, initialLimit, cursor, { sort, from, to, length, includeChildren })
+  }, [categorySlug, initialLimit, sort, from, to, length, includeChildren])
+
+  const { applyRefresh, ...listing } = usePagedPosts(categorySlug ? fetchCategoryPosts : null, `posts for category "${categorySlug}"`)
+
+  useCacheUpdates(CACHE_KEYS.categoryPosts, (page, [slug, limit, cursor, filters]) => {
+    if (slug !== categorySlug || limit !== initialLimit) return
+    if (filters.sort !== sort || filters.from !== from || filters.to !== to || filters.length !== length) return
+    if (filters.includeChildren !== includeChildren) return
+    applyRefresh(cursor, page)
+  })
+
+  return { ...listing, category }
+}
+
+/**
+ * Hook for fetching posts with a tag, with cursor pagination
+ * 
+ * @param {string} tagSlug - The tag slug to filter posts by
+ * @param {number} initialLimit - Number of posts to fetch per page
+ * @returns {Object} Tag posts data (including the total number of posts) and control functions
+ */
+export const useTagPosts = (tagSlug, initialLimit = 6) => {
+  const [tag, setTag] = useState(null)
+
+  const fetchTagPosts = useCallback(async (cursor, isStale) => {
+    // Get tag info when starting a new listing
+    if (cursor === null) {
+      const tagData = await tagsService.getBySlug(tagSlug)
+      if (isStale()) return null
+      setTag(tagData)
+      if (!tagData) throw new NotFoundError("The tag you're looking for doesn't exist.")
+    }
+    
+    return postsService.getByTag(tagSlug, initialLimit, cursor)
+  }, [tagSlug, initialLimit])
+
+  const { applyRefresh, ...listing } = usePagedPosts(tagSlug ? fetchTagPosts : null, `posts for tag "${tagSlug}"`)
+
+  useCacheUpdates(CACHE_KEYS.tagPosts, (page, [slug, limit, cursor]) => {
+    if (slug !== tagSlug || limit !== initialLimit) return
+    applyRefresh(cursor, page)
+  })
+
+  return { ...listing, tag }
+}
+
+/**
+ * Hook for fetching an author's posts with cursor pagination
+ * 
+ * @param {string} authorSlug - The author slug to filter posts by
+ * @param {number} initialLimit - Number of posts to fetch per page
+ * @returns {Object} Author, their posts (including the total number of posts) and control functions
+ */
+export const useAuthorPosts = (authorSlug, initialLimit = 6) => {
+  const [author, setAuthor] = useState(null)
+
+  const fetchAuthorPosts = useCallback(async (cursor, isStale) => {
+    // Get the author's profile when starting a new listing
+    if (cursor === null) {
+      const authorData = await authorsService.getBySlug(authorSlug)
+      if (isStale()) return null
+      setAuthor(authorData)
+      if (!authorData) throw new NotFoundError("The author you're looking for doesn't exist.")
+    }
+    
+    return postsService.getByAuthor(authorSlug, initialLimit, cursor)
+  }, [authorSlug, initialLimit])
+
+  const { applyRefresh, ...listing } = usePagedPosts(authorSlug ? fetchAuthorPosts : null, `posts for author "${authorSlug}"`)
+
+  useCacheUpdates(CACHE_KEYS.authorPosts, (page, [slug, limit, cursor]) => {
+    if (slug !== authorSlug || limit !== initialLimit) return
+    applyRefresh(cursor, page)
+  })
+
+  return { ...listing, author }
+}
+
+/**
+ * Hook for a series and its parts in reading order
+ * 
+ * @param {string|null} seriesSlug - The series slug (null for none, e.g. a post outside any series)
+ * @returns {Object} Series, its published parts and loading/error states
+ */
+export const useSeries = (seriesSlug) => {
+  const [series, setSeries] = useState(null)
+  const [parts, setParts] = useState([])
+  const [loading, setLoading] = useState(Boolean(seriesSlug))
   const [error, setError] = useState(null)
-  const [hasMore, setHasMore] = useState(true)
-  const [page, setPage] = useState(0)
+  // Bumped for every fetch, so a series the reader has moved away from can't land
+  const requestRef = useRef(0)
+
+  const fetchSeries = useCallback(async () => {
+    const request = ++requestRef.current
+    const isStale = () => request !== requestRef.current
 
-  const fetchCategoryPosts = useCallback(async (pageNum = 0, isLoadMore = false) => {
-    if (!categorySlug) return
+    if (!seriesSlug) {
+      setSeries(null)
+      setParts([])
+      setLoading(false)
+      return
+    }
 
     try {
-      if (!isLoadMore) setLoading(true)
-      else setLoadingMore(true)
-      
+      setLoading(true)
       setError(null)
-      
-      // Get category info if not loaded yet
-      let categoryData = category;
-      if (!categoryData) {
-        categoryData = await categoriesService.getBySlug(categorySlug)
-        if (!categoryData) {
-          setError('Category not found')
-          setCategory(null) // Explicitly set to null on error
-          setLoading(false)
-          setLoadingMore(false)
-          return
-        }
-        setCategory(categoryData)
+
+      const seriesData = await seriesService.getBySlug(seriesSlug)
+      if (isStale()) return
+      if (!seriesData) {
+        setError(new NotFoundError("The series you're looking for doesn't exist."))
+        setSeries(null)
+        setParts([])
+        return
       }
-      
-      const offset = pageNum * initialLimit
-      const newPosts = await postsService.getByCategory(categorySlug, initialLimit, offset)
-      
-      if (isLoadMore) {
-        setPosts(prevPosts => [...prevPosts, ...newPosts])
-      } else {
-        setPosts(newPosts)
+
+      const seriesParts = await postsService.getBySeries(seriesData.id)
+      if (isStale()) return
+      setParts(seriesParts)
+      setSeries(seriesData)
+    } catch (err) {
+      if (isStale()) return
+      console.error(`Error fetching series "${seriesSlug}":`, err)
+      setError(err)
+    } finally {
+      if (!isStale()) setLoading(false)
+    }
+  }, [seriesSlug])
+
+  useEffect(() => {
+    fetchSeries()
+  }, [fetchSeries])
+
+  useCacheUpdates(CACHE_KEYS.seriesPosts, (freshParts, [seriesId]) => {
+    if (seriesId === series?.id) setParts(freshParts)
+  })
+
+  return { series, parts, loading, error, retry: fetchSeries }
+}
+
+/**
+ * Hook for the parts of a series the reader has opened (kept in localStorage)
+ * 
+ * @param {string|null} seriesId - The series ID
+ * @param {string|null} currentPostId - A part being read now, recorded as opened
+ * @returns {Set<string>} IDs of the opened parts
+ */
+export const useSeriesProgress = (seriesId, currentPostId = null) => {
+  const [readIds, setReadIds] = useState(() => new Set(seriesId ? storageUtils.getSeriesProgress(seriesId) : []))
+
+  useEffect(() => {
+    if (!seriesId) {
+      setReadIds(new Set())
+      return
+    }
+    const read = currentPostId
+      ? storageUtils.addSeriesPart(seriesId, currentPostId)
+      : storageUtils.getSeriesProgress(seriesId)
+    setReadIds(new Set(read))
+  }, [seriesId, currentPostId])
+
+  return readIds
+}
+
+/**
+ * Hook for the posts archive: how many posts were published in each month
+ * 
+ * @returns {Object} Months (`{ year, month, count }`, newest first) and loading/error states
+ */
+export const useArchive = () => {
+  const [months, setMonths] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+
+  const fetchArchive = useCallback(async () => {
+    try {
+      setLoading(true)
+      setError(null)
+
+      setMonths(await postsService.getArchive())
+    } catch (err) {
+      console.error('Error fetching archive:', err)
+      setError(err)
+    } finally {
+      setLoading(false)
+    }
+  }, [])
+
+  useEffect(() => {
+    fetchArchive()
+  }, [fetchArchive])
+
+  useCacheUpdates(CACHE_KEYS.archive, setMonths)
+
+  return { months, loading, error, retry: fetchArchive }
+}
+
+/**
+ * Hook for the posts published in a year or month, with pagination
+ * 
+ * @param {number|null} year - Full year, or null for every published post
+ * @param {number|null} month - Month (1-12), or null for the whole year
+ * @param {number} initialLimit - Number of posts to fetch per page
+ * @returns {Object} Posts (including the total number in the period) and control functions
+ */
+export const useArchivePosts = (year = null, month = null, initialLimit = 12) => {
+  const fetchArchivePosts = useCallback(async (cursor) => {
+    try {
+      return await postsService.getArchivePosts(year, month, initialLimit, cursor)
+    } catch (err) {
+      // A year or month that can't exist is a page that doesn't exist
+      if (err instanceof ValidationError) {
+        throw new NotFoundError("The archive page you're looking for doesn't exist.", { cause: err })
       }
-      
-      setHasMore(newPosts.length === initialLimit)
-      
+      throw err
+    }
+  }, [year, month, initialLimit])
+
+  const { applyRefresh, ...listing } = usePagedPosts(
+    fetchArchivePosts,
+    `archive posts for ${year ?? 'all years'}/${month ?? 'all months'}`
+  )
+
+  // Period the cached pages were fetched for (none for invalid params, which never load)
+  const range = useMemo(() => {
+    const valid = Number.isInteger(year) && (month === null || Number.isInteger(month))
+    return valid ? dateUtils.getPeriodRange(year, month) : null
+  }, [year, month])
+
+  useCacheUpdates(CACHE_KEYS.archivePosts, (page, [from, to, limit, cursor]) => {
+    if (!range || from !== range.from || to !== range.to || limit !== initialLimit) return
+    applyRefresh(cursor, page)
+  })
+
+  useCacheUpdates(CACHE_KEYS.publishedPosts, (page, [limit, cursor]) => {
+    // Without a year the archive is the list of published posts
+    if (year !== null || limit !== initialLimit) return
+    applyRefresh(cursor, page)
+  })
+
+  return listing
+}
+
+/**
+ * Hook for the tag cloud: tags that have published posts, with their counts
+ * 
+ * @param {number|null} limit - Keep only the most used tags (null for all)
+ * @returns {Object} Tags (`{ ...tag, count }`) and loading/error states
+ */
+export const useTagCloud = (limit = null) => {
+  const [tags, setTags] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+
+  const fetchTags = useCallback(async () => {
+    try {
+      setLoading(true)
+      setError(null)
+
+      setTags(await tagsService.getCloud({ limit }))
     } catch (err) {
-      console.error(`Error fetching posts for category "${categorySlug}":`, err)
-      setError('Failed to load category posts')
+      console.error('Error fetching tag cloud:', err)
+      setError(err)
     } finally {
       setLoading(false)
-      setLoadingMore(false)
     }
-  }, [categorySlug, category, initialLimit])
+  }, [limit])
 
-  const loadMore = useCallback(() => {
-    const nextPage = page + 1
-    setPage(nextPage)
-    fetchCategoryPosts(nextPage, true)
-  }, [page, fetchCategoryPosts])
+  useEffect(() => {
+    fetchTags()
+  }, [fetchTags])
 
-  const retry = useCallback(() => {
-    setPage(0)
-    fetchCategoryPosts()
-  }, [fetchCategoryPosts])
+  // The cloud combines tags and counts, so rebuild it when either is refreshed
+  useCacheUpdates(CACHE_KEYS.tags, fetchTags)
+  useCacheUpdates(CACHE_KEYS.tagCounts, fetchTags)
+
+  return { tags, loading, error, retry: fetchTags }
+}
+
+/**
+ * Hook for full-text search results, one page at a time
+ * 
+ * @param {string} query - Search text (an empty query yields no results)
+ * @param {Object} options - Search options
+ * @param {string|null} options.category - Category slug to search in
+ * @param {number} options.page - Page number, starting at 1
+ * @param {number} options.pageSize - Results per page
+ * @returns {Object} Results (`{ post, rank, snippet }`), total matches, loading/error states and retry
+ */
+export const useSearch = (query, { category = null, page = 1, pageSize = 10 } = {}) => {
+  const [results, setResults] = useState([])
+  const [total, setTotal] = useState(0)
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState(null)
+
+  const fetchResults = useCallback(async () => {
+    try {
+      setLoading(true)
+      setError(null)
+
+      const result = await postsService.search(query, { category, page, pageSize })
+      setResults(result.items)
+      setTotal(result.total)
+    } catch (err) {
+      console.error(`Error searching for "${query}":`, err)
+      setError(err)
+    } finally {
+      setLoading(false)
+    }
+  }, [query, category, page, pageSize])
 
   useEffect(() => {
-    // Don't reset category immediately to prevent UI flashing
-    setPage(0)
-    setPosts([])
-    setLoading(true)
-    // Only after fetching completes will category be updated
-    fetchCategoryPosts()
-  }, [categorySlug, fetchCategoryPosts])
+    fetchResults()
+  }, [fetchResults])
 
-  return {
-    posts,
-    category,
-    loading,
-    loadingMore,
-    error,
-    hasMore,
-    loadMore,
-    retry
-  }
+  useCacheUpdates(CACHE_KEYS.search, (result, [text, options]) => {
+    if (text !== query?.trim() || options.categorySlug !== (category || null)) return
+    if (options.limit !== pageSize || options.offset !== (page - 1) * pageSize) return
+    setResults(result.items)
+    setTotal(result.total)
+  })
+
+  return { results, total, loading, error, retry: fetchResults }
+}
+
+/**
+ * Hook for the posts readers are engaging with most in a time window
+ * 
+ * @param {string} period - Key of TRENDING_WINDOWS ('24h', '7d' or '30d')
+ * @param {Object} options - Trending options
+ * @param {string|null} options.category - Category slug to rank posts in
+ * @param {number} options.limit - Number of posts
+ * @returns {Object} Trending items (`{ post, score, views, likes }`), loading/error states and retry
+ */
+export const useTrending = (period = '7d', { category = null, limit = 5 } = {}) => {
+  const [items, setItems] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+
+  const fetchTrending = useCallback(async () => {
+    try {
+      setLoading(true)
+      setError(null)
+
+      setItems(await postsService.getTrending(period, { category, limit }))
+    } catch (err) {
+      console.error(`Error fetching trending posts (${period}):`, err)
+      setError(err)
+    } finally {
+      setLoading(false)
+    }
+  }, [period, category, limit])
+
+  useEffect(() => {
+    fetchTrending()
+  }, [fetchTrending])
+
+  useCacheUpdates(CACHE_KEYS.trendingPosts, (result, [windowHours, options]) => {
+    if (windowHours !== TRENDING_WINDOWS[period]) return
+    if (options.categorySlug !== (category || null) || options.limit !== limit) return
+    setItems(result)
+  })
+
+  return { items, loading, error, retry: fetchTrending }
 }
 
 /**
@@ -354,11 +892,11 @@ export const useFeaturedPosts = (limit = 5) => {
         setLoading(true)
         setError(null)
         
-        const posts = await postsService.getPublished(limit, 0)
-        setFeaturedPosts(posts)
+        const page = await postsService.getPublished(limit)
+        setFeaturedPosts(page.items)
       } catch (err) {
         console.error('Error fetching featured posts:', err)
-        setError('Failed to load featured posts')
+        setError(err)
       } finally {
         setLoading(false)
       }
@@ -367,11 +905,18 @@ export const useFeaturedPosts = (limit = 5) => {
     fetchFeaturedPosts()
   }, [limit])
 
+  useCacheUpdates(CACHE_KEYS.publishedPosts, (page, [pageLimit, cursor]) => {
+    if (pageLimit === limit && cursor === null) setFeaturedPosts(page.items)
+  })
+
   return { featuredPosts, loading, error }
 }
 
 /**
  * Hook for managing blog posts in the admin panel
+ * Failed actions keep the typed error in `error` (e.g. PermissionError when the
+ * backend refuses the write), and a ValidationError's per-field messages in
+ * `fieldErrors`.
  * 
  * @returns {Object} Admin post management functions and state
  */
@@ -380,8 +925,23 @@ export const useAdminPosts = () => {
   const [loading, setLoading] = useState(true)
   const [loadingAction, setLoadingAction] = useState(false)
   const [error, setError] = useState(null)
+  const [fieldErrors, setFieldErrors] = useState({})
   const [actionMessage, setActionMessage] = useState(null)
 
+  // Start an action afresh
+  const beginAction = () => {
+    setLoadingAction(true)
+    setError(null)
+    setFieldErrors({})
+    setActionMessage(null)
+  }
+
+  // Keep the error as thrown so callers can tell invalid fields and refused writes apart
+  const failAction = (err) => {
+    setError(err)
+    setFieldErrors(err instanceof ValidationError ? err.fields : {})
+  }
+
   // Fetch all posts for admin
   useEffect(() => {
     const fetchPosts = async () => {
@@ -393,7 +953,7 @@ export const useAdminPosts = () => {
         setPosts(allPosts)
       } catch (err) {
         console.error('Error fetching posts for admin:', err)
-        setError('Failed to load posts. Please try again.')
+        setError(err)
       } finally {
         setLoading(false)
       }
@@ -405,9 +965,7 @@ export const useAdminPosts = () => {
   // Create a new post
   const createPost = async (postData) => {
     try {
-      setLoadingAction(true)
-      setError(null)
-      setActionMessage(null)
+      beginAction()
       
       const newPost = await postsService.create(postData)
       setPosts(prevPosts => [newPost, ...prevPosts])
@@ -416,7 +974,7 @@ export const useAdminPosts = () => {
       return newPost
     } catch (err) {
       console.error('Error creating post:', err)
-      setError('Failed to create post. Please try again.')
+      failAction(err)
       return null
     } finally {
       setLoadingAction(false)
@@ -426,9 +984,7 @@ export const useAdminPosts = () => {
   // Update an existing post
   const updatePost = async (id, postData) => {
     try {
-      setLoadingAction(true)
-      setError(null)
-      setActionMessage(null)
+      beginAction()
       
       const updatedPost = await postsService.update(id, postData)
       setPosts(prevPosts => 
@@ -439,7 +995,7 @@ export const useAdminPosts = () => {
       return updatedPost
     } catch (err) {
       console.error(`Error updating post ${id}:`, err)
-      setError('Failed to update post. Please try again.')
+      failAction(err)
       return null
     } finally {
       setLoadingAction(false)
@@ -449,9 +1005,7 @@ export const useAdminPosts = () => {
   // Delete a post
   const deletePost = async (id) => {
     try {
-      setLoadingAction(true)
-      setError(null)
-      setActionMessage(null)
+      beginAction()
       
       await postsService.delete(id)
       setPosts(prevPosts => prevPosts.filter(post => post.id !== id))
@@ -460,7 +1014,7 @@ export const useAdminPosts = () => {
       return true
     } catch (err) {
       console.error(`Error deleting post ${id}:`, err)
-      setError('Failed to delete post. Please try again.')
+      failAction(err)
       return false
     } finally {
       setLoadingAction(false)
@@ -470,9 +1024,7 @@ export const useAdminPosts = () => {
   // Publish or unpublish a post
   const togglePublishStatus = async (id, currentStatus) => {
     try {
-      setLoadingAction(true)
-      setError(null)
-      setActionMessage(null)
+      beginAction()
       
       const newStatus = !currentStatus
       const updatedPost = await postsService.update(id, { published: newStatus })
@@ -488,7 +1040,7 @@ export const useAdminPosts = () => {
       return updatedPost
     } catch (err) {
       console.error(`Error toggling publish status for post ${id}:`, err)
-      setError('Failed to update publish status. Please try again.')
+      failAction(err)
       return null
     } finally {
       setLoadingAction(false)
@@ -499,6 +1051,7 @@ export const useAdminPosts = () => {
   const clearMessages = () => {
     setActionMessage(null)
     setError(null)
+    setFieldErrors({})
   }
 
   return {
@@ -506,6 +1059,7 @@ export const useAdminPosts = () => {
     loading,
     loadingAction,
     error,
+    fieldErrors,
     actionMessage,
     createPost,
     updatePost,
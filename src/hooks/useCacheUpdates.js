@@ -0,0 +1,26 @@
+// Subscribe a component to fresh data arriving in the data cache
+// (e.g. when a stale-while-revalidate refresh completes in the background).
+import { useEffect, useRef } from 'react';
+import { subscribeToCache } from '../utils/dataService';
+
+/**
+ * useCacheUpdates
+ * Calls the latest onUpdate whenever fresh data for cacheKey is stored.
+ * @param {string} cacheKey - Cache key prefix given to createCacheableFetch (see CACHE_KEYS in services/api.js)
+ * @param {(data: any, args: Array) => void} onUpdate - Receives the fresh data and the arguments it was fetched with
+ */
+export function useCacheUpdates(cacheKey, onUpdate) {
+  const savedCallback = useRef(onUpdate);
+
+  useEffect(() => {
+    savedCallback.current = onUpdate;
+  }, [onUpdate]);
+
+  useEffect(() => {
+    return subscribeToCache((event) => {
+      if (event.type === 'update' && event.cacheKey === cacheKey) {
+        savedCallback.current(event.data, event.args);
+      }
+    });
+  }, [cacheKey]);
+}
@@ -0,0 +1,71 @@
+// Shared state of the command palette (components/CommandPalette.jsx): whether
+// it is open, and the actions the current page adds to it (e.g. "Like this post").
+import { useEffect, useRef, useSyncExternalStore } from 'react';
+
+let state = { open: false, commands: [] };
+const registrations = new Set();
+const listeners = new Set();
+
+const setState = (changes) => {
+  state = { ...state, ...changes };
+  listeners.forEach(listener => listener());
+};
+
+const subscribe = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+const getSnapshot = () => state;
+
+export const openCommandPalette = () => setState({ open: true });
+
+export const closeCommandPalette = () => setState({ open: false });
+
+export const toggleCommandPalette = () => setState({ open: !state.open });
+
+/**
+ * Add actions to the command palette until the returned function is called
+ * @param {Array<{id: string, label: string, keywords?: string, run: Function}>} commands - Actions to add
+ * @returns {Function} Removes the actions again
+ */
+export const registerCommands = (commands) => {
+  registrations.add(commands);
+  setState({ commands: [...registrations].flat() });
+  return () => {
+    registrations.delete(commands);
+    setState({ commands: [...registrations].flat() });
+  };
+};
+
+/**
+ * useCommandPalette
+ * @returns {{open: boolean, commands: Array}} Whether the palette is open and the actions pages added to it
+ */
+export function useCommandPalette() {
+  return useSyncExternalStore(subscribe, getSnapshot);
+}
+
+/**
+ * usePageCommands
+ * Adds actions to the command palette while the calling component is mounted.
+ * The actions are registered again only when their IDs or labels change; `run`
+ * always calls the latest function passed in.
+ * @param {Array<{id: string, label: string, keywords?: string, run: Function}>} commands - Actions for the current page
+ */
+export function usePageCommands(commands) {
+  const savedCommands = useRef(commands);
+  const signature = commands.map(command => `${command.id}:${command.label}`).join('\n');
+
+  useEffect(() => {
+    savedCommands.current = commands;
+  }, [commands]);
+
+  useEffect(() => {
+    if (!signature) return undefined;
+    return registerCommands(savedCommands.current.map(command => ({
+      ...command,
+      run: (...args) => savedCommands.current.find(latest => latest.id === command.id)?.run(...args)
+    })));
+  }, [signature]);
+}
@@ -0,0 +1,34 @@
+// Follow the editor session (see services/supabase.js): who is signed in to
+// write posts and preview drafts, if anyone.
+import { useEffect, useState } from 'react';
+import { getEditorUser, onEditorChange } from '../services/supabase';
+
+/**
+ * useEditor
+ * @returns {{editor: Object|null, checking: boolean}} The signed-in editor (null for readers) and whether the session is still being read
+ */
+export function useEditor() {
+  const [editor, setEditor] = useState(null);
+  const [checking, setChecking] = useState(true);
+
+  useEffect(() => {
+    let cancelled = false;
+    getEditorUser().then(user => {
+      if (cancelled) return;
+      setEditor(user);
+      setChecking(false);
+    });
+
+    const unsubscribe = onEditorChange(user => {
+      setEditor(user);
+      setChecking(false);
+    });
+
+    return () => {
+      cancelled = true;
+      unsubscribe();
+    };
+  }, []);
+
+  return { editor, checking };
+}
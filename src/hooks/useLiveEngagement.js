@@ -0,0 +1,35 @@
+// Subscribe a component to live like and view counts of a post
+// (changes made by other readers, delivered through the realtime feed).
+import { useEffect, useRef, useState } from 'react';
+import { engagementService } from '../services/api';
+
+/**
+ * useLiveEngagement
+ * Calls the latest onChange with `{ views, likes }` whenever the counts of postId change.
+ * @param {string|null} postId - Post to follow; nothing is subscribed while null
+ * @param {(counts: {views?: number, likes?: number}) => void} onChange - Receives the new counts
+ * @returns {string} Connection status: 'off', 'connecting', 'live' or 'reconnecting'
+ */
+export function useLiveEngagement(postId, onChange) {
+  const savedCallback = useRef(onChange);
+  const [status, setStatus] = useState('off');
+
+  useEffect(() => {
+    savedCallback.current = onChange;
+  }, [onChange]);
+
+  useEffect(() => {
+    if (!postId) return undefined;
+    const unsubscribe = engagementService.subscribeToPost(
+      postId,
+      (counts) => savedCallback.current(counts),
+      setStatus
+    );
+    return () => {
+      unsubscribe();
+      setStatus('off');
+    };
+  }, [postId]);
+
+  return status;
+}
@@ -1,7 +1,11 @@
 import React from 'react';
 import ImageAdmin from '../components/ImageAdmin';
+import EditorSignIn from '../components/EditorSignIn';
+import { useEditor } from '../hooks/useEditor';
 
 const AdminPage = () => {
+  const { editor, checking } = useEditor();
+
   return (
     <div className="container-main py-8">
       <h1 className="text-3xl font-bold mb-4">Admin Dashboard</h1>
@@ -21,7 +25,9 @@ const AdminPage = () => {
         </ul>
       </div>
       
-      <ImageAdmin />
+      {!checking && <EditorSignIn editor={editor} />}
+
+      <ImageAdmin editor={editor} />
     </div>
   );
 };
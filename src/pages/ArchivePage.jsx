@@ -0,0 +1,227 @@
+import React, { useMemo } from 'react'
+import { Link, useParams } from 'react-router-dom'
+import CategoryBadge from '../components/common/CategoryBadge.jsx'
+import { ErrorPage } from '../components/ui/ErrorMessage.jsx'
+import Button from '../components/ui/Button.jsx'
+import { useArchive, useArchivePosts } from '../hooks/useBlog.js'
+import { NotFoundError } from '../services/errors.js'
+import { dateUtils } from '../utils/helpers.js'
+
+const PAGE_SIZE = 12
+
+// Route params are digits only; anything else is a page that doesn't exist (NaN)
+const parseParam = (value) => {
+  if (value === undefined) return null
+  return /^\d+$/.test(value) ? Number(value) : NaN
+}
+
+// Archive months are calendar months in UTC, so dates are shown in UTC too
+const monthKey = (dateString) => {
+  const date = new Date(dateString)
+  return `${date.getUTCFullYear()}-${date.getUTCMonth() + 1}`
+}
+
+/**
+ * ArchivePage component - Published posts grouped by the month they came out
+ *
+ * Serves `/archive` (every post), `/archive/:year` and `/archive/:year/:month`.
+ */
+const ArchivePage = () => {
+  const params = useParams()
+  const year = parseParam(params.year)
+  const month = parseParam(params.month)
+
+  const { months } = useArchive()
+  const {
+    posts,
+    total,
+    loading,
+    loadingMore,
+    error,
+    hasMore,
+    loadMore,
+    retry
+  } = useArchivePosts(year, month, PAGE_SIZE)
+
+  // Full-month counts, so headings stay right while later pages aren't loaded yet
+  const monthCounts = useMemo(() => {
+    return new Map(months.map(entry => [`${entry.year}-${entry.month}`, entry.count]))
+  }, [months])
+
+  const years = useMemo(() => {
+    const counts = new Map()
+    months.forEach(entry => counts.set(entry.year, (counts.get(entry.year) || 0) + entry.count))
+    return [...counts].map(([value, count]) => ({ year: value, count }))
+  }, [months])
+
+  const groups = useMemo(() => {
+    const byMonth = new Map()
+    posts.forEach(post => {
+      const key = monthKey(post.published_at)
+      if (!byMonth.has(key)) byMonth.set(key, [])
+      byMonth.get(key).push(post)
+    })
+    return [...byMonth].map(([key, items]) => {
+      const [groupYear, groupMonth] = key.split('-').map(Number)
+      return { key, year: groupYear, month: groupMonth, items }
+    })
+  }, [posts])
+
+  const title = year === null || Number.isNaN(year) || Number.isNaN(month)
+    ? 'Archive'
+    : month === null ? String(year) : dateUtils.formatMonth(year, month)
+
+  if (error && posts.length === 0) {
+    // Retrying won't make a missing month appear
+    const notFound = error instanceof NotFoundError
+    return <ErrorPage
+      error={error}
+      title="Archive Not Found"
+      message="Failed to load the archive."
+      actionLabel={notFound ? 'Go Back to Homepage' : 'Try Again'}
+      onAction={notFound ? undefined : retry}
+    />
+  }
+
+  const linkClasses = (active) => `
+    inline-flex items-center gap-1 px-3 py-1 rounded-full text-sm font-medium transition-colors
+    ${active ? 'bg-black text-white' : 'bg-white text-gray-700 border border-gray-200 hover:border-gray-400'}
+  `
+
+  const renderPosts = () => {
+    if (loading && posts.length === 0) {
+      return (
+        <div className="space-y-4">
+          {Array.from({ length: 4 }).map((_, index) => (
+            <div key={`skeleton-${index}`} className="bg-white rounded-lg shadow-sm p-6 animate-pulse">
+              <div className="h-4 bg-gray-200 rounded w-1/4 mb-3"></div>
+              <div className="h-5 bg-gray-200 rounded w-2/3"></div>
+            </div>
+          ))}
+        </div>
+      )
+    }
+
+    if (posts.length === 0) {
+      return (
+        <div className="text-center py-12">
+          <div className="text-6xl mb-4">🗓️</div>
+          <h3 className="text-xl font-semibold text-gray-900 mb-2">Nothing published in {title}</h3>
+          <p className="text-gray-600">
+            <Link to="/archive" className="underline hover:text-black">Browse the whole archive</Link> instead.
+          </p>
+        </div>
+      )
+    }
+
+    return (
+      <>
+        {groups.map(group => {
+          const count = monthCounts.get(group.key) ?? group.items.length
+          return (
+            <section key={group.key} className="mb-10" aria-labelledby={`archive-${group.key}`}>
+              <h2 id={`archive-${group.key}`} className="flex items-baseline justify-between border-b border-gray-200 pb-2 mb-4">
+                <Link
+                  to={`/archive/${group.year}/${group.month}`}
+                  className="text-2xl font-bold text-gray-900 hover:text-gray-600 transition-colors"
+                >
+                  {dateUtils.formatMonth(group.year, group.month)}
+                </Link>
+                <span className="text-sm text-gray-500">{count} {count === 1 ? 'post' : 'posts'}</span>
+              </h2>
+              <ol className="space-y-3">
+                {group.items.map(post => (
+                  <li key={post.id} className="bg-white rounded-lg shadow-sm hover:shadow-md transition-shadow p-5">
+                    <div className="flex items-center gap-3 mb-1 text-sm text-gray-500">
+                      <time dateTime={post.published_at}>
+                        {dateUtils.formatDate(post.published_at, { month: 'short', timeZone: 'UTC' })}
+                      </time>
+                      {post.categories && <CategoryBadge category={post.categories} size="sm" />}
+                    </div>
+                    <Link to={`/post/${post.slug}`} className="block group">
+                      <h3 className="text-lg font-semibold text-gray-900 group-hover:text-gray-600 transition-colors">
+                        {post.title}
+                      </h3>
+                      {post.excerpt && <p className="text-gray-600 mt-1 line-clamp-2">{post.excerpt}</p>}
+                    </Link>
+                  </li>
+                ))}
+              </ol>
+            </section>
+          )
+        })}
+
+        {hasMore && (
+          <div className="text-center">
+            <Button onClick={loadMore} variant="outline" size="lg" className="px-8" disabled={loadingMore}>
+              {loadingMore ? 'Loading...' : 'Load More Posts'}
+            </Button>
+          </div>
+        )}
+      </>
+    )
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      {/* Archive Header */}
+      <section className="bg-gradient-to-r from-gray-800 to-black text-white py-16">
+        <div className="container-main text-center">
+          <h1 className="text-4xl md:text-5xl font-bold mb-4">{title}</h1>
+          <p className="text-xl text-gray-300">
+            {loading && posts.length === 0
+              ? 'Loading posts...'
+              : `${total} published ${total === 1 ? 'post' : 'posts'}`}
+          </p>
+        </div>
+      </section>
+
+      <section className="py-12">
+        <div className="container-main max-w-3xl">
+          {/* Years and months with posts */}
+          {years.length > 0 && (
+            <nav className="mb-10 space-y-3" aria-label="Archive periods">
+              <ul className="flex flex-wrap gap-2">
+                <li>
+                  <Link to="/archive" className={linkClasses(year === null)}>All</Link>
+                </li>
+                {years.map(entry => (
+                  <li key={entry.year}>
+                    <Link
+                      to={`/archive/${entry.year}`}
+                      className={linkClasses(entry.year === year && month === null)}
+                      aria-current={entry.year === year && month === null ? 'page' : undefined}
+                    >
+                      {entry.year}
+                      <span className="opacity-60">{entry.count}</span>
+                    </Link>
+                  </li>
+                ))}
+              </ul>
+              {year !== null && (
+                <ul className="flex flex-wrap gap-2">
+                  {months.filter(entry => entry.year === year).map(entry => (
+                    <li key={entry.month}>
+                      <Link
+                        to={`/archive/${entry.year}/${entry.month}`}
+                        className={linkClasses(entry.month === month)}
+                        aria-current={entry.month === month ? 'page' : undefined}
+                      >
+                        {dateUtils.formatMonth(entry.year, entry.month, { year: undefined, month: 'short' })}
+                        <span className="opacity-60">{entry.count}</span>
+                      </Link>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </nav>
+          )}
+
+          {renderPosts()}
+        </div>
+      </section>
+    </div>
+  )
+}
+
+export default ArchivePage
@@ -0,0 +1,194 @@
+import React from 'react'
+import { useParams } from 'react-router-dom'
+import { FiGlobe, FiGithub, FiTwitter, FiInstagram, FiLinkedin, FiLink } from 'react-icons/fi'
+import PostCard from '../components/common/PostCard.jsx'
+import AuthorAvatar from '../components/common/AuthorAvatar.jsx'
+import { SkeletonCard } from '../components/ui/LoadingSpinner.jsx'
+import { ErrorPage } from '../components/ui/ErrorMessage.jsx'
+import Button from '../components/ui/Button.jsx'
+import { useAuthorPosts, usePostsEngagement } from '../hooks/useBlog.js'
+import { NotFoundError } from '../services/errors.js'
+
+// Label and icon per social network; unknown networks get a generic link
+const SOCIAL_NETWORKS = {
+  website: { label: 'Website', Icon: FiGlobe },
+  github: { label: 'GitHub', Icon: FiGithub },
+  twitter: { label: 'Twitter', Icon: FiTwitter },
+  instagram: { label: 'Instagram', Icon: FiInstagram },
+  linkedin: { label: 'LinkedIn', Icon: FiLinkedin }
+}
+
+/**
+ * AuthorPage component - An author's profile and all their posts
+ */
+const AuthorPage = () => {
+  const { slug } = useParams()
+  const {
+    posts,
+    total,
+    author,
+    loading,
+    loadingMore,
+    error,
+    hasMore,
+    loadMore,
+    retry
+  } = useAuthorPosts(slug, 6)
+  const { likeCounts, likedPosts, toggleLike } = usePostsEngagement(posts)
+
+  if (loading && posts.length === 0) {
+    return (
+      <div className="min-h-screen bg-gray-50">
+        <section className="bg-gradient-to-r from-gray-800 to-black text-white py-16">
+          <div className="container-main text-center">
+            <h1 className="text-4xl md:text-5xl font-bold mb-4 animate-pulse">
+              Loading author...
+            </h1>
+          </div>
+        </section>
+        
+        <section className="py-12">
+          <div className="container-main">
+            <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
+              {Array.from({ length: 6 }).map((_, index) => (
+                <SkeletonCard key={`skeleton-${index}`} />
+              ))}
+            </div>
+          </div>
+        </section>
+      </div>
+    )
+  }
+
+  if (error && posts.length === 0) {
+    // Retrying won't make a missing author appear
+    const notFound = error instanceof NotFoundError
+    return <ErrorPage 
+      error={error}
+      title="Author Not Found" 
+      message="Failed to load the author's posts."
+      actionLabel={notFound ? 'Go Back to Homepage' : 'Try Again'}
+      onAction={notFound ? undefined : retry}
+    />
+  }
+
+  if (!author && !loading) {
+    return <ErrorPage 
+      title="Author Not Found" 
+      message="The author you're looking for doesn't exist."
+      actionLabel="Go Back to Homepage"
+      actionPath="/"
+    />
+  }
+
+  // Only http(s) links are rendered; anything else in the data is ignored
+  const socialLinks = Object.entries(author.social_links || {})
+    .filter(([, url]) => /^https?:\/\//i.test(url))
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      {/* Author Header */}
+      <section className="bg-gradient-to-r from-gray-800 to-black text-white py-16">
+        <div className="container-main flex flex-col items-center text-center">
+          <AuthorAvatar author={author} size="lg" className="mb-6 ring-4 ring-white/20" />
+          <h1 className="text-4xl md:text-5xl font-bold mb-4">
+            {author.name}
+          </h1>
+          {author.bio && (
+            <p className="text-xl text-gray-300 max-w-2xl">
+              {author.bio}
+            </p>
+          )}
+          {socialLinks.length > 0 && (
+            <ul className="flex flex-wrap justify-center gap-3 mt-6" aria-label={`${author.name} elsewhere`}>
+              {socialLinks.map(([network, url]) => {
+                const { label, Icon } = SOCIAL_NETWORKS[network] || { label: network, Icon: FiLink }
+                return (
+                  <li key={network}>
+                    <a
+                      href={url}
+                      target="_blank"
+                      rel="noopener noreferrer"
+                      className="inline-flex items-center gap-2 px-3 py-1.5 rounded-full bg-white/10 hover:bg-white/20 transition-colors text-sm"
+                    >
+                      <Icon className="w-4 h-4" aria-hidden="true" />
+                      {label}
+                    </a>
+                  </li>
+                )
+              })}
+            </ul>
+          )}
+        </div>
+      </section>
+
+      {/* Posts Section */}
+      <section className="py-12">
+        <div className="container-main">
+          {posts.length === 0 && !loading ? (
+            <div className="text-center py-12">
+              <div className="text-6xl mb-4">✍️</div>
+              <h3 className="text-xl font-semibold text-gray-900 mb-2">No posts by this author yet</h3>
+              <p className="text-gray-600">Check back soon for new posts by {author.name}!</p>
+            </div>
+          ) : (
+            <>
+              <div className="mb-8">
+                <h2 className="text-2xl font-bold text-gray-900 mb-2">
+                  {total} {total === 1 ? 'Post' : 'Posts'} by {author.name}
+                </h2>
+                {total > posts.length && (
+                  <p className="text-gray-600">Showing {posts.length} of {total}</p>
+                )}
+              </div>
+
+              {/* Posts Grid */}
+              <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6 mb-8">
+                {posts.map((post) => (
+                  <PostCard
+                    key={post.id}
+                    post={post}
+                    variant="default"
+                    likeCount={likeCounts[post.id]}
+                    liked={likedPosts[post.id]}
+                    onToggleLike={toggleLike}
+                  />
+                ))}
+                
+                {/* Loading cards for load more */}
+                {loadingMore && Array.from({ length: 3 }).map((_, index) => (
+                  <SkeletonCard key={`loading-${index}`} />
+                ))}
+              </div>
+
+              {/* Load More Button */}
+              {hasMore && !loadingMore && (
+                <div className="text-center">
+                  <Button
+                    onClick={loadMore}
+                    variant="outline"
+                    size="lg"
+                    className="px-8"
+                  >
+                    Load More Posts
+                  </Button>
+                </div>
+              )}
+
+              {/* End of posts message */}
+              {!hasMore && posts.length > 6 && (
+                <div className="text-center py-8">
+                  <p className="text-gray-600">
+                    You've seen all posts by {author.name}! 🎉
+                  </p>
+                </div>
+              )}
+            </>
+          )}
+        </div>
+      </section>
+    </div>
+  )
+}
+
+export default AuthorPage
@@ -1,18 +1,93 @@
-import React from 'react'
-import { useParams } from 'react-router-dom'
+import React, { useEffect, useState } from 'react'
+import { Link, useParams, useSearchParams } from 'react-router-dom'
 import PostCard from '../components/common/PostCard.jsx'
+import CategoryBadge from '../components/common/CategoryBadge.jsx'
 import { SkeletonCard } from '../components/ui/LoadingSpinner.jsx'
 import { ErrorPage } from '../components/ui/ErrorMessage.jsx'
 import Button from '../components/ui/Button.jsx'
-import { useCategoryPosts } from '../hooks/useBlog.js'
+import TrendingPosts from '../components/TrendingPosts.jsx'
+import { useCategories, useCategoryPosts, usePostsEngagement } from '../hooks/useBlog.js'
+import { POST_SORTS, READING_TIMES } from '../services/api.js'
+import { NotFoundError } from '../services/errors.js'
+import { categoryUtils } from '../utils/helpers.js'
+
+// Labels for POST_SORTS and READING_TIMES
+const SORT_LABELS = {
+  newest: 'Newest',
+  oldest: 'Oldest',
+  views: 'Most viewed',
+  likes: 'Most liked'
+}
+
+const LENGTH_LABELS = {
+  short: 'Short (up to 4 min)',
+  medium: 'Medium (5–10 min)',
+  long: 'Long (11+ min)'
+}
+
+const MONTH_PARAM = /^\d{4}-(0[1-9]|1[0-2])$/
+
+const FIELD_CLASSES = 'mt-1 px-3 py-2 rounded-lg border border-gray-300 bg-white text-gray-900 focus:outline-none focus:ring-2 focus:ring-gray-400'
+
+/**
+ * Read the listing filters from the URL, dropping values the API would reject
+ * so a mistyped link still shows the category
+ */
+const readFilters = (searchParams) => {
+  const sort = searchParams.get('sort')
+  const length = searchParams.get('length')
+  const month = (key) => {
+    const value = searchParams.get(key)
+    return value && MONTH_PARAM.test(value) ? value : null
+  }
+  const from = month('from')
+  const to = month('to')
+
+  return {
+    sort: POST_SORTS.includes(sort) ? sort : 'newest',
+    from,
+    // A range that ends before it starts keeps only its start
+    to: from && to && to < from ? null : to,
+    length: length && Object.hasOwn(READING_TIMES, length) ? length : null,
+    includeChildren: searchParams.get('subcategories') === '1'
+  }
+}
+
+/**
+ * Month picker that only reports complete months. Browsers without
+ * <input type="month"> show a text box, so the partly typed text is kept here.
+ */
+const MonthInput = ({ value, onChange, ...props }) => {
+  const [text, setText] = useState(value || '')
+
+  useEffect(() => {
+    setText(value || '')
+  }, [value])
+
+  const handleChange = (event) => {
+    const next = event.target.value
+    setText(next)
+    if (!next || MONTH_PARAM.test(next)) onChange(next || null)
+  }
+
+  return <input type="month" value={text} onChange={handleChange} placeholder="YYYY-MM" {...props} />
+}
 
 /**
- * CategoryPage component - Displays all posts in a specific category
+ * CategoryPage component - Displays all posts in a specific category, with
+ * breadcrumbs up to its top-level category, links to its subcategories, and
+ * sorting, a date range, a reading-time filter and the option to include the
+ * subcategories' posts kept in the query string
+ * (?sort=views&from=2024-01&to=2024-06&length=short&subcategories=1)
  */
 const CategoryPage = () => {
   const { slug } = useParams()
+  const [searchParams, setSearchParams] = useSearchParams()
+  const filters = readFilters(searchParams)
+  const filtered = Boolean(filters.from || filters.to || filters.length)
   const {
     posts,
+    total,
     category,
     loading,
     loadingMore,
@@ -20,9 +95,28 @@ const CategoryPage = () => {
     hasMore,
     loadMore,
     retry
-  } = useCategoryPosts(slug, 6)
+  } = useCategoryPosts(slug, 6, filters)
+  const { likeCounts, likedPosts, toggleLike } = usePostsEngagement(posts)
+  const { categories } = useCategories()
+  const ancestors = category ? categoryUtils.getAncestors(categories, category.id) : []
+  const subcategories = category
+    ? categories.filter(item => item.parent_id === category.id).sort((a, b) => a.name.localeCompare(b.name))
+    : []
+
+  // Change some of the URL params; newest first is the default, so it stays out of the URL
+  const updateParams = (changes) => {
+    const next = new URLSearchParams(searchParams)
+    Object.entries(changes).forEach(([key, value]) => {
+      if (value && !(key === 'sort' && value === 'newest')) next.set(key, value)
+      else next.delete(key)
+    })
+    setSearchParams(next)
+  }
+
+  const clearFilters = () => updateParams({ from: null, to: null, length: null })
 
-  if (loading && posts.length === 0) {
+  // Keep the header and controls on screen while a new sort or filter loads
+  if (loading && category?.slug !== slug) {
     return (
       <div className="min-h-screen bg-gray-50">
         <section className="bg-gradient-to-r from-gray-800 to-black text-white py-16">
@@ -47,11 +141,14 @@ const CategoryPage = () => {
   }
 
   if (error && posts.length === 0) {
+    // Retrying won't make a missing category appear
+    const notFound = error instanceof NotFoundError
     return <ErrorPage 
+      error={error}
       title="Category Not Found" 
-      message={error}
-      actionLabel="Try Again"
-      onAction={retry}
+      message="Failed to load category posts."
+      actionLabel={notFound ? 'Go Back to Homepage' : 'Try Again'}
+      onAction={notFound ? undefined : retry}
     />
   }
 
@@ -69,36 +166,182 @@ const CategoryPage = () => {
       {/* Category Header */}
       <section className="bg-gradient-to-r from-gray-800 to-black text-white py-16">
         <div className="container-main text-center">
+          <nav aria-label="Breadcrumb" className="mb-4">
+            <ol className="flex flex-wrap justify-center items-center gap-2 text-sm text-gray-400">
+              <li>
+                <Link to="/" className="hover:text-white transition-colors">Home</Link>
+              </li>
+              {ancestors.map(ancestor => (
+                <li key={ancestor.id} className="flex items-center gap-2">
+                  <span aria-hidden="true">/</span>
+                  <Link to={`/category/${ancestor.slug}`} className="hover:text-white transition-colors">
+                    {ancestor.name}
+                  </Link>
+                </li>
+              ))}
+              <li className="flex items-center gap-2">
+                <span aria-hidden="true">/</span>
+                <span aria-current="page" className="text-gray-200">{category.name}</span>
+              </li>
+            </ol>
+          </nav>
           <h1 className="text-4xl md:text-5xl font-bold mb-4">
             {category.name}
           </h1>
           <p className="text-xl text-gray-300">
             Explore all posts in {category.name}
           </p>
+          {subcategories.length > 0 && (
+            <ul className="mt-6 flex flex-wrap justify-center gap-2" aria-label={`Subcategories of ${category.name}`}>
+              {subcategories.map(subcategory => (
+                <li key={subcategory.id}>
+                  <CategoryBadge category={subcategory} />
+                </li>
+              ))}
+            </ul>
+          )}
         </div>
       </section>
 
       {/* Posts Section */}
       <section className="py-12">
         <div className="container-main">
-          {posts.length === 0 && !loading ? (
-            <div className="text-center py-12">
-              <div className="text-6xl mb-4">📂</div>
-              <h3 className="text-xl font-semibold text-gray-900 mb-2">No posts in this category yet</h3>
-              <p className="text-gray-600">Check back soon for new content in {category.name}!</p>
+          <TrendingPosts
+            key={category.slug}
+            title="Popular in this category"
+            category={category.slug}
+            defaultWindow="30d"
+            limit={3}
+            className="mb-12"
+          />
+
+          {/* Sorting and filters */}
+          <div
+            role="group"
+            aria-label="Sort and filter posts"
+            className="bg-white rounded-lg shadow-sm p-4 mb-8 flex flex-wrap items-end gap-4"
+          >
+            <label className="flex flex-col text-sm font-medium text-gray-700">
+              Sort by
+              <select
+                value={filters.sort}
+                onChange={(event) => updateParams({ sort: event.target.value })}
+                className={FIELD_CLASSES}
+              >
+                {POST_SORTS.map(sort => (
+                  <option key={sort} value={sort}>{SORT_LABELS[sort]}</option>
+                ))}
+              </select>
+            </label>
+            <label className="flex flex-col text-sm font-medium text-gray-700">
+              Published from
+              <MonthInput
+                value={filters.from}
+                onChange={(from) => updateParams({ from })}
+                max={filters.to || undefined}
+                className={FIELD_CLASSES}
+              />
+            </label>
+            <label className="flex flex-col text-sm font-medium text-gray-700">
+              Published to
+              <MonthInput
+                value={filters.to}
+                onChange={(to) => updateParams({ to })}
+                min={filters.from || undefined}
+                className={FIELD_CLASSES}
+              />
+            </label>
+            <label className="flex flex-col text-sm font-medium text-gray-700">
+              Reading time
+              <select
+                value={filters.length || ''}
+                onChange={(event) => updateParams({ length: event.target.value })}
+                className={FIELD_CLASSES}
+              >
+                <option value="">Any length</option>
+                {Object.keys(READING_TIMES).map(length => (
+                  <option key={length} value={length}>{LENGTH_LABELS[length]}</option>
+                ))}
+              </select>
+            </label>
+            {subcategories.length > 0 && (
+              <label className="flex items-center gap-2 py-2 text-sm font-medium text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={filters.includeChildren}
+                  onChange={(event) => updateParams({ subcategories: event.target.checked ? '1' : null })}
+                  className="w-4 h-4 rounded border-gray-300"
+                />
+                Include subcategories
+              </label>
+            )}
+            {filtered && (
+              <button
+                type="button"
+                onClick={clearFilters}
+                className="py-2 text-sm font-medium text-gray-600 underline hover:text-black"
+              >
+                Clear filters
+              </button>
+            )}
+          </div>
+
+          {loading ? (
+            <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
+              {Array.from({ length: 6 }).map((_, index) => (
+                <SkeletonCard key={`skeleton-${index}`} />
+              ))}
             </div>
+          ) : posts.length === 0 ? (
+            filtered ? (
+              <div className="text-center py-12">
+                <div className="text-6xl mb-4">🔍</div>
+                <h3 className="text-xl font-semibold text-gray-900 mb-2">No posts match these filters</h3>
+                <p className="text-gray-600 mb-6">Try a wider date range or another reading time.</p>
+                <Button onClick={clearFilters} variant="outline">
+                  Clear filters
+                </Button>
+              </div>
+            ) : (
+              <div className="text-center py-12">
+                <div className="text-6xl mb-4">📂</div>
+                <h3 className="text-xl font-semibold text-gray-900 mb-2">No posts in this category yet</h3>
+                {subcategories.length > 0 && !filters.includeChildren ? (
+                  <>
+                    <p className="text-gray-600 mb-6">Its subcategories may have some.</p>
+                    <Button onClick={() => updateParams({ subcategories: '1' })} variant="outline">
+                      Include subcategories
+                    </Button>
+                  </>
+                ) : (
+                  <p className="text-gray-600">Check back soon for new content in {category.name}!</p>
+                )}
+              </div>
+            )
           ) : (
             <>
               <div className="mb-8">
                 <h2 className="text-2xl font-bold text-gray-900 mb-2">
-                  {posts.length} {posts.length === 1 ? 'Post' : 'Posts'} in {category.name}
+                  {total} {total === 1 ? 'Post' : 'Posts'} in {category.name}
+                  {filters.includeChildren && subcategories.length > 0 && ' and its subcategories'}
+                  {filtered && ' matching your filters'}
                 </h2>
+                {total > posts.length && (
+                  <p className="text-gray-600">Showing {posts.length} of {total}</p>
+                )}
               </div>
 
               {/* Posts Grid */}
               <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6 mb-8">
                 {posts.map((post) => (
-                  <PostCard key={post.id} post={post} variant="default" />
+                  <PostCard
+                    key={post.id}
+                    post={post}
+                    variant="default"
+                    likeCount={likeCounts[post.id]}
+                    liked={likedPosts[post.id]}
+                    onToggleLike={toggleLike}
+                  />
                 ))}
                 
                 {/* Loading cards for load more */}
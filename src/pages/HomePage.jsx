@@ -1,73 +1,39 @@
-import React, { useState, useEffect } from 'react'
-import { postsService } from '../services/api.js'
+import React from 'react'
+import { usePosts, usePostsEngagement, useTagCloud } from '../hooks/useBlog.js'
 import PostCard from '../components/common/PostCard.jsx'
-import { LoadingPage, LoadingCard, SkeletonCard } from '../components/ui/LoadingSpinner.jsx'
+import TagCloud from '../components/common/TagCloud.jsx'
+import { SkeletonCard } from '../components/ui/LoadingSpinner.jsx'
 import ErrorMessage from '../components/ui/ErrorMessage.jsx'
 import Button from '../components/ui/Button.jsx'
 import DevelopmentNotice from '../components/ui/DevelopmentNotice.jsx'
 import FeaturedPostsHighlight from '../components/FeaturedPostsHighlight.jsx'
-import SkeletonFeaturedPost from '../components/ui/SkeletonFeaturedPost.jsx'
+import TrendingPosts from '../components/TrendingPosts.jsx'
 
-const HomePage = () => {
-  const [posts, setPosts] = useState([])
-  const [loading, setLoading] = useState(true)
-  const [loadingMore, setLoadingMore] = useState(false)
-  const [error, setError] = useState(null)
-  const [hasMore, setHasMore] = useState(true)
-  const [page, setPage] = useState(0)
-  
-  const POSTS_PER_PAGE = 6
-
-  const fetchPosts = async (pageNum = 0, isLoadMore = false) => {
-    try {
-      if (!isLoadMore) setLoading(true)
-      else setLoadingMore(true)
-      
-      setError(null)
-      
-      const offset = pageNum * POSTS_PER_PAGE
-      const newPosts = await postsService.getPublished(POSTS_PER_PAGE, offset)
-      
-      if (isLoadMore) {
-        setPosts(prevPosts => [...prevPosts, ...newPosts])
-      } else {
-        setPosts(newPosts)
-      }
-      
-      // Check if there are more posts
-      setHasMore(newPosts.length === POSTS_PER_PAGE)
-      
-    } catch (err) {
-      console.error('Error fetching posts:', err)
-      setError('Failed to load posts. Please try again.')
-    } finally {
-      setLoading(false)
-      setLoadingMore(false)
-    }
-  }
-
-  useEffect(() => {
-    fetchPosts()
-  }, [])
+const POSTS_PER_PAGE = 6
+const CLOUD_TAGS = 20
 
-  const handleLoadMore = () => {
-    const nextPage = page + 1
-    setPage(nextPage)
-    fetchPosts(nextPage, true)
-  }
-
-  const handleRetry = () => {
-    setPage(0)
-    fetchPosts()
-  }
+const HomePage = () => {
+  const {
+    posts,
+    total,
+    loading,
+    loadingMore,
+    error,
+    hasMore,
+    loadMore,
+    retry
+  } = usePosts(POSTS_PER_PAGE)
+  const { likeCounts, likedPosts, toggleLike } = usePostsEngagement(posts)
+  const { tags } = useTagCloud(CLOUD_TAGS)
 
   if (error && posts.length === 0) {
     return (
       <div className="container-main py-8">
         <ErrorMessage 
-          message={error} 
+          error={error}
+          message="Failed to load posts. Please try again." 
           showRetry 
-          onRetry={handleRetry}
+          onRetry={retry}
         />
       </div>
     )
@@ -83,6 +49,13 @@ const HomePage = () => {
         </div>
       </section>
 
+      {/* Trending */}
+      <section className="py-10 bg-white border-b border-gray-200">
+        <div className="container-main">
+          <TrendingPosts title="Trending" />
+        </div>
+      </section>
+
       {/* Latest Posts */}
       <section className="py-12 bg-[#f0f0f0]">
         <div className="container-main">
@@ -93,7 +66,9 @@ const HomePage = () => {
               Latest Posts
               <span className="absolute -bottom-1 left-0 w-full h-1 bg-gradient-to-r from-black via-gray-500 to-black"></span>
             </h2>
-            <p className="text-gray-600"></p>
+            <p className="text-gray-600">
+              {posts.length > 0 && `Showing ${posts.length} of ${total} ${total === 1 ? 'post' : 'posts'}`}
+            </p>
           </div>
 
           {posts.length === 0 && !loading ? (
@@ -117,7 +92,13 @@ const HomePage = () => {
                   // Actual posts
                   posts.map((post, index) => (
                     <div key={post.id} className="opacity-0 animate-[fadeIn_0.5s_ease-out_forwards]" style={{ animationDelay: `${index * 0.1}s` }}>
-                      <PostCard post={post} variant="default" />
+                      <PostCard
+                        post={post}
+                        variant="default"
+                        likeCount={likeCounts[post.id]}
+                        liked={likedPosts[post.id]}
+                        onToggleLike={toggleLike}
+                      />
                     </div>
                   ))
                 )}
@@ -134,7 +115,7 @@ const HomePage = () => {
               {hasMore && !loadingMore && (
                 <div className="text-center">
                   <Button
-                    onClick={handleLoadMore}
+                    onClick={loadMore}
                     variant="primary"
                     size="lg"
                     className="px-8 bg-black text-white border border-gray-400 hover:bg-gray-800"
@@ -154,6 +135,16 @@ const HomePage = () => {
           )}
         </div>
       </section>
+
+      {/* Explore Topics */}
+      {tags.length > 0 && (
+        <section className="py-12 bg-white">
+          <div className="container-main">
+            <h2 className="text-3xl font-bold text-gray-900 mb-6">Explore Topics</h2>
+            <TagCloud tags={tags} />
+          </div>
+        </section>
+      )}
     </div>
   )
 }
@@ -1,5 +1,5 @@
 import React, { useState, useEffect } from 'react'
-import { useParams } from 'react-router-dom'
+import { useParams, useSearchParams } from 'react-router-dom'
 import { postsService, engagementService } from '../services/api.js'
 import { getCoverImageUrl } from '../utils/imageUtils.js'
 import { LoadingPage } from '../components/ui/LoadingSpinner.jsx'
@@ -7,16 +7,30 @@ import { ErrorPage } from '../components/ui/ErrorMessage.jsx'
 import Toast from '../components/ui/Toast.jsx'
 import { signInAnonymously } from '../services/supabase.js'
 import Markdown from '../components/ui/Markdown.jsx'
+import { postUtils } from '../utils/helpers.js'
+import { NotFoundError } from '../services/errors.js'
+import { useLiveEngagement } from '../hooks/useLiveEngagement.js'
+import { usePostsEngagement, useSeries, useSeriesProgress } from '../hooks/useBlog.js'
+import { usePageCommands } from '../hooks/useCommandPalette.js'
 
 // Import our new reusable components
 import ImageWithFallback from '../components/common/ImageWithFallback.jsx'
 import PostCard from '../components/common/PostCard.jsx'
 import CategoryBadge from '../components/common/CategoryBadge.jsx'
+import TagChip from '../components/common/TagChip.jsx'
+import AuthorByline from '../components/common/AuthorByline.jsx'
 import LikeButton from '../components/common/LikeButton.jsx'
+import SeriesNav, { SeriesPager } from '../components/common/SeriesNav.jsx'
 
 const PostPage = () => {
   const { slug } = useParams()
+  // Editor preview (?preview=1) also shows drafts and scheduled posts; postsService
+  // ignores it for readers, who get the normal page
+  const [searchParams] = useSearchParams()
+  const previewRequested = searchParams.has('preview')
   const [post, setPost] = useState(null)
+  // Only editors get drafts and scheduled posts back, so those are previews
+  const preview = Boolean(post) && postUtils.getPublishStatus(post) !== 'published'
   const [relatedPosts, setRelatedPosts] = useState([])
   const [loading, setLoading] = useState(true)
   const [error, setError] = useState(null)
@@ -24,6 +38,10 @@ const PostPage = () => {
   const [likeCount, setLikeCount] = useState(0)
   const [viewCount, setViewCount] = useState(0)
   const [toast, setToast] = useState(null)
+  const relatedEngagement = usePostsEngagement(relatedPosts)
+  // Parts of the post's series; opening a part counts as reading it (previews don't)
+  const { series, parts: seriesParts } = useSeries(post?.series?.slug || null)
+  const seriesReadIds = useSeriesProgress(series?.id || null, post && !preview ? post.id : null)
   // Using localStorage for like state; backend toggle is anonymous-safe
 
   useEffect(() => {
@@ -33,10 +51,10 @@ const PostPage = () => {
         setError(null)
 
         // Fetch the post
-        const postData = await postsService.getBySlug(slug)
+        const postData = await postsService.getBySlug(slug, { preview: previewRequested })
         
         if (!postData) {
-          setError('Post not found')
+          setError(new NotFoundError("The post you're looking for doesn't exist."))
           return
         }
 
@@ -55,14 +73,10 @@ const PostPage = () => {
         }
         setViewCount(postData.views || 0)
 
-        // Track view once per session (atomic RPC under the hood)
-        const viewedPosts = JSON.parse(sessionStorage.getItem('viewedPosts') || '[]')
-        if (!viewedPosts.includes(postData.id)) {
-          const newCount = await postsService.incrementViews(postData.id)
-          setViewCount(prev => (typeof newCount === 'number' ? newCount : prev + 1))
-          // Mark as viewed in session
-          viewedPosts.push(postData.id)
-          sessionStorage.setItem('viewedPosts', JSON.stringify(viewedPosts))
+        // Track the view; the backend counts each reader once (per revisit window). Previews don't count
+        if (postUtils.getPublishStatus(postData) === 'published') {
+          const newCount = await postsService.trackView(postData.id)
+          if (typeof newCount === 'number') setViewCount(newCount)
         }
 
         // Determine initial liked state: prefer DB check with guest id
@@ -99,15 +113,13 @@ const PostPage = () => {
 
         // Optional: could use guest auth for per-user tracking; we keep localStorage for simplicity
 
-        // Fetch related posts
-        if (postData.category_id) {
-          const related = await postsService.getRelated(postData.category_id, postData.id, 3)
-          setRelatedPosts(related)
-        }
+        // Fetch related posts (by content, so posts without a category get them too)
+        const related = await postsService.getRelated(postData.id, 3)
+        setRelatedPosts(related)
 
       } catch (err) {
         console.error('Error fetching post:', err)
-        setError('Failed to load post')
+        setError(err)
       } finally {
         setLoading(false)
       }
@@ -116,7 +128,13 @@ const PostPage = () => {
     if (slug) {
       fetchPost()
     }
-  }, [slug])
+  }, [slug, previewRequested])
+
+  // Counts changed by other readers; previews don't follow live counts
+  useLiveEngagement(post && !preview ? post.id : null, ({ views, likes }) => {
+    if (typeof views === 'number') setViewCount(prev => Math.max(prev, views))
+    if (typeof likes === 'number') setLikeCount(likes)
+  })
 
   const handleLike = async () => {
     if (!post) return
@@ -162,6 +180,14 @@ const PostPage = () => {
     }
   }
 
+  // Like or unlike from the command palette (not in previews)
+  usePageCommands(post && !preview ? [{
+    id: 'toggle-like',
+    label: liked ? 'Unlike this post' : 'Like this post',
+    keywords: 'toggle like heart favorite',
+    run: handleLike
+  }] : [])
+
   const formatDate = (dateString) => {
     return new Date(dateString).toLocaleDateString('en-US', {
       year: 'numeric',
@@ -175,12 +201,26 @@ const PostPage = () => {
   }
 
   if (error || !post) {
-    return <ErrorPage title="Post Not Found" message={error || "The post you're looking for doesn't exist."} />
+    return <ErrorPage
+      error={error}
+      title="Post Not Found"
+      message={error ? 'Failed to load post.' : "The post you're looking for doesn't exist."}
+    />
   }
 
+  const publishStatus = postUtils.getPublishStatus(post)
+
   return (
     <div className="min-h-screen bg-gray-50">
       {toast && <Toast message={toast} onClose={() => setToast(null)} />}
+      {/* Preview Banner */}
+      {preview && (
+        <div className="bg-yellow-100 border-b border-yellow-300 text-yellow-800 text-sm text-center px-4 py-2">
+          <strong>Preview</strong> —{' '}
+          {publishStatus === 'draft' && 'this post is a draft and is not visible to readers.'}
+          {publishStatus === 'scheduled' && `this post goes live on ${formatDate(post.published_at)}.`}
+        </div>
+      )}
       {/* Cover Image */}
       {post.cover_path && (
         <div className="w-full h-[400px] md:h-[500px] lg:h-[600px] bg-gray-100 overflow-hidden relative">
@@ -213,13 +253,18 @@ const PostPage = () => {
               {post.title}
             </h1>
 
+            {/* Byline */}
+            {post.authors?.length > 0 && (
+              <AuthorByline authors={post.authors} size="md" className="mb-4" />
+            )}
+
             {/* Meta Information */}
             <div className="flex flex-wrap items-center justify-between text-sm text-gray-600 mb-8 border-b border-gray-100 pb-4">
               <time dateTime={post.published_at} className="mb-2 md:mb-0 flex items-center">
                 <svg className="w-4 h-4 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                   <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M8 7V3m8 4V3m-9 8h10M5 21h14a2 2 0 002-2V7a2 2 0 00-2-2H5a2 2 0 00-2 2v12a2 2 0 002 2z" />
                 </svg>
-                Published on {formatDate(post.published_at)}
+                {post.published_at ? `Published on ${formatDate(post.published_at)}` : 'Not published yet'}
               </time>
 
               {/* Views and Likes */}
@@ -241,6 +286,17 @@ const PostPage = () => {
               </div>
             </div>
 
+            {/* Series */}
+            {series && (
+              <SeriesNav
+                series={series}
+                parts={seriesParts}
+                currentPostId={post.id}
+                readIds={seriesReadIds}
+                className="mb-8"
+              />
+            )}
+
             {/* Excerpt */}
             {post.excerpt && (
               <p className="text-lg text-gray-700 leading-relaxed bg-gray-50 p-6 rounded-xl italic border-l-4 border-blue-400 mb-8 shadow-sm">
@@ -253,6 +309,23 @@ const PostPage = () => {
           <div className="prose prose-lg max-w-none mb-12 text-gray-800 leading-relaxed">
             {post.content && <Markdown className="prose-headings:text-gray-900 prose-headings:font-bold prose-a:text-blue-600 prose-a:no-underline hover:prose-a:underline prose-img:rounded-lg prose-img:shadow-md">{post.content}</Markdown>}
           </div>
+
+          {/* Previous / next part */}
+          {series && (
+            <SeriesPager parts={seriesParts} currentPostId={post.id} className="mb-12" />
+          )}
+
+          {/* Tags */}
+          {post.tags?.length > 0 && (
+            <footer className="border-t border-gray-100 pt-6">
+              <h2 className="sr-only">Tags</h2>
+              <div className="flex flex-wrap gap-2">
+                {post.tags.map(tag => (
+                  <TagChip key={tag.id} tag={tag} size="md" />
+                ))}
+              </div>
+            </footer>
+          )}
         </div>
       </article>
 
@@ -262,11 +335,17 @@ const PostPage = () => {
           <div className="container-main px-4 sm:px-6 lg:px-8">
             <h2 className="text-2xl font-bold text-gray-900 mb-8 flex items-center">
               <span className="w-8 h-1 bg-blue-500 mr-3 rounded-full"></span>
-              More from {post.categories?.name}
+              You might also like
             </h2>
             <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-8">
               {relatedPosts.map((relatedPost) => (
-                <PostCard key={relatedPost.id} post={relatedPost} />
+                <PostCard
+                  key={relatedPost.id}
+                  post={relatedPost}
+                  likeCount={relatedEngagement.likeCounts[relatedPost.id]}
+                  liked={relatedEngagement.likedPosts[relatedPost.id]}
+                  onToggleLike={relatedEngagement.toggleLike}
+                />
               ))}
             </div>
           </div>
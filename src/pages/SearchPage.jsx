@@ -0,0 +1,201 @@
+import React, { useState, useEffect, useMemo } from 'react'
+import { Link, useSearchParams } from 'react-router-dom'
+import CategoryBadge from '../components/common/CategoryBadge.jsx'
+import ErrorMessage from '../components/ui/ErrorMessage.jsx'
+import Button from '../components/ui/Button.jsx'
+import { useSearch, useCategories } from '../hooks/useBlog.js'
+import { categoryUtils, dateUtils } from '../utils/helpers.js'
+
+const PAGE_SIZE = 10
+
+/**
+ * SearchPage component - Full-text search over published posts
+ *
+ * The query, category and page live in the URL (`/search?q=...&category=...&page=2`)
+ * so results can be shared and the back button steps through searches.
+ */
+const SearchPage = () => {
+  const [searchParams, setSearchParams] = useSearchParams()
+  const query = searchParams.get('q') || ''
+  const category = searchParams.get('category') || ''
+  const page = Math.max(1, Number.parseInt(searchParams.get('page'), 10) || 1)
+
+  const [searchText, setSearchText] = useState(query)
+  const { categories } = useCategories()
+  // Subcategories listed under their parents, indented by depth
+  const categoryOptions = useMemo(() => {
+    const flatten = (nodes, depth) => nodes.flatMap(node => [{ ...node, depth }, ...flatten(node.children, depth + 1)])
+    return flatten(categoryUtils.buildTree(categories), 0)
+  }, [categories])
+  const { results, total, loading, error, retry } = useSearch(query, {
+    category: category || null,
+    page,
+    pageSize: PAGE_SIZE
+  })
+
+  // Follow searches started elsewhere (Header, back button)
+  useEffect(() => {
+    setSearchText(query)
+  }, [query])
+
+  const totalPages = Math.ceil(total / PAGE_SIZE)
+
+  // Change some of the URL params; a new search starts again at page 1
+  const updateParams = (changes) => {
+    const next = new URLSearchParams(searchParams)
+    Object.entries({ page: null, ...changes }).forEach(([key, value]) => {
+      if (value) next.set(key, value)
+      else next.delete(key)
+    })
+    setSearchParams(next)
+  }
+
+  const handleSubmit = (event) => {
+    event.preventDefault()
+    updateParams({ q: searchText.trim() })
+  }
+
+  const goToPage = (nextPage) => {
+    updateParams({ page: nextPage > 1 ? String(nextPage) : null })
+    window.scrollTo({ top: 0, behavior: 'smooth' })
+  }
+
+  const renderResults = () => {
+    if (!query.trim()) {
+      return (
+        <div className="text-center py-12">
+          <div className="text-6xl mb-4">🔎</div>
+          <h3 className="text-xl font-semibold text-gray-900 mb-2">Search the blog</h3>
+          <p className="text-gray-600">Type a few words to find posts by title, excerpt or content.</p>
+        </div>
+      )
+    }
+
+    if (error) {
+      return <ErrorMessage error={error} message="Search failed. Please try again." showRetry onRetry={retry} />
+    }
+
+    if (loading && results.length === 0) {
+      return (
+        <div className="space-y-4">
+          {Array.from({ length: 3 }).map((_, index) => (
+            <div key={`skeleton-${index}`} className="bg-white rounded-lg shadow-sm p-6 animate-pulse">
+              <div className="h-5 bg-gray-200 rounded w-2/3 mb-3"></div>
+              <div className="h-4 bg-gray-200 rounded w-full mb-2"></div>
+              <div className="h-4 bg-gray-200 rounded w-5/6"></div>
+            </div>
+          ))}
+        </div>
+      )
+    }
+
+    if (results.length === 0) {
+      return (
+        <div className="text-center py-12">
+          <div className="text-6xl mb-4">📭</div>
+          <h3 className="text-xl font-semibold text-gray-900 mb-2">No posts match "{query}"</h3>
+          <p className="text-gray-600">Try different words{category ? ' or search all categories' : ''}.</p>
+        </div>
+      )
+    }
+
+    return (
+      <>
+        <p className="text-gray-600 mb-6">
+          {total} {total === 1 ? 'result' : 'results'} for "{query}"
+          {totalPages > 1 && ` — page ${page} of ${totalPages}`}
+        </p>
+
+        <ol className={`space-y-4 mb-8 ${loading ? 'opacity-60' : ''}`}>
+          {results.map(({ post, snippet }) => (
+            <li key={post.id} className="bg-white rounded-lg shadow-sm hover:shadow-md transition-shadow p-6">
+              <div className="flex items-center gap-3 mb-2 text-sm text-gray-500">
+                {post.categories && <CategoryBadge category={post.categories} size="sm" />}
+                {post.published_at && (
+                  <time dateTime={post.published_at}>{dateUtils.formatDate(post.published_at)}</time>
+                )}
+              </div>
+              <Link to={`/post/${post.slug}`} className="block group">
+                <h2 className="text-xl font-bold text-gray-900 group-hover:text-gray-600 transition-colors mb-2">
+                  {post.title}
+                </h2>
+                <p className="text-gray-700 leading-relaxed">
+                  {snippet.length > 0
+                    ? snippet.map((segment, index) => segment.highlight
+                      ? <mark key={index} className="bg-yellow-200 text-gray-900 rounded px-0.5">{segment.text}</mark>
+                      : <React.Fragment key={index}>{segment.text}</React.Fragment>
+                    )
+                    : post.excerpt}
+                </p>
+              </Link>
+            </li>
+          ))}
+        </ol>
+
+        {/* Pagination */}
+        {totalPages > 1 && (
+          <nav className="flex items-center justify-center gap-4" aria-label="Search results pages">
+            <Button variant="outline" onClick={() => goToPage(page - 1)} disabled={page <= 1 || loading}>
+              Previous
+            </Button>
+            <span className="text-gray-600">Page {page} of {totalPages}</span>
+            <Button variant="outline" onClick={() => goToPage(page + 1)} disabled={page >= totalPages || loading}>
+              Next
+            </Button>
+          </nav>
+        )}
+      </>
+    )
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      {/* Search Header */}
+      <section className="bg-gradient-to-r from-gray-800 to-black text-white py-16">
+        <div className="container-main text-center">
+          <h1 className="text-4xl md:text-5xl font-bold mb-6">Search</h1>
+          <form onSubmit={handleSubmit} role="search" className="max-w-2xl mx-auto flex flex-col sm:flex-row gap-3">
+            <label className="flex-1">
+              <span className="sr-only">Search posts</span>
+              <input
+                type="search"
+                value={searchText}
+                onChange={(event) => setSearchText(event.target.value)}
+                placeholder='Try "react hooks", "design or travel", "css -grid"'
+                className="w-full px-4 py-3 rounded-lg text-gray-900 focus:outline-none focus:ring-2 focus:ring-gray-400"
+              />
+            </label>
+            <label>
+              <span className="sr-only">Category</span>
+              <select
+                value={category}
+                onChange={(event) => updateParams({ category: event.target.value })}
+                className="w-full sm:w-auto px-4 py-3 rounded-lg text-gray-900 focus:outline-none focus:ring-2 focus:ring-gray-400"
+              >
+                <option value="">All categories</option>
+                {categoryOptions.map((item) => (
+                  <option key={item.id} value={item.slug}>{`${'\u00a0\u00a0'.repeat(item.depth)}${item.name}`}</option>
+                ))}
+              </select>
+            </label>
+            <button
+              type="submit"
+              className="px-6 py-3 bg-white text-black font-medium rounded-lg hover:bg-gray-200 transition-colors"
+            >
+              Search
+            </button>
+          </form>
+        </div>
+      </section>
+
+      {/* Results Section */}
+      <section className="py-12">
+        <div className="container-main max-w-3xl">
+          {renderResults()}
+        </div>
+      </section>
+    </div>
+  )
+}
+
+export default SearchPage
@@ -0,0 +1,144 @@
+import React from 'react'
+import { Link, useParams } from 'react-router-dom'
+import { FiCheck } from 'react-icons/fi'
+import CategoryBadge from '../components/common/CategoryBadge.jsx'
+import AuthorByline from '../components/common/AuthorByline.jsx'
+import { ErrorPage } from '../components/ui/ErrorMessage.jsx'
+import { useSeries, useSeriesProgress } from '../hooks/useBlog.js'
+import { NotFoundError } from '../services/errors.js'
+import { dateUtils } from '../utils/helpers.js'
+
+/**
+ * SeriesPage component - A multi-part series and its parts in reading order
+ */
+const SeriesPage = () => {
+  const { slug } = useParams()
+  const { series, parts, loading, error, retry } = useSeries(slug)
+  const readIds = useSeriesProgress(series?.id || null)
+
+  if (loading && !series) {
+    return (
+      <div className="min-h-screen bg-gray-50">
+        <section className="bg-gradient-to-r from-gray-800 to-black text-white py-16">
+          <div className="container-main text-center">
+            <h1 className="text-4xl md:text-5xl font-bold mb-4 animate-pulse">
+              Loading series...
+            </h1>
+          </div>
+        </section>
+
+        <section className="py-12">
+          <div className="container-main max-w-3xl space-y-4">
+            {Array.from({ length: 3 }).map((_, index) => (
+              <div key={`skeleton-${index}`} className="bg-white rounded-lg shadow-sm p-6 animate-pulse">
+                <div className="h-4 bg-gray-200 rounded w-1/4 mb-3"></div>
+                <div className="h-5 bg-gray-200 rounded w-2/3"></div>
+              </div>
+            ))}
+          </div>
+        </section>
+      </div>
+    )
+  }
+
+  if (error || !series) {
+    // Retrying won't make a missing series appear
+    const notFound = !error || error instanceof NotFoundError
+    return <ErrorPage
+      error={error}
+      title="Series Not Found"
+      message={notFound ? "The series you're looking for doesn't exist." : 'Failed to load the series.'}
+      actionLabel={notFound ? 'Go Back to Homepage' : 'Try Again'}
+      onAction={notFound ? undefined : retry}
+    />
+  }
+
+  const readCount = parts.filter(part => readIds.has(part.id)).length
+  // Pick up where the reader left off
+  const nextPart = parts.find(part => !readIds.has(part.id)) || parts[0]
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      {/* Series Header */}
+      <section className="bg-gradient-to-r from-gray-800 to-black text-white py-16">
+        <div className="container-main text-center">
+          <p className="text-sm font-semibold uppercase tracking-wide text-gray-400 mb-2">Series</p>
+          <h1 className="text-4xl md:text-5xl font-bold mb-4">
+            {series.title}
+          </h1>
+          {series.description && (
+            <p className="text-xl text-gray-300 max-w-2xl mx-auto">
+              {series.description}
+            </p>
+          )}
+          {parts.length > 0 && (
+            <div className="mt-8 flex flex-col items-center gap-3">
+              <Link
+                to={`/post/${nextPart.slug}`}
+                className="px-6 py-3 bg-white text-black font-medium rounded-lg hover:bg-gray-200 transition-colors"
+              >
+                {readCount === 0 ? 'Start reading' : readCount === parts.length ? 'Read again' : 'Continue reading'}
+              </Link>
+              <p className="text-sm text-gray-400">
+                {parts.length} {parts.length === 1 ? 'part' : 'parts'}
+                {readCount > 0 && ` · ${readCount} read`}
+              </p>
+            </div>
+          )}
+        </div>
+      </section>
+
+      {/* Parts */}
+      <section className="py-12">
+        <div className="container-main max-w-3xl">
+          {parts.length === 0 ? (
+            <div className="text-center py-12">
+              <div className="text-6xl mb-4">📚</div>
+              <h3 className="text-xl font-semibold text-gray-900 mb-2">No parts published yet</h3>
+              <p className="text-gray-600">The first part of this series is on its way.</p>
+            </div>
+          ) : (
+            <ol className="space-y-4">
+              {parts.map((part, index) => {
+                const read = readIds.has(part.id)
+                return (
+                  <li key={part.id} className="bg-white rounded-lg shadow-sm hover:shadow-md transition-shadow p-6 flex gap-5">
+                    <span
+                      className={`
+                        flex-shrink-0 w-10 h-10 rounded-full flex items-center justify-center font-bold
+                        ${read ? 'bg-blue-500 text-white' : 'bg-gray-100 text-gray-700'}
+                      `}
+                      title={read ? 'Read' : undefined}
+                    >
+                      {read ? <FiCheck className="w-5 h-5" aria-label="Read" /> : index + 1}
+                    </span>
+                    <div className="flex-1 min-w-0">
+                      <div className="flex flex-wrap items-center gap-3 mb-1 text-sm text-gray-500">
+                        <span className="font-medium">Part {index + 1}</span>
+                        {part.published_at && (
+                          <time dateTime={part.published_at}>{dateUtils.formatDate(part.published_at)}</time>
+                        )}
+                        {part.categories && <CategoryBadge category={part.categories} size="sm" />}
+                      </div>
+                      <Link to={`/post/${part.slug}`} className="block group">
+                        <h2 className="text-xl font-bold text-gray-900 group-hover:text-gray-600 transition-colors mb-1">
+                          {part.title}
+                        </h2>
+                        {part.excerpt && <p className="text-gray-700 leading-relaxed line-clamp-2">{part.excerpt}</p>}
+                      </Link>
+                      {part.authors?.length > 0 && (
+                        <AuthorByline authors={part.authors} className="mt-3" />
+                      )}
+                    </div>
+                  </li>
+                )
+              })}
+            </ol>
+          )}
+        </div>
+      </section>
+    </div>
+  )
+}
+
+export default SeriesPage
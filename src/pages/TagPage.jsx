@@ -0,0 +1,168 @@
+import React from 'react'
+import { useParams } from 'react-router-dom'
+import PostCard from '../components/common/PostCard.jsx'
+import TagCloud from '../components/common/TagCloud.jsx'
+import { SkeletonCard } from '../components/ui/LoadingSpinner.jsx'
+import { ErrorPage } from '../components/ui/ErrorMessage.jsx'
+import Button from '../components/ui/Button.jsx'
+import { useTagPosts, useTagCloud, usePostsEngagement } from '../hooks/useBlog.js'
+import { NotFoundError } from '../services/errors.js'
+
+/**
+ * TagPage component - Displays all posts with a specific tag
+ */
+const TagPage = () => {
+  const { slug } = useParams()
+  const {
+    posts,
+    total,
+    tag,
+    loading,
+    loadingMore,
+    error,
+    hasMore,
+    loadMore,
+    retry
+  } = useTagPosts(slug, 6)
+  const { tags: cloudTags } = useTagCloud()
+  const { likeCounts, likedPosts, toggleLike } = usePostsEngagement(posts)
+
+  if (loading && posts.length === 0) {
+    return (
+      <div className="min-h-screen bg-gray-50">
+        <section className="bg-gradient-to-r from-gray-800 to-black text-white py-16">
+          <div className="container-main text-center">
+            <h1 className="text-4xl md:text-5xl font-bold mb-4 animate-pulse">
+              Loading tag...
+            </h1>
+          </div>
+        </section>
+        
+        <section className="py-12">
+          <div className="container-main">
+            <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
+              {Array.from({ length: 6 }).map((_, index) => (
+                <SkeletonCard key={`skeleton-${index}`} />
+              ))}
+            </div>
+          </div>
+        </section>
+      </div>
+    )
+  }
+
+  if (error && posts.length === 0) {
+    // Retrying won't make a missing tag appear
+    const notFound = error instanceof NotFoundError
+    return <ErrorPage 
+      error={error}
+      title="Tag Not Found" 
+      message="Failed to load tagged posts."
+      actionLabel={notFound ? 'Go Back to Homepage' : 'Try Again'}
+      onAction={notFound ? undefined : retry}
+    />
+  }
+
+  if (!tag && !loading) {
+    return <ErrorPage 
+      title="Tag Not Found" 
+      message="The tag you're looking for doesn't exist."
+      actionLabel="Go Back to Homepage"
+      actionPath="/"
+    />
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      {/* Tag Header */}
+      <section className="bg-gradient-to-r from-gray-800 to-black text-white py-16">
+        <div className="container-main text-center">
+          <h1 className="text-4xl md:text-5xl font-bold mb-4">
+            #{tag.name}
+          </h1>
+          <p className="text-xl text-gray-300">
+            Explore all posts tagged {tag.name}
+          </p>
+        </div>
+      </section>
+
+      {/* Posts Section */}
+      <section className="py-12">
+        <div className="container-main">
+          {posts.length === 0 && !loading ? (
+            <div className="text-center py-12">
+              <div className="text-6xl mb-4">🏷️</div>
+              <h3 className="text-xl font-semibold text-gray-900 mb-2">No posts with this tag yet</h3>
+              <p className="text-gray-600">Check back soon for new posts tagged {tag.name}!</p>
+            </div>
+          ) : (
+            <>
+              <div className="mb-8">
+                <h2 className="text-2xl font-bold text-gray-900 mb-2">
+                  {total} {total === 1 ? 'Post' : 'Posts'} tagged {tag.name}
+                </h2>
+                {total > posts.length && (
+                  <p className="text-gray-600">Showing {posts.length} of {total}</p>
+                )}
+              </div>
+
+              {/* Posts Grid */}
+              <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6 mb-8">
+                {posts.map((post) => (
+                  <PostCard
+                    key={post.id}
+                    post={post}
+                    variant="default"
+                    likeCount={likeCounts[post.id]}
+                    liked={likedPosts[post.id]}
+                    onToggleLike={toggleLike}
+                  />
+                ))}
+                
+                {/* Loading cards for load more */}
+                {loadingMore && Array.from({ length: 3 }).map((_, index) => (
+                  <SkeletonCard key={`loading-${index}`} />
+                ))}
+              </div>
+
+              {/* Load More Button */}
+              {hasMore && !loadingMore && (
+                <div className="text-center">
+                  <Button
+                    onClick={loadMore}
+                    variant="outline"
+                    size="lg"
+                    className="px-8"
+                  >
+                    Load More Posts
+                  </Button>
+                </div>
+              )}
+
+              {/* End of posts message */}
+              {!hasMore && posts.length > 6 && (
+                <div className="text-center py-8">
+                  <p className="text-gray-600">
+                    You've seen all posts tagged {tag.name}! 🎉
+                  </p>
+                </div>
+              )}
+            </>
+          )}
+        </div>
+      </section>
+
+      {/* Other Tags */}
+      {cloudTags.length > 1 && (
+        <section className="py-12 bg-white">
+          <div className="container-main">
+            <h2 className="text-2xl font-bold text-gray-900 mb-6">Explore Other Tags</h2>
+            <TagCloud tags={cloudTags} activeSlug={slug} />
+          </div>
+        </section>
+      )}
+    </div>
+  )
+}
+
+export default TagPage
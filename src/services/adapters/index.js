@@ -0,0 +1,117 @@
+/**
+ * Data adapter selection
+ *
+ * VITE_DATA_SOURCE picks the backend explicitly ('supabase', 'mock' or
+ * 'static'). Without it, Supabase is used when configured; otherwise the
+ * mock dataset is used in development only; production builds report a
+ * ConfigError instead of showing demo posts.
+ *
+ * Every adapter method rejects with typed errors from services/errors.js.
+ */
+
+import { supabase, isSupabaseConfigured } from '../supabase.js'
+import { ConfigError, toAppError } from '../errors.js'
+import { createSupabaseAdapter } from './supabaseAdapter.js'
+import { createMockAdapter } from './mockAdapter.js'
+import { createStaticAdapter } from './staticAdapter.js'
+import { createNoopRealtime } from '../realtime.js'
+
+let mockAdapter = null
+
+/**
+ * Get the shared mock adapter (also used as the fallback dataset)
+ * @returns {Object} Mock adapter instance
+ */
+export const getMockAdapter = () => {
+  if (!mockAdapter) mockAdapter = createMockAdapter()
+  return mockAdapter
+}
+
+/**
+ * Resolve which data source the app should use
+ * @returns {string} One of 'supabase', 'mock', 'static' or 'unconfigured'
+ */
+export const resolveDataSource = () => {
+  const requested = import.meta.env.VITE_DATA_SOURCE
+  if (requested === 'static' || requested === 'mock') return requested
+  if (isSupabaseConfigured()) return 'supabase'
+
+  // Mock data is a development convenience unless asked for explicitly
+  if (!requested && import.meta.env.DEV) return 'mock'
+  return 'unconfigured'
+}
+
+/**
+ * Adapter whose every method rejects with a ConfigError
+ * Used when Supabase is required but its environment variables are missing.
+ * @returns {Object} Data adapter
+ */
+const createUnconfiguredAdapter = () => {
+  const fail = () => Promise.reject(new ConfigError(
+    'Supabase is not configured. Set VITE_SUPABASE_URL and VITE_SUPABASE_ANON_KEY, or pick a data source with VITE_DATA_SOURCE.'
+  ))
+  const namespace = new Proxy({}, { get: () => fail })
+  return {
+    name: 'unconfigured',
+    categories: namespace,
+    posts: namespace,
+    tags: namespace,
+    authors: namespace,
+    series: namespace,
+    engagement: namespace,
+    realtime: createNoopRealtime()
+  }
+}
+
+/**
+ * Make every adapter method reject with typed errors
+ * @param {Object} adapter - Data adapter
+ * @returns {Object} Adapter with wrapped methods
+ */
+const withTypedErrors = (adapter) => {
+  const wrap = (namespace) => new Proxy(namespace, {
+    get: (target, method) => {
+      const fn = target[method]
+      if (typeof fn !== 'function') return fn
+      return async (...args) => {
+        try {
+          return await fn(...args)
+        } catch (error) {
+          throw toAppError(error)
+        }
+      }
+    }
+  })
+
+  return {
+    name: adapter.name,
+    categories: wrap(adapter.categories),
+    posts: wrap(adapter.posts),
+    tags: wrap(adapter.tags),
+    authors: wrap(adapter.authors),
+    series: wrap(adapter.series),
+    engagement: wrap(adapter.engagement),
+    // Subscriptions report problems through their status callback
+    realtime: adapter.realtime
+  }
+}
+
+/**
+ * Create the adapter for the configured data source
+ * @returns {Object} Data adapter
+ */
+export const createDataAdapter = () => {
+  switch (resolveDataSource()) {
+    case 'supabase':
+      return withTypedErrors(createSupabaseAdapter(supabase))
+    case 'static':
+      return withTypedErrors(createStaticAdapter())
+    case 'unconfigured':
+      console.error('Supabase is not configured and no data source was chosen with VITE_DATA_SOURCE')
+      return createUnconfiguredAdapter()
+    default:
+      return withTypedErrors(getMockAdapter())
+  }
+}
+
+export { createSupabaseAdapter, createMockAdapter, createStaticAdapter }
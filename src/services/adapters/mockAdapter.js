@@ -0,0 +1,16 @@
+/**
+ * Mock Adapter - Supabase queries run against the in-memory stand-in
+ * Used for local development when Supabase is not configured.
+ */
+
+import { getMockSupabaseClient } from '../mockSupabase.js'
+import { createSupabaseAdapter } from './supabaseAdapter.js'
+
+/**
+ * Create an adapter over the bundled mock dataset
+ * Realtime is off: only this tab changes the in-memory data.
+ * @returns {Object} Adapter sharing the production query code
+ */
+export const createMockAdapter = () => createSupabaseAdapter(getMockSupabaseClient(), { name: 'mock', realtime: false })
+
+export default createMockAdapter
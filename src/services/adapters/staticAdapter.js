@@ -0,0 +1,38 @@
+/**
+ * Static Adapter - Read-only backend loaded from a JSON file
+ *
+ * Handy for previews and static hosting: export `{ categories, posts }`,
+ * optionally with `tags`, `post_tags`, `authors`, `post_authors` and `series` (posts
+ * may instead embed `categories`, `tags` and `authors`, the latter in byline
+ * order) and point VITE_STATIC_DATA_URL at the file. Queries run through the in-memory
+ * Supabase stand-in, so the production query code is used unchanged.
+ */
+
+import { createMockSupabaseClient } from '../mockSupabase.js'
+import { createSupabaseAdapter } from './supabaseAdapter.js'
+import { ConfigError } from '../errors.js'
+
+const DEFAULT_STATIC_DATA_URL = '/data/blog.json'
+
+/**
+ * Create an adapter over a static JSON dataset
+ * @param {string} url - URL of the JSON file
+ * @returns {Object} Read-only adapter
+ */
+export const createStaticAdapter = (url = import.meta.env.VITE_STATIC_DATA_URL || DEFAULT_STATIC_DATA_URL) => {
+  const client = createMockSupabaseClient(
+    async () => {
+      const response = await fetch(url)
+      if (!response.ok) {
+        throw new ConfigError(`Failed to load static blog data from "${url}" (HTTP ${response.status})`)
+      }
+      return response.json()
+    },
+    { readOnly: true }
+  )
+
+  // The JSON file never changes while the page is open
+  return createSupabaseAdapter(client, { name: 'static', realtime: false })
+}
+
+export default createStaticAdapter
@@ -1,22 +1,612 @@
 /**
- * API Service Module - Provides data access to the blog application
+ * API Service Module - Single data-access layer for the blog application
  * 
  * Features:
- * - Abstracts data fetching from components
- * - Handles Supabase API calls
- * - Provides fallback to mock data when Supabase is not configured
- * - Centralizes error handling
+ * - One categoriesService / postsService / tagsService / authorsService / engagementService surface for every page
+ * - Interchangeable backends (Supabase, in-memory mock, static JSON) via services/adapters
+ * - Caching configured in one place (CACHE_TTL) on top of utils/dataService.js
+ * - Tag-based invalidation: mutations drop only the cached reads containing what they changed
+ * - Optional IndexedDB persistence so repeat visits and offline reads use previously loaded data
+ * - Typed errors (services/errors.js) so callers can tell "not found" from "server unreachable"
+ * - Records normalized to the shapes declared in services/schemas.js; writes validated against them
+ * - Retries with backoff and a circuit breaker (services/request.js), reported as a backend status
+ * - Live like/view counts through the adapter's realtime feed (services/realtime.js)
+ * - Full-text search with ranked, highlighted results (search_posts RPC)
+ * - Optional, development-only fallback to the mock dataset when a live read fails
  */
 
-import { supabase, signInAnonymously } from './supabase.js'
-import { mockCategories, mockPosts } from '../utils/mockData.js'
+import { createCacheableFetch, invalidateTags, enablePersistentCache } from '../utils/dataService.js'
+import { textUtils, dateUtils } from '../utils/helpers.js'
+import { createDataAdapter, getMockAdapter } from './adapters/index.js'
+import { AppError, ConfigError, NotFoundError, PermissionError, ValidationError } from './errors.js'
+import { createRequestPolicy, withRequestPolicy } from './request.js'
+import { getEditorUser } from './supabase.js'
+import { PostSchema, LikeSchema, normalize, pickWritable, assertValid, withNormalizedResults } from './schemas.js'
 
 /**
- * Check if Supabase is properly configured
- * @returns {boolean} True if Supabase environment variables are set
+ * Retry and circuit breaker settings for every backend call
+ * (see DEFAULT_REQUEST_POLICY in services/request.js for what each one does)
  */
-const isSupabaseConfigured = () => {
-  return import.meta.env.VITE_SUPABASE_URL && import.meta.env.VITE_SUPABASE_ANON_KEY
+const REQUEST_POLICY = {
+  retries: 2,
+  baseDelay: 300, // ms
+  maxDelay: 4000, // ms
+  jitter: 0.5,
+  retryBudget: { maxRetries: 10, windowMs: 10000 },
+  failureThreshold: 5,
+  resetTimeout: 30000 // 30 seconds
+}
+
+const requestPolicy = createRequestPolicy(REQUEST_POLICY)
+
+/**
+ * Read VITE_VIEW_REVISIT_HOURS: a whole number of hours, at least 1, that fits
+ * the INTEGER argument of track_post_view
+ * @param {string|undefined} value - Raw setting
+ * @returns {number|null} Hours, or null (count each reader once) when unset or invalid
+ */
+const parseRevisitHours = (value) => {
+  if (value === undefined || value === null || String(value).trim() === '') return null
+
+  const text = String(value).trim()
+  const hours = Number.parseInt(text, 10)
+  // parseInt stops at the first non-digit, so '1.5' and '3h' need the pattern check
+  if (!/^\d+$/.test(text) || hours < 1 || hours > 2147483647) {
+    console.error(new ConfigError(
+      `VITE_VIEW_REVISIT_HOURS must be a whole number of hours (at least 1), not "${value}". Counting each reader once.`
+    ))
+    return null
+  }
+  return hours
+}
+
+/**
+ * How views are counted
+ * Each reader (identified by their guest ID) counts once per post. With
+ * revisitHours set, a visit at least that many hours after the reader's last
+ * counted view counts again (VITE_VIEW_REVISIT_HOURS; unset = once ever).
+ */
+const VIEW_TRACKING = {
+  revisitHours: parseRevisitHours(import.meta.env.VITE_VIEW_REVISIT_HOURS)
+}
+
+/**
+ * Time windows trending lists can cover, in hours
+ * Within a window, views and likes count for less the older they are (see
+ * get_trending_posts in database-setup.sql).
+ */
+export const TRENDING_WINDOWS = {
+  '24h': 24,
+  '7d': 168,
+  '30d': 720
+}
+
+/**
+ * Orders category listings can be sorted in
+ */
+export const POST_SORTS = ['newest', 'oldest', 'views', 'likes']
+
+/**
+ * Reading-time filters for category listings, in whole minutes (bounds included)
+ */
+export const READING_TIMES = {
+  short: { max: 4 },
+  medium: { min: 5, max: 10 },
+  long: { min: 11 }
+}
+
+const MONTH_PATTERN = /^\d{4}-(0[1-9]|1[0-2])$/
+
+/**
+ * The backend every service method talks to
+ * Reads are retried on transient failures; all calls share one circuit breaker.
+ * Every record it returns has the canonical shape from services/schemas.js.
+ */
+const adapter = withNormalizedResults(withRequestPolicy(createDataAdapter(), requestPolicy))
+
+/**
+ * Cache key prefixes for every cached read
+ * Hooks use these to subscribe to fresh data (see hooks/useCacheUpdates.js).
+ */
+export const CACHE_KEYS = {
+  categories: 'categories:all',
+  categoryBySlug: 'categories:bySlug',
+  publishedPosts: 'posts:published',
+  postBySlug: 'posts:bySlug',
+  categoryPosts: 'posts:byCategory',
+  relatedPosts: 'posts:related',
+  trendingPosts: 'posts:trending',
+  tagPosts: 'posts:byTag',
+  authorPosts: 'posts:byAuthor',
+  archive: 'posts:archive',
+  archivePosts: 'posts:byDate',
+  seriesPosts: 'posts:bySeries',
+  search: 'posts:search',
+  tags: 'tags:all',
+  tagBySlug: 'tags:bySlug',
+  tagCounts: 'tags:counts',
+  authorBySlug: 'authors:bySlug',
+  seriesBySlug: 'series:bySlug',
+  likeCount: 'likes:count',
+  hasLiked: 'likes:hasLiked',
+  likeCounts: 'likes:counts',
+  likedState: 'likes:likedState'
+}
+
+/**
+ * Cache lifetimes (ms) for every cached read
+ * Entries older than this are still served for a while as stale data while
+ * they refresh in the background (see utils/dataService.js).
+ */
+const CACHE_TTL = {
+  [CACHE_KEYS.categories]: 300000, // 5 minutes
+  [CACHE_KEYS.categoryBySlug]: 300000, // 5 minutes
+  [CACHE_KEYS.publishedPosts]: 60000, // 1 minute
+  [CACHE_KEYS.postBySlug]: 60000, // 1 minute
+  [CACHE_KEYS.categoryPosts]: 60000, // 1 minute
+  [CACHE_KEYS.relatedPosts]: 300000, // 5 minutes
+  [CACHE_KEYS.trendingPosts]: 60000, // 1 minute
+  [CACHE_KEYS.tagPosts]: 60000, // 1 minute
+  [CACHE_KEYS.authorPosts]: 60000, // 1 minute
+  [CACHE_KEYS.archive]: 300000, // 5 minutes
+  [CACHE_KEYS.archivePosts]: 60000, // 1 minute
+  [CACHE_KEYS.seriesPosts]: 60000, // 1 minute
+  [CACHE_KEYS.search]: 60000, // 1 minute
+  [CACHE_KEYS.tags]: 300000, // 5 minutes
+  [CACHE_KEYS.tagBySlug]: 300000, // 5 minutes
+  [CACHE_KEYS.tagCounts]: 300000, // 5 minutes
+  [CACHE_KEYS.authorBySlug]: 300000, // 5 minutes
+  [CACHE_KEYS.seriesBySlug]: 300000, // 5 minutes
+  [CACHE_KEYS.likeCount]: 30000, // 30 seconds
+  [CACHE_KEYS.hasLiked]: 30000, // 30 seconds
+  [CACHE_KEYS.likeCounts]: 30000, // 30 seconds
+  [CACHE_KEYS.likedState]: 30000 // 30 seconds
+}
+
+/**
+ * Retention (ms) of responses kept in IndexedDB between visits, by key prefix
+ */
+const PERSISTENT_CACHE_TTL = {
+  'categories:': 604800000, // 7 days
+  'posts:': 259200000, // 3 days
+  'tags:': 604800000, // 7 days
+  'authors:': 604800000, // 7 days
+  'series:': 604800000, // 7 days
+  'likes:': 3600000 // 1 hour
+}
+
+// Repeat visits paint from responses kept in IndexedDB. The mock backend
+// starts over on every load, so its responses aren't worth keeping.
+if (adapter.name !== 'mock' && import.meta.env.VITE_PERSISTENT_CACHE !== 'false') {
+  enablePersistentCache({ name: `reactBlog-${adapter.name}`, ttlByPrefix: PERSISTENT_CACHE_TTL })
+}
+
+/**
+ * Entity tags attached to cached reads
+ * Mutations invalidate by tag so only the entries containing the changed
+ * entity are refetched (see invalidateTags in utils/dataService.js).
+ */
+const cacheTags = {
+  post: (id) => `post:${id}`,
+  category: (id) => `category:${id}`,
+  tag: (id) => `tag:${id}`,
+  author: (id) => `author:${id}`,
+  series: (id) => `series:${id}`,
+  likes: (postId) => `likes:${postId}`,
+  // Reads whose result depends on which posts exist or how they are ordered
+  // (lists, related posts and slug lookups that found nothing)
+  postLists: 'posts',
+  // Reads whose result depends on which tags exist (tag list, tag cloud)
+  tagLists: 'tags'
+}
+
+/**
+ * Tags for a single post and the category, series, blog tags and authors embedded in it
+ * @param {Object} post - Post row
+ * @returns {Array<string>} Tags
+ */
+const tagsForPost = (post) => {
+  const tags = [
+    cacheTags.post(post.id),
+    ...(post.tags || []).map(tag => cacheTags.tag(tag.id)),
+    ...(post.authors || []).map(author => cacheTags.author(author.id))
+  ]
+  if (post.category_id) tags.push(cacheTags.category(post.category_id))
+  if (post.series_id) tags.push(cacheTags.series(post.series_id))
+  return tags
+}
+
+/**
+ * Tags for a list of posts
+ * @param {Array} posts - Post rows
+ * @returns {Array<string>} Tags
+ */
+const tagsForPostList = (posts) => {
+  return [cacheTags.postLists, ...(posts || []).flatMap(tagsForPost)]
+}
+
+/**
+ * Name of the backend in use ('supabase', 'mock', 'static' or 'unconfigured')
+ * @returns {string} Data source name
+ */
+export const getDataSource = () => adapter.name
+
+/**
+ * Current health of the backend as seen by the circuit breaker
+ * 'degraded' means recent requests failed repeatedly and calls are failing
+ * fast (cached data is still served) until the backend answers again.
+ * @returns {{status: string, circuit: string, retryAt: number|null}} Status ('ok' or 'degraded'), breaker state and when requests resume
+ */
+export const getBackendStatus = () => requestPolicy.getStatus()
+
+/**
+ * Subscribe to backend status changes
+ * @param {Function} listener - Called with the new status object
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeToBackendStatus = (listener) => requestPolicy.subscribe(listener)
+
+/**
+ * Whether failed reads may be answered from the mock dataset
+ * Off unless explicitly enabled with VITE_MOCK_FALLBACK=true in a
+ * development build, so production readers never see demo posts.
+ * @returns {boolean} True when the mock fallback is active
+ */
+export const isMockFallbackEnabled = () => {
+  return import.meta.env.DEV &&
+    import.meta.env.VITE_MOCK_FALLBACK === 'true' &&
+    adapter.name !== 'mock'
+}
+
+// Listeners told whenever a read was answered from the mock dataset
+const mockFallbackListeners = new Set()
+
+/**
+ * Subscribe to mock fallbacks (DevelopmentNotice uses this to say so on screen)
+ * @param {Function} listener - Called with the cache key of the read that fell back
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeToMockFallback = (listener) => {
+  mockFallbackListeners.add(listener)
+  return () => mockFallbackListeners.delete(listener)
+}
+
+/**
+ * Fallback that answers a failed read from the mock dataset
+ * @param {string} cacheKey - Cache key of the read (reported to listeners)
+ * @param {Function} pick - Selects the equivalent method on the mock adapter
+ * @returns {Function|null} Fallback function for createCacheableFetch, or null when disabled
+ */
+const fromMockData = (cacheKey, pick) => {
+  if (!isMockFallbackEnabled()) return null
+  return (...args) => {
+    mockFallbackListeners.forEach(listener => listener(cacheKey))
+    return pick(withNormalizedResults(getMockAdapter()))(...args)
+  }
+}
+
+/**
+ * Wrap an adapter read with the configured cache lifetime, fallback and tags
+ * @param {string} cacheKey - Cache key prefix (must exist in CACHE_TTL)
+ * @param {Function} read - Adapter read to cache
+ * @param {Function|null} fallback - Fallback used when the read fails
+ * @param {Function} tags - Called as tags(data, ...args) to tag the cached entry
+ * @returns {Function} Cached read
+ */
+const cachedRead = (cacheKey, read, fallback = null, tags = null) => {
+  return createCacheableFetch(read, cacheKey, CACHE_TTL[cacheKey], fallback, { tags })
+}
+
+/**
+ * Read the browser's liked-post list (used when no user ID is available)
+ * @param {string} postId - The ID of the post
+ * @returns {boolean} Whether the post is in the local liked list
+ */
+const isLikedLocally = (postId) => {
+  try {
+    const likedPosts = JSON.parse(localStorage.getItem('likedPosts') || '[]')
+    return likedPosts.includes(postId)
+  } catch {
+    return false
+  }
+}
+
+/**
+ * Stamp published_at when a post is published without an explicit date
+ * @param {Object} row - Post row about to be written
+ * @returns {Object} The same row with published_at filled in when needed
+ */
+const withPublishDate = (row) => {
+  if (row.published === true && !row.published_at) {
+    return { ...row, published_at: new Date().toISOString() }
+  }
+  return row
+}
+
+/**
+ * Columns whose change moves a post in or out of lists (or changes its place)
+ */
+const LIST_COLUMNS = ['slug', 'category_id', 'series_id', 'series_position', 'published', 'published_at']
+
+/**
+ * Limits on the tags of a post
+ */
+const TAG_LIMITS = {
+  perPost: 10,
+  nameLength: 40
+}
+
+/**
+ * Turn the tags given for a post into tag rows
+ * Accepts tag names or tag objects; tags with the same slug are merged.
+ * @param {Array<string|Object>} input - Tag names or `{ name }` objects
+ * @returns {Array<{name: string, slug: string}>} Tags to link to the post
+ * @throws {ValidationError} With a `tags` message when a tag is unusable or there are too many
+ */
+const toTagRows = (input) => {
+  const invalid = (message) => new ValidationError(`Invalid post: ${message}`, { tags: message })
+  if (!Array.isArray(input)) throw invalid('Tags must be a list')
+
+  const rows = new Map()
+  input.forEach(tag => {
+    const name = String((typeof tag === 'object' ? tag?.name : tag) ?? '').trim()
+    if (!name) return
+
+    const slug = textUtils.generateSlug(name)
+    if (!slug) throw invalid(`Tag "${name}" needs at least one letter or number`)
+    if (name.length > TAG_LIMITS.nameLength) throw invalid(`Tag "${name}" is longer than ${TAG_LIMITS.nameLength} characters`)
+    if (!rows.has(slug)) rows.set(slug, { name, slug })
+  })
+
+  if (rows.size > TAG_LIMITS.perPost) throw invalid(`A post can have at most ${TAG_LIMITS.perPost} tags`)
+  return [...rows.values()]
+}
+
+/**
+ * Whether a post already has exactly these tags
+ * @param {Array<Object>} current - Tags embedded in the post
+ * @param {Array<Object>} next - Tag rows from toTagRows
+ * @returns {boolean} True when the slugs match
+ */
+const hasSameTags = (current, next) => {
+  const slugs = (tags) => tags.map(tag => tag.slug).sort().join(',')
+  return slugs(current || []) === slugs(next)
+}
+
+/**
+ * Link a post to its tags, creating the tags that don't exist yet
+ * @param {Object} post - Post that was just written
+ * @param {Array<Object>} tags - Tag rows from toTagRows
+ * @returns {Promise<Object>} The post with its new tags embedded
+ */
+const saveTags = async (post, tags) => {
+  await adapter.posts.setTags(post.id, tags)
+  invalidateTags([cacheTags.tagLists])
+  return (await adapter.posts.getById(post.id)) || post
+}
+
+/**
+ * Undo a post write after its tags failed to save
+ * The post row and its tags are separate requests, so without this a failed
+ * tag write would leave the post half-saved.
+ * @param {Function} undo - Puts the post back the way it was
+ * @returns {Promise<boolean>} True when the post was put back
+ */
+const undoPostWrite = async (undo) => {
+  try {
+    await undo()
+    return true
+  } catch (error) {
+    console.error('Error undoing a partial post write:', error)
+    return false
+  }
+}
+
+/**
+ * Check the sorting and filters of a category listing and fill in the defaults
+ * @param {Object} filters - `{ sort, from, to, length, includeChildren }` (see postsService.getByCategory)
+ * @returns {{sort: string, from: string|null, to: string|null, length: string|null, includeChildren: boolean}} Complete filters
+ * @throws {ValidationError} With one message per invalid filter
+ */
+const normalizeListingFilters = ({ sort = 'newest', from = null, to = null, length = null, includeChildren = false } = {}) => {
+  const fields = {}
+  if (!POST_SORTS.includes(sort)) fields.sort = `Sort must be one of ${POST_SORTS.join(', ')}`
+  if (from !== null && !MONTH_PATTERN.test(from)) fields.from = 'From must be a month (YYYY-MM)'
+  if (to !== null && !MONTH_PATTERN.test(to)) fields.to = 'To must be a month (YYYY-MM)'
+  else if (from !== null && to !== null && !fields.from && to < from) fields.to = 'To must not be before from'
+  if (length !== null && !Object.hasOwn(READING_TIMES, length)) {
+    fields.length = `Length must be one of ${Object.keys(READING_TIMES).join(', ')}`
+  }
+  if (typeof includeChildren !== 'boolean') fields.includeChildren = 'Include children must be true or false'
+
+  if (Object.keys(fields).length > 0) {
+    throw new ValidationError(`Invalid listing filters: ${Object.values(fields).join('; ')}`, fields)
+  }
+  return { sort, from, to, length, includeChildren }
+}
+
+/**
+ * Turn listing filters into the adapter's terms: months become a UTC date range
+ * and the reading-time filter a range of minutes
+ * @param {Object} filters - Filters from normalizeListingFilters
+ * @returns {Object} `{ sort, publishedFrom, publishedBefore, minReadingMinutes, maxReadingMinutes, includeChildren }`
+ */
+const toListingFilters = ({ sort, from, to, length, includeChildren }) => {
+  const month = (value) => value.split('-').map(Number)
+  return {
+    sort,
+    publishedFrom: from ? dateUtils.getPeriodRange(...month(from)).from : null,
+    publishedBefore: to ? dateUtils.getPeriodRange(...month(to)).to : null,
+    minReadingMinutes: length ? READING_TIMES[length].min ?? null : null,
+    maxReadingMinutes: length ? READING_TIMES[length].max ?? null : null,
+    includeChildren
+  }
+}
+
+/**
+ * Drop cached reads that contain the given posts
+ * @param {Array} posts - Posts that were written (null entries are ignored)
+ * @param {boolean} listsChanged - If true, also drop every list of posts
+ */
+const invalidatePosts = (posts, listsChanged = false) => {
+  const tags = posts.filter(Boolean).map(post => cacheTags.post(post.id))
+  if (listsChanged) tags.push(cacheTags.postLists)
+  invalidateTags(tags)
+}
+
+const cachedCategories = {
+  getAll: cachedRead(
+    CACHE_KEYS.categories,
+    () => adapter.categories.getAll(),
+    fromMockData(CACHE_KEYS.categories, mock => mock.categories.getAll),
+    (categories) => (categories || []).map(category => cacheTags.category(category.id))
+  ),
+  getBySlug: cachedRead(
+    CACHE_KEYS.categoryBySlug,
+    (slug) => adapter.categories.getBySlug(slug),
+    fromMockData(CACHE_KEYS.categoryBySlug, mock => mock.categories.getBySlug),
+    (category) => category ? [cacheTags.category(category.id)] : []
+  )
+}
+
+const cachedPosts = {
+  getPublished: cachedRead(
+    CACHE_KEYS.publishedPosts,
+    (limit, cursor) => adapter.posts.getPublished(limit, cursor),
+    fromMockData(CACHE_KEYS.publishedPosts, mock => mock.posts.getPublished),
+    (page) => tagsForPostList(page?.items)
+  ),
+  getBySlug: cachedRead(
+    CACHE_KEYS.postBySlug,
+    (slug) => adapter.posts.getBySlug(slug),
+    fromMockData(CACHE_KEYS.postBySlug, mock => mock.posts.getBySlug),
+    (post) => post ? tagsForPost(post) : [cacheTags.postLists]
+  ),
+  getByCategory: cachedRead(
+    CACHE_KEYS.categoryPosts,
+    (categorySlug, limit, cursor, filters) => adapter.posts.getByCategory(categorySlug, limit, cursor, toListingFilters(filters)),
+    fromMockData(CACHE_KEYS.categoryPosts, mock => (categorySlug, limit, cursor, filters) => {
+      return mock.posts.getByCategory(categorySlug, limit, cursor, toListingFilters(filters))
+    }),
+    (page) => tagsForPostList(page?.items)
+  ),
+  getRelated: cachedRead(
+    CACHE_KEYS.relatedPosts,
+    (postId, limit) => adapter.posts.getRelated(postId, limit),
+    () => [],
+    // Rewriting the post itself changes what it's similar to
+    (posts, postId) => [...tagsForPostList(posts), cacheTags.post(postId)]
+  ),
+  getByTag: cachedRead(
+    CACHE_KEYS.tagPosts,
+    (tagSlug, limit, cursor) => adapter.posts.getByTag(tagSlug, limit, cursor),
+    fromMockData(CACHE_KEYS.tagPosts, mock => mock.posts.getByTag),
+    (page) => tagsForPostList(page?.items)
+  ),
+  getByAuthor: cachedRead(
+    CACHE_KEYS.authorPosts,
+    (authorSlug, limit, cursor) => adapter.posts.getByAuthor(authorSlug, limit, cursor),
+    fromMockData(CACHE_KEYS.authorPosts, mock => mock.posts.getByAuthor),
+    (page) => tagsForPostList(page?.items)
+  ),
+  getTrending: cachedRead(
+    CACHE_KEYS.trendingPosts,
+    (windowHours, options) => adapter.posts.getTrending(windowHours, options),
+    () => [],
+    (items) => tagsForPostList(items?.map(item => item.post))
+  ),
+  getArchiveCounts: cachedRead(
+    CACHE_KEYS.archive,
+    () => adapter.posts.getArchiveCounts(),
+    fromMockData(CACHE_KEYS.archive, mock => mock.posts.getArchiveCounts),
+    // Counts move whenever posts are published, deleted or rescheduled
+    () => [cacheTags.postLists]
+  ),
+  getPublishedBetween: cachedRead(
+    CACHE_KEYS.archivePosts,
+    (from, to, limit, cursor) => adapter.posts.getPublishedBetween(from, to, limit, cursor),
+    fromMockData(CACHE_KEYS.archivePosts, mock => mock.posts.getPublishedBetween),
+    (page) => tagsForPostList(page?.items)
+  ),
+  getBySeries: cachedRead(
+    CACHE_KEYS.seriesPosts,
+    (seriesId) => adapter.posts.getBySeries(seriesId),
+    fromMockData(CACHE_KEYS.seriesPosts, mock => mock.posts.getBySeries),
+    (posts, seriesId) => [...tagsForPostList(posts), cacheTags.series(seriesId)]
+  ),
+  getSearchResults: cachedRead(
+    CACHE_KEYS.search,
+    (query, options) => adapter.posts.getSearchResults(query, options),
+    fromMockData(CACHE_KEYS.search, mock => mock.posts.getSearchResults),
+    (result) => tagsForPostList(result?.items.map(item => item.post))
+  )
+}
+
+const cachedTags = {
+  getAll: cachedRead(
+    CACHE_KEYS.tags,
+    () => adapter.tags.getAll(),
+    fromMockData(CACHE_KEYS.tags, mock => mock.tags.getAll),
+    (tags) => [cacheTags.tagLists, ...(tags || []).map(tag => cacheTags.tag(tag.id))]
+  ),
+  getBySlug: cachedRead(
+    CACHE_KEYS.tagBySlug,
+    (slug) => adapter.tags.getBySlug(slug),
+    fromMockData(CACHE_KEYS.tagBySlug, mock => mock.tags.getBySlug),
+    (tag) => tag ? [cacheTags.tag(tag.id)] : [cacheTags.tagLists]
+  ),
+  getPostCounts: cachedRead(
+    CACHE_KEYS.tagCounts,
+    () => adapter.tags.getPostCounts(),
+    fromMockData(CACHE_KEYS.tagCounts, mock => mock.tags.getPostCounts),
+    // Counts move whenever posts are published, deleted or retagged
+    () => [cacheTags.tagLists, cacheTags.postLists]
+  )
+}
+
+const cachedAuthors = {
+  getBySlug: cachedRead(
+    CACHE_KEYS.authorBySlug,
+    (slug) => adapter.authors.getBySlug(slug),
+    fromMockData(CACHE_KEYS.authorBySlug, mock => mock.authors.getBySlug),
+    (author) => author ? [cacheTags.author(author.id)] : []
+  )
+}
+
+const cachedSeries = {
+  getBySlug: cachedRead(
+    CACHE_KEYS.seriesBySlug,
+    (slug) => adapter.series.getBySlug(slug),
+    fromMockData(CACHE_KEYS.seriesBySlug, mock => mock.series.getBySlug),
+    (series) => series ? [cacheTags.series(series.id)] : []
+  )
+}
+
+const cachedEngagement = {
+  getLikes: cachedRead(
+    CACHE_KEYS.likeCount,
+    (postId) => adapter.engagement.getLikes(postId),
+    () => 0,
+    (count, postId) => [cacheTags.likes(postId)]
+  ),
+  hasLiked: cachedRead(
+    CACHE_KEYS.hasLiked,
+    (postId, userId) => adapter.engagement.hasLiked(postId, userId),
+    () => false,
+    (liked, postId) => [cacheTags.likes(postId)]
+  ),
+  getLikesForPosts: cachedRead(
+    CACHE_KEYS.likeCounts,
+    (postIds) => adapter.engagement.getLikesForPosts(postIds),
+    null,
+    (counts, postIds) => postIds.map(cacheTags.likes)
+  ),
+  getLikedStateForPosts: cachedRead(
+    CACHE_KEYS.likedState,
+    (postIds, userId) => adapter.engagement.getLikedStateForPosts(postIds, userId),
+    null,
+    (liked, postIds) => postIds.map(cacheTags.likes)
+  )
 }
 
 /**
@@ -27,24 +617,8 @@ export const categoriesService = {
    * Get all categories for navigation
    * @returns {Promise<Array>} List of all categories
    */
-  async getAll() {
-    if (!isSupabaseConfigured()) {
-      console.warn('Supabase not configured, using mock data')
-      return mockCategories
-    }
-
-    try {
-      const { data, error } = await supabase
-        .from('categories')
-        .select('*')
-        .order('name', { ascending: true })
-
-      if (error) throw error
-      return data || []
-    } catch (error) {
-      console.error('Error fetching categories:', error)
-      return mockCategories // Fallback to mock data
-    }
+  getAll() {
+    return cachedCategories.getAll()
   },
 
   /**
@@ -52,25 +626,79 @@ export const categoriesService = {
    * @param {string} slug - The category slug to find
    * @returns {Promise<Object|null>} Category data or null if not found
    */
-  async getBySlug(slug) {
-    if (!isSupabaseConfigured()) {
-      return mockCategories.find(cat => cat.slug === slug) || null
-    }
+  getBySlug(slug) {
+    return cachedCategories.getBySlug(slug)
+  }
+}
 
-    try {
-      const { data, error } = await supabase
-        .from('categories')
-        .select('*')
-        .eq('slug', slug)
-        .single()
-
-      if (error) throw error
-      return data
-    } catch (error) {
-      console.error(`Error fetching category with slug "${slug}":`, error)
-      // Return mock category that matches the slug
-      return mockCategories.find(cat => cat.slug === slug) || null
+/**
+ * Tags Service - Manages the finer-grained topics posts are tagged with
+ */
+export const tagsService = {
+  /**
+   * Get every tag, in name order
+   * @returns {Promise<Array>} List of all tags
+   */
+  getAll() {
+    return cachedTags.getAll()
+  },
+
+  /**
+   * Get a tag by slug
+   * @param {string} slug - The tag slug to find
+   * @returns {Promise<Object|null>} Tag data or null if not found
+   */
+  getBySlug(slug) {
+    return cachedTags.getBySlug(slug)
+  },
+
+  /**
+   * Get the tags that have published posts, with how many each has (tag cloud)
+   * @param {Object} options - Cloud options
+   * @param {number|null} options.limit - Keep only this many of the most used tags
+   * @returns {Promise<Array<Object>>} Tags with a `count` of published posts, in name order
+   */
+  async getCloud({ limit = null } = {}) {
+    const [tags, counts] = await Promise.all([cachedTags.getAll(), cachedTags.getPostCounts()])
+    let cloud = tags
+      .map(tag => ({ ...tag, count: counts[tag.id] || 0 }))
+      .filter(tag => tag.count > 0)
+
+    if (limit) {
+      cloud = [...cloud]
+        .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name))
+        .slice(0, limit)
+        .sort((a, b) => a.name.localeCompare(b.name))
     }
+    return cloud
+  }
+}
+
+/**
+ * Authors Service - Manages the people posts are written by
+ */
+export const authorsService = {
+  /**
+   * Get an author by slug
+   * @param {string} slug - The author slug to find
+   * @returns {Promise<Object|null>} Author data or null if not found
+   */
+  getBySlug(slug) {
+    return cachedAuthors.getBySlug(slug)
+  }
+}
+
+/**
+ * Series Service - Manages multi-part series of posts
+ */
+export const seriesService = {
+  /**
+   * Get a series by slug
+   * @param {string} slug - The series slug to find
+   * @returns {Promise<Object|null>} Series data or null if not found
+   */
+  getBySlug(slug) {
+    return cachedSeries.getBySlug(slug)
   }
 }
 
@@ -79,174 +707,326 @@ export const categoriesService = {
  */
 export const postsService = {
   /**
-   * Get published posts with pagination
+   * Get one page of published posts, newest first
+   * Pages are keyed on (published_at, id), so posts published between
+   * requests never cause duplicates or gaps.
    * @param {number} limit - Maximum number of posts to fetch
-   * @param {number} offset - Number of posts to skip (for pagination)
-   * @returns {Promise<Array>} List of published posts
+   * @param {string|null} cursor - nextCursor of the previous page, or null for the first page
+   * @returns {Promise<{items: Array, nextCursor: string|null, total: number}>} Posts, the cursor of the next page (null on the last page) and the total number of posts
    */
-  async getPublished(limit = 10, offset = 0) {
-    if (!isSupabaseConfigured()) {
-      console.warn('Supabase not configured, using mock data')
-      return mockPosts.slice(offset, offset + limit)
-    }
-    
-    try {
-      const { data, error } = await supabase
-        .from('posts')
-        .select(`
-          *,
-          categories (*)
-        `)
-        // Removed status filter since the column doesn't exist
-        .order('published_at', { ascending: false })
-        .range(offset, offset + limit - 1)
-
-      if (error) throw error
-      return data || []
-    } catch (error) {
-      console.error('Error fetching published posts:', error)
-      return mockPosts.slice(offset, offset + limit)
-    }
+  getPublished(limit = 10, cursor = null) {
+    return cachedPosts.getPublished(limit, cursor)
   },
 
   /**
    * Get a single post by its slug
+   * Only published posts whose published_at has passed are returned, unless
+   * preview is set and an editor is signed in (see getEditorUser): previews
+   * also return drafts and scheduled posts and bypass the cache. Without an
+   * editor, preview is ignored.
    * @param {string} slug - The post slug to find
+   * @param {Object} options - Lookup options
+   * @param {boolean} options.preview - Include drafts and scheduled posts
    * @returns {Promise<Object|null>} Post data or null if not found
    */
-  async getBySlug(slug) {
-    if (!isSupabaseConfigured()) {
-      return mockPosts.find(post => post.slug === slug) || null
-    }
-
-    try {
-      const { data, error } = await supabase
-        .from('posts')
-        .select(`
-          *,
-          categories (*)
-        `)
-        .eq('slug', slug)
-        .single()
-
-      if (error) throw error
-      return data
-    } catch (error) {
-      console.error(`Error fetching post with slug "${slug}":`, error)
-      return mockPosts.find(post => post.slug === slug) || null
-    }
+  async getBySlug(slug, { preview = false } = {}) {
+    if (preview && await getEditorUser()) return adapter.posts.getBySlug(slug, { preview: true })
+    return cachedPosts.getBySlug(slug)
   },
 
   /**
-   * Get posts by category
+   * Get one page of posts in a category, newest first unless sorted otherwise
+   * Cursors belong to one sort and set of filters; change either and start
+   * again from the first page.
    * @param {string} categorySlug - The category slug to filter by
    * @param {number} limit - Maximum number of posts to fetch
-   * @param {number} offset - Number of posts to skip (for pagination)
-   * @returns {Promise<Array>} List of posts in the category
+   * @param {string|null} cursor - nextCursor of the previous page, or null for the first page
+   * @param {Object} filters - Sorting and filters
+   * @param {string} filters.sort - One of POST_SORTS: 'newest', 'oldest', 'views' (most viewed) or 'likes' (most liked)
+   * @param {string|null} filters.from - First month to include ('YYYY-MM', UTC)
+   * @param {string|null} filters.to - Last month to include ('YYYY-MM', UTC)
+   * @param {string|null} filters.length - Key of READING_TIMES ('short', 'medium' or 'long')
+   * @param {boolean} filters.includeChildren - Also list the posts of the category's subcategories (at any depth)
+   * @returns {Promise<{items: Array, nextCursor: string|null, total: number}>} Posts, the cursor of the next page (null on the last page) and the total number of posts matching the filters
+   * @throws {ValidationError} When a filter is not valid
    */
-  async getByCategory(categorySlug, limit = 10, offset = 0) {
-    if (!isSupabaseConfigured()) {
-      // Filter mock posts by category
-      const categoryPosts = mockPosts.filter(post => 
-        post.categories && post.categories.slug === categorySlug
-      )
-      return categoryPosts.slice(offset, offset + limit)
-    }
+  async getByCategory(categorySlug, limit = 10, cursor = null, filters = {}) {
+    return cachedPosts.getByCategory(categorySlug, limit, cursor, normalizeListingFilters(filters))
+  },
 
-    try {
-      // First, get the category ID from the slug
-      const { data: category, error: categoryError } = await supabase
-        .from('categories')
-        .select('id')
-        .eq('slug', categorySlug)
-        .single()
-
-      if (categoryError) throw categoryError
-      
-      // Then get posts with that category ID
-      const { data, error } = await supabase
-        .from('posts')
-        .select(`
-          *,
-          categories (*)
-        `)
-        .eq('category_id', category.id)
-        // Removed status filter since the column doesn't exist
-        .order('published_at', { ascending: false })
-        .range(offset, offset + limit - 1)
-
-      if (error) throw error
-      return data || []
-    } catch (error) {
-      console.error(`Error fetching posts for category "${categorySlug}":`, error)
-      // Return mock posts filtered by category
-      const categoryPosts = mockPosts.filter(post => 
-        post.categories && post.categories.slug === categorySlug
-      )
-      return categoryPosts.slice(offset, offset + limit)
-    }
+  /**
+   * Get one page of posts with a tag, newest first
+   * @param {string} tagSlug - The tag slug to filter by
+   * @param {number} limit - Maximum number of posts to fetch
+   * @param {string|null} cursor - nextCursor of the previous page, or null for the first page
+   * @returns {Promise<{items: Array, nextCursor: string|null, total: number}>} Posts, the cursor of the next page (null on the last page) and the total number of posts with the tag
+   */
+  getByTag(tagSlug, limit = 10, cursor = null) {
+    return cachedPosts.getByTag(tagSlug, limit, cursor)
   },
-  
+
   /**
-   * Update post view count
-   * @param {string} postId - The ID of the post to update
-   * @returns {Promise<number|true>} New view count when available (RPC), or true in mock mode
+   * Get one page of posts by an author, newest first
+   * @param {string} authorSlug - The author slug to filter by
+   * @param {number} limit - Maximum number of posts to fetch
+   * @param {string|null} cursor - nextCursor of the previous page, or null for the first page
+   * @returns {Promise<{items: Array, nextCursor: string|null, total: number}>} Posts, the cursor of the next page (null on the last page) and the total number of posts by the author
    */
-  async incrementViews(postId) {
-    if (!isSupabaseConfigured()) {
-      // In mock mode, just simulate a successful update
-      return true
+  getByAuthor(authorSlug, limit = 10, cursor = null) {
+    return cachedPosts.getByAuthor(authorSlug, limit, cursor)
+  },
+
+  /**
+   * Get the parts of a series in reading order
+   * Only parts readers can see are returned, so part numbers follow the
+   * published parts (see postUtils.getSeriesPart).
+   * @param {string} seriesId - The series ID
+   * @returns {Promise<Array>} Posts ordered by series_position
+   */
+  getBySeries(seriesId) {
+    return cachedPosts.getBySeries(seriesId)
+  },
+
+  /**
+   * Get how many posts were published in each calendar month (UTC), newest month first
+   * @returns {Promise<Array<{year: number, month: number, count: number}>>} Months that have published posts
+   */
+  getArchive() {
+    return cachedPosts.getArchiveCounts()
+  },
+
+  /**
+   * Get one page of the posts published in a year or month (UTC), newest first
+   * Without a year, every published post is listed.
+   * @param {number|null} year - Full year, or null for all posts
+   * @param {number|null} month - Month (1-12), or null for the whole year
+   * @param {number} limit - Maximum number of posts to fetch
+   * @param {string|null} cursor - nextCursor of the previous page, or null for the first page
+   * @returns {Promise<{items: Array, nextCursor: string|null, total: number}>} Posts, the cursor of the next page (null on the last page) and the total number of posts in the period
+   * @throws {ValidationError} When the year or month is not a valid date part
+   */
+  async getArchivePosts(year = null, month = null, limit = 10, cursor = null) {
+    if (year === null) return cachedPosts.getPublished(limit, cursor)
+
+    if (!Number.isInteger(year) || year < 1 || year > 9999) {
+      throw new ValidationError(`Invalid archive year "${year}"`, { year: 'Year must be a whole number between 1 and 9999' })
     }
+    if (month !== null && (!Number.isInteger(month) || month < 1 || month > 12)) {
+      throw new ValidationError(`Invalid archive month "${month}"`, { month: 'Month must be a whole number between 1 and 12' })
+    }
+
+    const { from, to } = dateUtils.getPeriodRange(year, month)
+    return cachedPosts.getPublishedBetween(from, to, limit, cursor)
+  },
 
+  /**
+   * Record that the current reader viewed a post - non-cached as it's a mutation
+   * The backend dedupes per reader (see VIEW_TRACKING), so calling this on
+   * every visit, from any tab, only counts the views that should count.
+   * @param {string} postId - The ID of the post that was viewed
+   * @returns {Promise<number|true>} Current view count when available, or true
+   */
+  async trackView(postId) {
     try {
-      // Prefer atomic RPC to avoid RLS issues and race conditions
-      const { data, error } = await supabase.rpc('increment_post_views', { post_id: postId })
-      if (error) throw error
-      // RPC returns the new view count; fall back to true if not provided
-      return (typeof data === 'number' && Number.isFinite(data)) ? data : true
+      const viewCount = await adapter.posts.trackView(postId, VIEW_TRACKING)
+      invalidatePosts([{ id: postId }])
+      return viewCount
     } catch (error) {
-      console.error(`Error incrementing views for post "${postId}":`, error)
+      console.error(`Error tracking view for post "${postId}":`, error)
       return true
     }
   },
 
   /**
-   * Get related posts from the same category
-   * @param {string} categoryId - The category ID to fetch related posts from
-   * @param {string} currentPostId - The current post ID to exclude from results
+   * Get the posts most similar in content to a post, from any category
+   * Posts in the same category rank higher; the list is filled with the
+   * newest posts when few share its words.
+   * @param {string} postId - The post to find related posts for (never included)
    * @param {number} limit - Maximum number of related posts to fetch
-   * @returns {Promise<Array>} List of related posts
+   * @returns {Promise<Array>} List of related posts, most related first
    */
-  async getRelated(categoryId, currentPostId, limit = 3) {
-    if (!isSupabaseConfigured()) {
-      // Get mock posts from the same category, excluding current post
-      const relatedPosts = mockPosts.filter(post => 
-        post.category_id === categoryId && post.id !== currentPostId
-      )
-      // Randomize order and take the requested limit
-      return relatedPosts
-        .sort(() => Math.random() - 0.5)
-        .slice(0, limit)
+  getRelated(postId, limit = 3) {
+    return cachedPosts.getRelated(postId, limit)
+  },
+
+  /**
+   * Get the posts readers are engaging with most right now, hottest first
+   * Views and likes in the window are scored with exponential decay, likes
+   * counting three times as much as views, so posts busy in the last few
+   * hours outrank posts that were busy days ago. Posts without activity in
+   * the window aren't listed.
+   * @param {string} period - Key of TRENDING_WINDOWS ('24h', '7d' or '30d')
+   * @param {Object} options - Trending options
+   * @param {string|null} options.category - Only posts in the category with this slug
+   * @param {number} options.limit - Maximum number of posts
+   * @returns {Promise<Array<{post: Object, score: number|null, views: number|null, likes: number|null}>>} Posts with their score and the window's view and like counts (null when the backend can only rank by all-time views)
+   * @throws {ValidationError} When the window is not one of TRENDING_WINDOWS
+   */
+  async getTrending(period = '7d', { category = null, limit = 5 } = {}) {
+    if (!Object.hasOwn(TRENDING_WINDOWS, period)) {
+      throw new ValidationError(`Invalid trending window "${period}"`, {
+        window: `Window must be one of ${Object.keys(TRENDING_WINDOWS).join(', ')}`
+      })
     }
+    return cachedPosts.getTrending(TRENDING_WINDOWS[period], { categorySlug: category || null, limit })
+  },
+
+  /**
+   * Full-text search over published posts, best match first
+   * Title matches weigh more than excerpt matches, which weigh more than
+   * content matches. Queries use websearch syntax: words must all match,
+   * `or` allows either word, `-word` excludes posts containing it.
+   * @param {string} query - Search text
+   * @param {Object} options - Search options
+   * @param {string|null} options.category - Only search posts in the category with this slug
+   * @param {number} options.page - Page number, starting at 1
+   * @param {number} options.pageSize - Results per page
+   * @returns {Promise<{items: Array<{post: Object, rank: number, snippet: Array<{text: string, highlight: boolean}>}>, total: number, page: number, pageSize: number}>} One page of results, each with the post, its rank and a snippet whose matching words are flagged, plus the total number of matches
+   */
+  async search(query, { category = null, page = 1, pageSize = 10 } = {}) {
+    const text = query?.trim()
+    if (!text) return { items: [], total: 0, page: 1, pageSize }
+
+    const result = await cachedPosts.getSearchResults(text, {
+      categorySlug: category || null,
+      limit: pageSize,
+      offset: (page - 1) * pageSize
+    })
+    return { ...result, page, pageSize }
+  },
+
+  /**
+   * Get every post, drafts included, for the admin tools
+   * @returns {Promise<Array>} All posts, most recently created first
+   */
+  getAll() {
+    return adapter.posts.getAll()
+  },
 
+  /**
+   * Create a new post (published or draft)
+   * @param {Object} postData - Post fields; title, slug and content are required. `tags` (names or tag objects) links the post to those tags, creating the missing ones
+   * @returns {Promise<Object>} The created post
+   * @throws {ValidationError} With one message per invalid field (see PostSchema)
+   * @throws {AppError} With code `PARTIAL_WRITE` when the tags failed and the new post couldn't be removed again (otherwise the tag error is thrown and no post is left behind)
+   */
+  async create(postData) {
+    const row = withPublishDate({ published: false, ...pickWritable(PostSchema, postData) })
+    assertValid(PostSchema, row)
+    const tags = postData?.tags === undefined ? null : toTagRows(postData.tags)
+
+    let newPost
     try {
-      const { data, error } = await supabase
-        .from('posts')
-        .select(`
-          *,
-          categories (*)
-        `)
-        .eq('category_id', categoryId)
-        .neq('id', currentPostId)
-        .order('published_at', { ascending: false })
-        .limit(limit)
-
-      if (error) throw error
-      return data || []
+      newPost = await adapter.posts.insert(row)
     } catch (error) {
-      console.error(`Error fetching related posts for category "${categoryId}":`, error)
-      return []
+      if (error?.code === '23505') {
+        throw new ValidationError(
+          `A post with slug "${row.slug}" already exists`,
+          { slug: 'Slug is already in use' },
+          { cause: error }
+        )
+      }
+      throw error
+    }
+
+    if (tags?.length) {
+      const created = newPost
+      try {
+        newPost = await saveTags(created, tags)
+      } catch (error) {
+        if (await undoPostWrite(() => adapter.posts.remove(created.id))) throw error
+        invalidatePosts([created], true)
+        throw new AppError(
+          `Post "${row.slug}" was created without its tags, and it couldn't be removed again`,
+          { code: 'PARTIAL_WRITE', cause: error }
+        )
+      }
+    }
+
+    invalidatePosts([newPost], true)
+    return newPost
+  },
+
+  /**
+   * Update an existing post
+   * @param {string} id - The ID of the post to update
+   * @param {Object} postData - Fields to change; `tags` replaces the post's tags
+   * @returns {Promise<Object>} The updated post
+   * @throws {ValidationError} With one message per invalid field (see PostSchema)
+   * @throws {PermissionError} When the backend refuses the write (e.g. not signed in as an editor)
+   * @throws {AppError} With code `PARTIAL_WRITE` when the tags failed and the post couldn't be put back (otherwise the tag error is thrown and the post is unchanged)
+   */
+  async update(id, postData) {
+    const { id: _ignored, ...changes } = pickWritable(PostSchema, postData)
+    assertValid(PostSchema, changes, { partial: true })
+    const tags = postData?.tags === undefined ? null : toTagRows(postData.tags)
+
+    const previous = await adapter.posts.getById(id)
+    if (!previous) throw new NotFoundError(`Post with ID "${id}" not found`)
+
+    const written = withPublishDate({ published_at: previous.published_at, ...changes })
+    let updatedPost = await adapter.posts.update(id, written)
+    // The post exists, so no row coming back means RLS filtered the write out
+    if (!updatedPost) throw new PermissionError(`Not allowed to update post "${id}" (sign in as an editor)`)
+
+    // Tag pages list posts too, so a retagged post changes lists
+    const tagsChanged = tags !== null && !hasSameTags(previous.tags, tags)
+    if (tagsChanged) {
+      const saved = updatedPost
+      try {
+        updatedPost = await saveTags(saved, tags)
+      } catch (error) {
+        const restored = await undoPostWrite(async () => {
+          await adapter.posts.update(id, Object.fromEntries(Object.keys(written).map(column => [column, previous[column] ?? null])))
+          await adapter.posts.setTags(id, toTagRows(previous.tags || []))
+        })
+        if (restored) throw error
+        invalidatePosts([saved], true)
+        throw new AppError(
+          `Post "${id}" was updated without its new tags, and the earlier version couldn't be restored`,
+          { code: 'PARTIAL_WRITE', cause: error }
+        )
+      }
+    }
+
+    const listsChanged = tagsChanged || LIST_COLUMNS.some(column => previous[column] !== updatedPost[column])
+    invalidatePosts([updatedPost], listsChanged)
+    return updatedPost
+  },
+
+  /**
+   * Delete a post
+   * @param {string} id - The ID of the post to delete
+   * @returns {Promise<boolean>} True once the post is gone
+   * @throws {PermissionError} When the backend refuses the delete (e.g. not signed in as an editor)
+   */
+  async delete(id) {
+    const removed = await adapter.posts.remove(id)
+    if (!removed) {
+      // RLS filters refused deletes out instead of failing them
+      if (await adapter.posts.getById(id)) {
+        throw new PermissionError(`Not allowed to delete post "${id}" (sign in as an editor)`)
+      }
+      throw new NotFoundError(`Post with ID "${id}" not found`)
+    }
+
+    invalidatePosts([removed], true)
+    return true
+  },
+
+  /**
+   * Create a post with a known ID unless it already exists
+   * Used by the admin tools to push mock posts into a fresh database.
+   * @param {Object} postData - Full post data including its ID
+   * @returns {Promise<Object>} The existing or newly created post
+   */
+  async createIfNotExists(postData) {
+    if (postData?.id) {
+      const existing = await adapter.posts.getById(postData.id)
+      if (existing) return existing
     }
+
+    return postsService.create(postData)
   }
 }
 
@@ -255,112 +1035,28 @@ export const postsService = {
  */
 export const engagementService = {
   /**
-   * Like a post (add or remove like)
+   * Like a post (add or remove like) - non-cached as it's a mutation
+   * Failures reject with a typed error so the UI can roll back its optimistic state.
    * @param {string} postId - The ID of the post to like/unlike
    * @param {boolean} isLiked - Whether the post is currently liked (to toggle)
-   * @returns {Promise<number|true>} New like count (when available) or true in mock mode
+   * @returns {Promise<number|true>} New like count (when available) or true
    */
   async toggleLike(postId, isLiked) {
-    if (!isSupabaseConfigured()) {
-      // In mock mode, just simulate a successful update
-      return true;
-    }
-
-    try {
-      // Get or create an anonymous/guest user id for likes table
-      const authData = await signInAnonymously();
-      const userId = authData?.user?.id;
-
-      if (!userId) {
-        // As a fallback (should not happen when Supabase is configured), bail out early
-        return true;
-      }
+    const newCount = await adapter.engagement.toggleLike(postId, isLiked)
 
-      if (isLiked) {
-        // Unlike = delete the like row for this user/post
-        const { error: delError } = await supabase
-          .from('likes')
-          .delete()
-          .eq('post_id', postId)
-          .eq('user_id', userId);
-        if (delError) {
-          console.warn('Supabase delete like error:', delError);
-          throw delError;
-        }
-      } else {
-        // Like = upsert like row (ignore conflict if already liked)
-        const { error: upsertError } = await supabase
-          .from('likes')
-          .upsert(
-            [{ post_id: postId, user_id: userId }],
-            { onConflict: 'post_id,user_id', ignoreDuplicates: true }
-          );
-        if (upsertError) {
-          console.warn('Supabase upsert like error:', upsertError);
-          throw upsertError;
-        }
-      }
+    // Like counts live on the post row too, so reads embedding it go as well
+    invalidateTags([cacheTags.likes(postId), cacheTags.post(postId)])
 
-      // Prefer authoritative count from posts.likes (trigger keeps it in sync)
-      const { data: updated, error: fetchUpdatedError } = await supabase
-        .from('posts')
-        .select('likes')
-        .eq('id', postId)
-        .single();
-      if (!fetchUpdatedError && updated) {
-        return updated.likes ?? true;
-      }
-
-      // Fallback: count rows from likes table (works even if trigger missing)
-      const { count, error: countError } = await supabase
-        .from('likes')
-        .select('id', { count: 'exact', head: true })
-        .eq('post_id', postId);
-      if (!countError && typeof count === 'number') {
-        return count;
-      }
-      if (fetchUpdatedError) console.warn('Supabase fetch updated post likes error:', fetchUpdatedError);
-      if (countError) console.warn('Supabase count likes error:', countError);
-      return true;
-    } catch (error) {
-      console.error(`Error toggling like for post "${postId}":`, error);
-      return true; // Keep UI optimistic; optionally handle error in caller
-    }
+    return newCount
   },
-  
+
   /**
    * Get the total number of likes for a post
    * @param {string} postId - The ID of the post
    * @returns {Promise<number>} Number of likes
    */
-  async getLikes(postId) {
-    if (!isSupabaseConfigured()) {
-      // Return a random number for mock mode
-      return Math.floor(Math.random() * 50);
-    }
-
-    try {
-      // Prefer an exact row count from likes (immediately consistent after toggles)
-      const { count, error: countError } = await supabase
-        .from('likes')
-        .select('id', { count: 'exact', head: true })
-        .eq('post_id', postId);
-      if (!countError && typeof count === 'number') {
-        return count;
-      }
-
-      // Fallback: read posts.likes (trigger-synced aggregate)
-      const { data, error } = await supabase
-        .from('posts')
-        .select('likes')
-        .eq('id', postId)
-        .single();
-      if (!error && data) return data.likes || 0;
-      return 0;
-    } catch (error) {
-      console.error(`Error getting likes for post "${postId}":`, error);
-      return 0;
-    }
+  getLikes(postId) {
+    return cachedEngagement.getLikes(postId)
   },
 
   /**
@@ -370,30 +1066,98 @@ export const engagementService = {
    * @returns {Promise<boolean>} Whether the user has liked the post
    */
   async hasLiked(postId, userId) {
-    // If not configured or missing IDs, fall back to localStorage heuristic
-    if (!isSupabaseConfigured() || !postId || !userId) {
+    // Missing IDs: fall back to the localStorage heuristic
+    if (!postId || !userId) return isLikedLocally(postId)
+    return cachedEngagement.hasLiked(postId, userId)
+  },
+
+  /**
+   * Get the like counts of several posts in one request (post lists)
+   * @param {Array<string>} postIds - The IDs of the posts
+   * @returns {Promise<Object<string, number>>} Like count by post ID
+   */
+  async getLikesForPosts(postIds) {
+    if (!postIds?.length) return {}
+    return cachedEngagement.getLikesForPosts(postIds)
+  },
+
+  /**
+   * Check which of several posts a user has liked, in one request
+   * @param {Array<string>} postIds - The IDs of the posts
+   * @param {string} userId - The ID of the user
+   * @returns {Promise<Object<string, boolean>>} Liked flag by post ID
+   */
+  async getLikedStateForPosts(postIds, userId) {
+    if (!postIds?.length) return {}
+    // No user ID: fall back to the localStorage heuristic
+    if (!userId) return Object.fromEntries(postIds.map(id => [id, isLikedLocally(id)]))
+    return cachedEngagement.getLikedStateForPosts(postIds, userId)
+  },
+
+  /**
+   * Follow the like counts of a list of posts as other readers change them
+   * Uses one realtime channel for the whole list; a no-op for mock and static data.
+   * @param {Array<string>} postIds - The IDs of the posts
+   * @param {Function} onChange - Called with the new like counts by post ID
+   * @param {Function} onStatus - Called with 'connecting', 'live' or 'reconnecting'
+   * @returns {Function} Unsubscribe function
+   */
+  subscribeToLikes(postIds, onChange, onStatus) {
+    if (!postIds?.length) return () => {}
+
+    const refreshLikes = async (ids) => {
+      invalidateTags(ids.map(cacheTags.likes))
       try {
-        const likedPosts = JSON.parse(localStorage.getItem('likedPosts') || '[]');
-        return likedPosts.includes(postId);
-      } catch {
-        return false;
+        onChange(await adapter.engagement.getLikesForPosts(ids))
+      } catch (error) {
+        console.warn('Error refreshing likes for posts:', error)
       }
     }
 
-    try {
-      // Query likes table for existence of a row for this (post_id, user_id)
-      const { data, error } = await supabase
-        .from('likes')
-        .select('id')
-        .eq('post_id', postId)
-        .eq('user_id', userId)
-        .maybeSingle();
-
-      if (error) throw error;
-      return Boolean(data);
-    } catch (error) {
-      console.error(`Error checking if user "${userId}" liked post "${postId}":`, error);
-      return false;
+    return adapter.realtime.subscribeToLikes(postIds, {
+      onLike: (like) => refreshLikes([normalize(LikeSchema, like).post_id]),
+      onStatus,
+      // Changes made while disconnected were missed
+      onReconnect: () => refreshLikes(postIds)
+    })
+  },
+
+  /**
+   * Follow the like and view counts of a post as other readers change them
+   * Backends without a change feed (mock and static data) never report changes.
+   * @param {string} postId - The ID of the post
+   * @param {Function} onChange - Called with `{ views, likes }`; either may be missing
+   * @param {Function} onStatus - Called with 'connecting', 'live' or 'reconnecting'
+   * @returns {Function} Unsubscribe function
+   */
+  subscribeToPost(postId, onChange, onStatus) {
+    // Exact count from the likes table; the cached count is outdated now
+    const refreshLikes = async () => {
+      invalidateTags([cacheTags.likes(postId)])
+      try {
+        onChange({ likes: await adapter.engagement.getLikes(postId) })
+      } catch (error) {
+        console.warn(`Error refreshing likes for post "${postId}":`, error)
+      }
     }
+
+    return adapter.realtime.subscribeToPost(postId, {
+      onPost: (row) => {
+        const { views, likes } = normalize(PostSchema, row)
+        onChange({ views, likes })
+      },
+      onLike: refreshLikes,
+      onStatus,
+      // Changes made while disconnected were missed
+      onReconnect: async () => {
+        try {
+          const post = await adapter.posts.getById(postId)
+          if (post) onChange({ views: post.views })
+        } catch (error) {
+          console.warn(`Error refreshing views for post "${postId}":`, error)
+        }
+        await refreshLikes()
+      }
+    })
   }
-}
\ No newline at end of file
+}
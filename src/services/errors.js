@@ -0,0 +1,144 @@
+/**
+ * Typed errors for the data layer
+ *
+ * Every service method rejects with one of these (see toAppError), so hooks
+ * and components can tell a missing post from an unreachable server and show
+ * the right message. Each error also carries a stable `code`.
+ */
+
+/**
+ * Base class for every error the data layer raises on purpose
+ */
+export class AppError extends Error {
+  /**
+   * @param {string} message - Human readable description
+   * @param {Object} options - Extra details
+   * @param {string} options.code - Stable error code
+   * @param {Error} options.cause - Underlying error, if any
+   */
+  constructor(message, { code = 'APP_ERROR', cause } = {}) {
+    super(message, cause ? { cause } : undefined)
+    this.name = 'AppError'
+    this.code = code
+  }
+}
+
+/**
+ * The requested record doesn't exist (or isn't visible to the reader)
+ */
+export class NotFoundError extends AppError {
+  constructor(message = 'Not found', options = {}) {
+    super(message, { code: 'NOT_FOUND', ...options })
+    this.name = 'NotFoundError'
+  }
+}
+
+/**
+ * The backend couldn't be reached or failed on its side
+ */
+export class NetworkError extends AppError {
+  constructor(message = 'Could not reach the server', options = {}) {
+    super(message, { code: 'NETWORK_ERROR', ...options })
+    this.name = 'NetworkError'
+  }
+}
+
+/**
+ * The request wasn't sent because the backend has been failing
+ * (see the circuit breaker in services/request.js)
+ */
+export class ServiceUnavailableError extends NetworkError {
+  /**
+   * @param {string} message - Human readable description
+   * @param {Object} options - Extra details (see AppError)
+   * @param {number} options.retryAt - When requests will be attempted again (ms timestamp)
+   */
+  constructor(message = 'The server is temporarily unavailable', { retryAt = null, ...options } = {}) {
+    super(message, { code: 'SERVICE_UNAVAILABLE', ...options })
+    this.name = 'ServiceUnavailableError'
+    this.retryAt = retryAt
+  }
+}
+
+/**
+ * The app or database isn't set up the way the code expects
+ * (missing environment variables, missing tables, columns or RPCs)
+ */
+export class ConfigError extends AppError {
+  constructor(message = 'The data source is not configured correctly', options = {}) {
+    super(message, { code: 'CONFIG_ERROR', ...options })
+    this.name = 'ConfigError'
+  }
+}
+
+/**
+ * The backend refused the request (RLS, expired or missing credentials)
+ */
+export class PermissionError extends AppError {
+  constructor(message = 'Permission denied', options = {}) {
+    super(message, { code: 'PERMISSION_DENIED', ...options })
+    this.name = 'PermissionError'
+  }
+}
+
+/**
+ * Input was rejected before it reached the backend
+ */
+export class ValidationError extends AppError {
+  /**
+   * @param {string} message - Summary of the problems
+   * @param {Object<string, string>} fields - One message per invalid field
+   * @param {Object} options - Extra details (see AppError)
+   */
+  constructor(message = 'Invalid input', fields = {}, options = {}) {
+    super(message, { code: 'VALIDATION_ERROR', ...options })
+    this.name = 'ValidationError'
+    this.fields = fields
+  }
+}
+
+// PostgREST / Postgres codes meaning the schema doesn't match the code
+const SCHEMA_ERROR_CODES = ['PGRST200', 'PGRST202', 'PGRST204', '42P01', '42703', '42883']
+
+// PostgREST / Postgres codes meaning the request was refused
+const PERMISSION_ERROR_CODES = ['42501', 'PGRST301', 'PGRST302']
+
+// Messages fetch implementations use when the request never got an answer
+const NETWORK_FAILURE_PATTERN = /failed to fetch|fetch failed|networkerror|network request failed|load failed/i
+
+/**
+ * Classify any error thrown by an adapter or the Supabase client
+ * Errors that are already typed pass through; unknown errors are returned as is.
+ * @param {Error|Object} error - Thrown error or Supabase `{ code, message, status }` object
+ * @returns {Error} Typed error when the cause is recognised
+ */
+export const toAppError = (error) => {
+  if (error instanceof AppError) return error
+
+  const code = error?.code
+  const status = error?.status
+  const message = error?.message || String(error)
+  const options = { cause: error }
+
+  // Codes first: PostgREST also answers a missing table or RPC with 404
+  if (code === 'PGRST116') {
+    return new NotFoundError(message, options)
+  }
+  if (PERMISSION_ERROR_CODES.includes(code)) {
+    return new PermissionError(message, options)
+  }
+  if (SCHEMA_ERROR_CODES.includes(code)) {
+    return new ConfigError(`${message}. Is database-setup.sql applied?`, options)
+  }
+  if (status === 404) {
+    return new NotFoundError(message, options)
+  }
+  if (status === 401 || status === 403) {
+    return new PermissionError(message, options)
+  }
+  if (NETWORK_FAILURE_PATTERN.test(message) || status === 0 || status >= 500) {
+    return new NetworkError(message, options)
+  }
+
+  return error
+}
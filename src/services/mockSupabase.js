@@ -0,0 +1,1095 @@
+/**
+ * In-memory Supabase stand-in
+ *
+ * Implements the slice of the supabase-js query API the services use
+ * (`from().select().eq().neq().order().range().limit().single().maybeSingle()`,
+ * insert/update/upsert/delete, `count: 'exact'` and `rpc()`) over plain
+ * arrays, so mock mode and tests run the exact same query code as production.
+ *
+ * Table behaviour mirrors database-setup.sql: column defaults, generated
+ * columns, unique constraints, the likes-count trigger and the RPC functions.
+ *
+ * It also stands in for Supabase Realtime: `channel().on('postgres_changes')`
+ * receives every change made through the same client, and
+ * `realtime.disconnect()` / `realtime.connect()` simulate a dropped connection.
+ */
+
+import { mockCategories, mockPosts, mockTags, mockPostTags, mockAuthors, mockPostAuthors, mockSeries } from '../utils/mockData.js'
+import { generateMockData, generateRecentViews } from '../utils/mockGenerator.js'
+import { createSearchIndex, highlight, toPlainText } from '../utils/searchIndex.js'
+
+/**
+ * Embeddable relations, keyed by table then by embed name
+ * `one` embeds follow a foreign key on the row; `many` embeds follow one on
+ * the other table; `through` embeds go through a join table, from its
+ * `column` (pointing at the row) to its `target` (pointing at the other table).
+ */
+const RELATIONS = {
+  posts: {
+    categories: { table: 'categories', type: 'one', column: 'category_id' },
+    series: { table: 'series', type: 'one', column: 'series_id' },
+    tags: { table: 'tags', type: 'through', through: 'post_tags', column: 'post_id', target: 'tag_id' },
+    post_tags: { table: 'post_tags', type: 'many', column: 'post_id' },
+    authors: { table: 'authors', type: 'through', through: 'post_authors', column: 'post_id', target: 'author_id' },
+    post_authors: { table: 'post_authors', type: 'many', column: 'post_id' }
+  },
+  categories: {
+    posts: { table: 'posts', type: 'many', column: 'category_id' }
+  },
+  series: {
+    posts: { table: 'posts', type: 'many', column: 'series_id' }
+  },
+  tags: {
+    posts: { table: 'posts', type: 'through', through: 'post_tags', column: 'tag_id', target: 'post_id' },
+    post_tags: { table: 'post_tags', type: 'many', column: 'tag_id' }
+  },
+  post_tags: {
+    posts: { table: 'posts', type: 'one', column: 'post_id' },
+    tags: { table: 'tags', type: 'one', column: 'tag_id' }
+  },
+  authors: {
+    posts: { table: 'posts', type: 'through', through: 'post_authors', column: 'author_id', target: 'post_id' },
+    post_authors: { table: 'post_authors', type: 'many', column: 'author_id' }
+  },
+  post_authors: {
+    posts: { table: 'posts', type: 'one', column: 'post_id' },
+    authors: { table: 'authors', type: 'one', column: 'author_id' }
+  },
+  likes: {
+    posts: { table: 'posts', type: 'one', column: 'post_id' }
+  },
+  post_views: {
+    posts: { table: 'posts', type: 'one', column: 'post_id' }
+  }
+}
+
+/**
+ * Unique constraints per table (single or composite columns)
+ */
+const UNIQUE_CONSTRAINTS = {
+  categories: [['id'], ['slug']],
+  posts: [['id'], ['slug']],
+  likes: [['id'], ['post_id', 'user_id']],
+  post_views: [['id'], ['post_id', 'user_id']],
+  tags: [['id'], ['slug']],
+  post_tags: [['post_id', 'tag_id']],
+  authors: [['id'], ['slug']],
+  post_authors: [['post_id', 'author_id']],
+  series: [['id'], ['slug']]
+}
+
+/**
+ * Join table rows removed with a deleted row (ON DELETE CASCADE), as [table, column]
+ */
+const CASCADES = {
+  posts: [['post_tags', 'post_id'], ['post_authors', 'post_id']],
+  tags: [['post_tags', 'tag_id']],
+  authors: [['post_authors', 'author_id']]
+}
+
+/**
+ * RPC functions that only read, so read-only clients may call them
+ */
+const READ_ONLY_FUNCTIONS = ['get_like_counts', 'search_posts', 'get_tag_counts', 'get_archive_counts', 'get_related_posts', 'get_trending_posts']
+
+/**
+ * Column defaults applied on insert
+ */
+const COLUMN_DEFAULTS = {
+  categories: () => ({ parent_id: null }),
+  posts: () => ({
+    excerpt: null,
+    cover_path: null,
+    category_id: null,
+    series_id: null,
+    series_position: null,
+    published: false,
+    published_at: null,
+    views: 0,
+    likes: 0,
+    updated_at: new Date().toISOString()
+  }),
+  likes: () => ({}),
+  post_views: () => ({
+    viewed_at: new Date().toISOString()
+  }),
+  tags: () => ({}),
+  post_tags: () => ({}),
+  authors: () => ({
+    bio: null,
+    avatar_path: null,
+    social_links: {}
+  }),
+  post_authors: () => ({
+    position: 0
+  }),
+  series: () => ({
+    description: null
+  })
+}
+
+/**
+ * Generated columns (GENERATED ALWAYS AS ... STORED), recomputed whenever a row is written
+ */
+const GENERATED_COLUMNS = {
+  posts: {
+    // Minutes to read at 200 words a minute, at least one
+    reading_minutes: (row) => Math.max(1, Math.ceil(String(row.content || '').trim().split(/\s+/).length / 200))
+  }
+}
+
+/**
+ * Fill in a row's generated columns
+ * @param {string} table - Table name
+ * @param {Object} row - Row to update in place
+ * @returns {Object} The same row
+ */
+const withGeneratedColumns = (table, row) => {
+  Object.entries(GENERATED_COLUMNS[table] || {}).forEach(([column, generate]) => {
+    row[column] = generate(row)
+  })
+  return row
+}
+
+/**
+ * Build a PostgREST-style error object
+ * @param {string} code - Postgres / PostgREST error code
+ * @param {string} message - Error message
+ * @returns {Object} Error object shaped like supabase-js errors
+ */
+const pgError = (code, message) => ({ code, message, details: null, hint: null })
+
+// Shaped like supabase-js auth errors
+const authError = (message) => ({ name: 'AuthApiError', message, status: 400 })
+
+const clone = (value) => (value === undefined ? value : JSON.parse(JSON.stringify(value)))
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}/
+
+/**
+ * Whether a change matches a postgres_changes subscription filter
+ * @param {Object} filter - `{ event, schema, table, filter }` as passed to channel().on()
+ * @param {Object} change - Change payload (`eventType`, `table`, `new`, `old`)
+ * @returns {boolean} Whether the subscriber should receive the change
+ */
+const matchesChangeFilter = (filter, change) => {
+  if (filter.event && filter.event !== '*' && filter.event !== change.eventType) return false
+  if (filter.schema && filter.schema !== change.schema) return false
+  if (filter.table && filter.table !== change.table) return false
+  if (!filter.filter) return true
+
+  const match = filter.filter.match(/^(\w+)=(eq|neq|lt|lte|gt|gte|in)\.(.*)$/)
+  if (!match) throw new Error(`Unsupported realtime filter "${filter.filter}" in mock Supabase client`)
+  const [, column, operator, rawValue] = match
+  const value = operator === 'in' ? rawValue.replace(/^\((.*)\)$/, '$1').split(',') : rawValue
+  const row = change.eventType === 'DELETE' ? change.old : change.new
+  return compare(row, column, operator, value)
+}
+
+/**
+ * Coerce a filter value so it compares like Postgres would against the column value
+ * @param {any} columnValue - Value stored in the row
+ * @param {any} filterValue - Value passed to the filter
+ * @returns {Array} Tuple of comparable [left, right] values
+ */
+const comparable = (columnValue, filterValue) => {
+  if (typeof columnValue === 'number') return [columnValue, Number(filterValue)]
+  if (typeof columnValue === 'boolean') return [columnValue, filterValue === true || filterValue === 'true']
+  if (typeof columnValue === 'string' && ISO_DATE.test(columnValue) && ISO_DATE.test(String(filterValue))) {
+    return [Date.parse(columnValue), Date.parse(filterValue)]
+  }
+  return [columnValue, filterValue]
+}
+
+/**
+ * Convert a SQL LIKE pattern into a RegExp
+ * @param {string} pattern - LIKE pattern using % and _
+ * @param {boolean} caseInsensitive - ILIKE when true
+ * @returns {RegExp} Equivalent regular expression
+ */
+const likeToRegExp = (pattern, caseInsensitive) => {
+  const source = String(pattern)
+    .replace(/[.+?^${}()|[\]\\]/g, '\\$&')
+    .replace(/%/g, '.*')
+    .replace(/_/g, '.')
+  return new RegExp(`^${source}$`, caseInsensitive ? 'i' : '')
+}
+
+/**
+ * Evaluate a single comparison operator
+ * @param {Object} row - Row being tested
+ * @param {string} column - Column name
+ * @param {string} operator - PostgREST operator (eq, neq, gt, ...)
+ * @param {any} value - Operand
+ * @returns {boolean} Whether the row matches
+ */
+const compare = (row, column, operator, value) => {
+  const columnValue = row[column]
+
+  switch (operator) {
+    case 'is':
+      if (value === null || value === 'null') return columnValue == null
+      return columnValue === (value === true || value === 'true')
+    case 'in':
+      return value.some(item => {
+        const [left, right] = comparable(columnValue, item)
+        return left === right
+      })
+    case 'like':
+    case 'ilike':
+      return columnValue != null && likeToRegExp(value, operator === 'ilike').test(String(columnValue))
+    default:
+      break
+  }
+
+  // NULL never matches a comparison in SQL
+  if (columnValue == null) return false
+  const [left, right] = comparable(columnValue, value)
+
+  switch (operator) {
+    case 'eq': return left === right
+    case 'neq': return left !== right
+    case 'gt': return left > right
+    case 'gte': return left >= right
+    case 'lt': return left < right
+    case 'lte': return left <= right
+    default:
+      throw new Error(`Unsupported filter operator "${operator}" in mock Supabase client`)
+  }
+}
+
+/**
+ * Split a string on top-level commas (ignoring commas nested in parentheses)
+ * @param {string} input - Comma separated list
+ * @returns {Array<string>} Trimmed parts
+ */
+const splitTopLevel = (input) => {
+  const parts = []
+  let depth = 0
+  let current = ''
+  for (const char of input) {
+    if (char === '(') depth += 1
+    if (char === ')') depth -= 1
+    if (char === ',' && depth === 0) {
+      parts.push(current.trim())
+      current = ''
+    } else {
+      current += char
+    }
+  }
+  if (current.trim()) parts.push(current.trim())
+  return parts
+}
+
+/**
+ * Parse a PostgREST logic tree such as `a.eq.1,and(b.lt.2,c.is.null)`
+ * @param {string} expression - Filter expression passed to `.or()`
+ * @param {string} combinator - 'or' or 'and'
+ * @returns {Function} Predicate over rows
+ */
+const parseLogicTree = (expression, combinator) => {
+  const predicates = splitTopLevel(expression).map(part => {
+    const nested = part.match(/^(and|or)\((.*)\)$/)
+    if (nested) return parseLogicTree(nested[2], nested[1])
+
+    const negated = part.match(/^([^.]+)\.not\.(\w+)\.(.*)$/)
+    const match = negated || part.match(/^([^.]+)\.(\w+)\.(.*)$/)
+    if (!match) throw new Error(`Unsupported filter "${part}" in mock Supabase client`)
+
+    const [, column, operator, rawValue] = match
+    let value = rawValue.replace(/^"(.*)"$/, '$1')
+    if (operator === 'in') value = splitTopLevel(rawValue.replace(/^\((.*)\)$/, '$1')).map(item => item.replace(/^"(.*)"$/, '$1'))
+    const test = (row) => compare(row, column, operator, value)
+    return negated ? (row) => !test(row) : test
+  })
+
+  return combinator === 'and'
+    ? (row) => predicates.every(predicate => predicate(row))
+    : (row) => predicates.some(predicate => predicate(row))
+}
+
+/**
+ * Parse a select string like `*, categories (*), post_tags!inner (tag_id)` into columns and embeds
+ * @param {string} columns - Select string
+ * @returns {Object} `{ columns: Array<string>, embeds: Array<{ name, alias, select, inner }> }`
+ */
+const parseSelect = (columns = '*') => {
+  const result = { columns: [], embeds: [] }
+  splitTopLevel(columns.replace(/\s+/g, ' ')).forEach(part => {
+    const embed = part.match(/^(?:(\w+):)?\s*(\w+)(?:!(\w+))?\s*\((.*)\)$/)
+    if (embed) {
+      const [, alias, name, hint, inner] = embed
+      result.embeds.push({ name, alias: alias || name, select: parseSelect(inner), inner: hint === 'inner' })
+    } else {
+      result.columns.push(part.trim())
+    }
+  })
+  return result
+}
+
+/**
+ * Create an in-memory Supabase client
+ *
+ * @param {Object|Function} seed - `{ categories, posts, likes, post_views, tags, post_tags, authors, post_authors, series }` or a (sync/async) function returning it
+ * @param {Object} options - Client options
+ * @param {boolean} options.readOnly - Reject every write with a permission error (like RLS for anon users)
+ * @returns {Object} Object implementing the supabase-js client methods the app uses
+ */
+export const createMockSupabaseClient = (seed, { readOnly = false } = {}) => {
+  let databasePromise = null
+
+  // Load the seed once and copy it, so the caller's arrays are never mutated
+  const getDatabase = () => {
+    if (!databasePromise) {
+      databasePromise = Promise.resolve(typeof seed === 'function' ? seed() : seed).then(data => {
+        const database = {
+          categories: clone(data?.categories || []),
+          posts: clone(data?.posts || []).map(post => {
+            // Embedded relations are resolved from foreign keys at query time
+            delete post.categories
+            delete post.series
+            delete post.tags
+            delete post.authors
+            return withGeneratedColumns('posts', {
+              ...COLUMN_DEFAULTS.posts(),
+              created_at: post.published_at || new Date().toISOString(),
+              ...post
+            })
+          }),
+          likes: clone(data?.likes || []),
+          post_views: clone(data?.post_views || []),
+          tags: clone(data?.tags || []),
+          post_tags: clone(data?.post_tags || []),
+          authors: clone(data?.authors || []),
+          post_authors: clone(data?.post_authors || []),
+          series: clone(data?.series || [])
+        }
+
+        // Datasets exported with embedded tags or authors (`select('*, tags (*)')`) get their join rows back
+        const restoreLinks = (name, linkFields = () => ({})) => {
+          const relation = RELATIONS.posts[name]
+          if (data?.[relation.through]) return
+
+          const knownIds = new Set(database[relation.table].map(item => item.id))
+          const embedded = data?.posts || []
+          embedded.forEach(post => {
+            (post[name] || []).forEach((item, index) => {
+              if (!knownIds.has(item.id)) {
+                knownIds.add(item.id)
+                database[relation.table].push(clone(item))
+              }
+              database[relation.through].push({
+                [relation.column]: post.id,
+                [relation.target]: item.id,
+                created_at: post.published_at || new Date().toISOString(),
+                ...linkFields(index)
+              })
+            })
+          })
+        }
+        restoreLinks('tags')
+        // Embedded authors are listed in byline order
+        restoreLinks('authors', (index) => ({ position: index }))
+
+        // Seed like rows so row counts agree with the posts.likes aggregate
+        if (!data?.likes) {
+          database.posts.forEach((post, postIndex) => {
+            for (let i = 0; i < (post.likes || 0); i += 1) {
+              database.likes.push({
+                id: crypto.randomUUID(),
+                post_id: post.id,
+                user_id: `00000000-0000-4000-8000-${String(postIndex * 10000 + i).padStart(12, '0')}`,
+                created_at: post.published_at || new Date().toISOString()
+              })
+            }
+          })
+        }
+
+        return database
+      })
+      // Allow a retry if loading failed (e.g. a seed fetched over the network)
+      databasePromise.catch(() => { databasePromise = null })
+    }
+    return databasePromise
+  }
+
+  // Realtime stand-in: channels receive the changes made through this client
+  const realtimeState = { connected: true, channels: new Map() }
+
+  const notifyChannel = (channel, state, error) => {
+    setTimeout(() => realtimeState.channels.get(channel)?.statusCallback?.(state, error), 0)
+  }
+
+  const broadcast = (eventType, table, newRow, oldRow) => {
+    if (!realtimeState.connected) return
+    const change = {
+      schema: 'public',
+      table,
+      commit_timestamp: new Date().toISOString(),
+      eventType,
+      new: newRow ? clone(newRow) : {},
+      old: oldRow ? clone(oldRow) : {},
+      errors: null
+    }
+    // Delivered asynchronously, like messages from the Realtime server
+    realtimeState.channels.forEach((entry) => {
+      if (!entry.joined) return
+      entry.bindings
+        .filter(({ filter }) => matchesChangeFilter(filter, change))
+        .forEach(({ callback }) => setTimeout(() => callback(change), 0))
+    })
+  }
+
+  const createChannel = (topic) => {
+    const entry = { bindings: [], statusCallback: null, joined: false }
+    const channel = {
+      topic,
+      on(type, filter, callback) {
+        if (type === 'postgres_changes') entry.bindings.push({ filter, callback })
+        return channel
+      },
+      subscribe(callback) {
+        entry.statusCallback = callback
+        realtimeState.channels.set(channel, entry)
+        setTimeout(() => {
+          if (!realtimeState.channels.has(channel)) return
+          if (realtimeState.connected) {
+            entry.joined = true
+            entry.statusCallback?.('SUBSCRIBED')
+          } else {
+            entry.statusCallback?.('CHANNEL_ERROR', new Error('Realtime connection is down'))
+          }
+        }, 0)
+        return channel
+      },
+      async unsubscribe() {
+        return removeChannel(channel)
+      }
+    }
+    return channel
+  }
+
+  const removeChannel = async (channel) => {
+    if (!realtimeState.channels.has(channel)) return 'ok'
+    notifyChannel(channel, 'CLOSED')
+    // Let the CLOSED status arrive before forgetting the channel
+    setTimeout(() => realtimeState.channels.delete(channel), 0)
+    realtimeState.channels.get(channel).joined = false
+    return 'ok'
+  }
+
+  // Update a posts row and broadcast the change (triggers and RPCs)
+  const updatePost = (post, changes) => {
+    const old = clone(post)
+    Object.assign(post, changes)
+    broadcast('UPDATE', 'posts', post, old)
+  }
+
+  const getTable = (database, table) => {
+    if (!database[table]) database[table] = []
+    return database[table]
+  }
+
+  // Rows of another table related to a row through one of its embeds
+  const relatedRows = (database, table, row, name) => {
+    const relation = RELATIONS[table]?.[name]
+    if (!relation) throw new Error(`Could not find a relationship between '${table}' and '${name}'`)
+
+    const related = getTable(database, relation.table)
+    if (relation.type === 'one') {
+      const match = related.find(item => item.id === row[relation.column])
+      return match ? [match] : []
+    }
+    if (relation.type === 'many') return related.filter(item => item[relation.column] === row.id)
+
+    const ids = new Set(getTable(database, relation.through)
+      .filter(link => link[relation.column] === row.id)
+      .map(link => link[relation.target]))
+    return related.filter(item => ids.has(item.id))
+  }
+
+  // Embedded rows that pass the filters set on that embed (e.g. `.eq('post_tags.tag_id', id)`)
+  const embeddedMatches = (database, table, row, embed, embedFilters) => {
+    return relatedRows(database, table, row, embed.name).filter(item => embedFilters
+      .filter(filter => filter.embed === embed.alias)
+      .every(filter => filter.predicate(item)))
+  }
+
+  // Project a row through a parsed select, resolving embeds recursively
+  const project = (database, table, row, select, embedFilters = []) => {
+    const output = {}
+    const selectAll = select.columns.includes('*')
+    if (selectAll) Object.assign(output, row)
+    select.columns.filter(column => column !== '*').forEach(column => {
+      const [name, alias] = column.split(':').reverse()
+      output[alias || name] = row[name] === undefined ? null : row[name]
+    })
+
+    select.embeds.forEach((embed) => {
+      const relation = RELATIONS[table]?.[embed.name]
+      const matches = embeddedMatches(database, table, row, embed, embedFilters)
+        .map(item => project(database, relation.table, item, embed.select))
+      output[embed.alias] = relation.type === 'one' ? matches[0] || null : matches
+    })
+
+    return clone(output)
+  }
+
+  const uniqueViolation = (table, rows, candidate, ignoreId) => {
+    return (UNIQUE_CONSTRAINTS[table] || []).find(columns => {
+      if (columns.some(column => candidate[column] == null)) return false
+      return rows.some(row => row !== ignoreId && columns.every(column => row[column] === candidate[column]))
+    })
+  }
+
+  // Triggers from database-setup.sql
+  const afterInsert = (database, table, row) => {
+    broadcast('INSERT', table, row, null)
+    if (table === 'likes') {
+      const post = database.posts.find(item => item.id === row.post_id)
+      if (post) updatePost(post, { likes: (post.likes || 0) + 1 })
+    }
+  }
+
+  const afterDelete = (database, table, row) => {
+    broadcast('DELETE', table, null, row)
+    if (table === 'likes') {
+      const post = database.posts.find(item => item.id === row.post_id)
+      if (post) updatePost(post, { likes: (post.likes || 0) - 1 })
+    }
+    // ON DELETE CASCADE into the join tables
+    const cascades = CASCADES[table] || []
+    cascades.forEach(([linkTable, column]) => {
+      const links = getTable(database, linkTable)
+      for (let index = links.length - 1; index >= 0; index -= 1) {
+        if (links[index][column] === row.id) links.splice(index, 1)
+      }
+    })
+  }
+
+  const createQuery = (table) => {
+    const state = {
+      action: 'select',
+      select: null,
+      count: null,
+      head: false,
+      filters: [],
+      // Filters on embedded tables, from columns like `post_tags.tag_id`
+      embedFilters: [],
+      orders: [],
+      range: null,
+      limit: null,
+      single: null,
+      values: null,
+      upsert: null
+    }
+
+    const addFilter = (predicate) => {
+      state.filters.push(predicate)
+      return query
+    }
+
+    const addColumnFilter = (column, operator, value) => {
+      const [embed, field] = column.includes('.') ? column.split('.') : [null, column]
+      const predicate = (row) => compare(row, field, operator, value)
+      if (embed) {
+        state.embedFilters.push({ embed, predicate })
+        return query
+      }
+      return addFilter(predicate)
+    }
+
+    const execute = async () => {
+      const database = await getDatabase()
+      const rows = getTable(database, table)
+
+      if (readOnly && state.action !== 'select') {
+        return { data: null, error: pgError('42501', `permission denied for table ${table}`), count: null, status: 403 }
+      }
+
+      const select = parseSelect(state.select || '*')
+      // `!inner` embeds drop the rows without a matching embedded row
+      const innerEmbeds = select.embeds.filter(embed => embed.inner)
+      const matches = () => rows.filter(row => state.filters.every(predicate => predicate(row)) &&
+        innerEmbeds.every(embed => embeddedMatches(database, table, row, embed, state.embedFilters).length > 0))
+      let affected = []
+
+      if (state.action === 'insert' || state.action === 'upsert') {
+        const conflictColumns = state.upsert?.onConflict?.split(',').map(column => column.trim())
+        for (const values of state.values) {
+          const existing = conflictColumns && rows.find(row => conflictColumns.every(column => row[column] === values[column]))
+          if (existing) {
+            if (state.upsert.ignoreDuplicates) continue
+            const old = clone(existing)
+            withGeneratedColumns(table, Object.assign(existing, values))
+            broadcast('UPDATE', table, existing, old)
+            affected.push(existing)
+            continue
+          }
+
+          const row = withGeneratedColumns(table, {
+            id: crypto.randomUUID(),
+            created_at: new Date().toISOString(),
+            ...COLUMN_DEFAULTS[table]?.(),
+            ...values
+          })
+          const violated = uniqueViolation(table, rows, row)
+          if (violated) {
+            return {
+              data: null,
+              error: pgError('23505', `duplicate key value violates unique constraint "${table}_${violated.join('_')}_key"`),
+              count: null,
+              status: 409
+            }
+          }
+          rows.push(row)
+          afterInsert(database, table, row)
+          affected.push(row)
+        }
+      } else if (state.action === 'update') {
+        const targets = matches()
+        for (const row of targets) {
+          const violated = uniqueViolation(table, rows, { ...row, ...state.values }, row)
+          if (violated) {
+            return {
+              data: null,
+              error: pgError('23505', `duplicate key value violates unique constraint "${table}_${violated.join('_')}_key"`),
+              count: null,
+              status: 409
+            }
+          }
+        }
+        targets.forEach(row => {
+          const old = clone(row)
+          withGeneratedColumns(table, Object.assign(row, state.values))
+          if (table === 'posts') row.updated_at = new Date().toISOString()
+          broadcast('UPDATE', table, row, old)
+        })
+        affected = targets
+      } else if (state.action === 'delete') {
+        affected = matches()
+        affected.forEach(row => {
+          rows.splice(rows.indexOf(row), 1)
+          afterDelete(database, table, row)
+        })
+      } else {
+        affected = matches()
+      }
+
+      // Mutations only return rows when .select() was chained
+      if (state.action !== 'select' && !state.select) {
+        return { data: null, error: null, count: null, status: state.action === 'insert' ? 201 : 204 }
+      }
+
+      let result = [...affected]
+      if (state.orders.length > 0) {
+        result.sort((a, b) => {
+          for (const { column, ascending, nullsFirst } of state.orders) {
+            const left = a[column]
+            const right = b[column]
+            if (left == null && right == null) continue
+            if (left == null) return nullsFirst ? -1 : 1
+            if (right == null) return nullsFirst ? 1 : -1
+            const [l, r] = comparable(left, right)
+            if (l < r) return ascending ? -1 : 1
+            if (l > r) return ascending ? 1 : -1
+          }
+          return 0
+        })
+      }
+
+      const count = state.count === 'exact' ? result.length : null
+      if (state.range) result = result.slice(state.range[0], state.range[1] + 1)
+      if (state.limit != null) result = result.slice(0, state.limit)
+
+      let data
+      if (select.columns.length === 1 && select.columns[0] === 'count' && select.embeds.length === 0 && rows.every(row => row.count === undefined)) {
+        // `select('count')` is PostgREST's aggregate shorthand
+        data = [{ count: result.length }]
+      } else {
+        data = result.map(row => project(database, table, row, select, state.embedFilters))
+      }
+
+      if (state.head) return { data: null, error: null, count, status: 200 }
+
+      if (state.single) {
+        if (data.length === 1) return { data: data[0], error: null, count, status: 200 }
+        if (data.length === 0 && state.single === 'maybe') return { data: null, error: null, count, status: 200 }
+        return {
+          data: null,
+          error: pgError('PGRST116', 'JSON object requested, multiple (or no) rows returned'),
+          count,
+          status: 406
+        }
+      }
+
+      return { data, error: null, count, status: 200 }
+    }
+
+    const query = {
+      select(columns = '*', { count = null, head = false } = {}) {
+        state.select = columns
+        if (count) state.count = count
+        state.head = head
+        return query
+      },
+      insert(values) {
+        state.action = 'insert'
+        state.values = Array.isArray(values) ? values : [values]
+        return query
+      },
+      upsert(values, { onConflict = 'id', ignoreDuplicates = false } = {}) {
+        state.action = 'upsert'
+        state.values = Array.isArray(values) ? values : [values]
+        state.upsert = { onConflict, ignoreDuplicates }
+        return query
+      },
+      update(values) {
+        state.action = 'update'
+        state.values = values
+        return query
+      },
+      delete() {
+        state.action = 'delete'
+        return query
+      },
+      eq: (column, value) => addColumnFilter(column, 'eq', value),
+      neq: (column, value) => addColumnFilter(column, 'neq', value),
+      gt: (column, value) => addColumnFilter(column, 'gt', value),
+      gte: (column, value) => addColumnFilter(column, 'gte', value),
+      lt: (column, value) => addColumnFilter(column, 'lt', value),
+      lte: (column, value) => addColumnFilter(column, 'lte', value),
+      is: (column, value) => addColumnFilter(column, 'is', value),
+      in: (column, values) => addColumnFilter(column, 'in', values),
+      like: (column, pattern) => addColumnFilter(column, 'like', pattern),
+      ilike: (column, pattern) => addColumnFilter(column, 'ilike', pattern),
+      or: (expression) => addFilter(parseLogicTree(expression, 'or')),
+      order(column, { ascending = true, nullsFirst = !ascending } = {}) {
+        state.orders.push({ column, ascending, nullsFirst })
+        return query
+      },
+      range(from, to) {
+        state.range = [from, to]
+        return query
+      },
+      limit(count) {
+        state.limit = count
+        return query
+      },
+      single() {
+        state.single = 'one'
+        return query
+      },
+      maybeSingle() {
+        state.single = 'maybe'
+        return query
+      },
+      then(resolve, reject) {
+        return execute().then(resolve, reject)
+      }
+    }
+
+    return query
+  }
+
+  // Stand-in for the text search index on posts; re-indexes changed posts on every search
+  const searchIndex = createSearchIndex()
+  // Stand-in for post_keywords: published posts only, so idf counts what the view counts
+  const relatedIndex = createSearchIndex()
+
+  // RPC functions from database-setup.sql
+  const functions = {
+    async increment_post_views({ post_id }) {
+      const database = await getDatabase()
+      const post = database.posts.find(item => item.id === post_id)
+      if (!post) return null
+      updatePost(post, { views: post.views + 1 })
+      return post.views
+    },
+
+    async increment_post_likes({ post_id }) {
+      const database = await getDatabase()
+      const post = database.posts.find(item => item.id === post_id)
+      if (!post) return null
+      updatePost(post, { likes: post.likes + 1 })
+      return post.likes
+    },
+
+    async get_like_counts({ post_ids }) {
+      const database = await getDatabase()
+      const counts = new Map()
+      database.likes
+        .filter(like => post_ids.includes(like.post_id))
+        .forEach(like => counts.set(like.post_id, (counts.get(like.post_id) || 0) + 1))
+      return [...counts].map(([post_id, likes]) => ({ post_id, likes }))
+    },
+
+    async get_tag_counts() {
+      const database = await getDatabase()
+      const now = Date.now()
+      const visible = new Set(database.posts
+        .filter(post => post.published && post.published_at && Date.parse(post.published_at) <= now)
+        .map(post => post.id))
+      const counts = new Map()
+      database.post_tags
+        .filter(link => visible.has(link.post_id))
+        .forEach(link => counts.set(link.tag_id, (counts.get(link.tag_id) || 0) + 1))
+      return [...counts].map(([tag_id, posts]) => ({ tag_id, posts }))
+    },
+
+    async get_archive_counts() {
+      const database = await getDatabase()
+      const now = Date.now()
+      const counts = new Map()
+      database.posts
+        .filter(post => post.published && post.published_at && Date.parse(post.published_at) <= now)
+        .forEach(post => {
+          // Calendar months in UTC, like the SQL function
+          const date = new Date(post.published_at)
+          const key = `${date.getUTCFullYear()}-${date.getUTCMonth() + 1}`
+          counts.set(key, (counts.get(key) || 0) + 1)
+        })
+      return [...counts]
+        .map(([key, posts]) => {
+          const [year, month] = key.split('-').map(Number)
+          return { year, month, posts }
+        })
+        .sort((a, b) => b.year - a.year || b.month - a.month)
+    },
+
+    async search_posts({ search_query, category_slug = null, result_limit = 10, result_offset = 0 }) {
+      const database = await getDatabase()
+      const now = Date.now()
+      const category = category_slug ? database.categories.find(item => item.slug === category_slug) : null
+      if (category_slug && !category) return []
+
+      // Same visibility rules as the RLS policy and the function's filters
+      const visible = database.posts.filter(post => post.published &&
+        post.published_at && Date.parse(post.published_at) <= now &&
+        (!category || post.category_id === category.id))
+      const byId = new Map(visible.map(post => [post.id, post]))
+
+      searchIndex.sync(database.posts)
+      const matches = searchIndex.search(search_query)
+        .filter(match => byId.has(match.id))
+        .map(match => ({ ...match, post: byId.get(match.id) }))
+        .sort((a, b) => b.rank - a.rank ||
+          Date.parse(b.post.published_at) - Date.parse(a.post.published_at) ||
+          (a.id < b.id ? 1 : -1))
+
+      return matches.slice(result_offset, result_offset + result_limit).map(match => ({
+        id: match.id,
+        rank: match.rank,
+        snippet: highlight(toPlainText(match.post.content), search_query),
+        total: matches.length
+      }))
+    },
+
+    async get_related_posts({ source_post_id, result_limit = 3 }) {
+      const database = await getDatabase()
+      const now = Date.now()
+      const source = database.posts.find(post => post.id === source_post_id)
+
+      relatedIndex.sync(database.posts.filter(post => post.published))
+      const similarity = new Map(relatedIndex.similar(source_post_id).map(match => [match.id, match.score]))
+
+      // Every visible post is a candidate, with a boost for the same category
+      return database.posts
+        .filter(post => post.id !== source_post_id && post.published &&
+          post.published_at && Date.parse(post.published_at) <= now)
+        .map(post => {
+          const sameCategory = Boolean(source?.category_id) && post.category_id === source.category_id
+          return { post, score: (similarity.get(post.id) || 0) + (sameCategory ? 0.15 : 0) }
+        })
+        .sort((a, b) => b.score - a.score ||
+          Date.parse(b.post.published_at) - Date.parse(a.post.published_at) ||
+          (a.post.id < b.post.id ? 1 : -1))
+        .slice(0, result_limit)
+        .map(({ post, score }) => ({ id: post.id, score }))
+    },
+
+    async get_trending_posts({ window_hours = 168, category_slug = null, result_limit = 5 }) {
+      const database = await getDatabase()
+      const now = Date.now()
+      const since = now - window_hours * 3600000
+      // An event's score halves every quarter of the window
+      const halfLife = window_hours * 3600000 / 4
+      const category = category_slug ? database.categories.find(item => item.slug === category_slug) : null
+      if (category_slug && !category) return []
+
+      const scores = new Map()
+      const record = (event, weight, counter) => {
+        const time = Date.parse(event.created_at)
+        if (!(time > since)) return
+        const entry = scores.get(event.post_id) || { score: 0, views: 0, likes: 0 }
+        entry.score += weight * 0.5 ** ((now - time) / halfLife)
+        entry[counter] += 1
+        scores.set(event.post_id, entry)
+      }
+      database.post_views.forEach(view => record(view, 1, 'views'))
+      database.likes.forEach(like => record(like, 3, 'likes'))
+
+      return database.posts
+        .filter(post => scores.has(post.id) && post.published &&
+          post.published_at && Date.parse(post.published_at) <= now &&
+          (!category || post.category_id === category.id))
+        .map(post => ({ post, ...scores.get(post.id) }))
+        .sort((a, b) => b.score - a.score ||
+          Date.parse(b.post.published_at) - Date.parse(a.post.published_at) ||
+          (a.post.id < b.post.id ? 1 : -1))
+        .slice(0, result_limit)
+        .map(({ post, score, views, likes }) => ({ id: post.id, score, views, likes }))
+    },
+
+    async track_post_view({ post_id, user_id, revisit_hours = null }) {
+      const database = await getDatabase()
+      const post = database.posts.find(item => item.id === post_id)
+      if (!post) return null
+
+      const now = new Date()
+      const previous = database.post_views.find(view => view.post_id === post_id && view.user_id === user_id)
+      if (!previous) {
+        const view = { id: crypto.randomUUID(), post_id, user_id, created_at: now.toISOString(), viewed_at: now.toISOString() }
+        database.post_views.push(view)
+        broadcast('INSERT', 'post_views', view, null)
+      } else if (revisit_hours != null && now - Date.parse(previous.viewed_at || previous.created_at) >= revisit_hours * 3600000) {
+        const old = { ...previous }
+        previous.viewed_at = now.toISOString()
+        broadcast('UPDATE', 'post_views', { ...previous }, old)
+      } else {
+        return post.views
+      }
+
+      updatePost(post, { views: post.views + 1 })
+      return post.views
+    }
+  }
+
+  // Editor session (in memory, so a reload signs out like the data resets)
+  const authState = { session: null, listeners: new Set() }
+
+  const setSession = (session, event) => {
+    authState.session = session
+    authState.listeners.forEach(listener => listener(event, session))
+  }
+
+  return {
+    from: (table) => createQuery(table),
+
+    rpc(name, args = {}) {
+      const run = async () => {
+        if (!functions[name]) {
+          return { data: null, error: pgError('PGRST202', `Could not find the function public.${name} in the schema cache`) }
+        }
+        if (readOnly && !READ_ONLY_FUNCTIONS.includes(name)) {
+          return { data: null, error: pgError('42501', `permission denied for function ${name}`) }
+        }
+        return { data: await functions[name](args), error: null }
+      }
+      return { then: (resolve, reject) => run().then(resolve, reject) }
+    },
+
+    channel: (topic) => createChannel(topic),
+
+    removeChannel,
+
+    realtime: {
+      /**
+       * Simulate a dropped connection: joined channels fail and changes are not delivered
+       */
+      disconnect() {
+        realtimeState.connected = false
+        realtimeState.channels.forEach((entry, channel) => {
+          if (!entry.joined) return
+          entry.joined = false
+          notifyChannel(channel, 'CHANNEL_ERROR', new Error('Realtime connection lost'))
+        })
+      },
+
+      /**
+       * Restore the connection; channels subscribed from now on join again
+       */
+      connect() {
+        realtimeState.connected = true
+      }
+    },
+
+    auth: {
+      async signInAnonymously() {
+        return { data: { user: { id: crypto.randomUUID() }, session: null }, error: null }
+      },
+      async getSession() {
+        return { data: { session: authState.session }, error: null }
+      },
+      /**
+       * Sign in as an editor with any email and password (development builds
+       * only; read-only clients stand in for anon users and refuse)
+       */
+      async signInWithPassword({ email, password } = {}) {
+        if (readOnly || !import.meta.env.DEV) {
+          return { data: { user: null, session: null }, error: authError('Editor sign-in is not available for this data source') }
+        }
+        if (!email || !password) {
+          return { data: { user: null, session: null }, error: authError('Invalid login credentials') }
+        }
+        const user = { id: crypto.randomUUID(), email, is_anonymous: false }
+        setSession({ user, access_token: 'mock-editor-token' }, 'SIGNED_IN')
+        return { data: { user, session: authState.session }, error: null }
+      },
+      async signOut() {
+        setSession(null, 'SIGNED_OUT')
+        return { error: null }
+      },
+      onAuthStateChange(callback) {
+        authState.listeners.add(callback)
+        return { data: { subscription: { unsubscribe: () => authState.listeners.delete(callback) } } }
+      }
+    }
+  }
+}
+
+let mockClient = null
+
+/**
+ * Dataset for the shared mock client
+ * VITE_MOCK_POSTS switches from the hand-written posts in utils/mockData.js to
+ * that many generated ones (utils/mockGenerator.js); VITE_MOCK_SEED picks
+ * which dataset is generated. Either way the posts get reads from the last
+ * 30 days, dated from now, so trending lists have something to rank.
+ * @returns {Object} `{ categories, posts, post_views, tags, post_tags, authors, post_authors, series }`, plus `likes` when generated
+ */
+const getMockDataset = () => {
+  const postCount = Number.parseInt(import.meta.env.VITE_MOCK_POSTS, 10)
+  const seed = import.meta.env.VITE_MOCK_SEED
+  const now = new Date().toISOString()
+
+  if (!(postCount > 0)) {
+    return {
+      categories: mockCategories,
+      posts: mockPosts,
+      post_views: generateRecentViews(mockPosts, { now }),
+      tags: mockTags,
+      post_tags: mockPostTags,
+      authors: mockAuthors,
+      post_authors: mockPostAuthors,
+      series: mockSeries
+    }
+  }
+
+  const dataset = generateMockData(seed ? { posts: postCount, seed } : { posts: postCount })
+  return { ...dataset, post_views: generateRecentViews(dataset.posts, seed ? { seed, now } : { now }) }
+}
+
+/**
+ * Get the shared in-memory client seeded with the mock dataset
+ * @returns {Object} Mock Supabase client
+ */
+export const getMockSupabaseClient = () => {
+  if (!mockClient) {
+    // Generated lazily, on the first query
+    mockClient = createMockSupabaseClient(getMockDataset)
+  }
+  return mockClient
+}
+
+export default createMockSupabaseClient
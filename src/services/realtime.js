@@ -0,0 +1,92 @@
+/**
+ * Realtime subscriptions - Database change feeds that survive dropped connections
+ *
+ * Wraps a Supabase Realtime channel (or the stand-in in mockSupabase.js) and
+ * re-joins it with exponential backoff whenever the connection fails, so
+ * pages keep receiving changes after a network blip. Changes made while the
+ * channel was down are lost, so callers get an onReconnect callback to
+ * re-read whatever they display.
+ */
+
+/**
+ * Reconnect delays (ms)
+ */
+const RECONNECT_DELAY = {
+  base: 1000,
+  max: 30000
+}
+
+// Channel states that mean the channel is gone and has to be re-joined
+const FAILED_STATES = ['CHANNEL_ERROR', 'TIMED_OUT', 'CLOSED']
+
+// supabase-js hands out one channel per topic, so every subscription gets its own
+let channelSequence = 0
+
+/**
+ * Subscribe to postgres_changes on one channel, reconnecting on failure
+ * @param {Object} client - Supabase client exposing channel() and removeChannel()
+ * @param {string} topic - Channel name prefix
+ * @param {Array<{filter: Object, callback: Function}>} bindings - postgres_changes filters (`{ event, schema, table, filter }`) and their handlers
+ * @param {Object} options - Subscription options
+ * @param {Function} options.onStatus - Called with 'connecting', 'live' or 'reconnecting'
+ * @param {Function} options.onReconnect - Called after the channel is re-joined following a failure
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeToChanges = (client, topic, bindings, { onStatus, onReconnect } = {}) => {
+  let channel = null
+  let retryTimer = null
+  let attempts = 0
+  let closed = false
+  const channelTopic = `${topic}:${++channelSequence}`
+
+  const connect = () => {
+    // Retries already reported 'reconnecting'
+    if (attempts === 0) onStatus?.('connecting')
+    let current = client.channel(channelTopic)
+    bindings.forEach(({ filter, callback }) => {
+      current = current.on('postgres_changes', filter, callback)
+    })
+    channel = current
+
+    current.subscribe((state) => {
+      // Callbacks of a channel we already replaced or closed
+      if (closed || channel !== current) return
+
+      if (state === 'SUBSCRIBED') {
+        const recovered = attempts > 0
+        attempts = 0
+        onStatus?.('live')
+        if (recovered) onReconnect?.()
+        return
+      }
+
+      if (FAILED_STATES.includes(state)) {
+        channel = null
+        client.removeChannel(current)
+        attempts += 1
+        onStatus?.('reconnecting')
+        const delay = Math.min(RECONNECT_DELAY.max, RECONNECT_DELAY.base * 2 ** (attempts - 1))
+        retryTimer = setTimeout(connect, delay)
+      }
+    })
+  }
+
+  connect()
+
+  return () => {
+    closed = true
+    clearTimeout(retryTimer)
+    if (channel) client.removeChannel(channel)
+    channel = null
+  }
+}
+
+/**
+ * Realtime namespace for adapters without a change feed (mock and static data)
+ * Subscriptions succeed but never report changes.
+ * @returns {Object} Adapter realtime namespace
+ */
+export const createNoopRealtime = () => ({
+  subscribeToPost: () => () => {},
+  subscribeToLikes: () => () => {}
+})
@@ -0,0 +1,233 @@
+/**
+ * Request policy - Retries and circuit breaking around backend calls
+ *
+ * Reads that fail with a transient error (NetworkError: no answer or HTTP 5xx)
+ * are retried with exponential backoff and jitter, as long as the shared retry
+ * budget allows it, so a struggling backend isn't hit with a retry storm.
+ * Repeated transient failures open a circuit breaker: calls then fail fast
+ * with a ServiceUnavailableError until a single probe request succeeds again.
+ * The breaker state is published as a status ('ok' or 'degraded') the UI can
+ * subscribe to.
+ */
+
+import { NetworkError, ServiceUnavailableError } from './errors.js'
+
+/**
+ * Default policy settings (every value can be overridden)
+ */
+export const DEFAULT_REQUEST_POLICY = {
+  // Extra attempts after the first one, for idempotent calls only
+  retries: 2,
+  // Delay before the first retry (ms); doubles on every following retry
+  baseDelay: 300,
+  // Upper bound for a single delay (ms)
+  maxDelay: 4000,
+  // Share of each delay that is randomised (0 = fixed delays, 1 = full jitter)
+  jitter: 0.5,
+  // At most `maxRetries` retries across all calls within `windowMs`
+  retryBudget: { maxRetries: 10, windowMs: 10000 },
+  // Consecutive transient failures that open the circuit
+  failureThreshold: 5,
+  // How long the circuit stays open before a probe request is let through (ms)
+  resetTimeout: 30000
+}
+
+/**
+ * Whether an error is worth retrying
+ * @param {Error} error - Typed error from the adapter
+ * @returns {boolean} True for network failures and server errors
+ */
+const isTransient = (error) => {
+  return error instanceof NetworkError && !(error instanceof ServiceUnavailableError)
+}
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms))
+
+/**
+ * Create a request policy with its own retry budget and circuit breaker
+ * @param {Object} options - Overrides for DEFAULT_REQUEST_POLICY
+ * @param {Function} options.random - Random source for jitter (defaults to Math.random)
+ * @param {Function} options.now - Clock (defaults to Date.now)
+ * @returns {Object} `{ run, getStatus, subscribe, reset }`
+ */
+export const createRequestPolicy = (options = {}) => {
+  const {
+    retries,
+    baseDelay,
+    maxDelay,
+    jitter,
+    retryBudget,
+    failureThreshold,
+    resetTimeout,
+    random = Math.random,
+    now = Date.now
+  } = { ...DEFAULT_REQUEST_POLICY, ...options }
+
+  let circuit = 'closed'
+  let consecutiveFailures = 0
+  let openUntil = 0
+  let probeInFlight = false
+  let retryTimestamps = []
+  let status = { status: 'ok', circuit, retryAt: null }
+  const listeners = new Set()
+
+  const setCircuit = (next) => {
+    if (next === circuit && (next !== 'open' || status.retryAt === openUntil)) return
+    circuit = next
+    status = {
+      status: next === 'closed' ? 'ok' : 'degraded',
+      circuit: next,
+      retryAt: next === 'closed' ? null : openUntil
+    }
+    listeners.forEach(listener => listener(status))
+  }
+
+  const recordSuccess = () => {
+    consecutiveFailures = 0
+    setCircuit('closed')
+  }
+
+  const recordFailure = (error) => {
+    if (!isTransient(error)) {
+      // The backend answered, so it is reachable
+      recordSuccess()
+      return
+    }
+    consecutiveFailures += 1
+    if (circuit === 'half-open' || consecutiveFailures >= failureThreshold) {
+      openUntil = now() + resetTimeout
+      setCircuit('open')
+    }
+  }
+
+  /**
+   * Take a retry from the shared budget
+   * @returns {boolean} False when the budget for the current window is spent
+   */
+  const takeRetry = () => {
+    const windowStart = now() - retryBudget.windowMs
+    retryTimestamps = retryTimestamps.filter(timestamp => timestamp > windowStart)
+    if (retryTimestamps.length >= retryBudget.maxRetries) return false
+    retryTimestamps.push(now())
+    return true
+  }
+
+  /**
+   * Delay before the given retry: exponential, capped, partly randomised
+   * @param {number} attempt - Retry number, starting at 1
+   * @returns {number} Delay in ms
+   */
+  const backoff = (attempt) => {
+    const delay = Math.min(maxDelay, baseDelay * 2 ** (attempt - 1))
+    return delay * (1 - jitter * random())
+  }
+
+  /**
+   * Let a call through the circuit breaker, or fail fast
+   * @returns {boolean} True when this call is the half-open probe
+   * @throws {ServiceUnavailableError} While the circuit is open
+   */
+  const admit = () => {
+    if (circuit === 'open' && now() >= openUntil) setCircuit('half-open')
+    if (circuit === 'closed') return false
+    if (circuit === 'half-open' && !probeInFlight) {
+      probeInFlight = true
+      return true
+    }
+    throw new ServiceUnavailableError(
+      'The server is having trouble right now. Please try again shortly.',
+      { retryAt: openUntil }
+    )
+  }
+
+  /**
+   * Run a backend call under the policy
+   * @param {Function} fn - Performs the call; invoked once per attempt
+   * @param {Object} callOptions - Call options
+   * @param {boolean} callOptions.idempotent - Whether the call may be retried
+   * @returns {Promise<any>} Result of the call
+   */
+  const run = async (fn, { idempotent = false } = {}) => {
+    for (let attempt = 0; ; attempt++) {
+      const probe = admit()
+      try {
+        const result = await fn()
+        recordSuccess()
+        return result
+      } catch (error) {
+        recordFailure(error)
+        const canRetry = idempotent &&
+          isTransient(error) &&
+          attempt < retries &&
+          circuit === 'closed' &&
+          takeRetry()
+        if (!canRetry) throw error
+      } finally {
+        if (probe) probeInFlight = false
+      }
+      await wait(backoff(attempt + 1))
+    }
+  }
+
+  return {
+    run,
+
+    /**
+     * Current backend status
+     * @returns {{status: string, circuit: string, retryAt: number|null}} 'ok' or 'degraded', the breaker state and when an open circuit lets requests through again
+     */
+    getStatus: () => status,
+
+    /**
+     * Subscribe to status changes
+     * @param {Function} listener - Called with the new status
+     * @returns {Function} Unsubscribe function
+     */
+    subscribe(listener) {
+      listeners.add(listener)
+      return () => listeners.delete(listener)
+    },
+
+    /**
+     * Close the circuit and forget past failures and retries
+     */
+    reset() {
+      consecutiveFailures = 0
+      retryTimestamps = []
+      probeInFlight = false
+      setCircuit('closed')
+    }
+  }
+}
+
+/**
+ * Run every method of an adapter under a request policy
+ * Methods named get* or has* are reads and are retried; everything else
+ * (inserts, updates, likes, view counts) is tried once. Realtime
+ * subscriptions are passed through unchanged.
+ * @param {Object} adapter - Data adapter
+ * @param {Object} policy - Policy from createRequestPolicy
+ * @returns {Object} Adapter with wrapped methods
+ */
+export const withRequestPolicy = (adapter, policy) => {
+  const wrap = (namespace) => new Proxy(namespace, {
+    get: (target, method) => {
+      const fn = target[method]
+      if (typeof fn !== 'function') return fn
+      const idempotent = /^(get|has)[A-Z]/.test(String(method))
+      return (...args) => policy.run(() => fn(...args), { idempotent })
+    }
+  })
+
+  return {
+    name: adapter.name,
+    categories: wrap(adapter.categories),
+    posts: wrap(adapter.posts),
+    tags: wrap(adapter.tags),
+    authors: wrap(adapter.authors),
+    series: wrap(adapter.series),
+    engagement: wrap(adapter.engagement),
+    // Realtime channels reconnect on their own (services/realtime.js)
+    realtime: adapter.realtime
+  }
+}
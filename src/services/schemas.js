@@ -0,0 +1,493 @@
+/**
+ * Schemas - Declared shapes of the blog's records
+ *
+ * Post, Category, Tag, Author, Series, Like and PostView mirror the tables in database-setup.sql.
+ * Reads are normalized to one canonical shape: known fields only, typed
+ * values, defaults filled in and legacy field names (cover_image, coverImage,
+ * category, ...) mapped to the column they stand for. Components can
+ * therefore rely on `post.cover_path` or `post.categories?.slug` whatever the
+ * backend returned. Writes are validated against the same declarations and
+ * rejected with a ValidationError carrying one message per field.
+ */
+
+import { ValidationError } from './errors.js'
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i
+const SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/
+const URL_SCHEME_PATTERN = /^[a-z][a-z0-9+.-]*:/i
+
+const isPlainObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value)
+
+const parseJson = (text) => {
+  try {
+    return JSON.parse(text)
+  } catch {
+    return null
+  }
+}
+
+/**
+ * Column types: how values are checked on write and coerced on read
+ */
+const FIELD_TYPES = {
+  uuid: {
+    check: (value) => typeof value === 'string' && UUID_PATTERN.test(value),
+    message: 'must be a valid ID',
+    coerce: (value) => String(value)
+  },
+  text: {
+    check: (value) => typeof value === 'string',
+    message: 'must be text',
+    coerce: (value) => String(value)
+  },
+  boolean: {
+    check: (value) => typeof value === 'boolean',
+    message: 'must be true or false',
+    coerce: (value) => value === true || value === 'true'
+  },
+  integer: {
+    check: (value) => Number.isInteger(value) && value >= 0,
+    message: 'must be a whole number of 0 or more',
+    coerce: (value) => {
+      const number = Number(value)
+      return Number.isFinite(number) ? Math.trunc(number) : null
+    }
+  },
+  timestamp: {
+    check: (value) => (typeof value === 'string' || value instanceof Date) && !Number.isNaN(new Date(value).getTime()),
+    message: 'must be a valid date',
+    coerce: (value) => {
+      const date = new Date(value)
+      return Number.isNaN(date.getTime()) ? null : date.toISOString()
+    }
+  },
+  // JSONB columns holding a map of text values
+  textMap: {
+    check: (value) => isPlainObject(value) && Object.values(value).every(item => typeof item === 'string'),
+    message: 'must map names to text',
+    coerce: (value) => {
+      const map = typeof value === 'string' ? parseJson(value) : value
+      if (!isPlainObject(map)) return null
+      return Object.fromEntries(Object.entries(map).filter(([, item]) => typeof item === 'string' && item.trim()))
+    }
+  }
+}
+
+/**
+ * Check a cover image reference
+ * Accepts http(s) URLs, Supabase storage paths and the placeholder formats
+ * understood by getCoverImageUrl (utils/imageUtils.js).
+ * @param {string} value - cover_path value
+ * @returns {string|null} Problem description, or null when valid
+ */
+const checkCoverPath = (value) => {
+  if (/\s/.test(value)) return 'must not contain spaces'
+  if (URL_SCHEME_PATTERN.test(value) && !/^https?:\/\//i.test(value) && !value.includes('{seed}')) {
+    return 'must be an http(s) URL, a storage path or a placeholder'
+  }
+  return null
+}
+
+/**
+ * Category - `categories` table
+ *
+ * Field options:
+ * - type: key of FIELD_TYPES
+ * - required: NOT NULL without a default, so inserts must provide it
+ * - nullable: NULL is a valid value
+ * - default: value used on read when the field is missing
+ * - writable: may be set through the services (others are maintained by the database)
+ * - aliases: other names the field is read from (older data, static JSON files)
+ * - pattern / patternMessage, validate: extra checks on write
+ */
+export const CategorySchema = {
+  name: 'category',
+  fields: {
+    id: { type: 'uuid', writable: true },
+    name: { type: 'text', label: 'Name', required: true, default: '', writable: true },
+    slug: {
+      type: 'text',
+      label: 'Slug',
+      required: true,
+      default: '',
+      writable: true,
+      pattern: SLUG_PATTERN,
+      patternMessage: 'may only contain lowercase letters, numbers and single hyphens'
+    },
+    // Top-level categories have none
+    parent_id: { type: 'uuid', label: 'Parent category', nullable: true, writable: true, aliases: ['parentId'] },
+    created_at: { type: 'timestamp', label: 'Created at', nullable: true, aliases: ['createdAt'] }
+  }
+}
+
+/**
+ * Tag - `tags` table (posts link to tags through `post_tags`)
+ */
+export const TagSchema = {
+  name: 'tag',
+  fields: {
+    id: { type: 'uuid', writable: true },
+    name: { type: 'text', label: 'Name', required: true, default: '', writable: true },
+    slug: {
+      type: 'text',
+      label: 'Slug',
+      required: true,
+      default: '',
+      writable: true,
+      pattern: SLUG_PATTERN,
+      patternMessage: 'may only contain lowercase letters, numbers and single hyphens'
+    },
+    created_at: { type: 'timestamp', label: 'Created at', nullable: true, aliases: ['createdAt'] }
+  }
+}
+
+/**
+ * Author - `authors` table (posts link to authors through `post_authors`)
+ */
+export const AuthorSchema = {
+  name: 'author',
+  fields: {
+    id: { type: 'uuid', writable: true },
+    name: { type: 'text', label: 'Name', required: true, default: '', writable: true },
+    slug: {
+      type: 'text',
+      label: 'Slug',
+      required: true,
+      default: '',
+      writable: true,
+      pattern: SLUG_PATTERN,
+      patternMessage: 'may only contain lowercase letters, numbers and single hyphens'
+    },
+    bio: { type: 'text', label: 'Bio', nullable: true, writable: true },
+    avatar_path: {
+      type: 'text',
+      label: 'Avatar',
+      nullable: true,
+      writable: true,
+      aliases: ['avatar', 'avatarUrl'],
+      validate: checkCoverPath
+    },
+    // Profile URLs by network (website, github, twitter, ...)
+    social_links: { type: 'textMap', label: 'Social links', default: Object.freeze({}), writable: true, aliases: ['socialLinks'] },
+    created_at: { type: 'timestamp', label: 'Created at', nullable: true, aliases: ['createdAt'] }
+  }
+}
+
+/**
+ * Series - `series` table (posts point at theirs with `series_id` and `series_position`)
+ */
+export const SeriesSchema = {
+  name: 'series',
+  fields: {
+    id: { type: 'uuid', writable: true },
+    title: { type: 'text', label: 'Title', required: true, default: '', writable: true },
+    slug: {
+      type: 'text',
+      label: 'Slug',
+      required: true,
+      default: '',
+      writable: true,
+      pattern: SLUG_PATTERN,
+      patternMessage: 'may only contain lowercase letters, numbers and single hyphens'
+    },
+    description: { type: 'text', label: 'Description', nullable: true, writable: true },
+    created_at: { type: 'timestamp', label: 'Created at', nullable: true, aliases: ['createdAt'] }
+  }
+}
+
+/**
+ * Post - `posts` table, with its category embedded as `categories`, its
+ * tags as `tags` (the names Supabase gives the embedded relations), its
+ * authors as `authors` and its series as `series`
+ */
+export const PostSchema = {
+  name: 'post',
+  fields: {
+    id: { type: 'uuid', writable: true },
+    title: { type: 'text', label: 'Title', required: true, default: '', writable: true },
+    slug: {
+      type: 'text',
+      label: 'Slug',
+      required: true,
+      default: '',
+      writable: true,
+      pattern: SLUG_PATTERN,
+      patternMessage: 'may only contain lowercase letters, numbers and single hyphens'
+    },
+    excerpt: { type: 'text', label: 'Excerpt', nullable: true, writable: true },
+    content: { type: 'text', label: 'Content', required: true, default: '', writable: true },
+    cover_path: {
+      type: 'text',
+      label: 'Cover image',
+      nullable: true,
+      writable: true,
+      aliases: ['cover_image', 'coverImage', 'image'],
+      validate: checkCoverPath
+    },
+    category_id: { type: 'uuid', label: 'Category', nullable: true, writable: true, aliases: ['categoryId'] },
+    series_id: { type: 'uuid', label: 'Series', nullable: true, writable: true, aliases: ['seriesId'] },
+    // Place in the series; parts are read in ascending order
+    series_position: { type: 'integer', label: 'Series part', nullable: true, writable: true, aliases: ['seriesPosition'] },
+    published: { type: 'boolean', label: 'Published', default: false, writable: true },
+    published_at: { type: 'timestamp', label: 'Publish date', nullable: true, writable: true, aliases: ['publishedAt'] },
+    views: { type: 'integer', label: 'Views', default: 0 },
+    likes: { type: 'integer', label: 'Likes', default: 0 },
+    // Generated by the database from the content (200 words a minute)
+    reading_minutes: { type: 'integer', label: 'Reading time', nullable: true },
+    created_at: { type: 'timestamp', label: 'Created at', nullable: true, aliases: ['createdAt'] },
+    updated_at: { type: 'timestamp', label: 'Updated at', nullable: true, aliases: ['updatedAt'] }
+  },
+  relations: {
+    categories: { schema: CategorySchema, aliases: ['category'] },
+    series: { schema: SeriesSchema },
+    // A list, in name order
+    tags: { schema: TagSchema, many: true, sort: (a, b) => a.name.localeCompare(b.name) },
+    // A list in byline order, read from the join rows (`post_authors (position, authors (*))`)
+    // when the record doesn't have it yet
+    authors: { schema: AuthorSchema, many: true, through: { rows: 'post_authors', item: 'authors', order: 'position' } }
+  }
+}
+
+/**
+ * Like - `likes` table (one row per post and reader)
+ */
+export const LikeSchema = {
+  name: 'like',
+  fields: {
+    id: { type: 'uuid' },
+    post_id: { type: 'uuid', label: 'Post', required: true, writable: true },
+    user_id: { type: 'uuid', label: 'Reader', required: true, writable: true },
+    created_at: { type: 'timestamp', label: 'Created at', nullable: true }
+  }
+}
+
+/**
+ * PostView - `post_views` table (one row per post and reader, written by track_post_view)
+ */
+export const PostViewSchema = {
+  name: 'post view',
+  fields: {
+    id: { type: 'uuid' },
+    post_id: { type: 'uuid', label: 'Post', required: true, writable: true },
+    user_id: { type: 'uuid', label: 'Reader', required: true, writable: true },
+    created_at: { type: 'timestamp', label: 'Created at', nullable: true },
+    viewed_at: { type: 'timestamp', label: 'Last counted', nullable: true }
+  }
+}
+
+/**
+ * Value of a field in a record, looking at its aliases too
+ * @param {Object} record - Raw record
+ * @param {string} name - Canonical field name
+ * @param {Array<string>} aliases - Other names the field may have
+ * @returns {any} The value, or undefined when the record doesn't have it
+ */
+const readField = (record, name, aliases = []) => {
+  for (const key of [name, ...aliases]) {
+    if (record[key] !== undefined) return record[key]
+  }
+  return undefined
+}
+
+/**
+ * Related records embedded through their join table, in the join rows' order
+ * @param {Object} record - Raw record
+ * @param {Object} through - `{ rows, item, order }`: join rows field, related record field and ordering column
+ * @returns {Array|undefined} Related records, or undefined when the record has no join rows
+ */
+const fromJoinRows = (record, through) => {
+  const rows = through && record[through.rows]
+  if (!Array.isArray(rows)) return undefined
+  return [...rows]
+    .sort((a, b) => (a?.[through.order] ?? 0) - (b?.[through.order] ?? 0))
+    .map(row => row?.[through.item])
+}
+
+/**
+ * Normalize a record read from a backend to the canonical shape of its schema
+ * Unknown fields are dropped, values coerced to their column type and
+ * missing ones filled with the field default (or null).
+ * @param {Object} schema - One of the schemas above
+ * @param {Object} record - Raw record
+ * @returns {Object|null} Canonical record, or null when there is no record
+ */
+export const normalize = (schema, record) => {
+  if (!record || typeof record !== 'object') return null
+
+  const result = {}
+  Object.entries(schema.fields).forEach(([name, field]) => {
+    const value = readField(record, name, field.aliases)
+    const coerced = value === undefined || value === null || value === ''
+      ? null
+      : FIELD_TYPES[field.type].coerce(value)
+    result[name] = coerced ?? field.default ?? null
+  })
+
+  Object.entries(schema.relations || {}).forEach(([name, relation]) => {
+    const value = readField(record, name, relation.aliases) ?? fromJoinRows(record, relation.through)
+    if (!relation.many) {
+      result[name] = normalize(relation.schema, value)
+      return
+    }
+    const list = normalizeList(relation.schema, value)
+    result[name] = relation.sort ? list.sort(relation.sort) : list
+  })
+
+  return result
+}
+
+/**
+ * Normalize a list of records, skipping entries that aren't records
+ * @param {Object} schema - Schema of the records
+ * @param {Array} records - Raw records
+ * @returns {Array<Object>} Canonical records
+ */
+export const normalizeList = (schema, records) => {
+  return (records || []).map(record => normalize(schema, record)).filter(Boolean)
+}
+
+/**
+ * Normalize the items of a keyset page (`{ items, nextCursor, total }`)
+ * @param {Object} schema - Schema of the items
+ * @param {Object} page - Raw page
+ * @returns {Object} Page with canonical items
+ */
+export const normalizePage = (schema, page) => {
+  return { ...page, items: normalizeList(schema, page?.items) }
+}
+
+/**
+ * Keep the writable fields of some input, under their canonical names
+ * @param {Object} schema - Schema of the record
+ * @param {Object} input - Raw input from the caller
+ * @returns {Object} Row restricted to writable fields (missing fields stay missing)
+ */
+export const pickWritable = (schema, input = {}) => {
+  return Object.entries(schema.fields).reduce((row, [name, field]) => {
+    if (!field.writable) return row
+    const value = readField(input, name, field.aliases)
+    if (value !== undefined) row[name] = value
+    return row
+  }, {})
+}
+
+/**
+ * Check a row about to be written
+ * @param {Object} schema - Schema of the record
+ * @param {Object} row - Row to validate (canonical field names)
+ * @param {Object} options - Validation options
+ * @param {boolean} options.partial - Only check the fields that are present (updates)
+ * @returns {Object<string, string>} One message per invalid field; empty when the row is valid
+ */
+export const validateFields = (schema, row, { partial = false } = {}) => {
+  const fields = {}
+
+  Object.entries(schema.fields).forEach(([name, field]) => {
+    const value = row[name]
+    const label = field.label || name
+    if (value === undefined && partial) return
+
+    const blank = value === undefined || value === null || (typeof value === 'string' && !value.trim())
+    if (blank) {
+      if (field.required) fields[name] = `${label} is required`
+      else if (value === null && !field.nullable && field.default === undefined) fields[name] = `${label} can't be empty`
+      return
+    }
+
+    const type = FIELD_TYPES[field.type]
+    if (!type.check(value)) {
+      fields[name] = `${label} ${type.message}`
+      return
+    }
+    if (field.pattern && !field.pattern.test(value)) {
+      fields[name] = `${label} ${field.patternMessage}`
+      return
+    }
+    const problem = field.validate?.(value)
+    if (problem) fields[name] = `${label} ${problem}`
+  })
+
+  return fields
+}
+
+/**
+ * Validate a row about to be written, throwing when it is invalid
+ * @param {Object} schema - Schema of the record
+ * @param {Object} row - Row to validate
+ * @param {Object} options - See validateFields
+ * @throws {ValidationError} With a `fields` map of messages
+ */
+export const assertValid = (schema, row, options = {}) => {
+  const fields = validateFields(schema, row, options)
+  if (Object.keys(fields).length > 0) {
+    throw new ValidationError(`Invalid ${schema.name}: ${Object.values(fields).join(', ')}`, fields)
+  }
+}
+
+/**
+ * How the results of each adapter read are normalized
+ */
+const RESULT_SHAPES = {
+  categories: {
+    getAll: (rows) => normalizeList(CategorySchema, rows),
+    getBySlug: (row) => normalize(CategorySchema, row)
+  },
+  posts: {
+    getPublished: (page) => normalizePage(PostSchema, page),
+    getByCategory: (page) => normalizePage(PostSchema, page),
+    getByTag: (page) => normalizePage(PostSchema, page),
+    getByAuthor: (page) => normalizePage(PostSchema, page),
+    getPublishedBetween: (page) => normalizePage(PostSchema, page),
+    getBySeries: (rows) => normalizeList(PostSchema, rows),
+    getRelated: (rows) => normalizeList(PostSchema, rows),
+    getAll: (rows) => normalizeList(PostSchema, rows),
+    getBySlug: (row) => normalize(PostSchema, row),
+    getById: (row) => normalize(PostSchema, row),
+    getTrending: (items) => items.map(item => ({ ...item, post: normalize(PostSchema, item.post) })),
+    getSearchResults: (result) => ({
+      ...result,
+      items: result.items.map(item => ({ ...item, post: normalize(PostSchema, item.post) }))
+    }),
+    insert: (row) => normalize(PostSchema, row),
+    update: (row) => normalize(PostSchema, row)
+  },
+  tags: {
+    getAll: (rows) => normalizeList(TagSchema, rows),
+    getBySlug: (row) => normalize(TagSchema, row)
+  },
+  authors: {
+    getBySlug: (row) => normalize(AuthorSchema, row)
+  },
+  series: {
+    getBySlug: (row) => normalize(SeriesSchema, row)
+  }
+}
+
+/**
+ * Normalize every record an adapter returns
+ * Methods returning counts or flags are passed through unchanged, and so are
+ * realtime subscriptions (their rows are normalized by the service layer).
+ * @param {Object} adapter - Data adapter
+ * @returns {Object} Adapter whose reads resolve to canonical records
+ */
+export const withNormalizedResults = (adapter) => {
+  const wrap = (namespace, shapes = {}) => new Proxy(namespace, {
+    get: (target, method) => {
+      const fn = target[method]
+      const shape = shapes[method]
+      if (typeof fn !== 'function' || !shape) return fn
+      return async (...args) => shape(await fn(...args))
+    }
+  })
+
+  return {
+    name: adapter.name,
+    categories: wrap(adapter.categories, RESULT_SHAPES.categories),
+    posts: wrap(adapter.posts, RESULT_SHAPES.posts),
+    tags: wrap(adapter.tags, RESULT_SHAPES.tags),
+    authors: wrap(adapter.authors, RESULT_SHAPES.authors),
+    series: wrap(adapter.series, RESULT_SHAPES.series),
+    engagement: adapter.engagement,
+    realtime: adapter.realtime
+  }
+}
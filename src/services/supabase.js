@@ -1,4 +1,6 @@
 import { createClient } from '@supabase/supabase-js'
+import { getMockSupabaseClient } from './mockSupabase.js'
+import { PermissionError } from './errors.js'
 
 const supabaseUrl = import.meta.env.VITE_SUPABASE_URL
 const supabaseAnonKey = import.meta.env.VITE_SUPABASE_ANON_KEY
@@ -16,23 +18,20 @@ if (supabaseUrl && supabaseAnonKey) {
   })
 } else {
   console.warn('Supabase environment variables not configured. Using mock data for development.')
-  // Create a mock client that throws errors for any operation
-  supabase = {
-    from: () => ({
-      select: () => ({ error: new Error('Supabase not configured') }),
-      insert: () => ({ error: new Error('Supabase not configured') }),
-      update: () => ({ error: new Error('Supabase not configured') }),
-      delete: () => ({ error: new Error('Supabase not configured') })
-    }),
-    auth: {
-      signInAnonymously: () => ({ error: new Error('Supabase not configured') })
-    },
-    rpc: () => ({ error: new Error('Supabase not configured') })
-  }
+  // In-memory stand-in that runs the same queries over utils/mockData.js
+  supabase = getMockSupabaseClient()
 }
 
 export { supabase }
 
+/**
+ * Check if Supabase is properly configured
+ * @returns {boolean} True if Supabase environment variables are set
+ */
+export const isSupabaseConfigured = () => {
+  return Boolean(import.meta.env.VITE_SUPABASE_URL && import.meta.env.VITE_SUPABASE_ANON_KEY)
+}
+
 // Function to check if Supabase is properly connected
 export const checkSupabaseConnection = async () => {
   if (!import.meta.env.VITE_SUPABASE_URL || !import.meta.env.VITE_SUPABASE_ANON_KEY) {
@@ -68,13 +67,65 @@ export const checkSupabaseConnection = async () => {
   }
 }
 
-// Enable anonymous auth for likes functionality
-export const signInAnonymously = async () => {
-  if (!import.meta.env.VITE_SUPABASE_URL || !import.meta.env.VITE_SUPABASE_ANON_KEY) {
-    console.warn('Supabase not configured, skipping anonymous auth')
+// The editor in a session, or null for no session or an anonymous one
+const toEditor = (session) => {
+  const user = session?.user
+  return user && !user.is_anonymous ? user : null
+}
+
+/**
+ * Get the signed-in editor, if there is one
+ * Only a session from signInEditor counts: guests (signInAnonymously) and
+ * Supabase anonymous users never do. This is the same rule as the "Allow
+ * editors to …" RLS policies.
+ * @returns {Promise<Object|null>} The editor's user, or null
+ */
+export const getEditorUser = async () => {
+  try {
+    const { data, error } = await supabase.auth.getSession()
+    if (error) throw error
+    return toEditor(data?.session)
+  } catch (error) {
+    console.error('Error reading the editor session:', error)
     return null
   }
+}
+
+/**
+ * Sign in as an editor with a Supabase Auth email and password
+ * With mock data, any email and password work in development builds.
+ * @param {string} email - Editor's email
+ * @param {string} password - Editor's password
+ * @returns {Promise<Object>} The editor's user
+ * @throws {PermissionError} When the credentials are refused
+ */
+export const signInEditor = async (email, password) => {
+  const { data, error } = await supabase.auth.signInWithPassword({ email, password })
+  if (error) throw new PermissionError(error.message || 'Sign-in failed', { cause: error })
+  return data.user
+}
+
+/**
+ * Sign the editor out
+ */
+export const signOutEditor = async () => {
+  const { error } = await supabase.auth.signOut()
+  if (error) throw error
+}
+
+/**
+ * Follow editor sign-ins and sign-outs
+ * @param {Function} callback - Called with the editor's user, or null after signing out
+ * @returns {Function} Unsubscribe function
+ */
+export const onEditorChange = (callback) => {
+  const { data } = supabase.auth.onAuthStateChange((event, session) => callback(toEditor(session)))
+  return () => data.subscription.unsubscribe()
+}
 
+// Enable anonymous auth for likes functionality
+// The guest ID works the same with the in-memory client, so mock mode tracks likes per guest too
+export const signInAnonymously = async () => {
   try {
     // Since anonymous sign-ins are disabled, we'll use a guest ID from localStorage instead
     let guestId = localStorage.getItem('blog_guest_id')
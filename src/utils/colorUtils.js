@@ -2,9 +2,9 @@
  * Color Utilities for Blog Application
  * 
  * This module provides functions for consistent color handling across the application,
- * particularly for category tags. It ensures that the same category name always gets
- * the same color, while providing visually appealing options that work with the
- * silver/black theme.
+ * particularly for category badges and tag chips. It ensures that the same category
+ * or tag name always gets the same color, while providing visually appealing options
+ * that work with the silver/black theme.
  */
 
 /**
@@ -26,28 +26,54 @@ const categoryColors = [
 ];
 
 /**
- * Get a random but deterministic color for a category
- * The same category name will always get the same color
+ * Lighter colors for tag chips, so tags read as secondary to the category badge
+ * @type {Array<{bg: string, text: string, border: string}>}
+ */
+const tagColors = [
+  { bg: 'bg-gray-100', text: 'text-gray-800', border: 'border-gray-300' },       // Gray
+  { bg: 'bg-zinc-100', text: 'text-zinc-800', border: 'border-zinc-300' },       // Zinc
+  { bg: 'bg-stone-100', text: 'text-stone-800', border: 'border-stone-300' },    // Stone
+  { bg: 'bg-slate-100', text: 'text-slate-800', border: 'border-slate-300' },    // Slate
+  { bg: 'bg-red-50', text: 'text-red-800', border: 'border-red-200' },           // Red
+  { bg: 'bg-amber-50', text: 'text-amber-800', border: 'border-amber-200' },     // Amber
+  { bg: 'bg-emerald-50', text: 'text-emerald-800', border: 'border-emerald-200' }, // Emerald
+  { bg: 'bg-teal-50', text: 'text-teal-800', border: 'border-teal-200' },        // Teal
+  { bg: 'bg-sky-50', text: 'text-sky-800', border: 'border-sky-200' },           // Sky
+  { bg: 'bg-indigo-50', text: 'text-indigo-800', border: 'border-indigo-200' },  // Indigo
+];
+
+/**
+ * Pick a color from a palette by hashing a name
+ * The same name always lands on the same color
  * 
- * @param {string} categoryName - The name of the category
+ * @param {Array<Object>} palette - Colors to choose from
+ * @param {string} name - Category or tag name
  * @returns {Object} - Object containing bg, text, and border classes
  */
-export const getRandomCategoryColor = (categoryName) => {
-  if (!categoryName) {
-    // Default color for empty/null category names
-    return categoryColors[0];
+const pickColor = (palette, name) => {
+  if (!name) {
+    // Default color for empty/null names
+    return palette[0];
   }
   
-  // Hash the category name to a consistent number
-  const seed = categoryName
+  // Hash the name to a consistent number
+  const seed = name
     .split('')
     .reduce((acc, char) => acc + char.charCodeAt(0), 0);
   
   // Use the hash to select a color
-  const index = seed % categoryColors.length;
-  return categoryColors[index];
+  return palette[seed % palette.length];
 };
 
+/**
+ * Get a random but deterministic color for a category
+ * The same category name will always get the same color
+ * 
+ * @param {string} categoryName - The name of the category
+ * @returns {Object} - Object containing bg, text, and border classes
+ */
+export const getRandomCategoryColor = (categoryName) => pickColor(categoryColors, categoryName);
+
 /**
  * Get the full set of Tailwind CSS classes for a category
  * 
@@ -59,6 +85,26 @@ export const getCategoryColorClasses = (categoryName) => {
   return `${bg} ${text} ${border}`;
 };
 
+/**
+ * Get a deterministic color for a tag
+ * Tags are hashed by slug, so "React" and "react" share a color
+ * 
+ * @param {string} tagSlug - The slug of the tag
+ * @returns {Object} - Object containing bg, text, and border classes
+ */
+export const getTagColor = (tagSlug) => pickColor(tagColors, tagSlug);
+
+/**
+ * Get the full set of Tailwind CSS classes for a tag chip
+ * 
+ * @param {string} tagSlug - The slug of the tag
+ * @returns {string} - Space-separated string of Tailwind CSS classes
+ */
+export const getTagColorClasses = (tagSlug) => {
+  const { bg, text, border } = getTagColor(tagSlug);
+  return `${bg} ${text} ${border}`;
+};
+
 /**
  * Get the hex color value for a category (for use with non-Tailwind styling)
  * Not currently used, but available for future extensions
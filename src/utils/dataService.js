@@ -1,117 +1,288 @@
 /**
  * Data Service Utilities
  * Provides consistent, cacheable data access with error handling
+ *
+ * Cached reads are stale-while-revalidate: fresh entries are served directly,
+ * stale entries are served immediately while a background refresh runs, and
+ * parallel callers for the same key share one pending request. Subscribers
+ * (see subscribeToCache) are told whenever fresh data lands in the cache.
+ *
+ * Entries can carry entity tags (e.g. `post:<id>`) so a mutation can drop
+ * exactly the entries that contain the entity it changed (see invalidateTags).
+ *
+ * An optional persistent layer (see enablePersistentCache) keeps entries in
+ * IndexedDB across reloads; it sits behind the same API.
  */
 
+import { createPersistentCache } from './persistentCache.js';
+
 // Cache for minimizing duplicate fetch requests
 const cache = {
   data: new Map(),
   timestamps: new Map(),
-  
+  tags: new Map(),
+
   /**
-   * Get data from cache if valid
+   * Get a cache entry regardless of its age
+   * Falsy values (0, false, [], null) are valid entries, not misses.
    * @param {string} key - Cache key
-   * @param {number} maxAge - Maximum age in milliseconds
-   * @returns {any|null} Cached data or null if expired/missing
+   * @returns {{data: any, age: number}|null} Cached entry or null if missing
    */
-  get(key, maxAge = 60000) {
-    const timestamp = this.timestamps.get(key);
-    if (!timestamp) return null;
-    
-    const age = Date.now() - timestamp;
-    if (age > maxAge) {
-      // Expired data
-      this.data.delete(key);
-      this.timestamps.delete(key);
-      return null;
-    }
-    
-    return this.data.get(key);
+  peek(key) {
+    if (!this.timestamps.has(key)) return null;
+    return {
+      data: this.data.get(key),
+      age: Date.now() - this.timestamps.get(key)
+    };
   },
-  
+
   /**
    * Set data in cache
    * @param {string} key - Cache key
    * @param {any} data - Data to cache
+   * @param {Array<string>} tags - Entity tags describing what the data contains
+   * @param {number} timestamp - When the data was fetched
    */
-  set(key, data) {
+  set(key, data, tags = [], timestamp = Date.now()) {
     this.data.set(key, data);
-    this.timestamps.set(key, Date.now());
+    this.timestamps.set(key, timestamp);
+    this.tags.set(key, new Set(tags));
+  },
+
+  /**
+   * Find the keys of all entries carrying any of the given tags
+   * @param {Array<string>} tags - Tags to look for
+   * @returns {Array<string>} Matching cache keys
+   */
+  keysWithTags(tags) {
+    return [...this.tags.entries()]
+      .filter(([, entryTags]) => tags.some(tag => entryTags.has(tag)))
+      .map(([key]) => key);
   },
-  
+
   /**
    * Invalidate a specific cache entry or entries matching a prefix
    * @param {string} keyOrPrefix - Cache key or prefix to invalidate
    * @param {boolean} isPrefix - If true, invalidate all keys starting with keyOrPrefix
+   * @returns {Array<string>} Keys that were invalidated
    */
   invalidate(keyOrPrefix, isPrefix = false) {
-    if (isPrefix) {
-      const keysToDelete = [];
-      this.data.forEach((_, key) => {
-        if (key.startsWith(keyOrPrefix)) {
-          keysToDelete.push(key);
-        }
-      });
-      
-      keysToDelete.forEach(key => {
-        this.data.delete(key);
-        this.timestamps.delete(key);
-      });
-    } else {
-      this.data.delete(keyOrPrefix);
-      this.timestamps.delete(keyOrPrefix);
-    }
+    const keysToDelete = isPrefix
+      ? [...this.timestamps.keys()].filter(key => key.startsWith(keyOrPrefix))
+      : [keyOrPrefix];
+
+    keysToDelete.forEach(key => {
+      this.data.delete(key);
+      this.timestamps.delete(key);
+      this.tags.delete(key);
+    });
+
+    return keysToDelete;
   },
-  
+
   /**
    * Clear all cache entries
    */
   clear() {
     this.data.clear();
     this.timestamps.clear();
+    this.tags.clear();
+  }
+};
+
+// Pending requests, keyed like cache entries, shared by parallel callers:
+// `{ request, startedAt }` with the tag invalidation count at the start
+const inFlight = new Map();
+
+// Tag invalidations are numbered so requests that were already pending when
+// one of their tags was invalidated don't write their (stale) result back
+let invalidationCount = 0;
+const tagInvalidations = new Map();
+
+// Any invalidation at all, used to discard persisted entries read concurrently
+let anyInvalidationCount = 0;
+
+// Optional IndexedDB layer behind the in-memory cache
+let persistentCache = null;
+
+// Listeners notified about cache activity
+const listeners = new Set();
+
+/**
+ * Notify cache subscribers
+ * @param {Object} event - Event payload (see subscribeToCache)
+ */
+const emit = (event) => {
+  listeners.forEach(listener => {
+    try {
+      listener(event);
+    } catch (error) {
+      console.error('Error in cache listener:', error);
+    }
+  });
+};
+
+/**
+ * Subscribe to cache activity
+ *
+ * Events have the shape `{ type, cacheKey, args, key, data, error }` where
+ * `type` is one of:
+ * - 'update': fresh data was fetched and stored (including background refreshes)
+ * - 'invalidate': the entry was dropped by invalidateCache/clearCache
+ * - 'error': a background refresh failed (stale data stays in place)
+ *
+ * @param {Function} listener - Called with every cache event
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeToCache = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+/**
+ * Keep cached responses in IndexedDB across page loads
+ * Entries restored from it are judged by the age of the data, so old entries
+ * are shown immediately and refreshed in the background like any stale entry.
+ * Without IndexedDB (e.g. some private windows) the cache stays in memory.
+ *
+ * @param {Object} options - Options for createPersistentCache (name, maxBytes, ttlByPrefix, defaultTtl)
+ * @returns {boolean} Whether the persistent layer is active
+ */
+export const enablePersistentCache = (options = {}) => {
+  persistentCache = createPersistentCache(options);
+  return persistentCache !== null;
+};
+
+/**
+ * Run an operation against the persistent layer without blocking on it
+ * @param {Function} operation - Receives the persistent cache, returns a promise
+ */
+const persist = (operation) => {
+  if (!persistentCache) return;
+  operation(persistentCache).catch(error => {
+    console.error('Error updating persistent cache:', error);
+  });
+};
+
+/**
+ * Load an entry from the persistent layer into memory
+ * @param {string} key - Cache key
+ * @returns {Promise<{data: any, age: number}|null>} Restored entry or null
+ */
+const restore = async (key) => {
+  if (!persistentCache) return null;
+
+  const startedAt = anyInvalidationCount;
+  try {
+    const entry = await persistentCache.get(key);
+
+    // Something was invalidated while reading; the entry may be outdated
+    if (!entry || anyInvalidationCount !== startedAt) return cache.peek(key);
+
+    if (!cache.peek(key)) cache.set(key, entry.data, entry.tags, entry.timestamp);
+    return cache.peek(key);
+  } catch (error) {
+    console.error('Error reading persistent cache:', error);
+    return null;
   }
 };
 
 /**
  * Create a cacheable fetch function with error handling
- * 
+ *
  * @param {Function} fetchFn - Async function that performs the actual data fetch
  * @param {string} cacheKey - Key for caching results
  * @param {number} cacheMaxAge - Maximum age for cached data in milliseconds
  * @param {Function} fallbackFn - Function to provide fallback data on error
- * @returns {Promise<any>} The fetched or cached data
+ * @param {Object} options - Additional options
+ * @param {number} options.staleTime - How long (ms) past cacheMaxAge stale data may still be served
+ *   while it revalidates in the background (defaults to 5x cacheMaxAge)
+ * @param {Function} options.tags - Called as tags(data, ...args); returns the entity tags stored
+ *   with the entry (e.g. `['post:1', 'category:2']`)
+ * @returns {Function} Function returning a promise of the fetched or cached data
  */
 export const createCacheableFetch = (
   fetchFn,
   cacheKey,
   cacheMaxAge = 60000,
-  fallbackFn = null
+  fallbackFn = null,
+  options = {}
 ) => {
+  const { staleTime = cacheMaxAge * 5, tags = null } = options;
+
+  // Fetch and store fresh data, sharing one request per key
+  const revalidate = (key, args) => {
+    // A request that was pending when tags were invalidated may return data
+    // from before the mutation; its tags aren't known until it resolves, so
+    // later callers start a fresh one instead of joining it
+    const pending = inFlight.get(key);
+    if (pending && pending.startedAt === invalidationCount) return pending.request;
+
+    const startedAt = invalidationCount;
+    const request = Promise.resolve()
+      .then(() => fetchFn(...args))
+      .then(data => {
+        const entryTags = tags ? tags(data, ...args) : [];
+        const tagInvalidated = entryTags.some(tag => tagInvalidations.get(tag) > startedAt);
+
+        // Ignore results for requests that were invalidated while pending
+        if (inFlight.get(key)?.request === request && !tagInvalidated) {
+          cache.set(key, data, entryTags);
+          persist(store => store.set(key, data, entryTags));
+          emit({ type: 'update', cacheKey, args, key, data });
+        }
+        return data;
+      })
+      .finally(() => {
+        if (inFlight.get(key)?.request === request) inFlight.delete(key);
+      });
+
+    inFlight.set(key, { request, startedAt });
+    return request;
+  };
+
   return async (...args) => {
+    const cacheKeyWithArgs = `${cacheKey}:${JSON.stringify(args)}`;
+
     try {
-      // Try to get from cache first
-      const cacheKeyWithArgs = `${cacheKey}:${JSON.stringify(args)}`;
-      const cachedData = cache.get(cacheKeyWithArgs, cacheMaxAge);
-      
-      if (cachedData) {
-        return cachedData;
+      let cached = cache.peek(cacheKeyWithArgs);
+      let restored = false;
+
+      if (!cached) {
+        cached = await restore(cacheKeyWithArgs);
+        restored = cached !== null;
+      }
+
+      if (cached && cached.age <= cacheMaxAge) {
+        return cached.data;
+      }
+
+      // Persisted entries are always shown while they refresh (their
+      // retention is bounded by the persistent cache's own TTLs)
+      if (cached && (restored || cached.age <= cacheMaxAge + staleTime)) {
+        // Serve stale data now, refresh in the background
+        revalidate(cacheKeyWithArgs, args).catch(error => {
+          console.error(`Error revalidating ${cacheKey}:`, error);
+          emit({ type: 'error', cacheKey, args, key: cacheKeyWithArgs, error });
+        });
+        return cached.data;
       }
-      
-      // If not in cache, fetch fresh data
-      const data = await fetchFn(...args);
-      
-      // Cache the result
-      cache.set(cacheKeyWithArgs, data);
-      
-      return data;
+
+      return await revalidate(cacheKeyWithArgs, args);
     } catch (error) {
       console.error(`Error in cacheable fetch ${cacheKey}:`, error);
-      
+
+      // Serve whatever we last had, however old (e.g. while offline)
+      const lastKnown = cache.peek(cacheKeyWithArgs);
+      if (lastKnown) {
+        return lastKnown.data;
+      }
+
       // Use fallback if provided
       if (fallbackFn) {
         return fallbackFn(...args);
       }
-      
+
       throw error;
     }
   };
@@ -119,23 +290,63 @@ export const createCacheableFetch = (
 
 /**
  * Invalidate a specific cache or all caches with a given prefix
- * 
+ *
  * @param {string} keyOrPrefix - Cache key or prefix to invalidate
  * @param {boolean} isPrefix - If true, invalidate all keys starting with keyOrPrefix
  */
 export const invalidateCache = (keyOrPrefix, isPrefix = false) => {
-  cache.invalidate(keyOrPrefix, isPrefix);
+  const pendingKeys = isPrefix
+    ? [...inFlight.keys()].filter(key => key.startsWith(keyOrPrefix))
+    : [keyOrPrefix];
+  pendingKeys.forEach(key => inFlight.delete(key));
+
+  anyInvalidationCount += 1;
+  persist(store => isPrefix ? store.deletePrefix(keyOrPrefix) : store.delete(keyOrPrefix));
+
+  cache.invalidate(keyOrPrefix, isPrefix).forEach(key => {
+    emit({ type: 'invalidate', key });
+  });
+};
+
+/**
+ * Invalidate every cache entry carrying any of the given entity tags
+ * Use this after a mutation so only the reads containing the changed entity
+ * are dropped, e.g. `invalidateTags(['post:1', 'likes:1'])` after a like.
+ * Reads issued afterwards don't join requests that were already pending.
+ *
+ * @param {string|Array<string>} tags - Tag or tags to invalidate
+ */
+export const invalidateTags = (tags) => {
+  const tagList = Array.isArray(tags) ? tags : [tags];
+
+  invalidationCount += 1;
+  anyInvalidationCount += 1;
+  tagList.forEach(tag => tagInvalidations.set(tag, invalidationCount));
+  persist(store => store.deleteTags(tagList));
+
+  cache.keysWithTags(tagList).forEach(key => {
+    cache.invalidate(key);
+    emit({ type: 'invalidate', key });
+  });
 };
 
 /**
  * Clear all caches
  */
 export const clearCache = () => {
+  inFlight.clear();
   cache.clear();
+  tagInvalidations.clear();
+  anyInvalidationCount += 1;
+  persist(store => store.clear());
+  emit({ type: 'invalidate', key: null });
 };
 
 export default {
   createCacheableFetch,
   invalidateCache,
-  clearCache
-};
\ No newline at end of file
+  invalidateTags,
+  clearCache,
+  enablePersistentCache,
+  subscribeToCache
+};
@@ -73,6 +73,49 @@ export const storageUtils = {
       this.addLikedPost(postId)
       return true
     }
+  },
+
+  // Series progress using localStorage (persistent): the parts opened per series
+  getSeriesProgress(seriesId) {
+    try {
+      const progress = JSON.parse(localStorage.getItem('seriesProgress') || '{}')
+      return Array.isArray(progress[seriesId]) ? progress[seriesId] : []
+    } catch {
+      return []
+    }
+  },
+
+  addSeriesPart(seriesId, postId) {
+    try {
+      const progress = JSON.parse(localStorage.getItem('seriesProgress') || '{}')
+      const read = Array.isArray(progress[seriesId]) ? progress[seriesId] : []
+      if (read.includes(postId)) return read
+      progress[seriesId] = [...read, postId]
+      localStorage.setItem('seriesProgress', JSON.stringify(progress))
+      return progress[seriesId]
+    } catch {
+      return this.getSeriesProgress(seriesId)
+    }
+  },
+
+  // Items recently opened from the command palette using localStorage (persistent), newest first
+  getRecentItems() {
+    try {
+      const recent = JSON.parse(localStorage.getItem('recentItems') || '[]')
+      return Array.isArray(recent) ? recent : []
+    } catch {
+      return []
+    }
+  },
+
+  addRecentItem(item, limit = 5) {
+    try {
+      const recent = [item, ...this.getRecentItems().filter(entry => entry.to !== item.to)].slice(0, limit)
+      localStorage.setItem('recentItems', JSON.stringify(recent))
+      return recent
+    } catch {
+      return this.getRecentItems()
+    }
   }
 }
 
@@ -91,6 +134,34 @@ export const dateUtils = {
     })
   },
 
+  /**
+   * Name of a calendar month, e.g. "March 2024"
+   * @param {number} year - Full year
+   * @param {number} month - Month, 1-12
+   * @param {Object} options - toLocaleDateString options (e.g. `{ year: undefined, month: 'short' }`)
+   * @returns {string} Month name
+   */
+  formatMonth(year, month, options = {}) {
+    return new Date(Date.UTC(year, month - 1, 1)).toLocaleDateString('en-US', {
+      year: 'numeric',
+      month: 'long',
+      timeZone: 'UTC',
+      ...options
+    })
+  },
+
+  /**
+   * Start and end of a calendar year or month in UTC (the months archive pages use)
+   * @param {number} year - Full year
+   * @param {number|null} month - Month, 1-12, or null for the whole year
+   * @returns {{from: string, to: string}} ISO timestamps; `to` is exclusive
+   */
+  getPeriodRange(year, month = null) {
+    const from = month ? Date.UTC(year, month - 1, 1) : Date.UTC(year, 0, 1)
+    const to = month ? Date.UTC(year, month, 1) : Date.UTC(year + 1, 0, 1)
+    return { from: new Date(from).toISOString(), to: new Date(to).toISOString() }
+  },
+
   formatRelativeTime(dateString) {
     const date = new Date(dateString)
     const now = new Date()
@@ -105,6 +176,103 @@ export const dateUtils = {
   }
 }
 
+// Post utilities
+export const postUtils = {
+  /**
+   * Where a post stands in the publishing workflow
+   * @param {Object} post - Post with published and published_at
+   * @param {Date} now - Reference time
+   * @returns {'draft'|'scheduled'|'published'} Publish status
+   */
+  getPublishStatus(post, now = new Date()) {
+    if (!post?.published || !post.published_at) return 'draft'
+    return new Date(post.published_at) > now ? 'scheduled' : 'published'
+  },
+
+  /**
+   * Where a post sits in its series
+   * @param {Array} parts - Parts of the series in reading order (postsService.getBySeries)
+   * @param {string} postId - ID of the post
+   * @returns {{number: number, total: number, previous: Object|null, next: Object|null}|null} Part number (from 1), part count and the neighbouring parts, or null when the post isn't one of the parts
+   */
+  getSeriesPart(parts, postId) {
+    const index = parts.findIndex(part => part.id === postId)
+    if (index === -1) return null
+    return {
+      number: index + 1,
+      total: parts.length,
+      previous: parts[index - 1] || null,
+      next: parts[index + 1] || null
+    }
+  }
+}
+
+// Category hierarchy utilities (categories point at their parent with parent_id)
+export const categoryUtils = {
+  /**
+   * Nest categories under their parents
+   * @param {Array} categories - Flat list (categoriesService.getAll)
+   * @returns {Array} Top-level categories in name order, each with its subcategories as `children` (also in name order). A category whose parent is missing counts as top-level
+   */
+  buildTree(categories) {
+    const nodes = new Map(categories.map(category => [category.id, { ...category, children: [] }]))
+    const roots = []
+    nodes.forEach(node => {
+      const parent = node.parent_id ? nodes.get(node.parent_id) : null
+      if (parent && !this.getAncestors(categories, parent.id).some(ancestor => ancestor.id === node.id)) {
+        parent.children.push(node)
+      } else {
+        roots.push(node)
+      }
+    })
+    const byName = (a, b) => a.name.localeCompare(b.name)
+    nodes.forEach(node => node.children.sort(byName))
+    return roots.sort(byName)
+  },
+
+  /**
+   * Parents of a category, for breadcrumbs
+   * @param {Array} categories - Flat list
+   * @param {string} categoryId - ID of the category
+   * @returns {Array} Ancestors from the top-level category down to the direct parent (empty for top-level categories)
+   */
+  getAncestors(categories, categoryId) {
+    const byId = new Map(categories.map(category => [category.id, category]))
+    const ancestors = []
+    const seen = new Set([categoryId])
+    let parent = byId.get(byId.get(categoryId)?.parent_id)
+    while (parent && !seen.has(parent.id)) {
+      ancestors.unshift(parent)
+      seen.add(parent.id)
+      parent = byId.get(parent.parent_id)
+    }
+    return ancestors
+  },
+
+  /**
+   * IDs of a category's subcategories, their subcategories and so on
+   * @param {Array} categories - Flat list
+   * @param {string} categoryId - ID of the category
+   * @returns {Array<string>} Descendant IDs (the category itself not included)
+   */
+  getDescendantIds(categories, categoryId) {
+    const ids = []
+    const seen = new Set([categoryId])
+    const queue = [categoryId]
+    while (queue.length > 0) {
+      const id = queue.shift()
+      categories.forEach(category => {
+        if (category.parent_id === id && !seen.has(category.id)) {
+          seen.add(category.id)
+          ids.push(category.id)
+          queue.push(category.id)
+        }
+      })
+    }
+    return ids
+  }
+}
+
 // Image utilities
 export const imageUtils = {
   getSupabaseImageUrl(path, bucket = 'covers') {
@@ -122,6 +290,29 @@ export const imageUtils = {
   }
 }
 
+// Match the characters of needle in haystack in order, taking the first
+// occurrence of each from start on (see textUtils.fuzzyMatch)
+const matchFrom = (needle, haystack, start) => {
+  const indices = []
+  let score = 0
+  let from = start
+  for (const char of needle) {
+    const index = haystack.indexOf(char, from)
+    if (index === -1) return null
+
+    const previous = indices[indices.length - 1]
+    if (previous !== undefined && index === previous + 1) score += 5
+    else if (index === 0 || /[\s\-_/.:]/.test(haystack[index - 1])) score += 4
+    else score += 1
+    // Characters skipped since the last match count against it
+    if (previous !== undefined) score -= Math.min(3, (index - from) * 0.1)
+
+    indices.push(index)
+    from = index + 1
+  }
+  return { score, indices }
+}
+
 // Text utilities
 export const textUtils = {
   truncate(text, maxLength = 100) {
@@ -139,13 +330,40 @@ export const textUtils = {
       .trim()
   },
 
+  /**
+   * Fuzzy match: every character of the query must appear in the text in
+   * order, not necessarily next to each other (case-insensitive)
+   * Runs of consecutive characters and matches at the start of words score higher.
+   * @param {string} query - What was typed
+   * @param {string} text - Text to match against
+   * @returns {{score: number, indices: Array<number>}|null} Score and the positions of the matched characters, or null when the text doesn't match
+   */
+  fuzzyMatch(query, text) {
+    const needle = (query || '').toLowerCase().replace(/\s+/g, '')
+    const haystack = (text || '').toLowerCase()
+    if (!needle) return { score: 0, indices: [] }
+
+    // Try each place the first character appears, e.g. "react" in "Getting Started with React"
+    let best = null
+    for (let start = haystack.indexOf(needle[0]); start !== -1; start = haystack.indexOf(needle[0], start + 1)) {
+      const match = matchFrom(needle, haystack, start)
+      // Starting later can't match either
+      if (!match) break
+      if (!best || match.score > best.score) best = match
+    }
+    if (!best) return null
+
+    // Prefer shorter texts among equally good matches
+    return { score: best.score - haystack.length * 0.01, indices: best.indices }
+  },
+
   generateSlug(text) {
     return text
       .toLowerCase()
       .replace(/[^\w\s-]/g, '') // Remove special characters
-      .replace(/\s+/g, '-') // Replace spaces with hyphens
+      .replace(/[\s_]+/g, '-') // Replace spaces and underscores with hyphens
       .replace(/-+/g, '-') // Replace multiple hyphens with single
-      .trim('-') // Remove leading/trailing hyphens
+      .replace(/^-+|-+$/g, '') // Remove leading/trailing hyphens
   }
 }
 
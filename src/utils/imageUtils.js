@@ -16,11 +16,10 @@ const PLACEHOLDER_SERVICES = [
  * @returns {string|null} - The resolved image URL or null if no valid URL could be generated
  */
 export const getCoverImageUrl = (input, fallbackTitle = '') => {
-  // Handle case where input is a post object
+  // Handle case where input is a post object (normalized by services/schemas.js)
   if (input && typeof input === 'object') {
     const post = input;
-    // Check for multiple possible field names
-    const path = post.cover_image || post.cover_path || post.coverImage || post.image;
+    const path = post.cover_path;
     const title = post.title || fallbackTitle;
     
     // If no cover image provided, return a placeholder based on the title
@@ -82,6 +81,29 @@ export const getCoverImageUrl = (input, fallbackTitle = '') => {
   return PLACEHOLDER_SERVICES[0].replace('{seed}', Math.floor(Math.random() * 1000));
 };
 
+/**
+ * Get a URL for an author's avatar
+ * @param {string|null} path - The author's avatar_path (URL or storage path)
+ * @returns {string|null} - The image URL, or null when the author has no avatar (show initials instead)
+ */
+export const getAvatarUrl = (path) => {
+  if (!path) {
+    return null;
+  }
+  
+  if (path.startsWith('http://') || path.startsWith('https://')) {
+    return path;
+  }
+  
+  // Supabase storage path in the public 'avatars' bucket
+  const supabaseUrl = import.meta.env.VITE_SUPABASE_URL;
+  if (supabaseUrl && !path.match(/^[a-zA-Z]+:/)) {
+    return `${supabaseUrl}/storage/v1/object/public/avatars/${path.replace(/^\/+/, '')}`;
+  }
+  
+  return null;
+};
+
 /**
  * Get the appropriate fallback when an image fails to load
  * @param {string} title - Optional title to use for the fallback placeholder
@@ -4,30 +4,35 @@ export const mockCategories = [
     id: '1649b2bb-031b-416f-9277-a8ada9b1dfea',
     name: 'Technology',
     slug: 'technology',
+    parent_id: null,
     created_at: '2024-01-01T00:00:00Z'
   },
   {
     id: 'd7efdb3b-6c15-42e6-9f37-5e7af86f4ff1',
     name: 'Travel',
     slug: 'travel',
+    parent_id: 'de7e1f92-e3f1-4b91-8eb3-a5a6fba90c0d',
     created_at: '2024-01-01T00:00:00Z'
   },
   {
     id: 'de7e1f92-e3f1-4b91-8eb3-a5a6fba90c0d',
     name: 'Lifestyle',
     slug: 'lifestyle',
+    parent_id: null,
     created_at: '2024-01-01T00:00:00Z'
   },
   {
     id: 'b9b5f12d-d4a5-4e3e-a4bc-3d0e30db0c18',
     name: 'Design',
     slug: 'design',
+    parent_id: null,
     created_at: '2024-01-01T00:00:00Z'
   },
   {
     id: 'c5b8a573-ec83-4c0a-848c-ebc1c22a27a8',
     name: 'Programming',
     slug: 'programming',
+    parent_id: '1649b2bb-031b-416f-9277-a8ada9b1dfea',
     created_at: '2024-01-01T00:00:00Z'
   }
 ]
@@ -61,6 +66,8 @@ npm start
 React 19 represents a significant step forward in React development!`,
     cover_path: 'https://picsum.photos/seed/react19/800/600',
     category_id: '1649b2bb-031b-416f-9277-a8ada9b1dfea',
+    series_id: '5d2c7f0e-8b1a-4c3e-9f6d-2a4b8c1e7d90',
+    series_position: 2,
     published: true,
     published_at: '2024-09-10T12:00:00Z',
     views: 150,
@@ -333,6 +340,8 @@ ES2024 brings powerful new features that make JavaScript more expressive and rel
 The future of JavaScript is bright, and these features are just the beginning!`,
     cover_path: 'https://picsum.photos/seed/javascript/800/600',
     category_id: 'c5b8a573-ec83-4c0a-848c-ebc1c22a27a8',
+    series_id: '5d2c7f0e-8b1a-4c3e-9f6d-2a4b8c1e7d90',
+    series_position: 1,
     published: true,
     published_at: '2024-09-07T12:00:00Z',
     views: 203,
@@ -343,4 +352,85 @@ The future of JavaScript is bright, and these features are just the beginning!`,
       slug: 'programming'
     }
   }
-]
\ No newline at end of file
+]
+export const mockTags = [
+  { id: 'e900c3cc-8a53-41e3-9aa8-b549b12eef50', name: 'React', slug: 'react', created_at: '2024-01-01T00:00:00Z' },
+  { id: '789010af-d107-4b2c-9c6c-a9f49b9386cd', name: 'JavaScript', slug: 'javascript', created_at: '2024-01-01T00:00:00Z' },
+  { id: '104d4f8b-239f-4a0b-a091-1da051fb82d8', name: 'Performance', slug: 'performance', created_at: '2024-01-01T00:00:00Z' },
+  { id: 'ba418636-9cd6-4133-ad5f-0918ac983434', name: 'CSS', slug: 'css', created_at: '2024-01-01T00:00:00Z' },
+  { id: '9e149254-c1a4-4781-82f0-1f26150fcd43', name: 'UX', slug: 'ux', created_at: '2024-01-01T00:00:00Z' },
+  { id: '97ae0fe5-3ffd-4703-a945-856acc633e1e', name: 'Minimalism', slug: 'minimalism', created_at: '2024-01-01T00:00:00Z' },
+  { id: 'e2fa1a48-ef4b-4731-a138-91f850a0303e', name: 'Travel Tips', slug: 'travel-tips', created_at: '2024-01-01T00:00:00Z' },
+  { id: '149f621a-ab5d-4de9-96fc-fec4a95b04de', name: 'Tutorials', slug: 'tutorials', created_at: '2024-01-01T00:00:00Z' }
+]
+
+// Which tags each post has (the post_tags table)
+export const mockPostTags = [
+  // Getting Started with React 19
+  { post_id: '1649b2bb-031b-416f-9277-a8ada9b1dfeb', tag_id: 'e900c3cc-8a53-41e3-9aa8-b549b12eef50' },
+  { post_id: '1649b2bb-031b-416f-9277-a8ada9b1dfeb', tag_id: '789010af-d107-4b2c-9c6c-a9f49b9386cd' },
+  { post_id: '1649b2bb-031b-416f-9277-a8ada9b1dfeb', tag_id: '104d4f8b-239f-4a0b-a091-1da051fb82d8' },
+  // Best Travel Destinations for 2024
+  { post_id: 'd7efdb3b-6c15-42e6-9f37-5e7af86f4ff2', tag_id: 'e2fa1a48-ef4b-4731-a138-91f850a0303e' },
+  // The Art of Minimalist Web Design
+  { post_id: 'f9d68a5a-1a43-4d55-9eaf-e0f4337f1c0f', tag_id: 'ba418636-9cd6-4133-ad5f-0918ac983434' },
+  { post_id: 'f9d68a5a-1a43-4d55-9eaf-e0f4337f1c0f', tag_id: '9e149254-c1a4-4781-82f0-1f26150fcd43' },
+  { post_id: 'f9d68a5a-1a43-4d55-9eaf-e0f4337f1c0f', tag_id: '97ae0fe5-3ffd-4703-a945-856acc633e1e' },
+  // Mastering Modern JavaScript: ES2024 Features
+  { post_id: 'c5b8a573-ec83-4c0a-848c-ebc1c22a27a9', tag_id: '789010af-d107-4b2c-9c6c-a9f49b9386cd' },
+  { post_id: 'c5b8a573-ec83-4c0a-848c-ebc1c22a27a9', tag_id: '149f621a-ab5d-4de9-96fc-fec4a95b04de' }
+]
+
+export const mockAuthors = [
+  {
+    id: '43b11732-a3ce-4020-9fa0-cc06c698c069',
+    name: 'Maya Chen',
+    slug: 'maya-chen',
+    bio: 'Frontend engineer writing about React, JavaScript and the web platform.',
+    avatar_path: 'https://i.pravatar.cc/160?u=maya-chen',
+    social_links: { website: 'https://example.com/maya', github: 'https://github.com/example-maya' },
+    created_at: '2024-01-01T00:00:00Z'
+  },
+  {
+    id: 'aeaea244-2791-49b2-acf9-77218ecf49de',
+    name: 'Jonas Weber',
+    slug: 'jonas-weber',
+    bio: 'Product designer who likes quiet interfaces and loud colors.',
+    avatar_path: 'https://i.pravatar.cc/160?u=jonas-weber',
+    social_links: { twitter: 'https://twitter.com/example_jonas' },
+    created_at: '2024-01-01T00:00:00Z'
+  },
+  {
+    id: 'ef6291fe-23d1-4124-bcd9-00663e5554c1',
+    name: 'Amara Okafor',
+    slug: 'amara-okafor',
+    bio: 'Travel writer and slow-living advocate, usually somewhere with good coffee.',
+    avatar_path: null,
+    social_links: { instagram: 'https://instagram.com/example_amara' },
+    created_at: '2024-01-01T00:00:00Z'
+  }
+]
+
+// Who wrote each post, in byline order (the post_authors table)
+export const mockPostAuthors = [
+  // Getting Started with React 19
+  { post_id: '1649b2bb-031b-416f-9277-a8ada9b1dfeb', author_id: '43b11732-a3ce-4020-9fa0-cc06c698c069', position: 0 },
+  // Best Travel Destinations for 2024
+  { post_id: 'd7efdb3b-6c15-42e6-9f37-5e7af86f4ff2', author_id: 'ef6291fe-23d1-4124-bcd9-00663e5554c1', position: 0 },
+  // The Art of Minimalist Web Design
+  { post_id: 'f9d68a5a-1a43-4d55-9eaf-e0f4337f1c0f', author_id: 'aeaea244-2791-49b2-acf9-77218ecf49de', position: 0 },
+  { post_id: 'f9d68a5a-1a43-4d55-9eaf-e0f4337f1c0f', author_id: '43b11732-a3ce-4020-9fa0-cc06c698c069', position: 1 },
+  // Mastering Modern JavaScript: ES2024 Features
+  { post_id: 'c5b8a573-ec83-4c0a-848c-ebc1c22a27a9', author_id: '43b11732-a3ce-4020-9fa0-cc06c698c069', position: 0 }
+]
+
+// Multi-part series; posts point at theirs with series_id and series_position
+export const mockSeries = [
+  {
+    id: '5d2c7f0e-8b1a-4c3e-9f6d-2a4b8c1e7d90',
+    title: 'Modern Frontend Foundations',
+    slug: 'modern-frontend-foundations',
+    description: 'From today\'s JavaScript to React 19: the groundwork for building modern web apps, one part at a time.',
+    created_at: '2024-01-01T00:00:00Z'
+  }
+]
@@ -0,0 +1,582 @@
+/**
+ * Seeded mock-content generator
+ *
+ * Builds any number of categories, tags, authors, series, posts (with Markdown
+ * bodies), dates, view counts and like rows from a seed, plus recent reads for
+ * trending lists. The same seed and options always produce the same dataset,
+ * and every entity's UUID depends only on the seed and its position, so
+ * growing the dataset keeps existing IDs stable.
+ *
+ * Plain JavaScript with no browser or Vite dependencies, so it runs both in
+ * the mock backend and in scripts/generate-mock-sql.js.
+ */
+
+/**
+ * Default options for generateMockData
+ */
+export const MOCK_GENERATOR_DEFAULTS = {
+  seed: 'reactblog',
+  categories: 8,
+  authors: 6,
+  // Multi-part series, each made of posts from one category
+  series: 4,
+  posts: 60,
+  // Pool of guest IDs likes are drawn from (also the most likes a post can get)
+  guests: 400,
+  // Share of posts left as drafts
+  draftRatio: 0.05,
+  // Latest publish date; fixed so the output doesn't change from day to day
+  now: '2025-06-01T12:00:00.000Z',
+  // Publish dates are spread over this many days before `now`
+  spanDays: 730
+}
+
+/**
+ * Category names, their parent category, the vocabulary their posts are written from and the tags they get
+ */
+const CATEGORY_BANK = [
+  {
+    name: 'Technology',
+    topics: ['edge computing', 'WebAssembly', 'home automation', 'open-source hardware', 'quantum computing', 'mesh networks', 'privacy tools', 'smart watches'],
+    terms: ['latency', 'firmware', 'benchmarks', 'protocols', 'sensors', 'battery life', 'encryption', 'interoperability'],
+    tags: ['Gadgets', 'Privacy', 'Hardware', 'Networking', 'Smart Home'],
+    code: 'bash'
+  },
+  {
+    name: 'Programming',
+    parent: 'Technology',
+    topics: ['TypeScript generics', 'React Server Components', 'Rust ownership', 'Go concurrency', 'SQL window functions', 'property-based testing', 'Node.js streams', 'CSS container queries'],
+    terms: ['refactoring', 'type inference', 'memory safety', 'test coverage', 'error handling', 'immutability', 'code review', 'API design'],
+    tags: ['JavaScript', 'TypeScript', 'React', 'Rust', 'Testing', 'CSS'],
+    code: 'javascript'
+  },
+  {
+    name: 'Design',
+    topics: ['design systems', 'variable fonts', 'accessible color palettes', 'micro-interactions', 'dark mode', 'information architecture', 'icon design', 'responsive grids'],
+    terms: ['contrast', 'hierarchy', 'whitespace', 'typography', 'prototypes', 'affordances', 'consistency', 'user research'],
+    tags: ['UX', 'Typography', 'Accessibility', 'Color', 'Design Systems'],
+    code: 'css'
+  },
+  {
+    name: 'Travel',
+    parent: 'Lifestyle',
+    topics: ['Lisbon on a budget', 'slow travel in Japan', 'night trains in Europe', 'Patagonia trekking', 'Istanbul street food', 'island hopping in Greece', 'road trips through Utah', 'Kyoto temples'],
+    terms: ['itineraries', 'local markets', 'packing lists', 'public transport', 'hidden viewpoints', 'guesthouses', 'jet lag', 'travel insurance'],
+    tags: ['Europe', 'Asia', 'Budget Travel', 'Hiking', 'Street Food'],
+    code: null
+  },
+  {
+    name: 'Lifestyle',
+    topics: ['morning routines', 'minimalist living', 'digital detox', 'remote work habits', 'journaling', 'small-space gardening', 'budget meal prep', 'reading more books'],
+    terms: ['habits', 'focus', 'boundaries', 'routines', 'motivation', 'balance', 'rest', 'consistency'],
+    tags: ['Habits', 'Minimalism', 'Remote Work', 'Mindfulness'],
+    code: null
+  },
+  {
+    name: 'Food',
+    parent: 'Lifestyle',
+    topics: ['sourdough baking', 'weeknight curries', 'fermentation basics', 'seasonal salads', 'homemade pasta', 'coffee brewing', 'one-pan dinners', 'plant-based protein'],
+    terms: ['flavor', 'texture', 'technique', 'ingredients', 'timing', 'seasoning', 'leftovers', 'knife skills'],
+    tags: ['Baking', 'Vegetarian', 'Quick Meals', 'Coffee'],
+    code: null
+  },
+  {
+    name: 'Science',
+    topics: ['CRISPR', 'exoplanet hunting', 'sleep research', 'climate models', 'the gut microbiome', 'battery chemistry', 'deep-sea ecosystems', 'gravitational waves'],
+    terms: ['experiments', 'data sets', 'hypotheses', 'peer review', 'measurements', 'models', 'uncertainty', 'replication'],
+    tags: ['Space', 'Biology', 'Climate', 'Physics'],
+    code: null
+  },
+  {
+    name: 'Productivity',
+    topics: ['time blocking', 'note-taking systems', 'inbox zero', 'keyboard shortcuts', 'weekly reviews', 'async communication', 'deep work', 'task batching'],
+    terms: ['priorities', 'deadlines', 'context switching', 'automation', 'templates', 'checklists', 'energy', 'planning'],
+    tags: ['Habits', 'Tools', 'Focus', 'Remote Work'],
+    code: 'bash'
+  },
+  {
+    name: 'Photography',
+    parent: 'Design',
+    topics: ['street photography', 'golden hour portraits', 'film cameras', 'astrophotography', 'editing in Lightroom', 'composition rules', 'travel photography', 'macro lenses'],
+    terms: ['exposure', 'aperture', 'light', 'framing', 'color grading', 'shutter speed', 'focus', 'storytelling'],
+    tags: ['Cameras', 'Editing', 'Composition', 'Travel Photography'],
+    code: null
+  },
+  {
+    name: 'Career',
+    topics: ['salary negotiation', 'first-time management', 'technical interviews', 'public speaking', 'switching careers', 'writing a portfolio', 'mentorship', 'freelancing'],
+    terms: ['feedback', 'goals', 'networking', 'promotions', 'communication', 'confidence', 'growth', 'trade-offs'],
+    tags: ['Interviews', 'Leadership', 'Freelancing', 'Remote Work'],
+    code: null
+  },
+  {
+    name: 'Health',
+    parent: 'Lifestyle',
+    topics: ['strength training', 'running your first 10k', 'mobility routines', 'hydration', 'posture at the desk', 'mindful breathing', 'cycling commutes', 'recovery days'],
+    terms: ['form', 'progression', 'recovery', 'nutrition', 'sleep', 'heart rate', 'stretching', 'consistency'],
+    tags: ['Fitness', 'Running', 'Sleep', 'Mindfulness'],
+    code: null
+  },
+  {
+    name: 'Finance',
+    parent: 'Career',
+    topics: ['index funds', 'emergency savings', 'budgeting apps', 'paying off debt', 'retirement accounts', 'side income', 'frugal travel', 'tax basics'],
+    terms: ['interest', 'fees', 'diversification', 'cash flow', 'goals', 'risk', 'compounding', 'spreadsheets'],
+    tags: ['Investing', 'Budgeting', 'Saving', 'Taxes'],
+    code: null
+  }
+]
+
+// Tags any post may get, whatever its category
+const GENERAL_TAGS = ['Beginners', 'Guides', 'Opinion', 'Deep Dives']
+
+// Author names and the first half of their bios
+const AUTHOR_BANK = [
+  { name: 'Maya Chen', bio: 'Frontend engineer' },
+  { name: 'Jonas Weber', bio: 'Product designer' },
+  { name: 'Amara Okafor', bio: 'Travel writer' },
+  { name: 'Lucas Moreau', bio: 'Backend developer' },
+  { name: 'Sofia Rossi', bio: 'Science journalist' },
+  { name: 'Kenji Tanaka', bio: 'Photographer and editor' },
+  { name: 'Priya Nair', bio: 'Engineering manager' },
+  { name: 'Elena Petrova', bio: 'Home cook and recipe developer' },
+  { name: 'Tom Becker', bio: 'Freelance writer' },
+  { name: 'Nadia Haddad', bio: 'Personal finance columnist' },
+  { name: 'Oliver Grant', bio: 'Running coach' },
+  { name: 'Lea Novak', bio: 'Productivity nerd' }
+]
+
+// Series names, after the name of the category their parts come from
+const SERIES_TEMPLATES = [
+  '{Category} Essentials',
+  '{Category} from Scratch',
+  'The {Category} Field Guide',
+  'A Year of {Category}'
+]
+
+// Social networks an author may link to, with the profile URL for a handle
+const SOCIAL_NETWORKS = {
+  website: (handle) => `https://example.com/${handle}`,
+  github: (handle) => `https://github.com/${handle}`,
+  twitter: (handle) => `https://twitter.com/${handle}`,
+  instagram: (handle) => `https://instagram.com/${handle}`
+}
+
+const TITLE_TEMPLATES = [
+  'A Beginner\'s Guide to {Topic}',
+  '{n} Lessons I Learned from {Topic}',
+  'Why {Topic} Matters More Than Ever',
+  'Getting Started with {Topic}',
+  'The Hidden Costs of Ignoring {Topic}',
+  '{Topic}: What Nobody Tells You',
+  'How {Topic} Changed the Way I Work',
+  '{n} Common Mistakes with {Topic}',
+  'A Practical Look at {Topic}',
+  '{Topic} in {year}: What\'s New',
+  'Everything You Need to Know About {Topic}',
+  'Rethinking {Topic}'
+]
+
+const OPENERS = [
+  'If you have ever wondered about {topic}, you are not alone.',
+  'Over the past few months I have spent a lot of time with {topic}.',
+  '{Topic} comes up in almost every conversation I have lately.',
+  'There is a lot of noise around {topic}, so let\'s cut through it.',
+  'I used to think {topic} was only for experts. I was wrong.'
+]
+
+const SENTENCES = [
+  'The first thing to understand is how {term} shapes everything else.',
+  'Most people underestimate {term}, and it shows.',
+  'A small change in {term} can make a surprisingly large difference.',
+  'It helps to start simple and revisit {term} once the basics feel natural.',
+  'Experienced practitioners treat {term} as a habit rather than a task.',
+  'The trade-off between {term} and {term2} is where most of the real decisions happen.',
+  'Once {term} is under control, {term2} tends to follow.',
+  'Measure {term} before and after, or you will only be guessing.',
+  'None of this requires expensive tools, just attention to {term}.',
+  'Good {term} is rarely an accident; it is the result of deliberate practice.',
+  'When in doubt, write down what you know about {term} and what you don\'t.',
+  'The best resources on {topic} all spend a surprising amount of time on {term}.'
+]
+
+const SECTION_HEADINGS = [
+  'Why It Matters',
+  'Getting the Basics Right',
+  'Common Pitfalls',
+  'A Practical Example',
+  'What the Experts Do Differently',
+  'Tools and Resources',
+  'Going Further',
+  'Lessons Learned'
+]
+
+const CLOSERS = [
+  'Start small, stay curious, and keep notes on what works for you.',
+  'Give it a try this week and see what changes.',
+  'There is always more to learn, but this should give you a solid foundation.',
+  'I would love to hear how {topic} works out for you.'
+]
+
+const CODE_SNIPPETS = {
+  bash: ['npm install\nnpm run build', 'git checkout -b experiment\ngit commit -am "Try a new approach"', 'curl -s https://example.com/api/status | jq .'],
+  javascript: ['const result = items\n  .filter(item => item.active)\n  .map(item => item.value)', 'async function load(url) {\n  const response = await fetch(url)\n  return response.json()\n}', 'export const sum = (values) => values.reduce((total, value) => total + value, 0)'],
+  css: ['.card {\n  display: grid;\n  gap: 1rem;\n}', ':root {\n  --accent: #0f172a;\n}', '@media (prefers-color-scheme: dark) {\n  body { background: #111; }\n}']
+}
+
+/**
+ * Hash a string into a 32-bit seed (cyrb53, truncated)
+ * @param {string} input - Seed string
+ * @returns {number} 32-bit unsigned integer
+ */
+const hashString = (input) => {
+  let h1 = 0xdeadbeef
+  let h2 = 0x41c6ce57
+  for (let i = 0; i < input.length; i += 1) {
+    const char = input.charCodeAt(i)
+    h1 = Math.imul(h1 ^ char, 2654435761)
+    h2 = Math.imul(h2 ^ char, 1597334677)
+  }
+  h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909)
+  return h1 >>> 0
+}
+
+/**
+ * Create a seeded pseudo-random number generator (mulberry32)
+ * @param {string|number} seed - Seed value
+ * @returns {Function} Returns a number in [0, 1) on every call
+ */
+export const createRandom = (seed) => {
+  let state = hashString(String(seed))
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0
+    let t = state
+    t = Math.imul(t ^ (t >>> 15), t | 1)
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61)
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+  }
+}
+
+/**
+ * Version 4 UUID derived from a key instead of a random source
+ * @param {string} key - Unique key, e.g. `${seed}:post:12`
+ * @returns {string} UUID that is the same for the same key
+ */
+export const stableUuid = (key) => {
+  const random = createRandom(key)
+  const hex = Array.from({ length: 32 }, () => Math.floor(random() * 16).toString(16))
+  hex[12] = '4'
+  hex[16] = ((parseInt(hex[16], 16) & 0x3) | 0x8).toString(16)
+  const s = hex.join('')
+  return `${s.slice(0, 8)}-${s.slice(8, 12)}-${s.slice(12, 16)}-${s.slice(16, 20)}-${s.slice(20)}`
+}
+
+const pick = (random, items) => items[Math.floor(random() * items.length)]
+
+/**
+ * Shuffled copy of a list (Fisher-Yates, so every engine gives the same order)
+ * @param {Function} random - Seeded random source
+ * @param {Array} items - Items to shuffle
+ * @returns {Array} New shuffled array
+ */
+const shuffle = (random, items) => {
+  const result = [...items]
+  for (let i = result.length - 1; i > 0; i -= 1) {
+    const j = Math.floor(random() * (i + 1))
+    const swap = result[i]
+    result[i] = result[j]
+    result[j] = swap
+  }
+  return result
+}
+
+const capitalize = (text) => text.charAt(0).toUpperCase() + text.slice(1)
+
+const toTitleCase = (text) => text.split(' ').map(word => (/^[a-z]/.test(word) ? capitalize(word) : word)).join(' ')
+
+const slugify = (text) => text
+  .toLowerCase()
+  .replace(/['’]/g, '')
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-+|-+$/g, '')
+
+/**
+ * Fill `{topic}`, `{Topic}`, `{term}`, `{term2}`, `{n}` and `{year}` placeholders
+ * @param {string} template - Template text
+ * @param {Object} values - Placeholder values
+ * @returns {string} Filled text
+ */
+const fill = (template, values) => template.replace(/\{(\w+)\}/g, (match, name) => values[name] ?? match)
+
+/**
+ * Write a Markdown article about a topic
+ * @param {Function} random - Seeded random source
+ * @param {Object} category - Entry from CATEGORY_BANK
+ * @param {string} topic - Topic of the post
+ * @param {string} title - Post title
+ * @returns {{content: string, excerpt: string}} Markdown body and a one-paragraph excerpt
+ */
+const writeArticle = (random, category, topic, title) => {
+  const values = () => {
+    const term = pick(random, category.terms)
+    const others = category.terms.filter(item => item !== term)
+    return { topic, Topic: capitalize(topic), term, term2: pick(random, others) }
+  }
+  // No sentence template twice in the same paragraph
+  const paragraph = (count) => shuffle(random, SENTENCES).slice(0, count).map(sentence => fill(sentence, values())).join(' ')
+
+  const intro = `${fill(pick(random, OPENERS), values())} ${paragraph(2)}`
+  const blocks = [`# ${title}`, intro]
+
+  const headings = shuffle(random, SECTION_HEADINGS).slice(0, 2 + Math.floor(random() * 3))
+  headings.forEach((heading, index) => {
+    blocks.push(`## ${heading}`, paragraph(3 + Math.floor(random() * 3)))
+
+    const extra = random()
+    if (extra < 0.3) {
+      const items = shuffle(random, category.terms).slice(0, 3 + Math.floor(random() * 2))
+      blocks.push(items.map(item => `- **${capitalize(item)}**: ${fill(pick(random, SENTENCES), { ...values(), term: item })}`).join('\n'))
+    } else if (extra < 0.5 && category.code) {
+      blocks.push(`\`\`\`${category.code}\n${pick(random, CODE_SNIPPETS[category.code])}\n\`\`\``)
+    } else if (extra < 0.6) {
+      blocks.push(`> ${fill(pick(random, SENTENCES), values())}`)
+    } else if (index === 0) {
+      blocks.push(paragraph(2))
+    }
+  })
+
+  blocks.push('## Conclusion', `${paragraph(1)} ${fill(pick(random, CLOSERS), values())}`)
+
+  return {
+    content: blocks.join('\n\n'),
+    excerpt: intro.length > 200 ? `${intro.slice(0, intro.lastIndexOf(' ', 197))}...` : intro
+  }
+}
+
+/**
+ * Generate a complete blog dataset
+ * @param {Object} options - Overrides for MOCK_GENERATOR_DEFAULTS
+ * @param {string} options.seed - Seed; the same seed and options give the same data
+ * @param {number} options.categories - Number of categories (at most 12)
+ * @param {number} options.authors - Number of authors (at most 12)
+ * @param {number} options.series - Number of multi-part series (at most one per category)
+ * @param {number} options.posts - Number of posts
+ * @param {number} options.guests - Size of the guest pool likes come from
+ * @param {number} options.draftRatio - Share of unpublished posts
+ * @param {string} options.now - Latest publish date (ISO string)
+ * @param {number} options.spanDays - Days over which publish dates are spread
+ * @returns {{categories: Array, posts: Array, likes: Array, tags: Array, post_tags: Array, authors: Array, post_authors: Array, series: Array}} Rows shaped like the tables in database-setup.sql (posts also embed their category, tags, authors and series)
+ */
+export const generateMockData = (options = {}) => {
+  const config = { ...MOCK_GENERATOR_DEFAULTS, ...options }
+  const seed = String(config.seed)
+  const categoryCount = Math.max(1, Math.min(CATEGORY_BANK.length, config.categories))
+  const now = Date.parse(config.now)
+  const spanMs = config.spanDays * 86400000
+
+  // Subcategories whose parent isn't generated become top-level
+  const categoryId = (name) => {
+    const index = CATEGORY_BANK.findIndex(entry => entry.name === name)
+    return index !== -1 && index < categoryCount ? stableUuid(`${seed}:category:${index}`) : null
+  }
+  const categories = CATEGORY_BANK.slice(0, categoryCount).map((entry, index) => ({
+    id: stableUuid(`${seed}:category:${index}`),
+    name: entry.name,
+    slug: slugify(entry.name),
+    parent_id: categoryId(entry.parent),
+    created_at: new Date(now - spanMs - 86400000).toISOString()
+  }))
+
+  // Authors write about a couple of categories each, which their bios mention
+  const authorCount = Math.max(1, Math.min(AUTHOR_BANK.length, config.authors))
+  const authors = AUTHOR_BANK.slice(0, authorCount).map((entry, index) => {
+    const random = createRandom(`${seed}:author:${index}`)
+    const slug = slugify(entry.name)
+    const interests = shuffle(random, CATEGORY_BANK.slice(0, categoryCount)).slice(0, 2).map(item => item.name.toLowerCase())
+    const networks = shuffle(random, Object.keys(SOCIAL_NETWORKS)).slice(0, 1 + Math.floor(random() * 2))
+    return {
+      id: stableUuid(`${seed}:author:${index}`),
+      name: entry.name,
+      slug,
+      bio: `${entry.bio} writing about ${interests.join(' and ')}.`,
+      // Some authors have no picture, so bylines show their initials
+      avatar_path: random() < 0.8 ? `https://i.pravatar.cc/160?u=${seed}-${slug}` : null,
+      social_links: Object.fromEntries(networks.map(network => [network, SOCIAL_NETWORKS[network](slug)])),
+      created_at: categories[0].created_at
+    }
+  })
+
+  // Tags are created the first time a post uses them; IDs depend only on the seed and slug
+  const tagsBySlug = new Map()
+  const getTag = (name) => {
+    const slug = slugify(name)
+    if (!tagsBySlug.has(slug)) {
+      tagsBySlug.set(slug, { id: stableUuid(`${seed}:tag:${slug}`), name, slug, created_at: categories[0].created_at })
+    }
+    return tagsBySlug.get(slug)
+  }
+
+  const guests = Array.from({ length: config.guests }, (_, index) => stableUuid(`${seed}:guest:${index}`))
+  const usedSlugs = new Set()
+  const posts = []
+  const likes = []
+  const postTags = []
+  const postAuthors = []
+
+  for (let index = 0; index < config.posts; index += 1) {
+    // One random stream per post, so post N is the same whatever the total
+    const random = createRandom(`${seed}:post:${index}`)
+    const categoryIndex = Math.floor(random() * categoryCount)
+    const category = categories[categoryIndex]
+    const bank = CATEGORY_BANK[categoryIndex]
+
+    const topic = pick(random, bank.topics)
+    const title = fill(pick(random, TITLE_TEMPLATES), {
+      Topic: toTitleCase(topic),
+      n: 3 + Math.floor(random() * 8),
+      year: new Date(now).getUTCFullYear()
+    })
+
+    let slug = slugify(title)
+    for (let suffix = 2; usedSlugs.has(slug); suffix += 1) slug = `${slugify(title)}-${suffix}`
+    usedSlugs.add(slug)
+
+    const { content, excerpt } = writeArticle(random, bank, topic, title)
+    const published = random() >= config.draftRatio
+    const publishedAt = published
+      ? new Date(now - Math.floor(random() * spanMs / 60000) * 60000).toISOString()
+      : null
+
+    // Skewed popularity: most posts get modest numbers, a few get a lot
+    const views = published ? 20 + Math.floor(random() ** 3 * 5000) : 0
+    const likeCount = published ? Math.min(guests.length, Math.floor(views * (0.02 + random() * 0.1))) : 0
+
+    const post = {
+      id: stableUuid(`${seed}:post:${index}`),
+      title,
+      slug,
+      excerpt,
+      content,
+      cover_path: `https://picsum.photos/seed/${slug}/800/600`,
+      category_id: category.id,
+      series_id: null,
+      series_position: null,
+      published,
+      published_at: publishedAt,
+      views,
+      likes: likeCount,
+      created_at: publishedAt || new Date(now - Math.floor(random() * 30) * 86400000).toISOString(),
+      categories: { id: category.id, name: category.name, slug: category.slug }
+    }
+    posts.push(post)
+
+    // Distinct guests per post, starting at a random point in the pool
+    const offset = Math.floor(random() * guests.length)
+    for (let like = 0; like < likeCount; like += 1) {
+      likes.push({
+        id: stableUuid(`${seed}:like:${index}:${like}`),
+        post_id: post.id,
+        user_id: guests[(offset + like) % guests.length],
+        created_at: publishedAt
+      })
+    }
+
+    // 1-3 tags of the category, sometimes a general one; a stream of their
+    // own, so posts generated before tags existed keep everything else
+    const tagRandom = createRandom(`${seed}:post:${index}:tags`)
+    const tagNames = shuffle(tagRandom, bank.tags).slice(0, 1 + Math.floor(tagRandom() * 3))
+    if (tagRandom() < 0.4) tagNames.push(pick(tagRandom, GENERAL_TAGS))
+    post.tags = tagNames.map(name => {
+      const { id, name: tagName, slug: tagSlug } = getTag(name)
+      postTags.push({ post_id: post.id, tag_id: id, created_at: post.created_at })
+      return { id, name: tagName, slug: tagSlug }
+    })
+
+    // One author, sometimes two; also a stream of its own
+    const authorRandom = createRandom(`${seed}:post:${index}:authors`)
+    const byline = shuffle(authorRandom, authors).slice(0, authorRandom() < 0.2 ? 2 : 1)
+    post.authors = byline.map((author, position) => {
+      postAuthors.push({ post_id: post.id, author_id: author.id, position, created_at: post.created_at })
+      return { ...author }
+    })
+  }
+
+  // Series gather 2-5 published posts of a category, numbered in publish order.
+  // Built once every post exists, from a stream of their own, so the rest of
+  // each post is the same as in datasets generated before series existed
+  const seriesRandom = createRandom(`${seed}:series`)
+  const seriesCount = Math.max(0, Math.min(categoryCount, config.series))
+  const series = []
+  shuffle(seriesRandom, categories).slice(0, seriesCount).forEach((category, index) => {
+    const parts = shuffle(seriesRandom, posts.filter(post => post.published && post.category_id === category.id))
+      .slice(0, 2 + Math.floor(seriesRandom() * 4))
+      .sort((a, b) => a.published_at.localeCompare(b.published_at))
+    const title = fill(pick(seriesRandom, SERIES_TEMPLATES), { Category: category.name })
+    if (parts.length < 2) return
+
+    const entry = {
+      id: stableUuid(`${seed}:series:${index}`),
+      title,
+      slug: slugify(title),
+      description: `A ${parts.length}-part series on ${category.name.toLowerCase()}, best read in order.`,
+      created_at: categories[0].created_at
+    }
+    series.push(entry)
+    parts.forEach((post, position) => {
+      post.series_id = entry.id
+      post.series_position = position + 1
+      post.series = { ...entry }
+    })
+  })
+
+  // Newest first, like the hand-written fixtures
+  posts.sort((a, b) => (b.published_at || '').localeCompare(a.published_at || ''))
+
+  const tags = [...tagsBySlug.values()].sort((a, b) => a.name.localeCompare(b.name))
+
+  return { categories, posts, likes, tags, post_tags: postTags, authors, post_authors: postAuthors, series }
+}
+
+/**
+ * Generate reads from the last few weeks, for trending lists
+ * Lifetime view counts carry no dates, so recent activity is made up on its
+ * own: a few posts are having a moment (most of their reads in the last two
+ * days), the rest get a trickle spread over the period.
+ * @param {Array} posts - Posts to generate reads for (drafts and scheduled posts get none)
+ * @param {Object} options - Options
+ * @param {string} options.seed - Seed; the same seed, posts and `now` give the same rows
+ * @param {string} options.now - Time of the latest possible read (ISO string)
+ * @param {number} options.days - Days the reads are spread over
+ * @returns {Array} post_views rows, one reader per row
+ */
+export const generateRecentViews = (posts, { seed = MOCK_GENERATOR_DEFAULTS.seed, now, days = 30 } = {}) => {
+  const end = Date.parse(now)
+  const views = []
+
+  posts.forEach(post => {
+    const publishedAt = Date.parse(post.published_at)
+    if (!post.published || !(publishedAt <= end)) return
+
+    const random = createRandom(`${seed}:reads:${post.id}`)
+    const hot = random() < 0.2
+    // No more reads than the post has views, and none before it came out
+    const count = Math.min(post.views ?? Infinity, Math.floor(hot ? 20 + random() ** 2 * 60 : 2 + random() ** 2 * 15))
+    const spanMs = Math.min(days * 86400000, end - publishedAt)
+
+    for (let index = 0; index < count; index += 1) {
+      const age = hot ? Math.min(spanMs, random() ** 2 * 2 * 86400000) : random() * spanMs
+      const createdAt = new Date(end - Math.floor(age)).toISOString()
+      views.push({
+        id: stableUuid(`${seed}:read:${post.id}:${index}`),
+        post_id: post.id,
+        user_id: stableUuid(`${seed}:reader:${post.id}:${index}`),
+        created_at: createdAt,
+        viewed_at: createdAt
+      })
+    }
+  })
+
+  return views
+}
+
+export default generateMockData
@@ -0,0 +1,248 @@
+/**
+ * Persistent Cache
+ * IndexedDB storage for cached API responses, so repeat visits can paint from
+ * previously loaded data and read it while offline.
+ *
+ * - Schema version: bump CACHE_SCHEMA_VERSION whenever the shape of cached
+ *   data changes; stores from older versions are dropped on upgrade
+ * - Size cap (approximate, in bytes of JSON) with least-recently-used eviction
+ * - Retention (TTL) per key prefix
+ */
+
+export const CACHE_SCHEMA_VERSION = 7;
+
+const STORE_NAME = 'entries';
+
+/**
+ * Resolve an IndexedDB request as a promise
+ * @param {IDBRequest} request - Request to wait for
+ * @returns {Promise<any>} Request result
+ */
+const promisifyRequest = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+/**
+ * Open (and if needed create or upgrade) the cache database
+ * @param {string} name - Database name
+ * @returns {Promise<IDBDatabase>} Open database
+ */
+const openDatabase = (name) => {
+  const request = indexedDB.open(name, CACHE_SCHEMA_VERSION);
+
+  request.onupgradeneeded = () => {
+    const db = request.result;
+
+    // Data cached under an older schema isn't worth migrating
+    [...db.objectStoreNames].forEach(storeName => db.deleteObjectStore(storeName));
+
+    const store = db.createObjectStore(STORE_NAME, { keyPath: 'key' });
+    store.createIndex('tags', 'tags', { multiEntry: true });
+  };
+
+  return promisifyRequest(request);
+};
+
+/**
+ * Create a persistent cache backed by IndexedDB
+ *
+ * Entries are stored as `{ key, data, tags, timestamp, accessedAt, size }`,
+ * where timestamp is when the data was fetched (so callers can judge
+ * freshness) and accessedAt drives LRU eviction.
+ *
+ * @param {Object} options - Cache options
+ * @param {string} options.name - Database name
+ * @param {number} options.maxBytes - Size cap; least recently used entries are evicted beyond it
+ * @param {Object<string, number>} options.ttlByPrefix - Retention (ms) per key prefix; the longest matching prefix wins
+ * @param {number} options.defaultTtl - Retention (ms) for keys matching no prefix
+ * @returns {Object|null} Persistent cache, or null when IndexedDB is unavailable
+ */
+export const createPersistentCache = ({
+  name = 'reactBlog-cache',
+  maxBytes = 5 * 1024 * 1024,
+  ttlByPrefix = {},
+  defaultTtl = 24 * 60 * 60 * 1000
+} = {}) => {
+  if (typeof indexedDB === 'undefined') return null;
+
+  let dbPromise = null;
+
+  // Bytes stored, as far as this tab knows: exact after each eviction pass and
+  // an overestimate in between (deletes aren't subtracted), so writes only scan
+  // the store once the cap may have been crossed. Null until the first pass.
+  let storedBytes = null;
+
+  const getDatabase = () => {
+    if (!dbPromise) {
+      dbPromise = openDatabase(name).catch(error => {
+        dbPromise = null;
+        throw error;
+      });
+    }
+    return dbPromise;
+  };
+
+  /**
+   * Run work in one transaction and wait for it to commit
+   * @param {string} mode - 'readonly' or 'readwrite'
+   * @param {Function} work - Receives the object store; may return an IDBRequest
+   * @returns {Promise<any>} Result of the returned request, if any
+   */
+  const transact = async (mode, work) => {
+    const db = await getDatabase();
+    const transaction = db.transaction(STORE_NAME, mode);
+    const request = work(transaction.objectStore(STORE_NAME));
+
+    await new Promise((resolve, reject) => {
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+
+    return request ? request.result : undefined;
+  };
+
+  const ttlFor = (key) => {
+    const prefix = Object.keys(ttlByPrefix)
+      .filter(candidate => key.startsWith(candidate))
+      .sort((a, b) => b.length - a.length)[0];
+    return prefix ? ttlByPrefix[prefix] : defaultTtl;
+  };
+
+  const isExpired = (entry, now = Date.now()) => now - entry.timestamp > ttlFor(entry.key);
+
+  // Drop expired entries, then least recently used ones until under the cap
+  // Reads the whole store, so it only runs when storedBytes says it's needed
+  const evict = () => transact('readwrite', store => {
+    const request = store.getAll();
+
+    request.onsuccess = () => {
+      const now = Date.now();
+      let total = 0;
+
+      const live = request.result.filter(entry => {
+        if (isExpired(entry, now)) {
+          store.delete(entry.key);
+          return false;
+        }
+        total += entry.size;
+        return true;
+      });
+
+      live
+        .sort((a, b) => a.accessedAt - b.accessedAt)
+        .forEach(entry => {
+          if (total <= maxBytes) return;
+          store.delete(entry.key);
+          total -= entry.size;
+        });
+
+      storedBytes = total;
+    };
+  });
+
+  return {
+    /**
+     * Get an entry and mark it as recently used
+     * @param {string} key - Cache key
+     * @returns {Promise<Object|null>} Entry or null if missing or expired
+     */
+    async get(key) {
+      const entry = await transact('readwrite', store => {
+        const request = store.get(key);
+
+        // Touch or expire within the same transaction so a concurrent
+        // delete can't be undone by the access-time update
+        request.onsuccess = () => {
+          if (!request.result) return;
+          if (isExpired(request.result)) store.delete(key);
+          else store.put({ ...request.result, accessedAt: Date.now() });
+        };
+
+        return request;
+      });
+
+      return entry && !isExpired(entry) ? entry : null;
+    },
+
+    /**
+     * Store an entry, evicting old entries when over the size cap
+     * Expired entries are dropped by the same pass (and on read)
+     * @param {string} key - Cache key
+     * @param {any} data - Data to store (must be structured-cloneable)
+     * @param {Array<string>} tags - Entity tags of the entry
+     * @param {number} timestamp - When the data was fetched
+     */
+    async set(key, data, tags = [], timestamp = Date.now()) {
+      const size = (JSON.stringify(data) || '').length;
+      if (size > maxBytes) return;
+
+      let replacedSize = 0;
+      await transact('readwrite', store => {
+        const existing = store.get(key);
+        existing.onsuccess = () => {
+          replacedSize = existing.result?.size || 0;
+        };
+        store.put({ key, data, tags, timestamp, accessedAt: Date.now(), size });
+      });
+
+      if (storedBytes !== null) storedBytes += size - replacedSize;
+      if (storedBytes === null || storedBytes > maxBytes) await evict();
+    },
+
+    /**
+     * Delete one entry
+     * @param {string} key - Cache key
+     */
+    delete(key) {
+      return transact('readwrite', store => {
+        store.delete(key);
+      });
+    },
+
+    /**
+     * Delete every entry whose key starts with prefix
+     * @param {string} prefix - Key prefix
+     */
+    deletePrefix(prefix) {
+      return transact('readwrite', store => {
+        store.delete(IDBKeyRange.bound(prefix, `${prefix}\uffff`));
+      });
+    },
+
+    /**
+     * Delete every entry carrying any of the given tags
+     * @param {Array<string>} tags - Entity tags
+     */
+    deleteTags(tags) {
+      return transact('readwrite', store => {
+        const index = store.index('tags');
+
+        tags.forEach(tag => {
+          const request = index.openKeyCursor(IDBKeyRange.only(tag));
+          request.onsuccess = () => {
+            const cursor = request.result;
+            if (!cursor) return;
+            store.delete(cursor.primaryKey);
+            cursor.continue();
+          };
+        });
+      });
+    },
+
+    /**
+     * Delete every entry
+     */
+    clear() {
+      return transact('readwrite', store => {
+        store.clear();
+      });
+    }
+  };
+};
+
+export default {
+  createPersistentCache,
+  CACHE_SCHEMA_VERSION
+};
@@ -0,0 +1,311 @@
+/**
+ * In-memory full-text search - The mock backend's stand-in for Postgres text search
+ *
+ * Mirrors search_posts in database-setup.sql closely enough that mock mode
+ * behaves like production: title, excerpt and content are weighted A, B and
+ * C, queries use websearch syntax (words are ANDed, `or` between words,
+ * `-word` excludes, quotes group words), words are reduced to a simple
+ * English stem with stop words dropped, ranks are normalized by document
+ * length, and snippets mark the matching words.
+ *
+ * The same weighted terms give the TF-IDF vectors behind related posts
+ * (post_keywords and get_related_posts in database-setup.sql).
+ */
+
+/**
+ * Markers around highlighted words in snippets (the same characters
+ * search_posts passes to ts_headline as StartSel / StopSel)
+ */
+export const HIGHLIGHT_START = '\u0002'
+export const HIGHLIGHT_STOP = '\u0003'
+
+/**
+ * Indexed fields and their weights (Postgres' defaults for A, B and C)
+ */
+const SEARCH_FIELDS = {
+  title: 1.0,
+  excerpt: 0.4,
+  content: 0.2
+}
+
+// Words per snippet (ts_headline's MaxWords)
+const SNIPPET_WORDS = 35
+
+const STOP_WORDS = new Set([
+  'a', 'about', 'after', 'all', 'am', 'an', 'and', 'any', 'are', 'as', 'at', 'be', 'because',
+  'been', 'before', 'being', 'between', 'both', 'but', 'by', 'can', 'did', 'do', 'does', 'doing',
+  'down', 'during', 'each', 'few', 'for', 'from', 'further', 'had', 'has', 'have', 'having', 'he',
+  'her', 'here', 'hers', 'him', 'his', 'how', 'i', 'if', 'in', 'into', 'is', 'it', 'its', 'just',
+  'me', 'more', 'most', 'my', 'no', 'nor', 'not', 'now', 'of', 'off', 'on', 'once', 'only', 'or',
+  'other', 'our', 'ours', 'out', 'over', 'own', 'same', 'she', 'should', 'so', 'some', 'such',
+  'than', 'that', 'the', 'their', 'theirs', 'them', 'then', 'there', 'these', 'they', 'this',
+  'those', 'through', 'to', 'too', 'under', 'until', 'up', 'very', 'was', 'we', 'were', 'what',
+  'when', 'where', 'which', 'while', 'who', 'whom', 'why', 'will', 'with', 'you', 'your', 'yours'
+])
+
+const WORD_PATTERN = /[\p{L}\p{N}]+(?:'[\p{L}]+)?/gu
+
+/**
+ * Reduce a word to a simple English stem ("running" and "runs" -> "run")
+ * @param {string} word - Lowercase word
+ * @returns {string} Stem
+ */
+const stem = (word) => {
+  let result = word.replace(/'s?$/, '')
+  if (result.length <= 3) return result
+
+  if (result.endsWith('ies') && result.length > 4) return `${result.slice(0, -3)}y`
+  if (result.endsWith('sses')) return result.slice(0, -2)
+  if (result.endsWith('ing') && result.length > 5) result = result.slice(0, -3)
+  else if (result.endsWith('ed') && result.length > 4) result = result.slice(0, -2)
+  else if (result.endsWith('ly') && result.length > 4) result = result.slice(0, -2)
+  else if (result.endsWith('s') && !result.endsWith('ss') && !result.endsWith('us')) result = result.slice(0, -1)
+
+  // "running" -> "runn" -> "run"
+  if (/([^aeiouslz])\1$/.test(result)) result = result.slice(0, -1)
+  return result
+}
+
+/**
+ * Split text into words with their positions
+ * @param {string} text - Text to split
+ * @returns {Array<{word: string, term: string|null, start: number, end: number}>} Words; term is the stem, or null for stop words
+ */
+const tokenize = (text) => {
+  return [...String(text || '').matchAll(WORD_PATTERN)].map(match => {
+    const word = match[0].toLowerCase()
+    return {
+      word,
+      term: STOP_WORDS.has(word) ? null : stem(word),
+      start: match.index,
+      end: match.index + match[0].length
+    }
+  })
+}
+
+/**
+ * Turn post content into plain text for snippets
+ * Mirrors the regexp_replace in search_posts, which drops markdown syntax.
+ * @param {string} text - Markdown content
+ * @returns {string} Text without markdown symbols
+ */
+export const toPlainText = (text) => String(text || '').replace(/[#*_`>~|]+/g, ' ')
+
+/**
+ * Parse a websearch-style query
+ * @param {string} query - Raw query text
+ * @returns {{clauses: Array<Array<string>>, excluded: Array<string>}} Stems that must match (each clause: any of its alternatives) and stems that must not
+ */
+export const parseQuery = (query) => {
+  const clauses = []
+  const excluded = []
+  let joinNext = false
+
+  const parts = String(query || '').match(/-?"[^"]*"?|\S+/g) || []
+  parts.forEach(part => {
+    if (part.toLowerCase() === 'or') {
+      joinNext = clauses.length > 0
+      return
+    }
+
+    const negated = part.startsWith('-')
+    const terms = tokenize(part).map(token => token.term).filter(Boolean)
+    if (terms.length === 0) return
+
+    if (negated) {
+      excluded.push(...terms)
+    } else if (joinNext && terms.length === 1) {
+      clauses[clauses.length - 1].push(terms[0])
+    } else {
+      terms.forEach(term => clauses.push([term]))
+    }
+    joinNext = false
+  })
+
+  return { clauses, excluded }
+}
+
+/**
+ * Create an index over a changing set of documents
+ * Call sync() before searching; only documents whose indexed fields
+ * changed since the last sync are re-indexed.
+ * @returns {Object} `{ sync, search, similar }`
+ */
+export const createSearchIndex = () => {
+  // id -> { source, weights: Map<term, weighted frequency>, length }
+  const documents = new Map()
+  // term -> Set of ids
+  const postings = new Map()
+
+  const remove = (id) => {
+    const document = documents.get(id)
+    if (!document) return
+    document.weights.forEach((_, term) => {
+      postings.get(term)?.delete(id)
+    })
+    documents.delete(id)
+  }
+
+  const add = (id, source) => {
+    const weights = new Map()
+    let length = 0
+    Object.entries(SEARCH_FIELDS).forEach(([field, weight]) => {
+      const text = field === 'content' ? toPlainText(source[field]) : source[field]
+      tokenize(text).forEach(({ term }) => {
+        if (!term) return
+        length += 1
+        weights.set(term, (weights.get(term) || 0) + weight)
+      })
+    })
+
+    weights.forEach((_, term) => {
+      if (!postings.has(term)) postings.set(term, new Set())
+      postings.get(term).add(id)
+    })
+    documents.set(id, { source, weights, length })
+  }
+
+  // Weight of a term in a document: weighted frequency x ln(1 + N / documents with the term)
+  const tfidf = (weights) => {
+    const vector = new Map()
+    let norm = 0
+    weights.forEach((frequency, term) => {
+      const weight = frequency * Math.log(1 + documents.size / postings.get(term).size)
+      vector.set(term, weight)
+      norm += weight * weight
+    })
+    norm = Math.sqrt(norm)
+    vector.forEach((weight, term) => vector.set(term, norm ? weight / norm : 0))
+    return vector
+  }
+
+  return {
+    /**
+     * Bring the index up to date with the current documents
+     * @param {Array<Object>} records - Documents with an id and the indexed fields
+     */
+    sync(records) {
+      const current = new Set()
+      records.forEach(record => {
+        current.add(record.id)
+        const source = Object.fromEntries(Object.keys(SEARCH_FIELDS).map(field => [field, record[field] || '']))
+        const indexed = documents.get(record.id)
+        const unchanged = indexed && Object.keys(SEARCH_FIELDS).every(field => indexed.source[field] === source[field])
+        if (unchanged) return
+        remove(record.id)
+        add(record.id, source)
+      })
+      documents.forEach((_, id) => {
+        if (!current.has(id)) remove(id)
+      })
+    },
+
+    /**
+     * Find the documents matching a query, best first
+     * @param {string} query - Websearch-style query
+     * @returns {Array<{id: string, rank: number}>} Matches with their rank
+     */
+    search(query) {
+      const { clauses, excluded } = parseQuery(query)
+      if (clauses.length === 0) return []
+
+      // Candidates: documents containing an alternative of the first clause
+      const candidates = new Set(clauses[0].flatMap(term => [...(postings.get(term) || [])]))
+
+      const matches = []
+      candidates.forEach(id => {
+        const { weights, length } = documents.get(id)
+        const matchesAll = clauses.every(alternatives => alternatives.some(term => weights.has(term)))
+        if (!matchesAll || excluded.some(term => weights.has(term))) return
+
+        const score = clauses.flat().reduce((sum, term) => sum + (weights.get(term) || 0), 0)
+        matches.push({ id, rank: score / (1 + Math.log(Math.max(length, 1))) })
+      })
+
+      return matches.sort((a, b) => b.rank - a.rank)
+    },
+
+    /**
+     * Find the documents sharing words with a document, most similar first
+     * @param {string} id - ID of an indexed document
+     * @returns {Array<{id: string, score: number}>} Cosine similarity of the documents' TF-IDF vectors (0-1)
+     */
+    similar(id) {
+      const document = documents.get(id)
+      if (!document) return []
+
+      const vector = tfidf(document.weights)
+      const others = new Set()
+      vector.forEach((_, term) => postings.get(term).forEach(other => others.add(other)))
+      others.delete(id)
+
+      return [...others]
+        .map(other => {
+          let score = 0
+          tfidf(documents.get(other).weights).forEach((weight, term) => {
+            score += weight * (vector.get(term) || 0)
+          })
+          return { id: other, score }
+        })
+        .sort((a, b) => b.score - a.score)
+    }
+  }
+}
+
+/**
+ * Build a snippet around the words of a text that match a query
+ * Picks the SNIPPET_WORDS-word window with the most matches and wraps each
+ * matching word in HIGHLIGHT_START / HIGHLIGHT_STOP.
+ * @param {string} text - Plain text to take the snippet from
+ * @param {string} query - Websearch-style query
+ * @returns {string} Snippet with highlight markers
+ */
+export const highlight = (text, query) => {
+  const terms = new Set(parseQuery(query).clauses.flat())
+  const tokens = tokenize(text)
+  if (tokens.length === 0) return ''
+
+  const matched = tokens.map(token => Boolean(token.term && terms.has(token.term)))
+
+  // Sliding window with the most matching words (first one wins ties)
+  let best = 0
+  let bestCount = -1
+  let count = 0
+  for (let index = 0; index < tokens.length; index++) {
+    if (matched[index]) count += 1
+    if (index >= SNIPPET_WORDS && matched[index - SNIPPET_WORDS]) count -= 1
+    const start = Math.max(0, index - SNIPPET_WORDS + 1)
+    if (count > bestCount) {
+      bestCount = count
+      best = start
+    }
+  }
+
+  const window = tokens.slice(best, best + SNIPPET_WORDS)
+  let snippet = ''
+  let cursor = window[0].start
+  window.forEach((token, offset) => {
+    snippet += text.slice(cursor, token.start)
+    const word = text.slice(token.start, token.end)
+    snippet += matched[best + offset] ? `${HIGHLIGHT_START}${word}${HIGHLIGHT_STOP}` : word
+    cursor = token.end
+  })
+
+  return snippet.replace(/\s+/g, ' ').trim()
+}
+
+/**
+ * Split a snippet with highlight markers into display segments
+ * @param {string} snippet - Snippet from search_posts or highlight()
+ * @returns {Array<{text: string, highlight: boolean}>} Segments in order
+ */
+export const parseSnippet = (snippet) => {
+  const segments = []
+  String(snippet || '').split(HIGHLIGHT_START).forEach((part, index) => {
+    // Every part after the first starts with a highlighted word
+    const [marked, rest] = index === 0 ? [null, part] : part.split(HIGHLIGHT_STOP)
+    if (marked) segments.push({ text: marked, highlight: true })
+    if (rest) segments.push({ text: rest, highlight: false })
+  })
+  return segments
+}